@@ -5,6 +5,7 @@ import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Apps from './pages/Apps';
 import Bookings from './pages/Bookings';
+import Webhooks from './pages/Webhooks';
 
 function App() {
   return (
@@ -36,6 +37,14 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/webhooks"
+            element={
+              <PrivateRoute>
+                <Webhooks />
+              </PrivateRoute>
+            }
+          />
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
         </Routes>
       </Router>
@@ -15,6 +15,7 @@ const Layout = ({ children }) => {
     { path: '/dashboard', label: 'Dashboard', icon: '📊' },
     { path: '/apps', label: 'Apps', icon: '🚀' },
     { path: '/bookings', label: 'Bookings', icon: '🎟️' },
+    { path: '/webhooks', label: 'Webhooks', icon: '🔔' },
   ];
 
   return (
@@ -36,7 +36,11 @@ const Apps = () => {
         allowedDomains: formData.allowedDomains.split(',').map(d => d.trim()).filter(Boolean),
       };
       const response = await adminAPI.createApp(appData);
-      alert(`App created successfully!\n\nApp ID: ${response.data.data.app.appId}\nAPI Key: ${response.data.data.apiKey}\n\nSave this API key - it won't be shown again!`);
+      const { app, apiKey, publishableKey } = response.data.data;
+      const publishableLine = publishableKey
+        ? `Publishable Key (browser): ${publishableKey}`
+        : 'No publishable key - add allowed domains to issue one for browser clients';
+      alert(`App created successfully!\n\nApp ID: ${app.appId}\nSecret Key (server only): ${apiKey}\n${publishableLine}\n\nSave these keys - they won't be shown again!`);
       setShowModal(false);
       setFormData({ name: '', domain: 'EVENT', allowedDomains: '' });
       loadApps();
@@ -46,16 +50,32 @@ const Apps = () => {
   };
 
   const handleRotateKey = async (appId) => {
-    if (!confirm('Are you sure? The old API key will stop working immediately.')) return;
+    if (!confirm('Rotate the secret API key? The old key keeps working for a grace period (24 hours by default), then stops.')) return;
     
     try {
       const response = await adminAPI.rotateApiKey(appId);
-      alert(`New API Key: ${response.data.data.newApiKey}\n\nSave this key - it won't be shown again!`);
+      const { newApiKey, previous } = response.data.data;
+      alert(`New API Key: ${newApiKey}\n\nThe old key works until ${new Date(previous.expiresAt || previous.revokedAt).toLocaleString()}.\nSave this key - it won't be shown again!`);
     } catch (error) {
       alert(error.response?.data?.message || 'Failed to rotate key');
     }
   };
 
+  const handleCreatePublishableKey = async (appId) => {
+    if (!confirm('Issue a publishable key for browser clients? It can only read seats and book, from the allowed domains.')) return;
+
+    try {
+      const response = await adminAPI.createApiKey(appId, {
+        name: 'browser',
+        type: 'publishable',
+        scopes: ['read-seats', 'book'],
+      });
+      alert(`Publishable Key: ${response.data.data.apiKey}\n\nUse it in your frontend instead of the secret key.\nSave this key - it won't be shown again!`);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to create key');
+    }
+  };
+
   const handleToggleStatus = async (appId, currentStatus) => {
     try {
       await adminAPI.updateApp(appId, { isActive: !currentStatus });
@@ -149,6 +169,12 @@ const Apps = () => {
                   >
                     🔄 Rotate Key
                   </button>
+                  <button
+                    onClick={() => handleCreatePublishableKey(app.appId)}
+                    className="flex-1 px-4 py-2 bg-blue-100 text-blue-700 rounded-lg font-medium hover:bg-blue-200 transition-colors"
+                  >
+                    🌐 Publishable Key
+                  </button>
                 </div>
               </div>
             ))}
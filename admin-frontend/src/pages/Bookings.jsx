@@ -59,6 +59,13 @@ const Bookings = () => {
     );
   };
 
+  // Amounts come in minor units (paise, cents) of the booking currency
+  const formatAmount = (amount, currency = 'INR') => {
+    const formatter = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+    const { maximumFractionDigits } = formatter.resolvedOptions();
+    return formatter.format(amount / 10 ** maximumFractionDigits);
+  };
+
   return (
     <Layout>
       <div className="max-w-7xl mx-auto">
@@ -157,7 +164,7 @@ const Bookings = () => {
                           {booking.seatId?.seatNumber || 'N/A'}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-medium">
-                          ₹{booking.amount}
+                          {formatAmount(booking.amount, booking.currency)}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <StatusBadge status={booking.paymentStatus} />
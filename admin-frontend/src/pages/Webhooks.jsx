@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import { adminAPI } from '../services/api';
+import Layout from '../components/Layout';
+
+const WEBHOOK_EVENTS = [
+  'reservation.created',
+  'booking.confirmed',
+  'booking.cancelled',
+  'refund.processed',
+  'waitlist.offered',
+];
+
+const Webhooks = () => {
+  const [apps, setApps] = useState([]);
+  const [selectedAppId, setSelectedAppId] = useState('');
+  const [endpoints, setEndpoints] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [formData, setFormData] = useState({
+    url: '',
+    description: '',
+    events: [],
+  });
+
+  useEffect(() => {
+    loadApps();
+  }, []);
+
+  useEffect(() => {
+    if (selectedAppId) {
+      loadWebhooks(selectedAppId, statusFilter);
+    }
+  }, [selectedAppId, statusFilter]);
+
+  const loadApps = async () => {
+    try {
+      const response = await adminAPI.listApps();
+      setApps(response.data.data.apps);
+    } catch (error) {
+      console.error('Failed to load apps:', error);
+    }
+  };
+
+  const loadWebhooks = async (appId, status) => {
+    setLoading(true);
+    try {
+      const [endpointsResponse, deliveriesResponse] = await Promise.all([
+        adminAPI.listWebhooks(appId),
+        adminAPI.getWebhookDeliveries(appId, status ? { status } : {}),
+      ]);
+      setEndpoints(endpointsResponse.data.data.endpoints);
+      setDeliveries(deliveriesResponse.data.data.deliveries);
+    } catch (error) {
+      console.error('Failed to load webhooks:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateEndpoint = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await adminAPI.createWebhook(selectedAppId, formData);
+      alert(`Webhook endpoint registered!\n\nSigning Secret: ${response.data.data.secret}\n\nSave this secret - it won't be shown again!`);
+      setFormData({ url: '', description: '', events: [] });
+      loadWebhooks(selectedAppId, statusFilter);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to register webhook');
+    }
+  };
+
+  const handleToggleEndpoint = async (endpoint) => {
+    try {
+      await adminAPI.updateWebhook(selectedAppId, endpoint._id, { isActive: !endpoint.isActive });
+      loadWebhooks(selectedAppId, statusFilter);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to update webhook');
+    }
+  };
+
+  const handleDeleteEndpoint = async (endpoint) => {
+    if (!confirm(`Remove webhook endpoint ${endpoint.url}?`)) return;
+
+    try {
+      await adminAPI.deleteWebhook(selectedAppId, endpoint._id);
+      loadWebhooks(selectedAppId, statusFilter);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to remove webhook');
+    }
+  };
+
+  const handleRetry = async (deliveryId) => {
+    try {
+      await adminAPI.retryWebhookDelivery(deliveryId);
+      loadWebhooks(selectedAppId, statusFilter);
+    } catch (error) {
+      alert(error.response?.data?.error?.message || 'Failed to retry delivery');
+    }
+  };
+
+  const toggleEvent = (event) => {
+    const events = formData.events.includes(event)
+      ? formData.events.filter((e) => e !== event)
+      : [...formData.events, event];
+    setFormData({ ...formData, events });
+  };
+
+  const StatusBadge = ({ status }) => {
+    const colors = {
+      PENDING: 'bg-yellow-100 text-yellow-800',
+      SUCCEEDED: 'bg-green-100 text-green-800',
+      FAILED: 'bg-red-100 text-red-800',
+    };
+    return (
+      <span className={`px-3 py-1 rounded-full text-xs font-medium ${colors[status] || 'bg-gray-100 text-gray-800'}`}>
+        {status}
+      </span>
+    );
+  };
+
+  return (
+    <Layout>
+      <div className="max-w-7xl mx-auto">
+        <h1 className="text-3xl font-bold text-gray-900 mb-8">Webhooks</h1>
+
+        {/* App Selector */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            App
+          </label>
+          <select
+            value={selectedAppId}
+            onChange={(e) => setSelectedAppId(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          >
+            <option value="">Select an app</option>
+            {apps.map((app) => (
+              <option key={app.appId} value={app.appId}>
+                {app.name} ({app.appId})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {selectedAppId && (
+          <>
+            {/* Endpoints */}
+            <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Endpoints</h2>
+
+              {endpoints.length === 0 ? (
+                <p className="text-gray-500 mb-4">No webhook endpoints registered.</p>
+              ) : (
+                <div className="space-y-3 mb-6">
+                  {endpoints.map((endpoint) => (
+                    <div key={endpoint._id} className="flex items-center justify-between border border-gray-200 rounded-lg p-4">
+                      <div>
+                        <p className="text-sm font-mono text-gray-900">{endpoint.url}</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {endpoint.events.length > 0 ? endpoint.events.join(', ') : 'All events'}
+                          {endpoint.description && ` · ${endpoint.description}`}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleToggleEndpoint(endpoint)}
+                          className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                            endpoint.isActive
+                              ? 'bg-red-100 text-red-700 hover:bg-red-200'
+                              : 'bg-green-100 text-green-700 hover:bg-green-200'
+                          }`}
+                        >
+                          {endpoint.isActive ? 'Disable' : 'Enable'}
+                        </button>
+                        <button
+                          onClick={() => handleDeleteEndpoint(endpoint)}
+                          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <form onSubmit={handleCreateEndpoint} className="space-y-4 border-t border-gray-200 pt-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <input
+                    type="url"
+                    value={formData.url}
+                    onChange={(e) => setFormData({ ...formData, url: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                    placeholder="https://example.com/webhooks/booking"
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={formData.description}
+                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                    placeholder="Description (optional)"
+                  />
+                </div>
+                <div className="flex flex-wrap gap-4">
+                  {WEBHOOK_EVENTS.map((event) => (
+                    <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.events.includes(event)}
+                        onChange={() => toggleEvent(event)}
+                      />
+                      {event}
+                    </label>
+                  ))}
+                  <span className="text-xs text-gray-500 self-center">(none selected = all events)</span>
+                </div>
+                <button
+                  type="submit"
+                  className="bg-blue-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-blue-700 transition-colors"
+                >
+                  + Add Endpoint
+                </button>
+              </form>
+            </div>
+
+            {/* Delivery Log */}
+            <div className="bg-white rounded-lg shadow-md overflow-hidden">
+              <div className="flex items-center justify-between p-6">
+                <h2 className="text-xl font-semibold text-gray-900">Delivery Log</h2>
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                >
+                  <option value="">All Statuses</option>
+                  <option value="PENDING">Pending</option>
+                  <option value="SUCCEEDED">Succeeded</option>
+                  <option value="FAILED">Failed</option>
+                </select>
+              </div>
+
+              {loading ? (
+                <div className="flex justify-center items-center h-32">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+                </div>
+              ) : deliveries.length === 0 ? (
+                <p className="text-gray-500 text-center pb-6">No deliveries yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Endpoint</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Error</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                        <th className="px-6 py-3"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {deliveries.map((delivery) => (
+                        <tr key={delivery._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">{delivery.event}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{delivery.endpointId?.url || 'Removed'}</td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <StatusBadge status={delivery.status} />
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{delivery.attempts}</td>
+                          <td className="px-6 py-4 text-sm text-gray-500">{delivery.lastError || '-'}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(delivery.createdAt).toLocaleString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right">
+                            {delivery.status === 'FAILED' && (
+                              <button
+                                onClick={() => handleRetry(delivery.deliveryId)}
+                                className="px-3 py-1 bg-yellow-100 text-yellow-700 rounded-lg text-sm font-medium hover:bg-yellow-200 transition-colors"
+                              >
+                                Retry
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Webhooks;
@@ -44,9 +44,23 @@ export const adminAPI = {
   deleteApp: (appId) => api.delete(`/admin/apps/${appId}`),
   rotateApiKey: (appId) => api.post(`/admin/apps/${appId}/rotate-key`),
   
+  // API keys (type: 'secret' for servers, 'publishable' for browsers)
+  listApiKeys: (appId) => api.get(`/admin/apps/${appId}/api-keys`),
+  createApiKey: (appId, data) => api.post(`/admin/apps/${appId}/api-keys`, data),
+  rotateAppApiKey: (appId, keyId, data) => api.post(`/admin/apps/${appId}/api-keys/${keyId}/rotate`, data),
+  revokeApiKey: (appId, keyId) => api.delete(`/admin/apps/${appId}/api-keys/${keyId}`),
+  
   // Bookings
   getBookings: (params) => api.get('/admin/bookings', { params }),
   
+  // Webhooks
+  listWebhooks: (appId) => api.get(`/admin/apps/${appId}/webhooks`),
+  createWebhook: (appId, data) => api.post(`/admin/apps/${appId}/webhooks`, data),
+  updateWebhook: (appId, endpointId, data) => api.patch(`/admin/apps/${appId}/webhooks/${endpointId}`, data),
+  deleteWebhook: (appId, endpointId) => api.delete(`/admin/apps/${appId}/webhooks/${endpointId}`),
+  getWebhookDeliveries: (appId, params) => api.get(`/admin/apps/${appId}/webhook-deliveries`, { params }),
+  retryWebhookDelivery: (deliveryId) => api.post(`/admin/webhook-deliveries/${deliveryId}/retry`),
+  
   // Dashboard stats
   getStats: () => api.get('/admin/stats'),
 };
@@ -58,23 +72,26 @@ export const authAPI = {
 };
 
 // Booking API (requires app auth headers)
+// Runs in the browser, so use a publishable key (pk_live_...): it only allows
+// seat reads and bookings, from the app's allowed domains. Never put a secret
+// key (sk_live_...) in frontend code.
 export const bookingAPI = {
-  getSeats: (appId, apiKey, params) => 
+  getSeats: (appId, publishableKey, params) => 
     api.get('/seats', { 
       params,
-      headers: { 'x-app-id': appId, 'x-api-key': apiKey }
+      headers: { 'x-app-id': appId, 'x-api-key': publishableKey }
     }),
-  reserveSeat: (appId, apiKey, data) => 
+  reserveSeat: (appId, publishableKey, data) => 
     api.post('/reserve-seat', data, {
-      headers: { 'x-app-id': appId, 'x-api-key': apiKey }
+      headers: { 'x-app-id': appId, 'x-api-key': publishableKey }
     }),
-  confirmBooking: (appId, apiKey, data) => 
+  confirmBooking: (appId, publishableKey, data) => 
     api.post('/confirm-booking', data, {
-      headers: { 'x-app-id': appId, 'x-api-key': apiKey }
+      headers: { 'x-app-id': appId, 'x-api-key': publishableKey }
     }),
-  releaseSeat: (appId, apiKey, data) => 
+  releaseSeat: (appId, publishableKey, data) => 
     api.post('/release-seat', data, {
-      headers: { 'x-app-id': appId, 'x-api-key': apiKey }
+      headers: { 'x-app-id': appId, 'x-api-key': publishableKey }
     }),
 };
 
@@ -0,0 +1,74 @@
+/**
+ * App Authentication Benchmark
+ *
+ * Compares the cost of verifying an API key per request:
+ * - bcrypt:  the previous scheme (bcrypt.compare, cost 10, on every request)
+ * - digest:  HMAC-SHA256 check of a prefixed key (cache miss, MongoDB read not included)
+ * - cached:  apiKeyService.authenticate() answered from the in-memory cache
+ *
+ * Needs the usual .env (API_KEY_PEPPER among others) but no MongoDB or Redis.
+ *
+ * Run with: node benchmark-app-auth.js [iterations]
+ */
+
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const apiKeyService = require('./src/services/apiKeyService');
+
+const ITERATIONS = parseInt(process.argv[2]) || 2000;
+const BCRYPT_ITERATIONS = Math.min(ITERATIONS, 50); // Tens of ms each
+
+/**
+ * Time an async function
+ * @param {Function} fn - Function to run
+ * @param {Number} iterations - How many times
+ * @returns {Object} { meanMs, perSecond }
+ */
+async function measure(fn, iterations) {
+  await fn(); // Warm up
+
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; i++) {
+    await fn();
+  }
+  const totalMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  return { meanMs: totalMs / iterations, perSecond: Math.round(iterations / (totalMs / 1000)) };
+}
+
+async function benchmark() {
+  const { apiKey, prefix, digest } = apiKeyService.generate();
+  const apiKeyHash = await bcrypt.hash(apiKey, 10);
+
+  // Pretend the app was verified once already
+  apiKeyService.cache.set('APP-benchmark', {
+    app: { appId: 'APP-benchmark', apiKeys: [{ keyId: prefix, name: 'benchmark', digest, scopes: [] }] },
+    expiresAt: Date.now() + 60 * 60 * 1000
+  });
+  // No MongoDB here: skip the lastUsedAt write
+  apiKeyService.lastUsedWrites.set(prefix, Infinity);
+
+  console.log(`\n⏱️  Verifying one API key (${ITERATIONS} iterations, bcrypt ${BCRYPT_ITERATIONS})...\n`);
+
+  const results = {
+    bcrypt: await measure(() => bcrypt.compare(apiKey, apiKeyHash), BCRYPT_ITERATIONS),
+    digest: await measure(async () => apiKeyService.matches(apiKey, digest), ITERATIONS),
+    cached: await measure(() => apiKeyService.authenticate('APP-benchmark', apiKey), ITERATIONS)
+  };
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📊 APP AUTH BENCHMARK');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  for (const [name, { meanMs, perSecond }] of Object.entries(results)) {
+    const speedup = (results.bcrypt.meanMs / meanMs).toFixed(0);
+    console.log(`  ${name.padEnd(8)} ${meanMs.toFixed(4).padStart(10)} ms/op  ${String(perSecond).padStart(9)} ops/s  ${speedup}x`);
+  }
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+}
+
+benchmark()
+  .catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => apiKeyService.stop());
@@ -0,0 +1,230 @@
+/**
+ * Minor Units Migration Script
+ *
+ * Converts stored amounts from major units (150.5) to integer minor units
+ * (15050) and fills in the currency fields added with multi-currency support.
+ * Records without a currency get their app's defaultCurrency (INR unless set).
+ *
+ * Stop the API before running. Each document is flagged in the same update
+ * that converts it and flagged documents are skipped, so a run that stopped
+ * part way can be started again; finished collections and the finished run
+ * are recorded in the `migrations` collection, and the flags are removed
+ * once every collection is done. Pricing rules store multipliers only and
+ * need no conversion.
+ *
+ * Run with: node migrate-minor-units.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, toMinorUnits } = require('./src/utils/currency');
+
+const MIGRATION_NAME = 'amounts-in-minor-units';
+const CONVERTED_FLAG = '_amountsInMinorUnits';
+
+const COLLECTIONS = ['seats', 'seat_layouts', 'bookings', 'payment_orders', 'promo_codes', 'promo_redemptions', 'reservations'];
+
+// Convert a nullable amount
+const toMinor = (amount, currency) =>
+  amount === null || amount === undefined ? amount : toMinorUnits(amount, currency);
+
+/**
+ * Apply an update to every document of a collection not converted yet
+ * The update also sets the converted flag, and only matches unflagged
+ * documents, so no document is converted twice.
+ * @param {Collection} collection - MongoDB collection
+ * @param {Function} buildUpdate - (doc) => { $set }, or null to skip the doc
+ * @returns {Number} Documents updated
+ */
+async function migrateCollection(collection, buildUpdate) {
+  const notConverted = { [CONVERTED_FLAG]: { $ne: true } };
+  let batch = [];
+  let updated = 0;
+
+  for await (const doc of collection.find(notConverted)) {
+    const update = buildUpdate(doc);
+    if (update) {
+      update.$set[CONVERTED_FLAG] = true;
+      batch.push({ updateOne: { filter: { _id: doc._id, ...notConverted }, update } });
+    }
+    if (batch.length === 500) {
+      updated += (await collection.bulkWrite(batch)).modifiedCount;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    updated += (await collection.bulkWrite(batch)).modifiedCount;
+  }
+
+  return updated;
+}
+
+/**
+ * Remove the per-document converted flags once the whole run is recorded
+ */
+async function removeConvertedFlags(db) {
+  for (const name of COLLECTIONS) {
+    await db.collection(name).updateMany(
+      { [CONVERTED_FLAG]: { $exists: true } },
+      { $unset: { [CONVERTED_FLAG]: '' } }
+    );
+  }
+}
+
+async function migrate() {
+  try {
+    console.log('💱 Starting minor units migration...\n');
+
+    console.log('📦 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ MongoDB connected\n');
+
+    const db = mongoose.connection.db;
+    const migrations = db.collection('migrations');
+    const progress = await migrations.findOne({ name: MIGRATION_NAME }) || { completed: [], counts: {} };
+
+    if (progress.appliedAt) {
+      await removeConvertedFlags(db);
+      console.log('⏭️  Already applied - nothing to do\n');
+      return;
+    }
+
+    const counts = progress.counts || {};
+    const completed = new Set(progress.completed || []);
+
+    // Convert a collection unless an earlier run finished it, then record it as finished
+    const run = async (name, buildUpdate) => {
+      if (completed.has(name)) {
+        console.log(`⏭️  ${name} already converted`);
+        return;
+      }
+      counts[name] = (counts[name] || 0) + await migrateCollection(db.collection(name), buildUpdate);
+      await migrations.updateOne(
+        { name: MIGRATION_NAME },
+        { $set: { [`counts.${name}`]: counts[name] }, $addToSet: { completed: name } },
+        { upsert: true }
+      );
+    };
+
+    // Every app gets a default currency; records are converted in it
+    await db.collection('apps').updateMany(
+      { defaultCurrency: { $exists: false } },
+      { $set: { defaultCurrency: DEFAULT_CURRENCY } }
+    );
+    const apps = await db.collection('apps').find({}, { projection: { appId: 1, defaultCurrency: 1 } }).toArray();
+    const currencyOf = new Map(apps.map(app => [app.appId, app.defaultCurrency]));
+    const appCurrency = appId => currencyOf.get(appId) || DEFAULT_CURRENCY;
+
+    await run('seats', seat => {
+      const currency = seat.currency || appCurrency(seat.appId);
+      return { $set: { currency, price: toMinor(seat.price, currency) } };
+    });
+
+    await run('seat_layouts', layout => {
+      const currency = appCurrency(layout.appId);
+      return {
+        $set: {
+          sections: (layout.sections || []).map(section => ({ ...section, price: toMinor(section.price, currency) })),
+          seats: (layout.seats || []).map(seat => ({ ...seat, price: toMinor(seat.price, currency) }))
+        }
+      };
+    });
+
+    // Booking.currency used to be hard-coded; the app currency is what was charged
+    await run('bookings', booking => {
+      const currency = appCurrency(booking.appId);
+      const $set = { currency, amount: toMinor(booking.amount, currency) };
+      if (booking.refund && booking.refund.amount !== undefined) {
+        $set['refund.amount'] = toMinor(booking.refund.amount, currency);
+      }
+      if (booking.discount) {
+        $set['discount.amount'] = toMinor(booking.discount.amount, currency);
+        $set['discount.originalAmount'] = toMinor(booking.discount.originalAmount, currency);
+      }
+      return { $set };
+    });
+
+    await run('payment_orders', order => ({
+      $set: { amount: toMinor(order.amount, order.currency) }
+    }));
+
+    await run('promo_codes', promo => {
+      const currency = appCurrency(promo.appId);
+      const hasAmounts = promo.discountType === 'FLAT' ||
+        (promo.maxDiscount !== null && promo.maxDiscount !== undefined) || promo.minOrderAmount > 0;
+      if (!hasAmounts) {
+        return null;
+      }
+      return {
+        $set: {
+          currency,
+          value: promo.discountType === 'FLAT' ? toMinor(promo.value, currency) : promo.value,
+          maxDiscount: toMinor(promo.maxDiscount, currency),
+          minOrderAmount: toMinor(promo.minOrderAmount || 0, currency)
+        }
+      };
+    });
+
+    await run('promo_redemptions', redemption => {
+      const currency = appCurrency(redemption.appId);
+      return {
+        $set: {
+          currency,
+          eligibleAmount: toMinor(redemption.eligibleAmount, currency),
+          discountAmount: toMinor(redemption.discountAmount, currency),
+          finalAmount: toMinor(redemption.finalAmount, currency)
+        }
+      };
+    });
+
+    // Prices frozen on reservations (and the older metadata totals) are charged at confirm
+    await run('reservations', reservation => {
+      const pricing = reservation.pricing;
+      const currency = pricing?.currency || reservation.metadata?.currency || appCurrency(reservation.appId);
+      const $set = {};
+      if (pricing) {
+        $set['pricing.currency'] = currency;
+        $set['pricing.totalAmount'] = toMinor(pricing.totalAmount, currency);
+        $set['pricing.seats'] = (pricing.seats || []).map(seat => ({
+          ...seat,
+          basePrice: toMinor(seat.basePrice, currency),
+          price: toMinor(seat.price, currency),
+          discount: toMinor(seat.discount, currency)
+        }));
+      }
+      if (reservation.promo) {
+        $set['promo.eligibleAmount'] = toMinor(reservation.promo.eligibleAmount, currency);
+        $set['promo.discountAmount'] = toMinor(reservation.promo.discountAmount, currency);
+      }
+      ['totalAmount', 'price'].forEach(field => {
+        if (typeof reservation.metadata?.[field] === 'number') {
+          $set[`metadata.${field}`] = toMinor(reservation.metadata[field], currency);
+        }
+      });
+      return Object.keys($set).length > 0 ? { $set } : null;
+    });
+
+    await migrations.updateOne({ name: MIGRATION_NAME }, { $set: { appliedAt: new Date() } });
+    await removeConvertedFlags(db);
+
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📊 MIGRATION SUMMARY');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    Object.entries(counts).forEach(([name, count]) => console.log(`  ${name}: ${count} updated`));
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    console.log('🎉 Migration completed successfully!\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('✅ MongoDB connection closed');
+  }
+}
+
+// Run migration
+migrate();
@@ -17,7 +17,8 @@ const seatSchema = new mongoose.Schema({
   row: String,
   section: String,
   status: String,
-  price: Number,
+  price: Number, // Minor units (cents)
+  currency: String,
   metadata: Object
 });
 
@@ -33,7 +34,8 @@ const testSeats = [
     row: "A",
     section: "VIP",
     status: "AVAILABLE",
-    price: 150,
+    price: 15000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -49,7 +51,8 @@ const testSeats = [
     row: "A",
     section: "VIP",
     status: "AVAILABLE",
-    price: 150,
+    price: 15000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -65,7 +68,8 @@ const testSeats = [
     row: "A",
     section: "VIP",
     status: "AVAILABLE",
-    price: 150,
+    price: 15000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -81,7 +85,8 @@ const testSeats = [
     row: "A",
     section: "VIP",
     status: "AVAILABLE",
-    price: 150,
+    price: 15000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -99,7 +104,8 @@ const testSeats = [
     row: "B",
     section: "GENERAL",
     status: "AVAILABLE",
-    price: 75,
+    price: 7500,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -115,7 +121,8 @@ const testSeats = [
     row: "B",
     section: "GENERAL",
     status: "AVAILABLE",
-    price: 75,
+    price: 7500,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -131,7 +138,8 @@ const testSeats = [
     row: "B",
     section: "GENERAL",
     status: "AVAILABLE",
-    price: 75,
+    price: 7500,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -147,7 +155,8 @@ const testSeats = [
     row: "B",
     section: "GENERAL",
     status: "AVAILABLE",
-    price: 75,
+    price: 7500,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -165,7 +174,8 @@ const testSeats = [
     row: "C",
     section: "ECONOMY",
     status: "AVAILABLE",
-    price: 40,
+    price: 4000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -181,7 +191,8 @@ const testSeats = [
     row: "C",
     section: "ECONOMY",
     status: "AVAILABLE",
-    price: 40,
+    price: 4000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -197,7 +208,8 @@ const testSeats = [
     row: "C",
     section: "ECONOMY",
     status: "AVAILABLE",
-    price: 40,
+    price: 4000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -213,7 +225,8 @@ const testSeats = [
     row: "C",
     section: "ECONOMY",
     status: "AVAILABLE",
-    price: 40,
+    price: 4000,
+    currency: "USD",
     metadata: {
       venue: "Madison Square Garden",
       event: "Rock Concert 2026",
@@ -0,0 +1,40 @@
+/**
+ * API Key Scopes
+ *
+ * What an app API key may be used for. Each key carries a subset
+ * (App.apiKeys[].scopes); routes check theirs with requireScope().
+ * - read-seats:   seat maps, availability, entities, layouts, pricing rules
+ * - book:         holds, payments, bookings, tickets, waitlist
+ * - check-in:     admitting scanned tickets and the ticket verification keys (gate staff)
+ * - sync-seats:   catalog writes (seat sync, entities, layouts, pricing rules)
+ * - admin-report: the app's own booking and promo reports under /admin
+ */
+
+const API_KEY_SCOPES = ['read-seats', 'book', 'check-in', 'sync-seats', 'admin-report'];
+
+/**
+ * API Key Types
+ *
+ * - publishable: pk_live_..., safe to ship in browser code. Read and reserve
+ *   scopes only, and accepted only from an Origin in the app's allowedDomains.
+ * - secret:      sk_live_..., server-side only (check-in, seat sync, catalog writes, reports).
+ *
+ * requireScope() rejects a key whose type may not carry the route's scope.
+ */
+const API_KEY_TYPES = {
+  publishable: { prefix: 'pk_live_', scopes: ['read-seats', 'book'] },
+  secret: { prefix: 'sk_live_', scopes: API_KEY_SCOPES }
+};
+
+// Usable keys an app may have at once (keys in their rotation grace period included)
+const MAX_API_KEYS_PER_APP = 10;
+
+// Longest overlap an admin may give a rotated key
+const MAX_ROTATION_GRACE_SECONDS = 30 * 24 * 60 * 60;
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_TYPES,
+  MAX_API_KEYS_PER_APP,
+  MAX_ROTATION_GRACE_SECONDS
+};
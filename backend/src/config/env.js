@@ -19,6 +19,7 @@ const requiredEnvVars = [
   'REDIS_PORT',
   'JWT_SECRET_ADMIN',
   'JWT_SECRET_USER',
+  'API_KEY_PEPPER',
   'ADMIN_EMAIL',
   'ADMIN_PASSWORD'
 ];
@@ -60,6 +61,13 @@ module.exports = {
   JWT_EXPIRY_ADMIN: process.env.JWT_EXPIRY_ADMIN || '24h',
   JWT_EXPIRY_USER: process.env.JWT_EXPIRY_USER || '7d',
   
+  // App API keys: HMAC key for stored digests (changing it invalidates every key)
+  API_KEY_PEPPER: process.env.API_KEY_PEPPER,
+  // How long a verified app is served from memory (0 = always read MongoDB)
+  APP_AUTH_CACHE_SECONDS: parseInt(process.env.APP_AUTH_CACHE_SECONDS ?? 60),
+  // How long a rotated key keeps working by default
+  API_KEY_ROTATION_GRACE_SECONDS: parseInt(process.env.API_KEY_ROTATION_GRACE_SECONDS ?? 86400),
+  
   // Admin
   ADMIN_USERNAME: process.env.ADMIN_USERNAME || 'admin',
   ADMIN_EMAIL: process.env.ADMIN_EMAIL,
@@ -67,18 +75,68 @@ module.exports = {
   
   // Lock configuration
   LOCK_TTL_SECONDS: parseInt(process.env.LOCK_TTL_SECONDS) || 120,
+  MAX_SEATS_PER_RESERVATION: parseInt(process.env.MAX_SEATS_PER_RESERVATION) || 10,
+  
+  // Waitlist
+  WAITLIST_OFFER_SECONDS: parseInt(process.env.WAITLIST_OFFER_SECONDS) || 900,
+  
+  // Idempotency-Key replay window
+  IDEMPOTENCY_TTL_SECONDS: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400,
+  
+  // Background jobs
+  RESERVATION_SWEEP_INTERVAL_SECONDS: parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 30,
+  RESERVATION_SWEEP_BATCH_SIZE: parseInt(process.env.RESERVATION_SWEEP_BATCH_SIZE) || 500,
+  
+  // Outbound webhooks
+  WEBHOOK_DISPATCH_INTERVAL_SECONDS: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS) || 5,
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  
+  // User notifications (email / SMS)
+  EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || 'outbox', // smtp | outbox
+  SMS_TRANSPORT: process.env.SMS_TRANSPORT || 'outbox', // twilio | outbox
+  NOTIFICATION_OUTBOX_FILE: process.env.NOTIFICATION_OUTBOX_FILE || null,
+  NOTIFICATION_DISPATCH_INTERVAL_SECONDS: parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_SECONDS) || 5,
+  NOTIFICATION_MAX_ATTEMPTS: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+  NOTIFICATION_RETRY_BASE_SECONDS: parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 60,
+  // Warn users this long before their hold expires (0 = never)
+  HOLD_EXPIRY_WARNING_SECONDS: parseInt(process.env.HOLD_EXPIRY_WARNING_SECONDS ?? 60),
+  SMTP_HOST: process.env.SMTP_HOST || null,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+  SMTP_USER: process.env.SMTP_USER || null,
+  SMTP_PASSWORD: process.env.SMTP_PASSWORD || null,
+  SMTP_FROM: process.env.SMTP_FROM || 'no-reply@booking-backend.local',
+  TWILIO_API_BASE: process.env.TWILIO_API_BASE || 'https://api.twilio.com/2010-04-01',
+  TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID || null,
+  TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || null,
+  SMS_FROM: process.env.SMS_FROM || null,
   
   // CORS
   CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
   
-  // Payment (Legacy)
-  PAYMENT_SIMULATION: process.env.PAYMENT_SIMULATION === 'true',
+  // Rate limiting (limits: config/rateLimits.js, per-app overrides: App.rateLimits)
+  RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+  // Proxies in front of the server, so req.ip is the client's address (0 = none)
+  TRUST_PROXY: parseInt(process.env.TRUST_PROXY) || 0,
+  
+  // Payment gateway for apps without App.paymentGateway (razorpay | stripe | fake)
+  PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY || 'razorpay',
+  PAYMENT_GATEWAY_TIMEOUT_MS: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 10000,
   
   // Razorpay Configuration
   RAZORPAY_KEY_ID: process.env.RAZORPAY_KEY_ID || null,
   RAZORPAY_KEY_SECRET: process.env.RAZORPAY_KEY_SECRET || null,
   RAZORPAY_WEBHOOK_SECRET: process.env.RAZORPAY_WEBHOOK_SECRET || null,
   
+  // Stripe (or a Stripe-compatible API) Configuration
+  STRIPE_API_BASE: process.env.STRIPE_API_BASE || 'https://api.stripe.com/v1',
+  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || null,
+  STRIPE_PUBLISHABLE_KEY: process.env.STRIPE_PUBLISHABLE_KEY || null,
+  STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET || null,
+  
+  // Fake gateway (development and tests only)
+  FAKE_GATEWAY_SECRET: process.env.FAKE_GATEWAY_SECRET || 'fake-gateway-secret',
+  
   // Helper function
   isDevelopment: () => process.env.NODE_ENV === 'development',
   isProduction: () => process.env.NODE_ENV === 'production'
@@ -0,0 +1,55 @@
+/**
+ * Rate Limit Defaults
+ *
+ * Requests per sliding window, by route class and scope:
+ * - APP:  all traffic of one app
+ * - USER: one user of an app (auth routes: the email or username tried)
+ * - IP:   one client address
+ *
+ * Apps can override any of them except the auth class, which is checked
+ * before an app is known (App.rateLimits, PATCH /admin/apps/:appId).
+ */
+
+const RATE_LIMIT_SCOPES = ['APP', 'USER', 'IP'];
+
+const RATE_LIMIT_DEFAULTS = {
+  // Signup and login (user and admin): brute force protection
+  auth: {
+    USER: { limit: 5, windowSeconds: 60 },
+    IP: { limit: 20, windowSeconds: 60 }
+  },
+  // Taking and extending seat holds
+  reserve: {
+    APP: { limit: 1200, windowSeconds: 60 },
+    USER: { limit: 10, windowSeconds: 60 },
+    IP: { limit: 30, windowSeconds: 60 }
+  },
+  // Creating payment orders and confirming bookings
+  checkout: {
+    APP: { limit: 1200, windowSeconds: 60 },
+    USER: { limit: 20, windowSeconds: 60 },
+    IP: { limit: 60, windowSeconds: 60 }
+  },
+  read: {
+    APP: { limit: 12000, windowSeconds: 60 },
+    USER: { limit: 300, windowSeconds: 60 },
+    IP: { limit: 600, windowSeconds: 60 }
+  },
+  write: {
+    APP: { limit: 3000, windowSeconds: 60 },
+    USER: { limit: 60, windowSeconds: 60 },
+    IP: { limit: 120, windowSeconds: 60 }
+  }
+};
+
+const RATE_LIMIT_CLASSES = Object.keys(RATE_LIMIT_DEFAULTS);
+
+// Route classes an app may override
+const APP_RATE_LIMIT_CLASSES = RATE_LIMIT_CLASSES.filter(routeClass => routeClass !== 'auth');
+
+module.exports = {
+  RATE_LIMIT_SCOPES,
+  RATE_LIMIT_DEFAULTS,
+  RATE_LIMIT_CLASSES,
+  APP_RATE_LIMIT_CLASSES
+};
@@ -86,6 +86,23 @@ class RedisConnection {
     return this.client;
   }
 
+  /**
+   * Create a dedicated subscriber connection
+   * A client in subscribe mode cannot run other commands, so pub/sub gets its own
+   * @returns {Promise<RedisClient>}
+   */
+  async createSubscriber() {
+    const subscriber = this.getClient().duplicate();
+
+    subscriber.on('error', (err) => {
+      console.error('❌ Redis subscriber error:', err);
+    });
+
+    await subscriber.connect();
+
+    return subscriber;
+  }
+
   /**
    * Check if connected
    * @returns {boolean}
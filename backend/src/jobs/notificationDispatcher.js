@@ -0,0 +1,15 @@
+const QueueDispatcher = require('./queueDispatcher');
+const notificationService = require('../services/notificationService');
+const env = require('../config/env');
+
+/**
+ * Notification Dispatcher (Background Job)
+ * 
+ * Sends due emails and SMS from the persisted notification queue.
+ */
+module.exports = new QueueDispatcher({
+  name: 'Notification',
+  service: notificationService,
+  intervalSeconds: env.NOTIFICATION_DISPATCH_INTERVAL_SECONDS,
+  succeededStat: 'totalSent'
+});
@@ -0,0 +1,99 @@
+const Logger = require('../utils/logger');
+
+/**
+ * Queue Dispatcher (Background Job)
+ *
+ * Polls a persisted queue (services/retryQueue.js) and sends what is due, so
+ * retries survive restarts and are shared across instances. The service
+ * provides start/stop (event subscriptions) and processDue().
+ */
+class QueueDispatcher {
+  /**
+   * @param {Object} options - { name, service, intervalSeconds, succeededStat }
+   *   name: label in logs (Webhook, Notification)
+   *   succeededStat: stats key counting successful sends (totalDelivered, totalSent)
+   */
+  constructor({ name, service, intervalSeconds, succeededStat }) {
+    this.name = name;
+    this.service = service;
+    this.intervalMs = intervalSeconds * 1000;
+    this.succeededStat = succeededStat;
+    this.timer = null;
+    this.isRunning = false;
+
+    this.stats = {
+      totalRuns: 0,
+      [succeededStat]: 0,
+      totalFailedAttempts: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.service.start();
+
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    this.timer.unref();
+
+    Logger.info(`${this.name} dispatcher started`, { intervalSeconds: this.intervalMs / 1000 });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.service.stop();
+      Logger.info(`${this.name} dispatcher stopped`);
+    }
+  }
+
+  /**
+   * Send what is due (overlapping runs are skipped)
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const counts = await this.service.processDue();
+      this.stats[this.succeededStat] += counts.succeeded;
+      this.stats.totalFailedAttempts += counts.failed;
+      this.stats.lastError = null;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      Logger.error(`${this.name} dispatch failed`, { error: error.message });
+    } finally {
+      this.stats.totalRuns++;
+      this.stats.lastRunAt = new Date().toISOString();
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Dispatcher statistics (exposed on /health)
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      running: this.timer !== null,
+      intervalSeconds: this.intervalMs / 1000,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = QueueDispatcher;
@@ -0,0 +1,244 @@
+const Reservation = require('../models/Reservation');
+const lockService = require('../services/lockService');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
+const Logger = require('../utils/logger');
+const env = require('../config/env');
+
+/**
+ * Reservation Sweeper (Background Job)
+ * 
+ * Redis lock expiry is silent, so an ACTIVE reservation whose lock TTL has
+ * elapsed would stay ACTIVE in MongoDB forever. This job periodically marks
+ * those reservations EXPIRED and publishes a reservation.expired event for each.
+ * 
+ * Each run scans one page of expired reservations, continuing after the
+ * page of the previous run, so reservations that are skipped because their
+ * lock is still held never hide newer ones.
+ *
+ * Holds about to run out (HOLD_EXPIRY_WARNING_SECONDS) get a single
+ * reservation.expiring event per expiry time, so users can be reminded to pay.
+ */
+class ReservationSweeper {
+  constructor() {
+    this.intervalMs = env.RESERVATION_SWEEP_INTERVAL_SECONDS * 1000;
+    this.batchSize = env.RESERVATION_SWEEP_BATCH_SIZE;
+    this.warningMs = env.HOLD_EXPIRY_WARNING_SECONDS * 1000;
+    this.timer = null;
+    this.isSweeping = false;
+    this.cursor = null; // { expiresAt, _id } of the last reservation scanned
+
+    this.stats = {
+      totalRuns: 0,
+      totalExpired: 0,
+      totalWarned: 0,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastScanned: 0,
+      lastExpired: 0,
+      lastSkipped: 0,
+      lastWarned: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    // Never keep the process alive just for the sweeper
+    this.timer.unref();
+
+    Logger.info('Reservation sweeper started', { intervalSeconds: this.intervalMs / 1000 });
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      Logger.info('Reservation sweeper stopped');
+    }
+  }
+
+  /**
+   * Run one sweep
+   * Overlapping runs are skipped so a slow sweep never piles up
+   * @returns {Object} Counts for this run
+   */
+  async sweep() {
+    if (this.isSweeping) {
+      return null;
+    }
+
+    this.isSweeping = true;
+    const startedAt = Date.now();
+    const counts = { scanned: 0, expired: 0, skipped: 0, warned: 0 };
+
+    try {
+      const candidates = await Reservation.find({
+        status: 'ACTIVE',
+        expiresAt: { $lte: new Date() },
+        ...this.afterCursor()
+      })
+        .sort({ expiresAt: 1, _id: 1 })
+        .limit(this.batchSize);
+
+      counts.scanned = candidates.length;
+
+      // The next run continues after this page; a short page means the end, so start over
+      const last = candidates[candidates.length - 1];
+      this.cursor = candidates.length === this.batchSize ? { expiresAt: last.expiresAt, _id: last._id } : null;
+
+      for (const reservation of candidates) {
+        // A lock still held under this token means the hold is not over yet
+        if (await this.isStillLocked(reservation)) {
+          counts.skipped++;
+          continue;
+        }
+
+        // Conditional update so a concurrent confirm/release wins cleanly
+        const expired = await Reservation.findOneAndUpdate(
+          { _id: reservation._id, status: 'ACTIVE' },
+          { $set: { status: 'EXPIRED' } },
+          { new: true }
+        );
+
+        if (!expired) {
+          counts.skipped++;
+          continue;
+        }
+
+        counts.expired++;
+
+        eventBus.publish(BOOKING_EVENTS.RESERVATION_EXPIRED, {
+          reservationToken: expired.reservationToken,
+          appId: expired.appId,
+          userId: expired.userId.toString(),
+          seatIds: expired.getSeatIds(),
+          entityId: expired.metadata?.entityId,
+          expiredAt: new Date().toISOString()
+        });
+      }
+
+      if (this.warningMs > 0) {
+        counts.warned = await this.warnExpiring();
+      }
+
+      this.stats.lastError = null;
+
+      if (counts.expired > 0) {
+        Logger.info('Reservation sweep completed', counts);
+      }
+    } catch (error) {
+      this.stats.lastError = error.message;
+      Logger.error('Reservation sweep failed', { error: error.message });
+    } finally {
+      this.stats.totalRuns++;
+      this.stats.totalExpired += counts.expired;
+      this.stats.totalWarned += counts.warned;
+      this.stats.lastRunAt = new Date(startedAt).toISOString();
+      this.stats.lastDurationMs = Date.now() - startedAt;
+      this.stats.lastScanned = counts.scanned;
+      this.stats.lastExpired = counts.expired;
+      this.stats.lastSkipped = counts.skipped;
+      this.stats.lastWarned = counts.warned;
+      this.isSweeping = false;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Filter for reservations after the cursor in (expiresAt, _id) order
+   * @returns {Object} Query conditions (empty when starting from the oldest)
+   */
+  afterCursor() {
+    if (!this.cursor) {
+      return {};
+    }
+
+    const { expiresAt, _id } = this.cursor;
+    return { $or: [{ expiresAt: { $gt: expiresAt } }, { expiresAt, _id: { $gt: _id } }] };
+  }
+
+  /**
+   * Publish reservation.expiring for holds that run out within the warning window
+   * expiryWarnedFor records the expiresAt warned about, so each hold is warned
+   * once, and again after an extension moves its expiresAt
+   * @returns {Number} Reservations warned
+   */
+  async warnExpiring() {
+    const now = new Date();
+    let warned = 0;
+
+    const expiring = await Reservation.find({
+      status: 'ACTIVE',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + this.warningMs) },
+      $expr: { $ne: ['$expiryWarnedFor', '$expiresAt'] }
+    })
+      .sort({ expiresAt: 1 })
+      .limit(this.batchSize);
+
+    for (const reservation of expiring) {
+      // Claim the warning so concurrent sweeps on other instances don't repeat it
+      const claimed = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'ACTIVE', expiresAt: reservation.expiresAt, expiryWarnedFor: { $ne: reservation.expiresAt } },
+        { $set: { expiryWarnedFor: reservation.expiresAt } },
+        { new: true }
+      );
+
+      if (!claimed) {
+        continue;
+      }
+
+      warned++;
+
+      eventBus.publish(BOOKING_EVENTS.RESERVATION_EXPIRING, {
+        reservationToken: claimed.reservationToken,
+        appId: claimed.appId,
+        userId: claimed.userId.toString(),
+        seatIds: claimed.getSeatIds(),
+        entityId: claimed.metadata?.entityId,
+        expiresAt: claimed.expiresAt.toISOString()
+      });
+    }
+
+    return warned;
+  }
+
+  /**
+   * Check whether any seat (or segment leg) of the reservation is still locked under its token
+   * @param {Reservation} reservation - Reservation document
+   * @returns {Boolean} True if a lock is still held
+   */
+  async isStillLocked(reservation) {
+    for (const lockId of reservation.getLockIds()) {
+      const lock = await lockService.getLock(lockId);
+      if (lock && lock.reservationToken === reservation.reservationToken) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Sweep statistics (exposed on /health)
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      running: this.timer !== null,
+      intervalSeconds: this.intervalMs / 1000,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ReservationSweeper();
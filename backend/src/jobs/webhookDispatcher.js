@@ -0,0 +1,15 @@
+const QueueDispatcher = require('./queueDispatcher');
+const webhookService = require('../services/webhookService');
+const env = require('../config/env');
+
+/**
+ * Webhook Dispatcher (Background Job)
+ * 
+ * Sends due webhook deliveries from the persisted delivery queue.
+ */
+module.exports = new QueueDispatcher({
+  name: 'Webhook',
+  service: webhookService,
+  intervalSeconds: env.WEBHOOK_DISPATCH_INTERVAL_SECONDS,
+  succeededStat: 'totalDelivered'
+});
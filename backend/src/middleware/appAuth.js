@@ -1,13 +1,43 @@
-const bcrypt = require('bcryptjs');
-const App = require('../models/App');
+const apiKeyService = require('../services/apiKeyService');
+const { adminAuth } = require('./adminAuth');
+const { API_KEY_TYPES } = require('../config/apiKeys');
 const { AuthenticationError, AuthorizationError } = require('../utils/errors');
 const Logger = require('../utils/logger');
 
+/**
+ * Whether a request origin is in an app's allowedDomains
+ * Entries match the full origin (https://shop.example.com), the host
+ * (shop.example.com, localhost:3000) or any subdomain (*.example.com).
+ * '*' matches every origin unless allowAny is false.
+ */
+function isOriginAllowed(origin, allowedDomains = [], { allowAny = true } = {}) {
+  let url;
+
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return false;
+  }
+
+  return allowedDomains.some(allowedDomain => {
+    const allowed = allowedDomain.replace(/\/$/, '');
+
+    if (allowed === '*') return allowAny;
+    if (allowed.startsWith('*.')) return url.hostname.endsWith(allowed.slice(1));
+
+    return allowed === url.origin || allowed === url.host || allowed === url.hostname;
+  });
+}
+
 /**
  * App Authentication Middleware (Layer 2 - Multi-Tenant)
  * 
  * Validates app credentials and domain restrictions
  * This is the CORE of multi-tenancy
+ *
+ * Publishable keys must come with an Origin (or Referer) in the app's
+ * allowedDomains; '*' does not count for them. Secret keys are checked
+ * against allowedDomains only when the request has an origin.
  */
 async function appAuth(req, res, next) {
   try {
@@ -21,54 +51,25 @@ async function appAuth(req, res, next) {
       throw new AuthenticationError('App credentials required (x-app-id, x-api-key)');
     }
 
-    // Find app in database
-    const app = await App.findOne({ appId, isActive: true });
-
-    if (!app) {
-      Logger.warn('App authentication failed: app not found or inactive', { appId });
-      throw new AuthenticationError('Invalid app credentials or app is inactive');
-    }
-
-    // Verify API key (bcrypt comparison)
-    const isApiKeyValid = await bcrypt.compare(apiKey, app.apiKeyHash);
+    // Verify the key (HMAC digest, cached per instance)
+    const { app, key } = await apiKeyService.authenticate(appId, apiKey);
+    const keyType = apiKeyService.getType(key);
+    const isPublishable = keyType === 'publishable';
 
-    if (!isApiKeyValid) {
-      Logger.warn('App authentication failed: invalid API key', { appId });
-      throw new AuthenticationError('Invalid app credentials');
-    }
+    // Validate origin domain (always for publishable keys, else if provided and if allowedDomains is set)
+    const checkOrigin = isPublishable || (app.allowedDomains && app.allowedDomains.length > 0 && origin);
 
-    // Validate origin domain (if provided and if allowedDomains is set)
-    if (app.allowedDomains && app.allowedDomains.length > 0 && origin) {
-      const isOriginAllowed = app.allowedDomains.some(allowedDomain => {
-        // Support exact match and wildcard subdomains
-        if (allowedDomain === '*') return true;
-        
-        // Convert to URL for proper comparison
-        try {
-          const originUrl = new URL(origin);
-          const originHostname = originUrl.hostname;
-          
-          // Check exact match
-          if (allowedDomain === originHostname) return true;
-          if (allowedDomain === origin) return true;
-          
-          // Check if allowedDomain is in origin
-          if (origin.includes(allowedDomain)) return true;
-          
-          return false;
-        } catch (error) {
-          return false;
-        }
+    if (checkOrigin && !isOriginAllowed(origin, app.allowedDomains, { allowAny: !isPublishable })) {
+      Logger.warn('App authentication failed: origin not whitelisted', {
+        appId,
+        keyId: key.keyId,
+        keyType,
+        origin,
+        allowedDomains: app.allowedDomains
       });
-
-      if (!isOriginAllowed) {
-        Logger.warn('App authentication failed: origin not whitelisted', {
-          appId,
-          origin,
-          allowedDomains: app.allowedDomains
-        });
-        throw new AuthorizationError('Origin domain not authorized for this app');
-      }
+      throw new AuthorizationError(isPublishable
+        ? 'Publishable API keys only work from the app\'s allowed domains'
+        : 'Origin domain not authorized for this app');
     }
 
     // Attach app context to request
@@ -76,12 +77,21 @@ async function appAuth(req, res, next) {
       id: app._id,
       appId: app.appId,
       name: app.name,
-      domain: app.domain
+      domain: app.domain,
+      defaultCurrency: app.defaultCurrency,
+      rateLimits: app.rateLimits,
+      apiKey: {
+        keyId: key.keyId,
+        name: key.name,
+        type: keyType,
+        scopes: key.scopes
+      }
     };
 
     Logger.debug('App authenticated successfully', {
       appId: app.appId,
-      domain: app.domain
+      domain: app.domain,
+      keyId: key.keyId
     });
 
     next();
@@ -113,7 +123,81 @@ function requireDomain(...allowedDomains) {
   };
 }
 
+/**
+ * Scope authorization: the API key used must be of a type that may carry
+ * the scope (publishable keys: read/reserve only) and must carry it
+ * (types and scopes: config/apiKeys.js)
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    const apiKey = req.app?.apiKey;
+
+    if (!apiKey) {
+      return next(new AuthenticationError('App context not found'));
+    }
+
+    if (!API_KEY_TYPES[apiKey.type].scopes.includes(scope)) {
+      Logger.warn('API key type not allowed', { appId: req.app.appId, keyId: apiKey.keyId, type: apiKey.type, scope });
+      return next(new AuthorizationError(`A ${apiKey.type} API key cannot be used for ${scope}; use a secret key`, {
+        keyId: apiKey.keyId,
+        keyType: apiKey.type,
+        requiredScope: scope
+      }));
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      Logger.warn('API key scope missing', { appId: req.app.appId, keyId: apiKey.keyId, scope });
+      return next(new AuthorizationError(`API key does not have the ${scope} scope`, {
+        keyId: apiKey.keyId,
+        requiredScope: scope
+      }));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Scope an app-authenticated router by method: GET needs readScope, anything else writeScope
+ */
+function requireScopeByMethod(readScope, writeScope) {
+  const read = requireScope(readScope);
+  const write = requireScope(writeScope);
+
+  return (req, res, next) => (req.method === 'GET' ? read : write)(req, res, next);
+}
+
+/**
+ * Admin routes an app may also call for its own data with a scoped API key
+ * Requests with x-app-id use app authentication (and may only name their own
+ * :appId); anything else needs the admin token. Handlers tell them apart by req.admin.
+ */
+function adminOrAppAuth(scope) {
+  const checkScope = requireScope(scope);
+
+  return (req, res, next) => {
+    if (!req.headers['x-app-id']) {
+      return adminAuth(req, res, next);
+    }
+
+    appAuth(req, res, error => {
+      if (error) {
+        return next(error);
+      }
+
+      if (req.params.appId && req.params.appId !== req.app.appId) {
+        return next(new AuthorizationError('API key belongs to another app'));
+      }
+
+      checkScope(req, res, next);
+    });
+  };
+}
+
 module.exports = {
   appAuth,
-  requireDomain
+  requireDomain,
+  requireScope,
+  requireScopeByMethod,
+  adminOrAppAuth
 };
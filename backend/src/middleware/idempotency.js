@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const redisConnection = require('../config/redis');
+const env = require('../config/env');
+const { ValidationError, ConflictError, IdempotencyError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+// How long a key stays claimed while its first request is running
+const IN_PROGRESS_TTL_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency Middleware
+ *
+ * Honors the Idempotency-Key header on mutating endpoints, so a client can
+ * safely retry after a timeout:
+ * 1. The first request claims idempotency:{appId}:{key} in Redis
+ * 2. Its response is stored for IDEMPOTENCY_TTL_SECONDS
+ * 3. Repeats with the same request get the stored response verbatim
+ *    (Idempotent-Replayed: true); a different request under the same key is rejected
+ *
+ * 5xx responses are not stored, so the client can retry them for real.
+ * Must run after app and user authentication.
+ */
+async function idempotency(req, res, next) {
+  try {
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      throw new ValidationError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const redis = redisConnection.getClient();
+    const key = `idempotency:${req.app.appId}:${idempotencyKey}`;
+    const fingerprint = getRequestFingerprint(req);
+
+    const claimed = await redis.set(
+      key,
+      JSON.stringify({ state: 'IN_PROGRESS', fingerprint }),
+      { NX: true, EX: IN_PROGRESS_TTL_SECONDS }
+    );
+
+    if (!claimed) {
+      const stored = JSON.parse(await redis.get(key) || 'null');
+
+      if (!stored) {
+        // Expired between SET and GET: treat as a conflict, the client retries
+        throw new ConflictError('A request with this Idempotency-Key is still being processed');
+      }
+
+      if (stored.fingerprint !== fingerprint) {
+        Logger.warn('Idempotency-Key reused with a different request', {
+          appId: req.app.appId,
+          idempotencyKey,
+          path: req.originalUrl
+        });
+        throw new IdempotencyError('Idempotency-Key was already used for a different request', {
+          idempotencyKey
+        });
+      }
+
+      if (stored.state === 'IN_PROGRESS') {
+        throw new ConflictError('A request with this Idempotency-Key is still being processed', {
+          idempotencyKey
+        });
+      }
+
+      Logger.info('Replaying idempotent response', {
+        appId: req.app.appId,
+        idempotencyKey,
+        path: req.originalUrl
+      });
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // Capture the first response
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const save = res.statusCode >= 500
+        ? redis.del(key)
+        : redis.set(
+          key,
+          JSON.stringify({ state: 'COMPLETED', fingerprint, statusCode: res.statusCode, body }),
+          { EX: env.IDEMPOTENCY_TTL_SECONDS }
+        );
+
+      save.catch(error => {
+        Logger.error('Failed to store idempotent response', {
+          appId: req.app.appId,
+          idempotencyKey,
+          error: error.message
+        });
+      });
+
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Hash of what makes two requests "the same": endpoint, user and body
+ * @param {Object} req - Express request
+ * @returns {String} SHA-256 hex digest
+ */
+function getRequestFingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${req.user?.id || ''}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+module.exports = { idempotency };
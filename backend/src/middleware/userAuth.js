@@ -35,7 +35,8 @@ async function userAuth(req, res, next) {
     req.user = {
       id: user._id.toString(),
       email: user.email,
-      name: user.name
+      name: user.name,
+      phone: user.phone || null
     };
 
     next();
@@ -69,7 +70,8 @@ async function optionalUserAuth(req, res, next) {
       req.user = {
         id: user._id.toString(),
         email: user.email,
-        name: user.name
+        name: user.name,
+        phone: user.phone || null
       };
     } else {
       req.user = null;
@@ -112,6 +114,7 @@ async function externalUserAuth(req, res, next) {
             id: user._id.toString(),
             email: user.email,
             name: user.name,
+            phone: user.phone || null,
             isExternal: false
           };
           return next();
@@ -125,6 +128,7 @@ async function externalUserAuth(req, res, next) {
     const externalUserId = req.headers['x-external-user-id'];
     const externalUserEmail = req.headers['x-external-user-email'];
     const externalUserName = req.headers['x-external-user-name'];
+    const externalUserPhone = req.headers['x-external-user-phone'];
 
     if (externalUserId) {
       req.user = {
@@ -132,6 +136,7 @@ async function externalUserAuth(req, res, next) {
         externalId: externalUserId,
         email: externalUserEmail || `user_${externalUserId}@external`,
         name: externalUserName || `User ${externalUserId}`,
+        phone: externalUserPhone || null,
         isExternal: true,
         appId: req.app.appId
       };
@@ -139,7 +144,7 @@ async function externalUserAuth(req, res, next) {
     }
 
     // Try external user from request body
-    const { externalUser, userId, userEmail, userName } = req.body;
+    const { externalUser, userId, userEmail, userName, userPhone } = req.body;
 
     if (externalUser) {
       req.user = {
@@ -147,6 +152,7 @@ async function externalUserAuth(req, res, next) {
         externalId: externalUser.id || externalUser.userId,
         email: externalUser.email || `user@external`,
         name: externalUser.name || 'External User',
+        phone: externalUser.phone || null,
         isExternal: true,
         appId: req.app.appId
       };
@@ -159,6 +165,7 @@ async function externalUserAuth(req, res, next) {
         externalId: userId,
         email: userEmail || `user_${userId}@external`,
         name: userName || `User ${userId}`,
+        phone: userPhone || null,
         isExternal: true,
         appId: req.app.appId
       };
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require('../utils/currency');
+const { NOTIFICATION_EVENTS } = require('../utils/eventBus');
+const { RATE_LIMIT_SCOPES, APP_RATE_LIMIT_CLASSES } = require('../config/rateLimits');
+const { API_KEY_SCOPES, API_KEY_TYPES } = require('../config/apiKeys');
+
+// Kept here (not imported from services/payments) so the model has no service dependency
+const PAYMENT_PROVIDERS = ['razorpay', 'stripe', 'fake'];
 
 /**
  * App Schema (Layer 2 Authentication - Multi-Tenant)
@@ -14,10 +21,40 @@ const appSchema = new mongoose.Schema({
     description: 'Unique identifier for the app (e.g., "event-app-prod")'
   },
   
+  apiKeys: {
+    type: [{
+      _id: false,
+      keyId: { type: String, required: true }, // Identifying prefix (pk_live_/sk_live_<key id>), safe to show and log
+      name: { type: String, required: true, trim: true },
+      type: { type: String, enum: Object.keys(API_KEY_TYPES), default: 'secret' }, // Keys issued before types are secret
+      digest: { type: String, default: null }, // HMAC-SHA256 of the key under API_KEY_PEPPER
+      hash: { type: String }, // Bcrypt hash of a key issued before digests (replaced by digest on first use)
+      scopes: { type: [String], enum: API_KEY_SCOPES, default: [] },
+      createdAt: { type: Date, default: Date.now },
+      createdBy: { type: String, default: null },
+      lastUsedAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null }, // Set by rotation: the key keeps working until then
+      revokedAt: { type: Date, default: null },
+      replacedBy: { type: String, default: null } // keyId of the key it was rotated to
+    }],
+    default: [],
+    description: 'API keys of the app (see config/apiKeys.js for types and scopes)'
+  },
+  
+  // Single key of apps created before apiKeys (moved into apiKeys on first use)
+  apiKeyPrefix: {
+    type: String,
+    description: 'Legacy: identifying start of the API key'
+  },
+  
+  apiKeyDigest: {
+    type: String,
+    description: 'Legacy: HMAC-SHA256 of the API key'
+  },
+  
   apiKeyHash: {
     type: String,
-    required: true,
-    description: 'Bcrypt hash of the API key'
+    description: 'Legacy: bcrypt hash of the API key'
   },
   
   name: {
@@ -38,7 +75,7 @@ const appSchema = new mongoose.Schema({
     type: [String],
     required: true,
     default: [],
-    description: 'Whitelist of domains allowed to use this app'
+    description: 'Whitelist of origins allowed to use this app (publishable keys work only from these)'
   },
   
   isActive: {
@@ -48,6 +85,195 @@ const appSchema = new mongoose.Schema({
     description: 'Master kill switch for the app'
   },
   
+  paymentGateway: {
+    type: String,
+    enum: [...PAYMENT_PROVIDERS, null],
+    default: null,
+    description: 'Gateway for new payments: razorpay | stripe | fake (null = PAYMENT_GATEWAY)'
+  },
+  
+  defaultCurrency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY,
+    description: 'Currency of seats synced without one (ISO 4217)'
+  },
+  
+  reservationPolicy: {
+    maxHoldSeconds: {
+      type: Number,
+      min: 0,
+      default: 600,
+      description: 'Upper bound on total hold time of a reservation, extensions included'
+    },
+    maxExtensions: {
+      type: Number,
+      min: 0,
+      default: 3,
+      description: 'How many times a reservation may be extended'
+    },
+    extensionSeconds: {
+      type: Number,
+      min: 1,
+      default: 120,
+      description: 'Hold time granted by each extension (counted from the moment of extending)'
+    },
+    maxActiveReservations: {
+      type: Number,
+      min: 0,
+      default: 3,
+      description: 'Active reservations one user may hold at once, across entities (0 = unlimited)'
+    },
+    maxHeldSeatsPerEntity: {
+      type: Number,
+      min: 0,
+      default: 10,
+      description: 'Seats one user may hold at once on one entity (0 = unlimited)'
+    },
+    maxBookedSeatsPerEntity: {
+      type: Number,
+      min: 0,
+      default: 0,
+      description: 'Seats one user may book on one entity, active holds included (0 = unlimited)'
+    }
+  },
+  
+  refundPolicy: {
+    allowCancellation: {
+      type: Boolean,
+      default: true,
+      description: 'Whether users may cancel their own bookings'
+    },
+    tiers: {
+      type: [{
+        _id: false,
+        hoursBeforeEvent: { type: Number, required: true, min: 0 },
+        refundPercent: { type: Number, required: true, min: 0, max: 100 }
+      }],
+      default: () => [
+        { hoursBeforeEvent: 48, refundPercent: 100 },
+        { hoursBeforeEvent: 24, refundPercent: 50 }
+      ],
+      description: 'Refund percent when cancelling at least N hours before the event (most generous qualifying tier wins, none = no refund)'
+    },
+    fallbackRefundPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100,
+      description: 'Refund percent when the event start time is unknown'
+    }
+  },
+  
+  // Downloadable tickets and invoices (HTML templates use {{field}} placeholders)
+  documentTemplates: {
+    ticket: {
+      html: {
+        type: String,
+        default: null,
+        description: 'HTML ticket template (null = built-in)'
+      },
+      footer: {
+        type: String,
+        default: '',
+        description: 'Note printed at the bottom of tickets (entry rules, support contact)'
+      }
+    },
+    invoice: {
+      html: {
+        type: String,
+        default: null,
+        description: 'HTML invoice template (null = built-in)'
+      },
+      footer: {
+        type: String,
+        default: '',
+        description: 'Note printed at the bottom of invoices'
+      },
+      numberPrefix: {
+        type: String,
+        default: 'INV-',
+        description: 'Prefix of the app\'s invoice numbers'
+      },
+      sellerName: {
+        type: String,
+        default: null,
+        description: 'Legal name on invoices (null = app name)'
+      },
+      sellerAddress: {
+        type: String,
+        default: '',
+        description: 'Seller address on invoices'
+      },
+      sellerTaxId: {
+        type: String,
+        default: '',
+        description: 'Seller tax registration (GSTIN)'
+      },
+      taxLabel: {
+        type: String,
+        default: 'GST',
+        description: 'Name of the tax on invoices'
+      },
+      taxRatePercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0,
+        description: 'Tax included in booking amounts (0 = no tax lines)'
+      },
+      splitTax: {
+        type: Boolean,
+        default: false,
+        description: 'Show the tax as two equal halves (CGST + SGST)'
+      }
+    }
+  },
+
+  rateLimits: {
+    type: [{
+      _id: false,
+      routeClass: { type: String, enum: APP_RATE_LIMIT_CLASSES, required: true },
+      scope: { type: String, enum: RATE_LIMIT_SCOPES, required: true },
+      limit: { type: Number, min: 0, required: true },
+      windowSeconds: { type: Number, min: 1, default: 60 }
+    }],
+    default: [],
+    description: 'Overrides of the default rate limits (config/rateLimits.js); limit 0 = unlimited'
+  },
+
+  // Emails and SMS to users about their bookings
+  notifications: {
+    enabled: {
+      type: Boolean,
+      default: true,
+      description: 'Send booking notifications to users'
+    },
+    channels: {
+      type: [String],
+      enum: ['EMAIL', 'SMS'],
+      default: ['EMAIL'],
+      description: 'Channels to send on (a channel is skipped for users without that contact)'
+    },
+    events: {
+      type: [String],
+      enum: NOTIFICATION_EVENTS,
+      default: [],
+      description: 'Events to notify about (empty = all)'
+    },
+    templates: {
+      type: [{
+        _id: false,
+        event: { type: String, enum: NOTIFICATION_EVENTS, required: true },
+        subject: String,
+        email: String,
+        sms: String
+      }],
+      default: [],
+      description: 'Per-event message overrides ({{placeholders}}); parts left out use the built-in text'
+    }
+  },
+
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {},
@@ -71,7 +297,9 @@ appSchema.index({ isActive: 1 });
 // Methods
 appSchema.methods.toSafeObject = function() {
   const obj = this.toObject();
-  delete obj.apiKeyHash; // Never expose API key hash
+  delete obj.apiKeyHash; // Never expose API key hashes
+  delete obj.apiKeyDigest;
+  obj.apiKeys = (obj.apiKeys || []).map(({ digest, hash, ...key }) => key);
   return obj;
 };
 
@@ -37,16 +37,16 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: true,
     ref: 'Reservation',
-    description: 'Original reservation token'
+    description: 'Original reservation token (shared by all bookings of a multi-seat reservation)'
   },
   
   // Payment information
   paymentStatus: {
     type: String,
     required: true,
-    enum: ['PENDING', 'SUCCESS', 'FAILED'],
+    enum: ['PENDING', 'SUCCESS', 'FAILED', 'CANCELLED', 'REFUNDED', 'PARTIALLY_REFUNDED'],
     default: 'PENDING',
-    description: 'Payment confirmation status'
+    description: 'Payment confirmation status (CANCELLED = cancelled without refund)'
   },
   
   paymentId: {
@@ -55,17 +55,72 @@ const bookingSchema = new mongoose.Schema({
     description: 'Payment gateway transaction ID'
   },
   
+  paymentProvider: {
+    type: String,
+    required: true,
+    default: 'razorpay',
+    description: 'Gateway that took the payment (refunds go back through it)'
+  },
+  
   amount: {
     type: Number,
     required: true,
     min: 0,
-    description: 'Amount paid'
+    description: 'Amount paid, in minor units of currency'
   },
   
   currency: {
     type: String,
-    default: 'USD',
-    description: 'Currency code'
+    required: true,
+    description: 'Currency code of every amount on this booking (ISO 4217)'
+  },
+  
+  // Cancellation & refund
+  cancellation: {
+    cancelledAt: {
+      type: Date,
+      description: 'When the booking was cancelled'
+    },
+    cancelledBy: {
+      type: String,
+      enum: ['USER', 'ADMIN'],
+      description: 'Who cancelled the booking'
+    },
+    actor: {
+      type: String,
+      description: 'User ID or admin email that cancelled'
+    },
+    reason: {
+      type: String,
+      description: 'Optional cancellation reason'
+    }
+  },
+  
+  refund: {
+    refundId: {
+      type: String,
+      description: 'Payment gateway refund ID'
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      description: 'Amount refunded (minor units)'
+    },
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      description: 'Share of the booking amount refunded'
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'PROCESSED', 'FAILED'],
+      description: 'Refund status at the gateway'
+    },
+    processedAt: {
+      type: Date,
+      description: 'When the gateway confirmed the refund'
+    }
   },
   
   // Metadata
@@ -76,6 +131,81 @@ const bookingSchema = new mongoose.Schema({
     description: 'When booking was created'
   },
   
+  discount: {
+    type: {
+      _id: false,
+      code: String,
+      amount: Number,
+      originalAmount: Number
+    },
+    default: undefined,
+    description: 'Promo discount on this seat in minor units (Booking.amount is the price after it)'
+  },
+  
+  segment: {
+    type: {
+      _id: false,
+      from: Number,
+      to: Number,
+      fromStop: String,
+      toStop: String
+    },
+    default: undefined,
+    description: 'Route segment booked on a multi-stop entity'
+  },
+
+  contact: {
+    type: {
+      _id: false,
+      name: String,
+      email: String,
+      phone: String
+    },
+    default: undefined,
+    description: 'Where to send the user notifications (from the reservation)'
+  },
+
+  // Ticket presented at the venue
+  ticket: {
+    ticketId: {
+      type: String,
+      description: 'Ticket ID (TK-...)'
+    },
+    keyId: {
+      type: String,
+      description: 'TicketKey that signed the code'
+    },
+    code: {
+      type: String,
+      description: 'Signed ticket payload (QR code contents)'
+    },
+    issuedAt: {
+      type: Date,
+      description: 'When the ticket was issued'
+    },
+    checkedInAt: {
+      type: Date,
+      default: null,
+      description: 'When the ticket was scanned at the gate (null = unused)'
+    },
+    checkedInBy: {
+      type: String,
+      default: null,
+      description: 'Gate or device that checked the ticket in'
+    }
+  },
+
+  invoice: {
+    number: {
+      type: String,
+      description: 'Sequential invoice number within the app (INV-000042), set on first download'
+    },
+    issuedAt: {
+      type: Date,
+      description: 'When the invoice number was assigned'
+    }
+  },
+
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {},
@@ -90,8 +220,16 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ bookingId: 1 }, { unique: true });
 bookingSchema.index({ userId: 1, bookingDate: -1 });
 bookingSchema.index({ appId: 1, bookingDate: -1 });
+bookingSchema.index({ appId: 1, userId: 1, 'metadata.entityId': 1 }); // Per-entity booking caps
 bookingSchema.index({ paymentStatus: 1 });
 bookingSchema.index({ seatId: 1 });
+bookingSchema.index({ reservationToken: 1 });
+bookingSchema.index({ paymentId: 1 });
+bookingSchema.index({ 'ticket.ticketId': 1 }, { unique: true, sparse: true });
+bookingSchema.index(
+  { appId: 1, 'invoice.number': 1 },
+  { unique: true, partialFilterExpression: { 'invoice.number': { $exists: true } } }
+);
 
 // Static methods
 bookingSchema.statics.generateBookingId = function() {
@@ -106,4 +244,8 @@ bookingSchema.methods.isConfirmed = function() {
   return this.paymentStatus === 'SUCCESS';
 };
 
+bookingSchema.methods.isCancelled = function() {
+  return ['CANCELLED', 'REFUNDED', 'PARTIALLY_REFUNDED'].includes(this.paymentStatus);
+};
+
 module.exports = mongoose.model('Booking', bookingSchema);
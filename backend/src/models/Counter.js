@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema
+ *
+ * Named sequences incremented atomically in MongoDB (e.g. invoice:<appId>)
+ * Incrementing inside a transaction rolls back with it, so a sequence used
+ * that way has no gaps
+ */
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    description: 'Sequence name (invoice:<appId>)'
+  },
+
+  seq: {
+    type: Number,
+    required: true,
+    default: 0,
+    description: 'Last value handed out'
+  }
+}, {
+  timestamps: true,
+  collection: 'counters'
+});
+
+// Indexes
+counterSchema.index({ key: 1 }, { unique: true });
+
+// Static methods
+counterSchema.statics.next = async function(key, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+/**
+ * Entity Schema
+ *
+ * The thing seats belong to: an event, a bus trip or a movie show.
+ * Seat.entityId refers to Entity.entityId within the same app.
+ *
+ * Lifecycle: DRAFT -> ON_SALE <-> CLOSED, any non-final status -> CANCELLED
+ * Seats can only be reserved while the entity is ON_SALE and inside its sales window.
+ * Multi-stop routes (BUS) list their stops; each seat is then sold per segment.
+ */
+const ENTITY_STATUSES = ['DRAFT', 'ON_SALE', 'CLOSED', 'CANCELLED'];
+
+// Allowed status changes
+const STATUS_TRANSITIONS = {
+  DRAFT: ['ON_SALE', 'CANCELLED'],
+  ON_SALE: ['CLOSED', 'CANCELLED'],
+  CLOSED: ['ON_SALE', 'CANCELLED'],
+  CANCELLED: []
+};
+
+const entitySchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'Which app owns this entity'
+  },
+
+  entityId: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'Tenant-chosen ID, used as Seat.entityId (e.g. "concert-2026-01-15")'
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'Display name (event title, route, movie + show)'
+  },
+
+  venue: {
+    type: String,
+    trim: true,
+    default: null,
+    description: 'Venue, departure point or screen'
+  },
+
+  startsAt: {
+    type: Date,
+    required: true,
+    description: 'When the event starts / the bus departs'
+  },
+
+  endsAt: {
+    type: Date,
+    default: null,
+    description: 'When the event ends / the bus arrives'
+  },
+
+  salesOpenAt: {
+    type: Date,
+    default: null,
+    description: 'Sales start (null = as soon as ON_SALE)'
+  },
+
+  salesCloseAt: {
+    type: Date,
+    default: null,
+    description: 'Sales end (null = at startsAt)'
+  },
+
+  layoutId: {
+    type: String,
+    default: null,
+    description: 'SeatLayout of the venue (used by /admin/sync-seats and seat maps)'
+  },
+
+  stops: {
+    type: [{
+      _id: false,
+      code: { type: String, required: true, trim: true },
+      name: { type: String, trim: true },
+      departsAt: { type: Date, default: null }
+    }],
+    default: [],
+    description: 'Ordered route stops (BUS). With 2+ stops, seats are sold per segment between stops'
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ENTITY_STATUSES,
+    default: 'DRAFT',
+    description: 'Lifecycle status'
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    description: 'Domain-specific details (artist, bus number, language, ...)'
+  }
+}, {
+  timestamps: true,
+  collection: 'entities'
+});
+
+// Indexes
+entitySchema.index({ appId: 1, entityId: 1 }, { unique: true });
+entitySchema.index({ appId: 1, status: 1, startsAt: 1 });
+
+// Validation
+entitySchema.pre('validate', function(next) {
+  if (this.endsAt && this.startsAt && this.endsAt < this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must not be before startsAt');
+  }
+  if (this.salesOpenAt && this.getSalesCloseAt() && this.salesOpenAt >= this.getSalesCloseAt()) {
+    this.invalidate('salesOpenAt', 'Sales must open before they close');
+  }
+  const codes = this.stops.map(stop => stop.code);
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('stops', 'Stop codes must be unique');
+  }
+  next();
+});
+
+// Methods
+
+/**
+ * When sales stop (salesCloseAt, or the start of the event)
+ * @returns {Date} Sales close time
+ */
+entitySchema.methods.getSalesCloseAt = function() {
+  return this.salesCloseAt || this.startsAt;
+};
+
+/**
+ * Whether seats can be reserved right now
+ * @param {Date} now - Current time
+ * @returns {Boolean} True if ON_SALE and inside the sales window
+ */
+entitySchema.methods.isOnSale = function(now = new Date()) {
+  if (this.status !== 'ON_SALE') {
+    return false;
+  }
+  if (this.salesOpenAt && now < this.salesOpenAt) {
+    return false;
+  }
+  return now < this.getSalesCloseAt();
+};
+
+/**
+ * Whether seats are sold per segment (route with at least two stops)
+ * @returns {Boolean} True if segmented
+ */
+entitySchema.methods.isSegmented = function() {
+  return this.stops.length >= 2;
+};
+
+/**
+ * Resolve a from/to stop pair to a segment
+ * A segment covers legs [from, to): leg i runs from stop i to stop i + 1
+ * @param {String} fromStop - Boarding stop code (defaults to the first stop)
+ * @param {String} toStop - Alighting stop code (defaults to the last stop)
+ * @returns {Object|null} { from, to, fromStop, toStop } or null if either stop is unknown or they are out of order
+ */
+entitySchema.methods.getSegment = function(fromStop, toStop) {
+  const codes = this.stops.map(stop => stop.code);
+  const from = fromStop ? codes.indexOf(fromStop) : 0;
+  const to = toStop ? codes.indexOf(toStop) : codes.length - 1;
+
+  if (from === -1 || to === -1 || from >= to) {
+    return null;
+  }
+
+  return { from, to, fromStop: codes[from], toStop: codes[to] };
+};
+
+entitySchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+entitySchema.statics.STATUSES = ENTITY_STATUSES;
+
+module.exports = mongoose.model('Entity', entitySchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Schema
+ *
+ * One email or SMS to a user about a booking lifecycle event, with its
+ * retry state. Doubles as the per-app notification log.
+ */
+const notificationSchema = new mongoose.Schema({
+  notificationId: {
+    type: String,
+    required: true,
+    description: 'Unique notification ID (ntf_...)'
+  },
+
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'App context (templates and settings come from it)'
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    description: 'User the message is for'
+  },
+
+  event: {
+    type: String,
+    required: true,
+    description: 'Lifecycle event that triggered it (booking.confirmed, ...)'
+  },
+
+  reference: {
+    type: String,
+    required: true,
+    description: 'Booking ID or reservation token the event is about'
+  },
+
+  dedupeKey: {
+    type: String,
+    required: true,
+    description: 'event:reference:channel (holds: reference@expiresAt) - a re-published event is not sent twice'
+  },
+
+  channel: {
+    type: String,
+    required: true,
+    enum: ['EMAIL', 'SMS'],
+    description: 'Delivery channel'
+  },
+
+  recipient: {
+    type: String,
+    required: true,
+    description: 'Email address or phone number (E.164)'
+  },
+
+  subject: {
+    type: String,
+    default: null,
+    description: 'Email subject (null for SMS)'
+  },
+
+  body: {
+    type: String,
+    required: true,
+    description: 'Rendered message text'
+  },
+
+  transport: {
+    type: String,
+    required: true,
+    description: 'Transport it is sent through (smtp | twilio | outbox)'
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDING', 'SENT', 'FAILED'],
+    default: 'PENDING',
+    description: 'PENDING until sent or retries are exhausted'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0,
+    description: 'Send attempts made so far'
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+    description: 'When the dispatcher should try next'
+  },
+
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+    description: 'When the last attempt was made'
+  },
+
+  lastError: {
+    type: String,
+    default: null,
+    description: 'Error from the last failed attempt'
+  },
+
+  providerMessageId: {
+    type: String,
+    default: null,
+    description: 'Message ID returned by the transport'
+  },
+
+  sentAt: {
+    type: Date,
+    default: null,
+    description: 'When the transport accepted the message'
+  }
+}, {
+  timestamps: true,
+  collection: 'notifications'
+});
+
+// Indexes
+notificationSchema.index({ notificationId: 1 }, { unique: true });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 }); // Dispatcher queue
+notificationSchema.index({ appId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Order Schema
+ *
+ * Binds a gateway order to the reservation it was created for, so a payment
+ * can only confirm that reservation, for that amount
+ */
+const paymentOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    description: 'Gateway order ID (order_..., pi_..., fake_order_...)'
+  },
+
+  provider: {
+    type: String,
+    required: true,
+    default: 'razorpay',
+    description: 'Gateway the order was created with (razorpay | stripe | fake)'
+  },
+
+  checkout: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    description: 'What the client needs to pay the order (Razorpay keyId, Stripe clientSecret, ...)'
+  },
+
+  reservationToken: {
+    type: String,
+    required: true,
+    description: 'Reservation this order pays for (one order per reservation)'
+  },
+
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'App context'
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.Mixed, // ObjectId string (Hackwow users) or String (external users)
+    required: true,
+    description: 'User who created the order'
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: 'Order amount in minor units (reservation total)'
+  },
+
+  currency: {
+    type: String,
+    required: true,
+    description: 'Currency code (INR, USD)'
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['CREATED', 'PAID'],
+    default: 'CREATED',
+    description: 'PAID once a payment has confirmed the reservation'
+  },
+
+  paymentId: {
+    type: String,
+    default: null,
+    description: 'Payment that paid this order'
+  },
+
+  paidAt: {
+    type: Date,
+    default: null,
+    description: 'When the order was paid'
+  }
+}, {
+  timestamps: true,
+  collection: 'payment_orders'
+});
+
+// Indexes
+paymentOrderSchema.index({ orderId: 1 }, { unique: true });
+paymentOrderSchema.index({ reservationToken: 1 }, { unique: true });
+paymentOrderSchema.index({ appId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentOrder', paymentOrderSchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * PricingRule Schema
+ *
+ * A dynamic price adjustment applied to Seat.price when seats are reserved.
+ * Rules belong to an app (entityId null) or to one entity; an entity with
+ * rules of its own ignores the app-wide ones.
+ *
+ * Every active rule whose conditions all match contributes its multiplier
+ * (times the seat section's multiplier, if listed). Multipliers of matching
+ * rules are multiplied together. Conditions left null always match.
+ */
+const pricingRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    description: 'Public rule ID (prc_...)'
+  },
+
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'Which app owns this rule'
+  },
+
+  entityId: {
+    type: String,
+    default: null,
+    description: 'Entity the rule is limited to (null = every entity of the app)'
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'Label shown in price breakdowns (e.g. "Last-minute surge")'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    description: 'Inactive rules are ignored'
+  },
+
+  conditions: {
+    minOccupancyPercent: { type: Number, min: 0, max: 100, default: null },
+    maxOccupancyPercent: { type: Number, min: 0, max: 100, default: null },
+    minHoursBeforeEvent: { type: Number, min: 0, default: null },
+    maxHoursBeforeEvent: { type: Number, min: 0, default: null },
+    daysOfWeek: { type: [Number], default: undefined }, // 0 = Sunday, of the event date
+    timezone: { type: String, default: 'UTC' } // For daysOfWeek
+  },
+
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 1,
+    description: 'Price multiplier when the rule matches (1.2 = +20%)'
+  },
+
+  sectionMultipliers: {
+    type: Map,
+    of: Number,
+    default: undefined,
+    description: 'Extra multiplier per seat section (e.g. { VIP: 1.5 })'
+  }
+}, {
+  timestamps: true,
+  collection: 'pricing_rules'
+});
+
+// Indexes
+pricingRuleSchema.index({ ruleId: 1 }, { unique: true });
+pricingRuleSchema.index({ appId: 1, entityId: 1, isActive: 1 });
+
+// Unset conditions (null, or missing after a partial update) always match
+const isSet = value => value !== null && value !== undefined;
+
+// Validation
+pricingRuleSchema.pre('validate', function(next) {
+  const { conditions } = this;
+
+  if (isSet(conditions.minOccupancyPercent) && isSet(conditions.maxOccupancyPercent) &&
+      conditions.minOccupancyPercent > conditions.maxOccupancyPercent) {
+    this.invalidate('conditions.minOccupancyPercent', 'minOccupancyPercent must not exceed maxOccupancyPercent');
+  }
+  if (isSet(conditions.minHoursBeforeEvent) && isSet(conditions.maxHoursBeforeEvent) &&
+      conditions.minHoursBeforeEvent > conditions.maxHoursBeforeEvent) {
+    this.invalidate('conditions.minHoursBeforeEvent', 'minHoursBeforeEvent must not exceed maxHoursBeforeEvent');
+  }
+  if ((conditions.daysOfWeek || []).some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    this.invalidate('conditions.daysOfWeek', 'daysOfWeek must be integers 0 (Sunday) to 6');
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: conditions.timezone });
+  } catch (error) {
+    this.invalidate('conditions.timezone', `Unknown timezone: ${conditions.timezone}`);
+  }
+  next();
+});
+
+// Methods
+
+/**
+ * Whether the rule applies in a pricing context
+ * Time conditions never match when the event start is unknown
+ * @param {Object} context - { occupancyPercent, hoursBeforeEvent, eventStartsAt }
+ * @returns {Boolean} True if every condition matches
+ */
+pricingRuleSchema.methods.matches = function(context) {
+  const { conditions } = this;
+  const { occupancyPercent, hoursBeforeEvent, eventStartsAt } = context;
+
+  if (isSet(conditions.minOccupancyPercent) && occupancyPercent < conditions.minOccupancyPercent) {
+    return false;
+  }
+  if (isSet(conditions.maxOccupancyPercent) && occupancyPercent > conditions.maxOccupancyPercent) {
+    return false;
+  }
+
+  const hasHourLimits = isSet(conditions.minHoursBeforeEvent) || isSet(conditions.maxHoursBeforeEvent);
+  if (hasHourLimits && hoursBeforeEvent === null) {
+    return false;
+  }
+  if (isSet(conditions.minHoursBeforeEvent) && hoursBeforeEvent < conditions.minHoursBeforeEvent) {
+    return false;
+  }
+  if (isSet(conditions.maxHoursBeforeEvent) && hoursBeforeEvent > conditions.maxHoursBeforeEvent) {
+    return false;
+  }
+
+  if (conditions.daysOfWeek && conditions.daysOfWeek.length > 0) {
+    if (!eventStartsAt) {
+      return false;
+    }
+    const weekday = new Intl.DateTimeFormat('en-US', { weekday: 'short', timeZone: conditions.timezone || 'UTC' })
+      .format(eventStartsAt);
+    const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday);
+    if (!conditions.daysOfWeek.includes(day)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Multiplier for a seat in a given section
+ * @param {String|null} section - Seat section
+ * @returns {Number} Multiplier
+ */
+pricingRuleSchema.methods.getMultiplier = function(section) {
+  const sectionMultiplier = section && this.sectionMultipliers ? this.sectionMultipliers.get(section) : undefined;
+  return this.multiplier * (sectionMultiplier ?? 1);
+};
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Processed Webhook Event Schema
+ * 
+ * Records inbound payment gateway events so each one is handled exactly once,
+ * even when the gateway retries or delivers duplicates
+ */
+const processedWebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    description: 'Gateway that sent the event (razorpay | stripe | fake)'
+  },
+  
+  eventId: {
+    type: String,
+    required: true,
+    description: 'Gateway event ID (X-Razorpay-Event-Id)'
+  },
+  
+  event: {
+    type: String,
+    required: true,
+    description: 'Event type (payment.captured, ...)'
+  },
+  
+  status: {
+    type: String,
+    required: true,
+    enum: ['PROCESSING', 'PROCESSED', 'FAILED'],
+    default: 'PROCESSING',
+    description: 'FAILED events, and PROCESSING ones not updated for 2 minutes, are picked up again when the gateway retries'
+  },
+  
+  attempts: {
+    type: Number,
+    default: 1,
+    description: 'How many times processing was attempted'
+  },
+  
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    description: 'What the handler did (for debugging)'
+  },
+  
+  error: {
+    type: String,
+    default: null,
+    description: 'Error from the last failed attempt'
+  },
+  
+  processedAt: {
+    type: Date,
+    default: null,
+    description: 'When processing completed'
+  }
+}, {
+  timestamps: true,
+  collection: 'processed_webhook_events'
+});
+
+// Indexes
+processedWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+processedWebhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProcessedWebhookEvent', processedWebhookEventSchema);
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
+
+/**
+ * PromoCode Schema
+ *
+ * A discount voucher of one app: a percentage or a flat amount off the
+ * eligible seats of a reservation. Usage is limited globally
+ * (maxRedemptions) and per user (maxRedemptionsPerUser); redemptionCount
+ * counts held and redeemed uses (PromoRedemption).
+ *
+ * Amounts (FLAT value, maxDiscount, minOrderAmount) are in minor units of
+ * the code's currency; such codes only apply to reservations in that currency.
+ */
+const promoCodeSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'Which app owns this code'
+  },
+
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    description: 'Code users enter (stored uppercase, matched case-insensitively)'
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: null,
+    description: 'Internal note (campaign, partner, ...)'
+  },
+
+  discountType: {
+    type: String,
+    required: true,
+    enum: ['PERCENT', 'FLAT'],
+    description: 'PERCENT of the eligible amount, or a FLAT amount off'
+  },
+
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: 'Percent (0-100) or flat amount (minor units)'
+  },
+
+  currency: {
+    type: String,
+    enum: [...SUPPORTED_CURRENCIES, null],
+    default: null,
+    description: 'Currency of the amounts (required for FLAT, maxDiscount or minOrderAmount; null = any)'
+  },
+
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null,
+    description: 'Cap on a PERCENT discount in minor units (null = no cap)'
+  },
+
+  minOrderAmount: {
+    type: Number,
+    min: 0,
+    default: 0,
+    description: 'Minimum eligible amount for the code to apply (minor units)'
+  },
+
+  validFrom: {
+    type: Date,
+    default: null,
+    description: 'Start of validity (null = immediately)'
+  },
+
+  validUntil: {
+    type: Date,
+    default: null,
+    description: 'End of validity (null = no expiry)'
+  },
+
+  maxRedemptions: {
+    type: Number,
+    min: 1,
+    default: null,
+    description: 'Total uses allowed (null = unlimited)'
+  },
+
+  maxRedemptionsPerUser: {
+    type: Number,
+    min: 1,
+    default: 1,
+    description: 'Uses allowed per user (null = unlimited)'
+  },
+
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Uses so far (applied to open reservations or redeemed)'
+  },
+
+  eligibleEntityIds: {
+    type: [String],
+    default: [],
+    description: 'Entities the code works for (empty = all)'
+  },
+
+  eligibleSections: {
+    type: [String],
+    default: [],
+    description: 'Seat sections discounted (empty = all)'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    description: 'Deactivated codes cannot be applied'
+  }
+}, {
+  timestamps: true,
+  collection: 'promo_codes'
+});
+
+// Indexes
+promoCodeSchema.index({ appId: 1, code: 1 }, { unique: true });
+
+// Validation
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'PERCENT' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  const hasAmounts = this.discountType === 'FLAT' || this.maxDiscount !== null || this.minOrderAmount > 0;
+  if (hasAmounts && !this.currency) {
+    this.invalidate('currency', 'currency is required for FLAT codes, maxDiscount and minOrderAmount');
+  }
+  if (this.discountType === 'FLAT' && !Number.isInteger(this.value)) {
+    this.invalidate('value', 'A flat discount must be an integer amount of minor units');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validFrom', 'validFrom must be before validUntil');
+  }
+  next();
+});
+
+// Methods
+
+/**
+ * Whether the code can be used right now (ignores usage limits)
+ * @param {Date} now - Current time
+ * @returns {Boolean} True if active and inside the validity window
+ */
+promoCodeSchema.methods.isValidAt = function(now = new Date()) {
+  if (!this.isActive) {
+    return false;
+  }
+  if (this.validFrom && now < this.validFrom) {
+    return false;
+  }
+  return !this.validUntil || now < this.validUntil;
+};
+
+/**
+ * Whether the code covers a seat
+ * @param {String} entityId - Seat entity
+ * @param {String|null} section - Seat section
+ * @returns {Boolean} True if eligible
+ */
+promoCodeSchema.methods.appliesTo = function(entityId, section) {
+  if (this.eligibleEntityIds.length > 0 && !this.eligibleEntityIds.includes(entityId)) {
+    return false;
+  }
+  return this.eligibleSections.length === 0 || this.eligibleSections.includes(section);
+};
+
+/**
+ * Whether the code can be used for a currency
+ * @param {String} currency - Reservation currency
+ * @returns {Boolean} True if the code has no currency or the same one
+ */
+promoCodeSchema.methods.supportsCurrency = function(currency) {
+  return !this.currency || this.currency === currency;
+};
+
+/**
+ * Discount on an eligible amount
+ * @param {Number} eligibleAmount - Sum of eligible seat prices (minor units)
+ * @returns {Number} Discount in minor units (never more than the eligible amount)
+ */
+promoCodeSchema.methods.computeDiscount = function(eligibleAmount) {
+  let discount = this.discountType === 'PERCENT'
+    ? eligibleAmount * this.value / 100
+    : this.value;
+
+  if (this.discountType === 'PERCENT' && this.maxDiscount !== null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, eligibleAmount));
+};
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
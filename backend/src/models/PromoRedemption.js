@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * PromoRedemption Schema
+ *
+ * One use of a promo code by a reservation.
+ * APPLIED while the reservation is open, REDEEMED once it is booked,
+ * RELEASED if the reservation is released or expires (the use is given back).
+ */
+const promoRedemptionSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'Which app the code belongs to'
+  },
+
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'PromoCode',
+    description: 'Code used'
+  },
+
+  code: {
+    type: String,
+    required: true,
+    description: 'Code as entered (uppercase)'
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    description: 'User who applied the code'
+  },
+
+  reservationToken: {
+    type: String,
+    required: true,
+    description: 'Reservation the code was applied to'
+  },
+
+  entityId: {
+    type: String,
+    default: null,
+    description: 'Entity of the reservation'
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['APPLIED', 'REDEEMED', 'RELEASED'],
+    default: 'APPLIED',
+    description: 'Redemption lifecycle status'
+  },
+
+  currency: {
+    type: String,
+    required: true,
+    description: 'Currency of the reservation (ISO 4217)'
+  },
+
+  eligibleAmount: {
+    type: Number,
+    required: true,
+    description: 'Amount the discount was computed on (minor units)'
+  },
+
+  discountAmount: {
+    type: Number,
+    required: true,
+    description: 'Discount granted (minor units)'
+  },
+
+  finalAmount: {
+    type: Number,
+    required: true,
+    description: 'Reservation total after the discount (minor units)'
+  },
+
+  bookingIds: {
+    type: [String],
+    default: [],
+    description: 'Bookings created with the discount'
+  },
+
+  redeemedAt: {
+    type: Date,
+    default: null,
+    description: 'When the reservation was booked'
+  }
+}, {
+  timestamps: true,
+  collection: 'promo_redemptions'
+});
+
+// Indexes
+promoRedemptionSchema.index({ reservationToken: 1 }, { unique: true });
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+promoRedemptionSchema.index({ appId: 1, code: 1, createdAt: -1 });
+promoRedemptionSchema.index({ appId: 1, redeemedAt: -1 }); // Redemption report date range
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
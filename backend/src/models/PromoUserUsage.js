@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * PromoUserUsage Schema
+ *
+ * Open and redeemed uses of a promo code by one user (APPLIED + REDEEMED
+ * redemptions). Incremented under a count < maxRedemptionsPerUser filter, so
+ * concurrent applies by the same user cannot go over the per-user limit.
+ */
+const promoUserUsageSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'Which app the code belongs to'
+  },
+
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'PromoCode',
+    description: 'Code used'
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    description: 'User who applied the code'
+  },
+
+  count: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0,
+    description: 'Uses held by the user (released uses are given back)'
+  }
+}, {
+  timestamps: true,
+  collection: 'promo_user_usage'
+});
+
+// Indexes
+promoUserUsageSchema.index({ promoCodeId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoUserUsage', promoUserUsageSchema);
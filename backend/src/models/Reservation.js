@@ -30,7 +30,32 @@ const reservationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true,
     ref: 'Seat',
-    description: 'Reserved seat'
+    description: 'Reserved seat (first seat of a multi-seat reservation)'
+  },
+
+  seatIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Seat',
+    default: undefined,
+    description: 'All seats held under this token (multi-seat reservations)'
+  },
+  
+  segment: {
+    type: {
+      _id: false,
+      from: Number,
+      to: Number,
+      fromStop: String,
+      toStop: String
+    },
+    default: undefined,
+    description: 'Route segment held on a multi-stop entity (stop indexes and codes)'
+  },
+
+  lockIds: {
+    type: [String],
+    default: undefined,
+    description: 'Redis lock IDs held (per-leg for segments; seat IDs otherwise)'
   },
   
   status: {
@@ -47,6 +72,68 @@ const reservationSchema = new mongoose.Schema({
     description: 'When this reservation expires'
   },
   
+  pricing: {
+    type: {
+      _id: false,
+      seats: [{
+        _id: false,
+        seatId: mongoose.Schema.Types.ObjectId,
+        seatNumber: String,
+        basePrice: Number,
+        price: Number,
+        ruleIds: [String],
+        discount: { type: Number, default: 0 }
+      }],
+      totalAmount: Number,
+      currency: String,
+      pricedAt: Date
+    },
+    default: undefined,
+    description: 'Prices frozen at reservation time in minor units (dynamic pricing); orders and bookings charge these'
+  },
+  
+  promo: {
+    type: {
+      _id: false,
+      code: String,
+      promoCodeId: mongoose.Schema.Types.ObjectId,
+      eligibleAmount: Number,
+      discountAmount: Number
+    },
+    default: undefined,
+    description: 'Promo code applied (discount split over pricing.seats[].discount)'
+  },
+  
+  contact: {
+    type: {
+      _id: false,
+      name: String,
+      email: String,
+      phone: String
+    },
+    default: undefined,
+    description: 'Where to send the user notifications (copied to the bookings)'
+  },
+
+  paymentId: {
+    type: String,
+    default: null,
+    description: 'Gateway payment that confirmed the reservation (a payment confirms one reservation only)'
+  },
+
+  expiryWarnedFor: {
+    type: Date,
+    default: null,
+    description: 'expiresAt the hold-expiring notice was sent for (an extension re-arms it)'
+  },
+  
+  extensionCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'How many times the hold has been extended'
+  },
+  
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {},
@@ -61,14 +148,76 @@ const reservationSchema = new mongoose.Schema({
 reservationSchema.index({ reservationToken: 1 }, { unique: true });
 reservationSchema.index({ userId: 1, status: 1 });
 reservationSchema.index({ seatId: 1 });
+reservationSchema.index({ seatIds: 1 });
 reservationSchema.index({ expiresAt: 1 }); // For cleanup jobs
 reservationSchema.index({ appId: 1, createdAt: -1 });
+reservationSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { paymentId: { $type: 'string' } } }
+);
 
 // Methods
 reservationSchema.methods.isExpired = function() {
   return new Date() > this.expiresAt;
 };
 
+/**
+ * Seats covered by this reservation
+ * Older single-seat reservations only carry seatId
+ * @returns {Array<String>} Seat IDs
+ */
+reservationSchema.methods.getSeatIds = function() {
+  const seatIds = this.seatIds && this.seatIds.length > 0 ? this.seatIds : [this.seatId];
+  return seatIds.map(seatId => seatId.toString());
+};
+
+/**
+ * Redis locks held by this reservation
+ * Segment reservations lock one key per leg; others lock one key per seat
+ * @returns {Array<String>} Lock IDs
+ */
+reservationSchema.methods.getLockIds = function() {
+  return this.lockIds && this.lockIds.length > 0 ? [...this.lockIds] : this.getSeatIds();
+};
+
+/**
+ * Amount due for this reservation (seat prices at reservation time, less any promo discount)
+ * @returns {Number} Total amount in minor units
+ */
+reservationSchema.methods.getTotalAmount = function() {
+  const total = this.pricing?.totalAmount ?? this.metadata?.totalAmount ?? this.metadata?.price;
+  return this.promo ? total - this.promo.discountAmount : total;
+};
+
+/**
+ * Currency of every amount on this reservation
+ * @returns {String|null} ISO 4217 code
+ */
+reservationSchema.methods.getCurrency = function() {
+  return this.pricing?.currency || this.metadata?.currency || null;
+};
+
+/**
+ * Frozen price of one seat, less its share of the promo discount
+ * (falls back to the given list price for reservations without pricing)
+ * @param {String} seatId - Seat ID
+ * @param {Number} listPrice - Seat.price
+ * @returns {Number} Price to charge
+ */
+reservationSchema.methods.getSeatPrice = function(seatId, listPrice) {
+  const entry = this.getSeatPricing(seatId);
+  return entry ? entry.price - (entry.discount || 0) : listPrice;
+};
+
+/**
+ * Frozen pricing entry of one seat
+ * @param {String} seatId - Seat ID
+ * @returns {Object|undefined} { seatId, seatNumber, basePrice, price, ruleIds, discount }
+ */
+reservationSchema.methods.getSeatPricing = function(seatId) {
+  return this.pricing?.seats.find(seat => seat.seatId.toString() === seatId.toString());
+};
+
 reservationSchema.methods.isActive = function() {
   return this.status === 'ACTIVE' && !this.isExpired();
 };
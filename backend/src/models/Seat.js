@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 /**
  * Seat Schema
@@ -46,7 +47,15 @@ const seatSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0,
-    description: 'Seat price in base currency'
+    validate: { validator: Number.isInteger, message: 'Price must be an integer amount of minor units' },
+    description: 'Seat price in minor units of currency (paise, cents)'
+  },
+  
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true,
+    description: 'Currency of price (ISO 4217)'
   },
   
   metadata: {
@@ -55,6 +64,24 @@ const seatSchema = new mongoose.Schema({
     description: 'Seat type (VIP, Regular), tier, extras, etc.'
   },
   
+  layoutId: {
+    type: String,
+    default: null,
+    description: 'SeatLayout the seat was generated from'
+  },
+  
+  position: {
+    type: {
+      _id: false,
+      row: Number,
+      column: Number,
+      section: String,
+      accessible: Boolean
+    },
+    default: undefined,
+    description: 'Grid position on the layout (for seat maps)'
+  },
+  
   bookedBy: {
     type: mongoose.Schema.Types.Mixed, // Support both ObjectId and String for external users
     default: null,
@@ -66,6 +93,17 @@ const seatSchema = new mongoose.Schema({
     ref: 'Booking',
     default: null,
     description: 'Reference to booking document'
+  },
+  
+  bookedSegments: {
+    type: [{
+      _id: false,
+      from: { type: Number, required: true },
+      to: { type: Number, required: true },
+      bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true }
+    }],
+    default: [],
+    description: 'Segments sold on a multi-stop route (stop index ranges [from, to)); status is BOOKED once every leg is sold'
   }
 }, {
   timestamps: true,
@@ -93,4 +131,42 @@ seatSchema.methods.markBooked = function(userId, bookingId) {
   this.bookingId = bookingId;
 };
 
+/**
+ * Section the seat belongs to (layout position, else tenant metadata)
+ * @returns {String|null} Section code
+ */
+seatSchema.methods.getSection = function() {
+  return this.position?.section || this.metadata?.section || null;
+};
+
+/**
+ * Whether a segment overlaps none of the segments already sold
+ * @param {Number} from - First stop index
+ * @param {Number} to - Last stop index (exclusive leg bound)
+ * @returns {Boolean} True if the segment is free
+ */
+seatSchema.methods.isSegmentFree = function(from, to) {
+  return seatSchema.statics.isSegmentFree(this.bookedSegments, from, to);
+};
+
+// Same check for lean seat objects
+seatSchema.statics.isSegmentFree = function(bookedSegments = [], from, to) {
+  return !bookedSegments.some(segment => segment.from < to && from < segment.to);
+};
+
+/**
+ * Whether every leg of the route has been sold
+ * @param {Number} legCount - Number of legs (stops - 1)
+ * @returns {Boolean} True if fully booked
+ */
+seatSchema.methods.isFullyBooked = function(legCount) {
+  const sold = new Set();
+  this.bookedSegments.forEach(segment => {
+    for (let leg = segment.from; leg < segment.to; leg++) {
+      sold.add(leg);
+    }
+  });
+  return sold.size >= legCount;
+};
+
 module.exports = mongoose.model('Seat', seatSchema);
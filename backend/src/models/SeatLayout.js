@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+/**
+ * SeatLayout Schema
+ *
+ * Geometry of a hall, bus or screen: a grid of cells holding seats, with
+ * aisles, sections, accessibility spots and blocked seats. A layout can be
+ * shared by every entity at the same venue (Entity.layoutId) and is used to
+ * generate seats (/admin/sync-seats) and to draw the seat map (/seats/status).
+ *
+ * Rows and columns are 0-based grid coordinates; seatNumber is the label
+ * printed on the ticket.
+ */
+const layoutSeatSchema = new mongoose.Schema({
+  seatNumber: { type: String, required: true, trim: true },
+  row: { type: Number, required: true, min: 0 },
+  column: { type: Number, required: true, min: 0 },
+  section: { type: String, default: null },
+  price: { type: Number, min: 0, default: null }, // Minor units; null = section price
+  accessible: { type: Boolean, default: false },
+  blocked: { type: Boolean, default: false }
+}, { _id: false });
+
+const seatLayoutSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'Which app owns this layout'
+  },
+
+  layoutId: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'Tenant-chosen ID (e.g. "city-arena-main-hall")'
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'Display name'
+  },
+
+  venue: {
+    type: String,
+    trim: true,
+    default: null,
+    description: 'Venue, bus model or screen this layout describes'
+  },
+
+  grid: {
+    rows: { type: Number, required: true, min: 1 },
+    columns: { type: Number, required: true, min: 1 }
+  },
+
+  sections: {
+    type: [{
+      _id: false,
+      code: { type: String, required: true, trim: true },
+      name: { type: String, trim: true },
+      price: { type: Number, min: 0, default: null },
+      color: { type: String, default: null }
+    }],
+    default: [],
+    description: 'Seat sections (VIP, GENERAL, ...) with default price (minor units) and map color'
+  },
+
+  aisles: {
+    type: [{
+      _id: false,
+      axis: { type: String, required: true, enum: ['ROW', 'COLUMN'] },
+      index: { type: Number, required: true, min: 0 }
+    }],
+    default: [],
+    description: 'Grid rows/columns left empty as walkways'
+  },
+
+  seats: {
+    type: [layoutSeatSchema],
+    default: [],
+    description: 'Seat positions; blocked seats are drawn but never sold'
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    description: 'Stage position, labels, rendering hints, ...'
+  }
+}, {
+  timestamps: true,
+  collection: 'seat_layouts'
+});
+
+// Indexes
+seatLayoutSchema.index({ appId: 1, layoutId: 1 }, { unique: true });
+
+// Validation
+seatLayoutSchema.pre('validate', function(next) {
+  const sectionCodes = new Set(this.sections.map(section => section.code));
+  if (sectionCodes.size !== this.sections.length) {
+    this.invalidate('sections', 'Section codes must be unique');
+  }
+
+  const aisleRows = new Set(this.aisles.filter(aisle => aisle.axis === 'ROW').map(aisle => aisle.index));
+  const aisleColumns = new Set(this.aisles.filter(aisle => aisle.axis === 'COLUMN').map(aisle => aisle.index));
+  const seatNumbers = new Set();
+  const cells = new Set();
+
+  for (const seat of this.seats) {
+    const cell = `${seat.row}:${seat.column}`;
+
+    if (seat.row >= this.grid.rows || seat.column >= this.grid.columns) {
+      this.invalidate('seats', `Seat ${seat.seatNumber} is outside the ${this.grid.rows}x${this.grid.columns} grid`);
+    } else if (aisleRows.has(seat.row) || aisleColumns.has(seat.column)) {
+      this.invalidate('seats', `Seat ${seat.seatNumber} is placed on an aisle`);
+    } else if (cells.has(cell)) {
+      this.invalidate('seats', `Seat ${seat.seatNumber} overlaps another seat`);
+    } else if (seatNumbers.has(seat.seatNumber)) {
+      this.invalidate('seats', `Seat number ${seat.seatNumber} is used twice`);
+    } else if (seat.section && !sectionCodes.has(seat.section)) {
+      this.invalidate('seats', `Seat ${seat.seatNumber} refers to unknown section ${seat.section}`);
+    } else if (seat.price === null && !seat.blocked && this.getSectionPrice(seat.section) === null) {
+      this.invalidate('seats', `Seat ${seat.seatNumber} has no price (set one on the seat or its section)`);
+    }
+
+    seatNumbers.add(seat.seatNumber);
+    cells.add(cell);
+  }
+
+  next();
+});
+
+// Methods
+
+/**
+ * Default price of a section
+ * @param {String} code - Section code
+ * @returns {Number|null} Price, or null if the section has none
+ */
+seatLayoutSchema.methods.getSectionPrice = function(code) {
+  const section = this.sections.find(candidate => candidate.code === code);
+  return section && section.price !== null && section.price !== undefined ? section.price : null;
+};
+
+/**
+ * Seats to create for an entity using this layout (blocked seats excluded)
+ * @returns {Array<Object>} { seatNumber, price, position }
+ */
+seatLayoutSchema.methods.getSellableSeats = function() {
+  return this.seats
+    .filter(seat => !seat.blocked)
+    .map(seat => ({
+      seatNumber: seat.seatNumber,
+      price: seat.price !== null ? seat.price : this.getSectionPrice(seat.section),
+      position: {
+        row: seat.row,
+        column: seat.column,
+        section: seat.section,
+        accessible: seat.accessible
+      }
+    }));
+};
+
+/**
+ * Geometry for rendering (without the per-seat list, which comes merged with live state)
+ * @returns {Object} Layout summary
+ */
+seatLayoutSchema.methods.toMap = function() {
+  return {
+    layoutId: this.layoutId,
+    name: this.name,
+    venue: this.venue,
+    grid: { rows: this.grid.rows, columns: this.grid.columns },
+    sections: this.sections.map(section => section.toObject()),
+    aisles: this.aisles.map(aisle => aisle.toObject()),
+    blocked: this.seats
+      .filter(seat => seat.blocked)
+      .map(seat => ({ seatNumber: seat.seatNumber, row: seat.row, column: seat.column, section: seat.section }))
+  };
+};
+
+module.exports = mongoose.model('SeatLayout', seatLayoutSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ticket Key Schema
+ *
+ * Ed25519 key pair an app's tickets are signed with
+ * Each app has one ACTIVE key; retired keys stay published so tickets issued
+ * before a rotation still verify (online and on offline scanners)
+ */
+const ticketKeySchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'App whose tickets this key signs'
+  },
+
+  keyId: {
+    type: String,
+    required: true,
+    description: 'Key ID carried in every ticket it signs (tk_...)'
+  },
+
+  algorithm: {
+    type: String,
+    required: true,
+    enum: ['Ed25519'],
+    default: 'Ed25519',
+    description: 'Signature algorithm'
+  },
+
+  publicKey: {
+    type: String,
+    required: true,
+    description: 'Public key (SPKI PEM), published for offline verification'
+  },
+
+  privateKey: {
+    type: String,
+    required: true,
+    select: false,
+    description: 'Private key (PKCS#8 PEM), never leaves the server'
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['ACTIVE', 'RETIRED'],
+    default: 'ACTIVE',
+    description: 'ACTIVE signs new tickets; RETIRED only verifies old ones'
+  },
+
+  retiredAt: {
+    type: Date,
+    default: null,
+    description: 'When the key was rotated out'
+  }
+}, {
+  timestamps: true,
+  collection: 'ticket_keys'
+});
+
+// Indexes
+ticketKeySchema.index({ keyId: 1 }, { unique: true });
+ticketKeySchema.index({ appId: 1, createdAt: -1 });
+// At most one signing key per app, even when two requests create it at once
+ticketKeySchema.index({ appId: 1 }, { unique: true, partialFilterExpression: { status: 'ACTIVE' } });
+
+// Methods
+ticketKeySchema.methods.toPublicObject = function() {
+  return {
+    keyId: this.keyId,
+    algorithm: this.algorithm,
+    publicKey: this.publicKey,
+    status: this.status,
+    createdAt: this.createdAt,
+    retiredAt: this.retiredAt
+  };
+};
+
+module.exports = mongoose.model('TicketKey', ticketKeySchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Waitlist Entry Schema
+ *
+ * A user's place in the queue for a sold-out entity.
+ * When a matching seat frees up, the first WAITING entry gets an exclusive,
+ * time-boxed hold on it (a regular reservation) and moves to OFFERED.
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  waitlistId: {
+    type: String,
+    required: true,
+    description: 'Unique waitlist entry ID (wl_...)'
+  },
+
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'App context'
+  },
+
+  entityId: {
+    type: String,
+    required: true,
+    description: 'Entity (event/bus/movie) being waited for'
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.Mixed, // ObjectId string (Hackwow users) or String (external users)
+    required: true,
+    description: 'Waiting user'
+  },
+
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    description: 'Seat metadata the offered seat must match (e.g. { category: "VIP" })'
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['WAITING', 'OFFERED', 'FULFILLED', 'EXPIRED', 'DECLINED', 'LEFT'],
+    default: 'WAITING',
+    description: 'WAITING -> OFFERED -> FULFILLED (booked) | EXPIRED (hold lapsed) | DECLINED (hold released); LEFT by the user'
+  },
+
+  offer: {
+    reservationToken: { type: String, default: null },
+    seatId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seat', default: null },
+    seatNumber: { type: String, default: null },
+    offeredAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null }
+  }
+}, {
+  timestamps: true,
+  collection: 'waitlist_entries'
+});
+
+// Indexes
+waitlistEntrySchema.index({ waitlistId: 1 }, { unique: true });
+waitlistEntrySchema.index({ appId: 1, entityId: 1, status: 1, createdAt: 1 }); // Queue order
+waitlistEntrySchema.index({ appId: 1, entityId: 1, userId: 1, status: 1 });
+waitlistEntrySchema.index({ 'offer.reservationToken': 1 }, { sparse: true });
+
+// Methods
+waitlistEntrySchema.methods.isOpen = function() {
+  return this.status === 'WAITING' || this.status === 'OFFERED';
+};
+
+/**
+ * Whether a seat satisfies this entry's filters
+ * @param {Seat} seat - Seat document
+ * @returns {Boolean} True if every filter matches seat.metadata
+ */
+waitlistEntrySchema.methods.matchesSeat = function(seat) {
+  const metadata = seat.metadata || {};
+  return Object.entries(this.filters || {}).every(([key, value]) => metadata[key] === value);
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
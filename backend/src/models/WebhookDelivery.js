@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Delivery Schema
+ * 
+ * One event sent to one endpoint, with its retry state
+ * Doubles as the delivery log shown on the admin dashboard
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    description: 'Unique delivery ID (whd_...), sent as X-Hackwow-Delivery'
+  },
+  
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'WebhookEndpoint',
+    description: 'Target endpoint'
+  },
+  
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'App context'
+  },
+  
+  event: {
+    type: String,
+    required: true,
+    description: 'Event name (booking.confirmed, ...)'
+  },
+  
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    description: 'Event data sent to the endpoint'
+  },
+  
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDING', 'SUCCEEDED', 'FAILED'],
+    default: 'PENDING',
+    description: 'PENDING until delivered or retries are exhausted'
+  },
+  
+  attempts: {
+    type: Number,
+    default: 0,
+    description: 'Delivery attempts made so far'
+  },
+  
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+    description: 'When the dispatcher should try next'
+  },
+  
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+    description: 'When the last attempt was made'
+  },
+  
+  lastResponseStatus: {
+    type: Number,
+    default: null,
+    description: 'HTTP status returned by the endpoint on the last attempt'
+  },
+  
+  lastError: {
+    type: String,
+    default: null,
+    description: 'Error from the last failed attempt'
+  },
+  
+  deliveredAt: {
+    type: Date,
+    default: null,
+    description: 'When the endpoint acknowledged the event'
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries'
+});
+
+// Indexes
+webhookDeliverySchema.index({ deliveryId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Dispatcher queue
+webhookDeliverySchema.index({ appId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../utils/eventBus');
+
+/**
+ * Webhook Endpoint Schema
+ * 
+ * A tenant URL that receives signed booking lifecycle events
+ * Each endpoint has its own signing secret
+ */
+const webhookEndpointSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'App',
+    description: 'App that owns this endpoint'
+  },
+  
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    description: 'HTTPS URL that receives event deliveries'
+  },
+  
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    description: 'HMAC signing secret (whsec_...), returned only once at creation'
+  },
+  
+  events: {
+    type: [String],
+    enum: WEBHOOK_EVENTS,
+    default: [],
+    description: 'Subscribed events (empty = all events)'
+  },
+  
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    description: 'Human-readable label'
+  },
+  
+  isActive: {
+    type: Boolean,
+    default: true,
+    description: 'Disabled endpoints receive no new deliveries'
+  },
+  
+  createdBy: {
+    type: String,
+    description: 'Admin email who registered this endpoint'
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_endpoints'
+});
+
+// Indexes
+webhookEndpointSchema.index({ appId: 1, isActive: 1 });
+
+// Methods
+webhookEndpointSchema.methods.isSubscribedTo = function(event) {
+  return this.events.length === 0 || this.events.includes(event);
+};
+
+webhookEndpointSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.secret; // Never expose signing secret after creation
+  return obj;
+};
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -1,26 +1,181 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const App = require('../models/App');
 const Booking = require('../models/Booking');
 const Seat = require('../models/Seat');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Notification = require('../models/Notification');
+const webhookService = require('../services/webhookService');
+const bookingService = require('../services/bookingService');
+const entityService = require('../services/entityService');
+const layoutService = require('../services/layoutService');
+const promoService = require('../services/promoService');
+const ticketService = require('../services/ticketService');
+const rateLimitService = require('../services/rateLimitService');
+const notificationService = require('../services/notificationService');
+const apiKeyService = require('../services/apiKeyService');
+const { WEBHOOK_EVENTS, NOTIFICATION_EVENTS } = require('../utils/eventBus');
 const { adminAuth, adminLogin } = require('../middleware/adminAuth');
-const { appAuth } = require('../middleware/appAuth');
+const { appAuth, requireScope, adminOrAppAuth } = require('../middleware/appAuth');
 const { validate } = require('../middleware/validator');
+const { rateLimit } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { createEntityValidators, updateEntityValidators, listEntityValidators } = require('./entityValidators');
 const ApiResponse = require('../utils/response');
-const { ConflictError } = require('../utils/errors');
+const { ConflictError, ValidationError } = require('../utils/errors');
 const Logger = require('../utils/logger');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
+const { PAYMENT_PROVIDERS } = require('../services/payments');
+const { RATE_LIMIT_SCOPES, APP_RATE_LIMIT_CLASSES } = require('../config/rateLimits');
+const { API_KEY_SCOPES, API_KEY_TYPES, MAX_ROTATION_GRACE_SECONDS } = require('../config/apiKeys');
+const env = require('../config/env');
 
 const router = express.Router();
 
+/**
+ * Validation for the typed per-app reservation policy
+ * Shared by app creation and app update
+ */
+const RESERVATION_POLICY_FIELDS = [
+  'maxHoldSeconds', 'maxExtensions', 'extensionSeconds',
+  'maxActiveReservations', 'maxHeldSeatsPerEntity', 'maxBookedSeatsPerEntity'
+];
+const REFUND_POLICY_FIELDS = ['allowCancellation', 'tiers', 'fallbackRefundPercent'];
+
+const reservationPolicyValidators = [
+  body('reservationPolicy').optional().isObject().withMessage('Reservation policy must be an object'),
+  body('reservationPolicy.maxHoldSeconds').optional().isInt({ min: 0 }).withMessage('maxHoldSeconds must be >= 0'),
+  body('reservationPolicy.maxExtensions').optional().isInt({ min: 0 }).withMessage('maxExtensions must be >= 0'),
+  body('reservationPolicy.extensionSeconds').optional().isInt({ min: 1 }).withMessage('extensionSeconds must be >= 1'),
+  body('reservationPolicy.maxActiveReservations').optional().isInt({ min: 0 }).withMessage('maxActiveReservations must be >= 0'),
+  body('reservationPolicy.maxHeldSeatsPerEntity').optional().isInt({ min: 0 }).withMessage('maxHeldSeatsPerEntity must be >= 0'),
+  body('reservationPolicy.maxBookedSeatsPerEntity').optional().isInt({ min: 0 }).withMessage('maxBookedSeatsPerEntity must be >= 0')
+];
+
+const refundPolicyValidators = [
+  body('refundPolicy').optional().isObject().withMessage('Refund policy must be an object'),
+  body('refundPolicy.allowCancellation').optional().isBoolean().withMessage('allowCancellation must be a boolean'),
+  body('refundPolicy.tiers').optional().isArray().withMessage('Refund tiers must be an array'),
+  body('refundPolicy.tiers.*.hoursBeforeEvent').isFloat({ min: 0 }).withMessage('hoursBeforeEvent must be >= 0'),
+  body('refundPolicy.tiers.*.refundPercent').isFloat({ min: 0, max: 100 }).withMessage('refundPercent must be 0-100'),
+  body('refundPolicy.fallbackRefundPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('fallbackRefundPercent must be 0-100')
+];
+
+/**
+ * Validation for ticket and invoice templates
+ * Shared by app creation and app update
+ */
+const DOCUMENT_TEMPLATE_FIELDS = {
+  ticket: ['html', 'footer'],
+  invoice: [
+    'html', 'footer', 'numberPrefix', 'sellerName', 'sellerAddress', 'sellerTaxId', 'taxLabel', 'taxRatePercent', 'splitTax'
+  ]
+};
+
+const documentTemplateValidators = [
+  body('documentTemplates').optional().isObject().withMessage('Document templates must be an object'),
+  body(['documentTemplates.ticket.html', 'documentTemplates.invoice.html'])
+    .optional({ nullable: true }).isString().isLength({ max: 100000 }).withMessage('Templates must be HTML up to 100000 characters'),
+  body(['documentTemplates.ticket.footer', 'documentTemplates.invoice.footer'])
+    .optional().isString().isLength({ max: 1000 }).withMessage('Footers must be at most 1000 characters'),
+  body('documentTemplates.invoice.numberPrefix').optional().isString().isLength({ max: 20 }).withMessage('numberPrefix must be at most 20 characters'),
+  body(['documentTemplates.invoice.sellerName', 'documentTemplates.invoice.sellerAddress', 'documentTemplates.invoice.sellerTaxId'])
+    .optional({ nullable: true }).isString().withMessage('Seller details must be strings'),
+  body('documentTemplates.invoice.taxLabel').optional().isString().isLength({ max: 20 }).withMessage('taxLabel must be at most 20 characters'),
+  body('documentTemplates.invoice.taxRatePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('taxRatePercent must be 0-100'),
+  body('documentTemplates.invoice.splitTax').optional().isBoolean().withMessage('splitTax must be a boolean')
+];
+
+/**
+ * Apply the given template fields to an app, leaving the others unchanged
+ */
+function applyDocumentTemplates(app, documentTemplates) {
+  for (const [kind, fields] of Object.entries(DOCUMENT_TEMPLATE_FIELDS)) {
+    const values = documentTemplates[kind] || {};
+    fields
+      .filter(field => values[field] !== undefined)
+      .forEach(field => app.set(`documentTemplates.${kind}.${field}`, values[field]));
+  }
+}
+
+/**
+ * Validation for user notification settings
+ * Shared by app creation and app update
+ */
+const NOTIFICATION_SETTINGS_FIELDS = ['enabled', 'channels', 'events', 'templates'];
+
+const notificationSettingsValidators = [
+  body('notifications').optional().isObject().withMessage('Notification settings must be an object'),
+  body('notifications.enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('notifications.channels').optional().isArray().withMessage('Channels must be an array'),
+  body('notifications.channels.*').isIn(['EMAIL', 'SMS']).withMessage('Channels must be EMAIL or SMS'),
+  body('notifications.events').optional().isArray().withMessage('Events must be an array'),
+  body('notifications.events.*').isIn(NOTIFICATION_EVENTS).withMessage(`Events must be one of: ${NOTIFICATION_EVENTS.join(', ')}`),
+  body('notifications.templates').optional().isArray().withMessage('Templates must be an array'),
+  body('notifications.templates.*.event').isIn(NOTIFICATION_EVENTS).withMessage(`Template event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`),
+  body(['notifications.templates.*.subject', 'notifications.templates.*.sms'])
+    .optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Subjects and SMS text must be at most 1000 characters'),
+  body('notifications.templates.*.email')
+    .optional({ nullable: true }).isString().isLength({ max: 20000 }).withMessage('Email text must be at most 20000 characters')
+];
+
+/**
+ * Apply the given notification settings to an app, leaving the others unchanged
+ */
+function applyNotificationSettings(app, notifications) {
+  NOTIFICATION_SETTINGS_FIELDS
+    .filter(field => notifications[field] !== undefined)
+    .forEach(field => app.set(`notifications.${field}`, notifications[field]));
+}
+
+/**
+ * Validation for per-app rate limit overrides (replace the app's list)
+ * Shared by app creation and app update
+ */
+const rateLimitValidators = [
+  body('rateLimits').optional().isArray().withMessage('Rate limits must be an array'),
+  body('rateLimits.*.routeClass').isIn(APP_RATE_LIMIT_CLASSES).withMessage(`routeClass must be one of: ${APP_RATE_LIMIT_CLASSES.join(', ')}`),
+  body('rateLimits.*.scope').isIn(RATE_LIMIT_SCOPES).withMessage(`scope must be one of: ${RATE_LIMIT_SCOPES.join(', ')}`),
+  body('rateLimits.*.limit').isInt({ min: 0 }).withMessage('limit must be >= 0 (0 = unlimited)'),
+  body('rateLimits.*.windowSeconds').optional().isInt({ min: 1, max: 86400 }).withMessage('windowSeconds must be 1-86400')
+];
+
+/**
+ * Validation for an app's payment gateway (the fake gateway is for development and tests only)
+ */
+const paymentGatewayValidator = body('paymentGateway')
+  .optional({ nullable: true })
+  .isIn(PAYMENT_PROVIDERS.filter(provider => provider !== 'fake' || !env.isProduction()))
+  .withMessage('Unsupported payment gateway');
+
+/**
+ * Validation for promo codes
+ * Shared by code creation and code update
+ */
+const promoCodeValidators = [
+  body('description').optional({ nullable: true }).isString(),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be >= 0'),
+  body('currency').optional({ nullable: true }).isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+  body('maxDiscount').optional({ nullable: true }).isInt({ min: 0 }).withMessage('maxDiscount must be an integer >= 0 (minor units)'),
+  body('minOrderAmount').optional().isInt({ min: 0 }).withMessage('minOrderAmount must be an integer >= 0 (minor units)'),
+  body('validFrom').optional({ nullable: true }).isISO8601().withMessage('validFrom must be an ISO 8601 date'),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('validUntil must be an ISO 8601 date'),
+  body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }).withMessage('maxRedemptions must be >= 1'),
+  body('maxRedemptionsPerUser').optional({ nullable: true }).isInt({ min: 1 }).withMessage('maxRedemptionsPerUser must be >= 1'),
+  body('eligibleEntityIds').optional().isArray().withMessage('eligibleEntityIds must be an array'),
+  body('eligibleSections').optional().isArray().withMessage('eligibleSections must be an array'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
 /**
  * POST /admin/login
  * Admin login endpoint
  */
 router.post(
   '/login',
+  rateLimit('auth'),
   [
     body('username').optional().trim(),
     body('email').optional().isEmail(),
@@ -56,16 +211,49 @@ router.post(
     body('name').trim().notEmpty().withMessage('App name is required'),
     body('domain').isIn(['EVENT', 'BUS', 'MOVIE']).withMessage('Valid domain is required'),
     body('allowedDomains').isArray().withMessage('Allowed domains must be an array'),
+    body('defaultCurrency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    paymentGatewayValidator,
+    ...reservationPolicyValidators,
+    ...refundPolicyValidators,
+    ...documentTemplateValidators,
+    ...notificationSettingsValidators,
+    ...rateLimitValidators,
     validate
   ],
   asyncHandler(async (req, res) => {
-    const { name, domain, allowedDomains, metadata } = req.body;
+    const {
+      name, domain, allowedDomains, defaultCurrency, paymentGateway, reservationPolicy, refundPolicy, documentTemplates,
+      notifications, rateLimits, metadata
+    } = req.body;
 
     // Generate unique appId
     const appId = `APP-${crypto.randomUUID()}`;
     
-    // Generate API key (64 random hex characters)
-    const apiKey = `sk_live_${crypto.randomBytes(32).toString('hex')}`;
+    // First API keys; only their digests are stored:
+    // a secret key (sk_live_<key id>_<secret>, every scope) for the app's servers and,
+    // when there are allowedDomains to bind it to, a publishable key for its browser clients
+    const secretKey = apiKeyService.generate('secret');
+    const apiKeys = [{
+      keyId: secretKey.prefix,
+      name: 'default',
+      type: 'secret',
+      digest: secretKey.digest,
+      scopes: API_KEY_SCOPES,
+      createdBy: req.admin.email
+    }];
+
+    let publishableKey = null;
+    if (allowedDomains.some(allowedDomain => allowedDomain !== '*')) {
+      publishableKey = apiKeyService.generate('publishable');
+      apiKeys.push({
+        keyId: publishableKey.prefix,
+        name: 'browser',
+        type: 'publishable',
+        digest: publishableKey.digest,
+        scopes: API_KEY_TYPES.publishable.scopes,
+        createdBy: req.admin.email
+      });
+    }
 
     // Check if app already exists (shouldn't happen with UUID, but just in case)
     const existingApp = await App.findOne({ appId });
@@ -73,28 +261,35 @@ router.post(
       throw new ConflictError('App ID collision - please try again');
     }
 
-    // Hash API key
-    const apiKeyHash = await bcrypt.hash(apiKey, 10);
-
     // Create app
     const app = new App({
       appId,
-      apiKeyHash,
+      apiKeys,
       name,
       domain,
       allowedDomains,
+      defaultCurrency,
+      paymentGateway,
       isActive: true,
+      reservationPolicy,
+      refundPolicy,
+      rateLimits,
       metadata: metadata || {},
       createdBy: req.admin.email
     });
 
+    if (documentTemplates) applyDocumentTemplates(app, documentTemplates);
+    if (notifications) applyNotificationSettings(app, notifications);
+
     await app.save();
 
     return ApiResponse.created(
       res,
       {
         app: app.toSafeObject(),
-        apiKey // Return API key only once (never stored in plain text)
+        // Return API keys only once (never stored in plain text)
+        apiKey: secretKey.apiKey,
+        publishableKey: publishableKey ? publishableKey.apiKey : null
       },
       'App created successfully'
     );
@@ -118,7 +313,7 @@ router.get(
     const skip = (page - 1) * limit;
 
     const apps = await App.find(query)
-      .select('-apiKeyHash')
+      .select('-apiKeyHash -apiKeyDigest -apiKeys.digest -apiKeys.hash')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip)
@@ -148,7 +343,7 @@ router.get(
   asyncHandler(async (req, res) => {
     const { appId } = req.params;
 
-    const app = await App.findOne({ appId }).select('-apiKeyHash');
+    const app = await App.findOne({ appId }).select('-apiKeyHash -apiKeyDigest -apiKeys.digest -apiKeys.hash');
 
     if (!app) {
       return ApiResponse.notFound(res, 'App');
@@ -165,9 +360,22 @@ router.get(
 router.patch(
   '/apps/:appId',
   adminAuth,
+  [
+    body('defaultCurrency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    paymentGatewayValidator,
+    ...reservationPolicyValidators,
+    ...refundPolicyValidators,
+    ...documentTemplateValidators,
+    ...notificationSettingsValidators,
+    ...rateLimitValidators,
+    validate
+  ],
   asyncHandler(async (req, res) => {
     const { appId } = req.params;
-    const { name, allowedDomains, isActive, metadata } = req.body;
+    const {
+      name, allowedDomains, isActive, defaultCurrency, paymentGateway, reservationPolicy, refundPolicy, documentTemplates,
+      notifications, rateLimits, metadata
+    } = req.body;
 
     const app = await App.findOne({ appId });
 
@@ -179,23 +387,62 @@ router.patch(
     if (name) app.name = name;
     if (allowedDomains) app.allowedDomains = allowedDomains;
     if (isActive !== undefined) app.isActive = isActive;
+    if (defaultCurrency) app.defaultCurrency = defaultCurrency;
+    if (paymentGateway !== undefined) app.paymentGateway = paymentGateway;
+    if (reservationPolicy) {
+      RESERVATION_POLICY_FIELDS
+        .filter(field => reservationPolicy[field] !== undefined)
+        .forEach(field => app.set(`reservationPolicy.${field}`, reservationPolicy[field]));
+    }
+    if (refundPolicy) {
+      REFUND_POLICY_FIELDS
+        .filter(field => refundPolicy[field] !== undefined)
+        .forEach(field => app.set(`refundPolicy.${field}`, refundPolicy[field]));
+    }
+    if (documentTemplates) applyDocumentTemplates(app, documentTemplates);
+    if (notifications) applyNotificationSettings(app, notifications);
+    if (rateLimits) app.rateLimits = rateLimits;
     if (metadata) app.metadata = { ...app.metadata, ...metadata };
 
     await app.save();
+    await apiKeyService.invalidate(appId);
 
     return ApiResponse.success(res, { app: app.toSafeObject() }, 'App updated successfully');
   })
 );
 
+/**
+ * GET /admin/apps/:appId/rate-limits
+ * Effective rate limits of an app (defaults with its overrides applied)
+ */
+router.get(
+  '/apps/:appId/rate-limits',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const app = await App.findOne({ appId: req.params.appId }).select('rateLimits');
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    return ApiResponse.success(res, {
+      overrides: app.rateLimits,
+      limits: rateLimitService.getAllLimits(app.rateLimits)
+    });
+  })
+);
+
 /**
  * GET /admin/bookings
  * View all bookings (admin analytics)
+ * Apps may call it with an admin-report API key; they only see their own bookings
  */
 router.get(
   '/bookings',
-  adminAuth,
+  adminOrAppAuth('admin-report'),
   asyncHandler(async (req, res) => {
-    const { appId, domain, paymentStatus, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const { domain, paymentStatus, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const appId = req.admin ? req.query.appId : req.app.appId;
 
     const query = {};
     if (appId) query.appId = appId;
@@ -219,16 +466,17 @@ router.get(
 
     const total = await Booking.countDocuments(query);
 
-    // Calculate statistics
+    // Calculate statistics (revenue per currency - amounts in different currencies never add up)
     const stats = await Booking.aggregate([
       { $match: query },
       {
         $group: {
-          _id: null,
+          _id: '$currency',
           totalRevenue: { $sum: '$amount' },
           totalBookings: { $sum: 1 }
         }
-      }
+      },
+      { $sort: { _id: 1 } }
     ]);
 
     return ApiResponse.success(res, {
@@ -239,68 +487,787 @@ router.get(
         total,
         pages: Math.ceil(total / limit)
       },
-      statistics: stats[0] || { totalRevenue: 0, totalBookings: 0 }
+      statistics: {
+        totalBookings: stats.reduce((sum, row) => sum + row.totalBookings, 0),
+        byCurrency: stats.map(row => ({
+          currency: row._id,
+          totalRevenue: row.totalRevenue,
+          totalBookings: row.totalBookings
+        }))
+      }
+    });
+  })
+);
+
+/**
+ * POST /admin/bookings/:bookingId/cancel
+ * Cancel any booking on behalf of a tenant
+ * refundPercent overrides the app's refund policy (e.g. goodwill full refunds)
+ */
+router.post(
+  '/bookings/:bookingId/cancel',
+  adminAuth,
+  [
+    body('refundPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Refund percent must be 0-100'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+    const { refundPercent, reason } = req.body;
+
+    const cancellation = await bookingService.cancelBooking(bookingId, {
+      cancelledBy: 'ADMIN',
+      actor: req.admin.email,
+      reason,
+      refundPercent: refundPercent !== undefined ? parseFloat(refundPercent) : undefined
+    });
+
+    Logger.info('Booking cancelled by admin', {
+      bookingId,
+      admin: req.admin.email
     });
+
+    return ApiResponse.success(res, cancellation, 'Booking cancelled successfully');
   })
 );
 
+/**
+ * Validation for key rotation
+ * graceSeconds: how long the old key keeps working (0 = revoke now)
+ */
+const rotateKeyValidators = [
+  body('graceSeconds').optional().isInt({ min: 0, max: MAX_ROTATION_GRACE_SECONDS })
+    .withMessage(`graceSeconds must be 0-${MAX_ROTATION_GRACE_SECONDS}`),
+  validate
+];
+
 /**
  * POST /admin/apps/:appId/rotate-key
- * Rotate API key for an app
+ * Rotate the app's oldest active secret API key (see /api-keys/:keyId/rotate)
  */
 router.post(
   '/apps/:appId/rotate-key',
   adminAuth,
+  rotateKeyValidators,
+  asyncHandler(async (req, res) => {
+    const app = await App.findOne({ appId: req.params.appId });
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const { apiKey, key, previous } = await apiKeyService.rotateKey(app, null, {
+      graceSeconds: req.body.graceSeconds,
+      rotatedBy: req.admin.email
+    });
+
+    return ApiResponse.success(
+      res,
+      {
+        appId: app.appId,
+        key,
+        previous,
+        newApiKey: apiKey // Return only once
+      },
+      'API key rotated successfully'
+    );
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/api-keys
+ * API keys of an app (no secrets)
+ */
+router.get(
+  '/apps/:appId/api-keys',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const app = await App.findOne({ appId: req.params.appId });
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const apiKeys = await apiKeyService.listKeys(app);
+
+    return ApiResponse.success(res, { apiKeys, scopes: API_KEY_SCOPES, types: API_KEY_TYPES });
+  })
+);
+
+/**
+ * POST /admin/apps/:appId/api-keys
+ * Issue another named API key with a set of scopes
+ * type: secret (default) or publishable (read-seats/book only, needs allowedDomains)
+ */
+router.post(
+  '/apps/:appId/api-keys',
+  adminAuth,
   [
-    body('newApiKey').isLength({ min: 32 }).withMessage('New API key must be at least 32 characters'),
+    body('name').trim().notEmpty().withMessage('Key name is required'),
+    body('type').optional().isIn(Object.keys(API_KEY_TYPES))
+      .withMessage(`Type must be one of: ${Object.keys(API_KEY_TYPES).join(', ')}`),
+    body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+    body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
     validate
   ],
   asyncHandler(async (req, res) => {
-    const { appId } = req.params;
-    const { newApiKey } = req.body;
+    const app = await App.findOne({ appId: req.params.appId });
 
-    const app = await App.findOne({ appId });
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(app, {
+      name: req.body.name,
+      type: req.body.type,
+      scopes: req.body.scopes,
+      createdBy: req.admin.email
+    });
+
+    return ApiResponse.created(
+      res,
+      {
+        key,
+        apiKey // Return only once
+      },
+      'API key created successfully'
+    );
+  })
+);
+
+/**
+ * POST /admin/apps/:appId/api-keys/:keyId/rotate
+ * Replace a key; the old one keeps working for graceSeconds
+ * (default API_KEY_ROTATION_GRACE_SECONDS), then is rejected
+ */
+router.post(
+  '/apps/:appId/api-keys/:keyId/rotate',
+  adminAuth,
+  rotateKeyValidators,
+  asyncHandler(async (req, res) => {
+    const app = await App.findOne({ appId: req.params.appId });
 
     if (!app) {
       return ApiResponse.notFound(res, 'App');
     }
 
-    // Hash new API key
-    app.apiKeyHash = await bcrypt.hash(newApiKey, 10);
-    await app.save();
+    const { apiKey, key, previous } = await apiKeyService.rotateKey(app, req.params.keyId, {
+      graceSeconds: req.body.graceSeconds,
+      rotatedBy: req.admin.email
+    });
 
     return ApiResponse.success(
       res,
       {
-        appId: app.appId,
-        newApiKey // Return only once
+        key,
+        previous,
+        apiKey // Return only once
       },
       'API key rotated successfully'
     );
   })
 );
 
+/**
+ * DELETE /admin/apps/:appId/api-keys/:keyId
+ * Revoke a key immediately
+ */
+router.delete(
+  '/apps/:appId/api-keys/:keyId',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const app = await App.findOne({ appId: req.params.appId });
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const key = await apiKeyService.revokeKey(app, req.params.keyId);
+
+    return ApiResponse.success(res, { key }, 'API key revoked');
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/ticket-keys
+ * Ticket signing keys of an app (public parts only)
+ */
+router.get(
+  '/apps/:appId/ticket-keys',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const keys = await ticketService.listKeys(req.params.appId);
+
+    return ApiResponse.success(res, { keys });
+  })
+);
+
+/**
+ * POST /admin/apps/:appId/ticket-keys/rotate
+ * Start signing tickets with a new key
+ * Tickets signed with retired keys still verify
+ */
+router.post(
+  '/apps/:appId/ticket-keys/rotate',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const { appId } = req.params;
+
+    const app = await App.findOne({ appId });
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const key = await ticketService.rotateKey(appId);
+
+    Logger.info('Ticket key rotated by admin', { appId, keyId: key.keyId, admin: req.admin.email });
+
+    return ApiResponse.success(res, { key }, 'Ticket signing key rotated successfully');
+  })
+);
+
+/**
+ * POST /admin/apps/:appId/entities
+ * Create an entity (event / trip / show) for an app
+ */
+router.post(
+  '/apps/:appId/entities',
+  adminAuth,
+  [...createEntityValidators, validate],
+  asyncHandler(async (req, res) => {
+    const { appId } = req.params;
+
+    const app = await App.findOne({ appId });
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const entity = await entityService.create(appId, req.body);
+
+    return ApiResponse.created(res, { entity }, 'Entity created successfully');
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/entities
+ * List entities of an app
+ */
+router.get(
+  '/apps/:appId/entities',
+  adminAuth,
+  [...listEntityValidators, validate],
+  asyncHandler(async (req, res) => {
+    const { status, from, to, page = 1, limit = 20 } = req.query;
+
+    const result = await entityService.list(req.params.appId, {
+      status,
+      from,
+      to,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    return ApiResponse.success(res, result);
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/entities/:entityId
+ * Entity details
+ */
+router.get(
+  '/apps/:appId/entities/:entityId',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const entity = await entityService.get(req.params.appId, req.params.entityId);
+
+    return ApiResponse.success(res, { entity, onSale: entity.isOnSale() });
+  })
+);
+
+/**
+ * PATCH /admin/apps/:appId/entities/:entityId
+ * Update an entity's schedule, details or status
+ */
+router.patch(
+  '/apps/:appId/entities/:entityId',
+  adminAuth,
+  [...updateEntityValidators, validate],
+  asyncHandler(async (req, res) => {
+    const { appId, entityId } = req.params;
+
+    const entity = await entityService.update(appId, entityId, req.body);
+
+    Logger.info('Entity updated by admin', {
+      appId,
+      entityId,
+      status: entity.status,
+      admin: req.admin.email
+    });
+
+    return ApiResponse.success(res, { entity }, 'Entity updated successfully');
+  })
+);
+
+/**
+ * DELETE /admin/apps/:appId/entities/:entityId
+ * Delete a DRAFT entity
+ */
+router.delete(
+  '/apps/:appId/entities/:entityId',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    await entityService.remove(req.params.appId, req.params.entityId);
+
+    return ApiResponse.success(res, null, 'Entity deleted successfully');
+  })
+);
+
+/**
+ * POST /admin/apps/:appId/promo-codes
+ * Create a promo code for an app
+ */
+router.post(
+  '/apps/:appId/promo-codes',
+  adminAuth,
+  [
+    body('code').trim().matches(/^[A-Za-z0-9_-]{3,32}$/).withMessage('Code must be 3-32 letters, digits, - or _'),
+    body('discountType').isIn(['PERCENT', 'FLAT']).withMessage('discountType must be PERCENT or FLAT'),
+    body('value').isFloat({ min: 0 }).withMessage('Value must be >= 0'),
+    ...promoCodeValidators,
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { appId } = req.params;
+
+    const app = await App.findOne({ appId });
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const promoCode = await promoService.createCode(appId, req.body);
+
+    return ApiResponse.created(res, { promoCode }, 'Promo code created successfully');
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/promo-codes
+ * List promo codes of an app
+ */
+router.get(
+  '/apps/:appId/promo-codes',
+  adminAuth,
+  [
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { isActive, page = 1, limit = 20 } = req.query;
+
+    const result = await promoService.listCodes(req.params.appId, {
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    return ApiResponse.success(res, result);
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/promo-codes/report
+ * Redemption report: uses, discount given and revenue per code
+ */
+router.get(
+  '/apps/:appId/promo-codes/report',
+  adminOrAppAuth('admin-report'),
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { code, from, to } = req.query;
+
+    const report = await promoService.getReport(req.params.appId, { code, from, to });
+
+    return ApiResponse.success(res, report);
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/promo-codes/:code
+ * Promo code details
+ */
+router.get(
+  '/apps/:appId/promo-codes/:code',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const promoCode = await promoService.getCode(req.params.appId, req.params.code);
+
+    return ApiResponse.success(res, { promoCode });
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/promo-codes/:code/redemptions
+ * Individual uses of a promo code
+ */
+router.get(
+  '/apps/:appId/promo-codes/:code/redemptions',
+  adminAuth,
+  [
+    query('status').optional().isIn(['APPLIED', 'REDEEMED', 'RELEASED']).withMessage('Invalid status'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const result = await promoService.listRedemptions(req.params.appId, req.params.code, {
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    return ApiResponse.success(res, result);
+  })
+);
+
+/**
+ * PATCH /admin/apps/:appId/promo-codes/:code
+ * Update a promo code (limits, validity, eligibility, isActive)
+ */
+router.patch(
+  '/apps/:appId/promo-codes/:code',
+  adminAuth,
+  [
+    body('discountType').optional().isIn(['PERCENT', 'FLAT']).withMessage('discountType must be PERCENT or FLAT'),
+    ...promoCodeValidators,
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { appId, code } = req.params;
+
+    const promoCode = await promoService.updateCode(appId, code, req.body);
+
+    Logger.info('Promo code updated by admin', { appId, code: promoCode.code, admin: req.admin.email });
+
+    return ApiResponse.success(res, { promoCode }, 'Promo code updated successfully');
+  })
+);
+
+/**
+ * DELETE /admin/apps/:appId/promo-codes/:code
+ * Delete a promo code that was never used
+ */
+router.delete(
+  '/apps/:appId/promo-codes/:code',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    await promoService.removeCode(req.params.appId, req.params.code);
+
+    return ApiResponse.success(res, null, 'Promo code deleted successfully');
+  })
+);
+
+/**
+ * POST /admin/apps/:appId/webhooks
+ * Register a webhook endpoint for an app
+ * The signing secret is returned only once
+ */
+router.post(
+  '/apps/:appId/webhooks',
+  adminAuth,
+  [
+    body('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Valid URL is required'),
+    body('events').optional().isArray().withMessage('Events must be an array'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description').optional().isString(),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { appId } = req.params;
+    const { url, events = [], description } = req.body;
+
+    const app = await App.findOne({ appId });
+
+    if (!app) {
+      return ApiResponse.notFound(res, 'App');
+    }
+
+    const secret = webhookService.generateSecret();
+
+    const endpoint = new WebhookEndpoint({
+      appId,
+      url,
+      secret,
+      events,
+      description,
+      createdBy: req.admin.email
+    });
+
+    await endpoint.save();
+
+    return ApiResponse.created(
+      res,
+      {
+        endpoint: endpoint.toSafeObject(),
+        secret // Return signing secret only once
+      },
+      'Webhook endpoint registered successfully'
+    );
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/webhooks
+ * List webhook endpoints of an app
+ */
+router.get(
+  '/apps/:appId/webhooks',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const endpoints = await WebhookEndpoint.find({ appId: req.params.appId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return ApiResponse.success(res, { endpoints });
+  })
+);
+
+/**
+ * PATCH /admin/apps/:appId/webhooks/:endpointId
+ * Update a webhook endpoint (url, events, description, isActive)
+ */
+router.patch(
+  '/apps/:appId/webhooks/:endpointId',
+  adminAuth,
+  [
+    body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Valid URL is required'),
+    body('events').optional().isArray().withMessage('Events must be an array'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Event must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('isActive').optional().isBoolean(),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { appId, endpointId } = req.params;
+    const { url, events, description, isActive } = req.body;
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: endpointId, appId });
+
+    if (!endpoint) {
+      return ApiResponse.notFound(res, 'Webhook endpoint');
+    }
+
+    if (url) endpoint.url = url;
+    if (events) endpoint.events = events;
+    if (description !== undefined) endpoint.description = description;
+    if (isActive !== undefined) endpoint.isActive = isActive;
+
+    await endpoint.save();
+
+    return ApiResponse.success(res, { endpoint: endpoint.toSafeObject() }, 'Webhook endpoint updated successfully');
+  })
+);
+
+/**
+ * DELETE /admin/apps/:appId/webhooks/:endpointId
+ * Remove a webhook endpoint (pending deliveries to it will fail)
+ */
+router.delete(
+  '/apps/:appId/webhooks/:endpointId',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const { appId, endpointId } = req.params;
+
+    const result = await WebhookEndpoint.deleteOne({ _id: endpointId, appId });
+
+    if (result.deletedCount === 0) {
+      return ApiResponse.notFound(res, 'Webhook endpoint');
+    }
+
+    return ApiResponse.success(res, null, 'Webhook endpoint removed successfully');
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/webhook-deliveries
+ * Webhook delivery log (for the admin dashboard)
+ */
+router.get(
+  '/apps/:appId/webhook-deliveries',
+  adminAuth,
+  [
+    query('status').optional().isIn(['PENDING', 'SUCCEEDED', 'FAILED']).withMessage('Invalid status'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { appId } = req.params;
+    const { status, event, endpointId, page = 1, limit = 20 } = req.query;
+
+    const filter = { appId };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (endpointId) filter.endpointId = endpointId;
+
+    const skip = (page - 1) * limit;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .populate('endpointId', 'url description')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    return ApiResponse.success(res, {
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  })
+);
+
+/**
+ * POST /admin/webhook-deliveries/:deliveryId/retry
+ * Re-queue a delivery immediately
+ */
+router.post(
+  '/webhook-deliveries/:deliveryId/retry',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const delivery = await WebhookDelivery.findOne({ deliveryId: req.params.deliveryId });
+
+    if (!delivery) {
+      return ApiResponse.notFound(res, 'Webhook delivery');
+    }
+
+    await webhookService.retry(delivery);
+
+    return ApiResponse.success(res, { delivery }, 'Webhook delivery re-queued');
+  })
+);
+
+/**
+ * GET /admin/apps/:appId/notifications
+ * Email/SMS notification log (for the admin dashboard)
+ */
+router.get(
+  '/apps/:appId/notifications',
+  adminAuth,
+  [
+    query('status').optional().isIn(['PENDING', 'SENT', 'FAILED']).withMessage('Invalid status'),
+    query('channel').optional().isIn(['EMAIL', 'SMS']).withMessage('Invalid channel'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { appId } = req.params;
+    const { status, channel, event, userId, reference, page = 1, limit = 20 } = req.query;
+
+    const filter = { appId };
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+    if (event) filter.event = event;
+    if (userId) filter.userId = userId;
+    if (reference) filter.reference = reference;
+
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await Notification.countDocuments(filter);
+
+    return ApiResponse.success(res, {
+      notifications,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  })
+);
+
+/**
+ * POST /admin/notifications/:notificationId/retry
+ * Re-queue a notification immediately
+ */
+router.post(
+  '/notifications/:notificationId/retry',
+  adminAuth,
+  asyncHandler(async (req, res) => {
+    const notification = await Notification.findOne({ notificationId: req.params.notificationId });
+
+    if (!notification) {
+      return ApiResponse.notFound(res, 'Notification');
+    }
+
+    await notificationService.retry(notification);
+
+    return ApiResponse.success(res, { notification }, 'Notification re-queued');
+  })
+);
+
 /**
  * POST /admin/sync-seats
  * Bulk create/update seats for a client app
  * Used by client systems (Bus Ticketing, etc.) to sync their inventory
+ * Send `seats`, or a `layoutId` (default: the entity's layout) to generate
+ * the seats from a seat layout
+ * Prices are integers in minor units of the seat's `currency` (default: the
+ * request's `currency`, else the app's defaultCurrency)
  * 
  * Requires: App authentication (x-app-id, x-api-key)
  */
 router.post(
   '/sync-seats',
   appAuth,
+  requireScope('sync-seats'),
+  rateLimit('write'),
   [
     body('entityId').notEmpty().withMessage('Entity ID is required'),
-    body('seats').isArray({ min: 1 }).withMessage('Seats array is required'),
+    body('seats').optional().isArray({ min: 1 }).withMessage('Seats must be a non-empty array'),
     body('seats.*.seatNumber').notEmpty().withMessage('Seat number is required'),
-    body('seats.*.price').isFloat({ min: 0 }).withMessage('Valid price is required'),
+    body('seats.*.price').isInt({ min: 0 }).withMessage('Price must be an integer >= 0 (minor units)'),
+    body('seats.*.currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    body('layoutId').optional().isString().withMessage('Layout ID must be a string'),
     validate
   ],
   asyncHandler(async (req, res) => {
-    const { entityId, seats } = req.body;
+    const { entityId } = req.body;
     const { appId, domain } = req.app;
 
+    if (!req.body.seats) {
+      const layout = req.body.layoutId
+        ? await layoutService.get(appId, req.body.layoutId)
+        : await layoutService.resolveForEntity(appId, entityId);
+
+      if (!layout) {
+        throw new ValidationError('Send seats, or a layoutId (the entity has no layout)');
+      }
+
+      return syncSeatsFromLayout(req, res, layout);
+    }
+
+    const { seats } = req.body;
+    const currency = req.body.currency || req.app.defaultCurrency;
+
     Logger.info('[Seat Sync] Request received', {
       appId,
       entityId,
@@ -322,6 +1289,7 @@ router.post(
             entityId,
             seatNumber: seat.seatNumber,
             price: seat.price,
+            currency: seat.currency || currency,
             status: seat.status || 'AVAILABLE',
             metadata: seat.metadata || {}
           }
@@ -352,4 +1320,76 @@ router.post(
   })
 );
 
+/**
+ * Generate an entity's seats from a layout
+ * Positions and prices follow the layout; booked seats keep their status
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {SeatLayout} layout - Layout to generate from
+ */
+async function syncSeatsFromLayout(req, res, layout) {
+  const { entityId } = req.body;
+  const { appId, domain } = req.app;
+  const seats = layout.getSellableSeats();
+  const currency = req.body.currency || req.app.defaultCurrency;
+
+  Logger.info('[Seat Sync] Generating seats from layout', {
+    appId,
+    entityId,
+    layoutId: layout.layoutId,
+    seatCount: seats.length
+  });
+
+  const bulkOps = seats.map(seat => ({
+    updateOne: {
+      filter: {
+        appId,
+        entityId,
+        seatNumber: seat.seatNumber
+      },
+      update: {
+        $set: {
+          appId,
+          domain,
+          entityId,
+          seatNumber: seat.seatNumber,
+          price: seat.price,
+          currency,
+          layoutId: layout.layoutId,
+          position: seat.position
+        },
+        $setOnInsert: {
+          status: 'AVAILABLE',
+          metadata: {}
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  const result = bulkOps.length > 0
+    ? await Seat.bulkWrite(bulkOps)
+    : { upsertedCount: 0, modifiedCount: 0 };
+
+  Logger.info('[Seat Sync] Completed', {
+    appId,
+    entityId,
+    layoutId: layout.layoutId,
+    inserted: result.upsertedCount,
+    modified: result.modifiedCount
+  });
+
+  return ApiResponse.success(
+    res,
+    {
+      entityId,
+      layoutId: layout.layoutId,
+      synced: seats.length,
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount
+    },
+    'Seats generated from layout successfully'
+  );
+}
+
 module.exports = router;
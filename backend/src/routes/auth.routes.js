@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const { body } = require('express-validator');
 const User = require('../models/User');
 const { validate } = require('../middleware/validator');
+const { rateLimit } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/errorHandler');
 const TokenService = require('../services/tokenService');
 const ApiResponse = require('../utils/response');
@@ -16,6 +17,7 @@ const router = express.Router();
  */
 router.post(
   '/signup',
+  rateLimit('auth'),
   [
     body('email').isEmail().withMessage('Valid email is required'),
     body('password')
@@ -71,6 +73,7 @@ router.post(
  */
 router.post(
   '/login',
+  rateLimit('auth'),
   [
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').notEmpty().withMessage('Password is required'),
@@ -1,13 +1,25 @@
 const express = require('express');
 const { body, query } = require('express-validator');
-const { appAuth } = require('../middleware/appAuth');
+const { appAuth, requireScope } = require('../middleware/appAuth');
 const { externalUserAuth } = require('../middleware/userAuth');
 const { validate } = require('../middleware/validator');
+const { idempotency } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
 const { asyncHandler } = require('../middleware/errorHandler');
 const bookingService = require('../services/bookingService');
-const razorpayService = require('../services/razorpayService');
+const { getGateway, getGatewayForApp } = require('../services/payments');
+const paymentOrderService = require('../services/paymentOrderService');
+const refundService = require('../services/refundService');
+const seatStreamService = require('../services/seatStreamService');
+const layoutService = require('../services/layoutService');
+const promoService = require('../services/promoService');
+const ticketService = require('../services/ticketService');
+const documentService = require('../services/documentService');
+const notificationService = require('../services/notificationService');
+const env = require('../config/env');
 const ApiResponse = require('../utils/response');
 const Logger = require('../utils/logger');
+const { SUPPORTED_CURRENCIES } = require('../utils/currency');
 
 const router = express.Router();
 
@@ -21,19 +33,25 @@ router.use(appAuth);
  */
 router.get(
   '/seats',
+  requireScope('read-seats'),
   externalUserAuth,
+  rateLimit('read'),
   [
     query('entityId').notEmpty().withMessage('Entity ID is required'),
-    query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be >= 0'),
-    query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be >= 0'),
+    query('minPrice').optional().isInt({ min: 0 }).withMessage('Min price must be an integer >= 0 (minor units)'),
+    query('maxPrice').optional().isInt({ min: 0 }).withMessage('Max price must be an integer >= 0 (minor units)'),
+    query('fromStop').optional().isString().withMessage('fromStop must be a stop code'),
+    query('toStop').optional().isString().withMessage('toStop must be a stop code'),
     validate
   ],
   asyncHandler(async (req, res) => {
-    const { entityId, minPrice, maxPrice } = req.query;
+    const { entityId, minPrice, maxPrice, fromStop, toStop } = req.query;
 
     const filters = {};
-    if (minPrice) filters.minPrice = parseFloat(minPrice);
-    if (maxPrice) filters.maxPrice = parseFloat(maxPrice);
+    if (minPrice) filters.minPrice = parseInt(minPrice, 10);
+    if (maxPrice) filters.maxPrice = parseInt(maxPrice, 10);
+    if (fromStop) filters.fromStop = fromStop;
+    if (toStop) filters.toStop = toStop;
 
     const seats = await bookingService.getAvailableSeats(
       req.app.appId,
@@ -59,23 +77,40 @@ router.get(
 /**
  * GET /seats/status
  * Get all seats with lock status (for displaying reserved/locked seats)
+ * With includeLayout=true, seats carry their grid position and the response
+ * adds the layout geometry (grid, sections, aisles, blocked seats)
  * Requires: App auth + User auth (supports external users)
  */
 router.get(
   '/seats/status',
+  requireScope('read-seats'),
   externalUserAuth,
+  rateLimit('read'),
   [
     query('entityId').notEmpty().withMessage('Entity ID is required'),
+    query('fromStop').optional().isString().withMessage('fromStop must be a stop code'),
+    query('toStop').optional().isString().withMessage('toStop must be a stop code'),
+    query('includeLayout').optional().isBoolean().withMessage('includeLayout must be a boolean'),
     validate
   ],
   asyncHandler(async (req, res) => {
-    const { entityId } = req.query;
+    const { entityId, fromStop, toStop, includeLayout } = req.query;
 
-    const seats = await bookingService.getAllSeatsWithLockStatus(
+    let seats = await bookingService.getAllSeatsWithLockStatus(
       req.app.appId,
-      entityId
+      entityId,
+      { fromStop, toStop }
     );
 
+    let layout;
+    if (includeLayout === 'true') {
+      const seatLayout = await layoutService.resolveForEntity(req.app.appId, entityId, seats[0]?.layoutId);
+      if (seatLayout) {
+        seats = layoutService.mergePositions(seatLayout, seats);
+      }
+      layout = seatLayout ? seatLayout.toMap() : null;
+    }
+
     Logger.info('Seat status fetched', {
       appId: req.app.appId,
       entityId,
@@ -86,35 +121,109 @@ router.get(
     return ApiResponse.success(res, {
       seats,
       count: seats.length,
-      entityId
+      entityId,
+      ...(layout !== undefined && { layout })
+    });
+  })
+);
+
+/**
+ * GET /seats/stream
+ * Server-Sent Events stream of seat changes for an entity
+ * Sends a "snapshot" event with every seat's current status, then a
+ * "seat-delta" event (LOCKED, RELEASED, BOOKED, EXPIRED) whenever seats change
+ * Requires: App auth + User auth (supports external users)
+ */
+router.get(
+  '/seats/stream',
+  requireScope('read-seats'),
+  externalUserAuth,
+  rateLimit('read'),
+  [
+    query('entityId').notEmpty().withMessage('Entity ID is required'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { entityId } = req.query;
+    const { appId } = req.app;
+
+    const seats = await bookingService.getAllSeatsWithLockStatus(appId, entityId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    seatStreamService.write(res, 'snapshot', {
+      entityId,
+      seats: seats.map(seat => ({
+        id: seat._id,
+        seatNumber: seat.seatNumber,
+        status: seat.status === 'BOOKED' ? 'BOOKED' : seat.isLocked ? 'LOCKED' : 'AVAILABLE'
+      }))
+    });
+
+    const removeClient = seatStreamService.addClient(appId, entityId, res);
+
+    req.on('close', () => {
+      removeClient();
+      res.end();
+    });
+
+    Logger.info('Seat stream opened', {
+      appId,
+      entityId,
+      userId: req.user.id
     });
   })
 );
 
 /**
  * POST /reserve-seat
- * Reserve a seat (acquires lock)
+ * Reserve one seat (seatId) or several seats at once (seatIds[]) - acquires locks
+ * A multi-seat request either locks every seat under one token or none of them
+ * On multi-stop routes, fromStop/toStop pick the segment (default: the whole route)
+ * The user's email and phone are kept for booking notifications
  * Requires: App auth + User auth (supports external users)
+ * Honors Idempotency-Key (retries replay the first response)
  */
 router.post(
   '/reserve-seat',
+  requireScope('book'),
   externalUserAuth,
+  rateLimit('reserve'),
   [
-    body('seatId').notEmpty().withMessage('Seat ID is required'),
+    body('seatId')
+      .if(body('seatIds').not().exists())
+      .notEmpty().withMessage('Seat ID is required'),
+    body('seatIds')
+      .optional()
+      .isArray({ min: 1, max: env.MAX_SEATS_PER_RESERVATION })
+      .withMessage(`Seat IDs must be an array of 1-${env.MAX_SEATS_PER_RESERVATION} seats`),
+    body('seatIds.*').notEmpty().withMessage('Seat ID is required'),
+    body('fromStop').optional().isString().withMessage('fromStop must be a stop code'),
+    body('toStop').optional().isString().withMessage('toStop must be a stop code'),
+    body('promoCode').optional().isString().trim().notEmpty().withMessage('Promo code cannot be empty'),
     validate
   ],
+  idempotency,
   asyncHandler(async (req, res) => {
-    const { seatId } = req.body;
+    const { seatId, fromStop, toStop, promoCode } = req.body;
+    const seatIds = req.body.seatIds || [seatId];
 
-    const reservation = await bookingService.reserveSeat(
+    const reservation = await bookingService.reserveSeats(
       req.app.appId,
-      seatId,
-      req.user.id
+      seatIds,
+      req.user.id,
+      { fromStop, toStop, promoCode, contact: notificationService.getContact(req.user) }
     );
 
     Logger.info('Seat reserved', {
       appId: req.app.appId,
-      seatId,
+      seatIds,
       userId: req.user.id,
       reservationToken: reservation.reservationToken
     });
@@ -122,156 +231,295 @@ router.post(
     return ApiResponse.success(
       res,
       reservation,
-      'Seat reserved successfully. Complete payment within 2 minutes.'
+      seatIds.length > 1
+        ? `${seatIds.length} seats reserved successfully. Complete payment within 2 minutes.`
+        : 'Seat reserved successfully. Complete payment within 2 minutes.'
     );
   })
 );
 
+/**
+ * POST /extend-reservation
+ * Extend the hold on a reservation (heartbeat during slow checkouts, e.g. OTP)
+ * Bounded by the app's reservationPolicy (max extensions, max total hold time)
+ * Requires: App auth + User auth (supports external users)
+ */
+router.post(
+  '/extend-reservation',
+  requireScope('book'),
+  externalUserAuth,
+  rateLimit('reserve'),
+  [
+    body('reservationToken').notEmpty().withMessage('Reservation token is required'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { reservationToken } = req.body;
+
+    const extension = await bookingService.extendReservation(
+      req.app.appId,
+      reservationToken,
+      req.user.id
+    );
+
+    return ApiResponse.success(res, extension, 'Reservation extended successfully');
+  })
+);
+
 /**
  * POST /create-order
- * Create Razorpay order for payment
+ * Create a payment order with the app's gateway
  * Requires: App auth + User auth (supports external users)
+ * Honors Idempotency-Key (retries replay the first response)
  * 
- * This is an IDEMPOTENT operation - same reservationToken returns same order
+ * This is an IDEMPOTENT operation - same reservationToken returns same order.
+ * The order amount and currency are the reservation's; a different `amount`
+ * (minor units) or `currency` is rejected.
+ * A `promoCode` is applied to the reservation before the order is created.
  */
 router.post(
   '/create-order',
+  requireScope('book'),
   externalUserAuth,
+  rateLimit('checkout'),
   [
     body('reservationToken').notEmpty().withMessage('Reservation token is required'),
-    body('amount').isFloat({ min: 1 }).withMessage('Amount must be > 0'),
-    body('currency').optional().isIn(['INR', 'USD']).withMessage('Invalid currency'),
+    body('amount').optional().isInt({ min: 1 }).withMessage('Amount must be an integer > 0 (minor units)'),
+    body('currency').optional().isIn(SUPPORTED_CURRENCIES).withMessage('Unsupported currency'),
+    body('promoCode').optional().isString().trim().notEmpty().withMessage('Promo code cannot be empty'),
     validate
   ],
+  idempotency,
   asyncHandler(async (req, res) => {
-    const { reservationToken, amount, currency = 'INR', metadata = {} } = req.body;
+    const { reservationToken, amount, currency, promoCode, metadata = {} } = req.body;
 
-    // Verify reservation is valid before creating order
-    const Reservation = require('../models/Reservation');
-    const reservation = await Reservation.findOne({ 
-      reservationToken,
-      userId: req.user.id,
-      status: 'ACTIVE'
-    });
-
-    if (!reservation) {
-      return ApiResponse.error(res, 'Invalid or expired reservation', 400);
+    let promo = null;
+    if (promoCode) {
+      promo = await promoService.applyToReservation(req.app.appId, reservationToken, req.user.id, promoCode);
     }
 
-    // Create Razorpay order (idempotent - same token returns same order)
-    const order = await razorpayService.createOrder({
+    const paymentOrder = await paymentOrderService.createOrder(
+      req.app.appId,
       reservationToken,
-      amount,
-      currency,
-      notes: {
-        userId: req.user.id,
-        appId: req.app.appId,
-        seatId: reservation.seatId.toString(),
-        ...metadata
+      req.user.id,
+      {
+        amount: amount !== undefined ? parseInt(amount, 10) : undefined,
+        currency,
+        notes: metadata
       }
-    });
+    );
 
-    Logger.info('Razorpay order created', {
+    Logger.info('Payment order created', {
       appId: req.app.appId,
-      orderId: order.id,
+      provider: paymentOrder.provider,
+      orderId: paymentOrder.orderId,
       reservationToken,
       userId: req.user.id
     });
 
     return ApiResponse.success(res, {
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency,
+      provider: paymentOrder.provider,
+      orderId: paymentOrder.orderId,
+      amount: paymentOrder.amount,
+      currency: paymentOrder.currency,
       reservationToken,
-      keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_simulated'
+      promo,
+      ...paymentOrder.checkout // Razorpay: keyId; Stripe: publishableKey, clientSecret
     }, 'Order created successfully');
   })
 );
 
+/**
+ * POST /fake-checkout
+ * Pay an order of the fake gateway (stands in for the gateway's checkout in local runs)
+ * Requires: App auth + User auth (supports external users)
+ * Refused in production. Returns the orderId, paymentId and signature to
+ * post to /confirm-booking; `authorizeOnly` leaves the payment to be captured
+ * on confirm and `fail` makes it a failed payment with that message.
+ */
+router.post(
+  '/fake-checkout',
+  requireScope('book'),
+  externalUserAuth,
+  rateLimit('checkout'),
+  [
+    body('orderId').notEmpty().withMessage('Order ID is required'),
+    body('authorizeOnly').optional().isBoolean().withMessage('authorizeOnly must be a boolean'),
+    body('fail').optional().isString().withMessage('fail must be a failure message'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { orderId, authorizeOnly, fail } = req.body;
+
+    const payment = await paymentOrderService.payFakeOrder(req.app.appId, req.user.id, orderId, {
+      authorizeOnly: authorizeOnly === true || authorizeOnly === 'true',
+      fail
+    });
+
+    return ApiResponse.success(res, payment, 'Fake payment made');
+  })
+);
+
+/**
+ * Give back a payment this request captured when no booking came of it
+ * (hold expired, seat taken, write conflict), as the payment.captured
+ * webhook does. Nothing is refunded if the payment did get booked, e.g. by
+ * the webhook at the same moment.
+ */
+async function refundUnconfirmedCapture(paymentId, amount, provider, reservationToken) {
+  try {
+    const Booking = require('../models/Booking');
+    if (await Booking.exists({ paymentId })) {
+      return;
+    }
+
+    const refund = await refundService.issueRefund(paymentId, amount, provider);
+
+    Logger.warn('Captured payment refunded after failed confirmation', {
+      reservationToken,
+      paymentId,
+      refundId: refund.refundId
+    });
+  } catch (refundError) {
+    Logger.error('Refund of unconfirmed captured payment failed', {
+      reservationToken,
+      paymentId,
+      amount,
+      provider,
+      error: refundError.message
+    });
+  }
+}
+
 /**
  * POST /confirm-booking
  * Confirm booking after payment
  * Requires: App auth + User auth (supports external users)
+ * Honors Idempotency-Key (retries replay the first response)
  * 
- * Supports both:
- * 1. Simple paymentId (legacy/simulation)
- * 2. Full Razorpay verification (razorpay_order_id, razorpay_payment_id, razorpay_signature)
+ * Send what the gateway's checkout returned:
+ * 1. orderId, paymentId, signature for an order from /create-order
+ *    (razorpay_order_id, razorpay_payment_id, razorpay_signature are accepted too)
+ * 2. A bare paymentId when the reservation has no order (legacy Razorpay
+ *    checkout only; it must be for the reservation total and not used before)
+ * The payment is verified with the gateway that created the order (else the
+ * app's gateway) and captured if it was only authorized; a capture whose
+ * booking then fails is refunded. If a concurrent confirm with the same
+ * payment booked the reservation first, its bookings are returned.
  */
 router.post(
   '/confirm-booking',
+  requireScope('book'),
   externalUserAuth,
+  rateLimit('checkout'),
   [
     body('reservationToken').notEmpty().withMessage('Reservation token is required'),
-    // Support both legacy paymentId and Razorpay fields
     body('paymentId').optional(),
+    body('orderId').optional(),
+    body('signature').optional(),
     body('razorpay_order_id').optional(),
     body('razorpay_payment_id').optional(),
     body('razorpay_signature').optional(),
     validate
   ],
+  idempotency,
   asyncHandler(async (req, res) => {
-    const { 
-      reservationToken, 
-      paymentId,
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature 
-    } = req.body;
-
-    let verifiedPaymentId = paymentId;
-
-    // If Razorpay fields are provided, verify signature first
-    if (razorpay_order_id && razorpay_payment_id && razorpay_signature) {
-      try {
-        Logger.info('Verifying Razorpay payment', {
-          orderId: razorpay_order_id,
-          paymentId: razorpay_payment_id,
-          signature: razorpay_signature.substring(0, 20) + '...'
-        });
-
-        const verification = razorpayService.verifyPaymentSignature({
-          razorpay_order_id,
-          razorpay_payment_id,
-          razorpay_signature
-        });
-
-        if (!verification.verified) {
-          Logger.error('Payment verification failed - not verified');
-          return ApiResponse.error(res, 'Payment verification failed', 400);
-        }
+    const { reservationToken } = req.body;
+    const orderId = req.body.orderId || req.body.razorpay_order_id;
+    const paymentId = req.body.paymentId || req.body.razorpay_payment_id;
+    const signature = req.body.signature || req.body.razorpay_signature;
+
+    // Stripe's order ID is also its payment ID
+    if (!paymentId && !orderId) {
+      return ApiResponse.error(res, 'Payment ID is required', 400);
+    }
 
-        verifiedPaymentId = razorpay_payment_id;
-
-        Logger.info('Razorpay payment verified successfully', {
-          orderId: razorpay_order_id,
-          paymentId: razorpay_payment_id
-        });
-      } catch (verifyError) {
-        Logger.error('Payment verification error', {
-          error: verifyError.message,
-          orderId: razorpay_order_id,
-          paymentId: razorpay_payment_id
-        });
-        return ApiResponse.error(res, `Payment verification failed: ${verifyError.message}`, 400);
+    const Reservation = require('../models/Reservation');
+    const reservation = await Reservation.findOne({ reservationToken, appId: req.app.appId });
+
+    let paymentOrder = null;
+
+    if (reservation) {
+      if (orderId) {
+        // The order must belong to this reservation and cover its total
+        paymentOrder = await paymentOrderService.verifyOrderForReservation(orderId, reservation);
+      } else if (await paymentOrderService.findByReservation(reservationToken)) {
+        return ApiResponse.error(
+          res,
+          'This reservation has a payment order; confirm with orderId, paymentId and signature',
+          400
+        );
       }
     }
 
-    if (!verifiedPaymentId) {
-      return ApiResponse.error(res, 'Payment ID is required', 400);
+    const gateway = paymentOrder ? getGateway(paymentOrder.provider) : await getGatewayForApp(req.app.appId);
+
+    if (reservation && !paymentOrder && !gateway.acceptsBarePaymentId(paymentId)) {
+      return ApiResponse.error(
+        res,
+        'Create an order with /create-order and confirm with its orderId',
+        400
+      );
     }
 
-    const booking = await bookingService.confirmBooking(
-      req.app.appId,
-      reservationToken,
-      verifiedPaymentId,
-      req.user.id
-    );
+    let verification;
+    try {
+      verification = await gateway.verify({ orderId, paymentId, signature });
+    } catch (verifyError) {
+      Logger.error('Payment verification error', {
+        provider: gateway.name,
+        error: verifyError.message,
+        orderId,
+        paymentId
+      });
+      return ApiResponse.error(res, `Payment verification failed: ${verifyError.message}`, 400);
+    }
+
+    Logger.info('Payment verified', { provider: gateway.name, orderId, paymentId, status: verification.status });
+
+    if (reservation && !paymentOrder) {
+      paymentOrderService.verifyBarePayment(verification, reservation);
+    }
+
+    let capturedAmount = null;
+
+    if (verification.status === 'AUTHORIZED' && reservation) {
+      capturedAmount = paymentOrder ? paymentOrder.amount : reservation.getTotalAmount();
+      await gateway.capture(verification.paymentId, capturedAmount, reservation.getCurrency());
+    }
+
+    let booking;
+    try {
+      booking = await bookingService.confirmBooking(
+        req.app.appId,
+        reservationToken,
+        verification.paymentId,
+        req.user.id,
+        gateway.name
+      );
+    } catch (error) {
+      // A concurrent confirm (the payment.captured webhook, a double submit) may have booked it
+      booking = error.isOperational
+        ? await bookingService.findConfirmation(reservationToken, verification.paymentId)
+        : null;
+
+      if (!booking) {
+        if (capturedAmount !== null) {
+          await refundUnconfirmedCapture(verification.paymentId, capturedAmount, gateway.name, reservationToken);
+        }
+        throw error;
+      }
+    }
+
+    if (paymentOrder) {
+      await paymentOrderService.markPaid(paymentOrder, verification.paymentId);
+    }
 
     Logger.info('Booking confirmed', {
       appId: req.app.appId,
       bookingId: booking.bookingId,
       userId: req.user.id,
-      paymentId: verifiedPaymentId
+      paymentId: verification.paymentId
     });
 
     return ApiResponse.success(
@@ -286,14 +534,18 @@ router.post(
  * POST /release-seat
  * Release seat reservation (cancel)
  * Requires: App auth + User auth (supports external users)
+ * Honors Idempotency-Key (retries replay the first response)
  */
 router.post(
   '/release-seat',
+  requireScope('book'),
   externalUserAuth,
+  rateLimit('write'),
   [
     body('reservationToken').notEmpty().withMessage('Reservation token is required'),
     validate
   ],
+  idempotency,
   asyncHandler(async (req, res) => {
     const { reservationToken } = req.body;
 
@@ -316,7 +568,9 @@ router.post(
  */
 router.get(
   '/my-bookings',
+  requireScope('book'),
   externalUserAuth,
+  rateLimit('read'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be >= 1'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50'),
@@ -349,7 +603,9 @@ router.get(
  */
 router.get(
   '/booking/:bookingId',
+  requireScope('book'),
   externalUserAuth,
+  rateLimit('read'),
   asyncHandler(async (req, res) => {
     const { bookingId } = req.params;
 
@@ -362,68 +618,181 @@ router.get(
       return ApiResponse.notFound(res, 'Booking');
     }
 
-    return ApiResponse.success(res, { booking });
+    // Other seats booked under the same reservation (multi-seat bookings)
+    const linkedBookings = await require('../models/Booking')
+      .find({ reservationToken: booking.reservationToken, bookingId: { $ne: bookingId } })
+      .select('bookingId seatId amount paymentStatus')
+      .populate('seatId', 'seatNumber')
+      .lean();
+
+    return ApiResponse.success(res, { booking, linkedBookings });
   })
 );
 
 /**
- * POST /webhook/razorpay
- * Handle Razorpay webhooks (payment.captured, payment.failed, etc.)
- * NO AUTH REQUIRED - Verified via signature
+ * Send a rendered ticket or invoice (PDFs download, HTML opens inline)
  */
-router.post(
-  '/webhook/razorpay',
-  express.raw({ type: 'application/json' }),
+function sendDocument(res, document, format) {
+  const disposition = format === 'pdf' ? 'attachment' : 'inline';
+
+  res.set('Content-Type', document.contentType);
+  res.set('Content-Disposition', `${disposition}; filename="${document.filename}"`);
+  return res.send(document.body);
+}
+
+const documentFormatValidators = [
+  query('format').optional().isIn(['json', 'html', 'pdf']).withMessage('Format must be json, html or pdf'),
+  validate
+];
+
+/**
+ * GET /booking/:bookingId/ticket
+ * Ticket for a booking; `code` is what the QR code encodes
+ * ?format=html|pdf renders the e-ticket (app template) instead of JSON
+ * Requires: App auth + User auth (supports external users)
+ */
+router.get(
+  '/booking/:bookingId/ticket',
+  requireScope('book'),
+  externalUserAuth,
+  rateLimit('read'),
+  documentFormatValidators,
   asyncHandler(async (req, res) => {
-    const signature = req.headers['x-razorpay-signature'];
-    const payload = req.body;
+    const { format = 'json' } = req.query;
 
-    try {
-      const { verified, event, payload: webhookPayload } = razorpayService.verifyWebhook(
-        payload,
-        signature
-      );
+    const booking = await require('../models/Booking')
+      .findOne({ bookingId: req.params.bookingId, appId: req.app.appId, userId: req.user.id });
 
-      if (!verified) {
-        return res.status(400).json({ success: false, message: 'Invalid signature' });
-      }
+    if (!booking) {
+      return ApiResponse.notFound(res, 'Booking');
+    }
 
-      Logger.info('Razorpay webhook received', { event });
-
-      // Handle different events
-      switch (event) {
-        case 'payment.captured':
-          // Payment successful - could auto-confirm booking here
-          Logger.info('Payment captured via webhook', {
-            paymentId: webhookPayload.payload?.payment?.entity?.id,
-            orderId: webhookPayload.payload?.payment?.entity?.order_id
-          });
-          break;
-
-        case 'payment.failed':
-          Logger.warn('Payment failed via webhook', {
-            paymentId: webhookPayload.payload?.payment?.entity?.id,
-            error: webhookPayload.payload?.payment?.entity?.error_description
-          });
-          break;
-
-        case 'refund.processed':
-          Logger.info('Refund processed via webhook', {
-            refundId: webhookPayload.payload?.refund?.entity?.id
-          });
-          break;
-
-        default:
-          Logger.info('Unhandled webhook event', { event });
-      }
+    if (format !== 'json') {
+      return sendDocument(res, await documentService.render('ticket', booking, format), format);
+    }
+
+    if (!booking.isConfirmed()) {
+      return ApiResponse.conflict(res, `Booking with payment status ${booking.paymentStatus} has no valid ticket`);
+    }
 
-      // Always respond 200 to acknowledge receipt
-      return res.status(200).json({ success: true, received: true });
+    const ticket = await ticketService.getTicket(booking);
 
-    } catch (error) {
-      Logger.error('Webhook processing failed', { error: error.message });
-      return res.status(400).json({ success: false, message: error.message });
+    return ApiResponse.success(res, {
+      bookingId: booking.bookingId,
+      entityId: booking.metadata?.entityId,
+      seatNumber: booking.metadata?.seatNumber,
+      ticket
+    });
+  })
+);
+
+/**
+ * GET /booking/:bookingId/invoice
+ * Invoice for a booking (numbered on first request)
+ * ?format=html|pdf renders it (app template) instead of JSON
+ * Requires: App auth + User auth (supports external users)
+ */
+router.get(
+  '/booking/:bookingId/invoice',
+  requireScope('book'),
+  externalUserAuth,
+  rateLimit('read'),
+  documentFormatValidators,
+  asyncHandler(async (req, res) => {
+    const { format = 'json' } = req.query;
+
+    const booking = await require('../models/Booking')
+      .findOne({ bookingId: req.params.bookingId, appId: req.app.appId, userId: req.user.id });
+
+    if (!booking) {
+      return ApiResponse.notFound(res, 'Booking');
     }
+
+    if (format !== 'json') {
+      return sendDocument(res, await documentService.render('invoice', booking, format), format);
+    }
+
+    const { data } = await documentService.buildInvoice(booking);
+
+    return ApiResponse.success(res, { invoice: data });
+  })
+);
+
+/**
+ * POST /booking/:bookingId/cancel
+ * Cancel own booking; refund follows the app's refund policy
+ * Requires: App auth + User auth (supports external users)
+ */
+router.post(
+  '/booking/:bookingId/cancel',
+  requireScope('book'),
+  externalUserAuth,
+  rateLimit('write'),
+  [
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { bookingId } = req.params;
+
+    const cancellation = await bookingService.cancelBooking(bookingId, {
+      appId: req.app.appId,
+      userId: req.user.id,
+      cancelledBy: 'USER',
+      actor: req.user.id,
+      reason: req.body.reason
+    });
+
+    Logger.info('Booking cancelled by user', {
+      appId: req.app.appId,
+      bookingId,
+      userId: req.user.id
+    });
+
+    return ApiResponse.success(res, cancellation, 'Booking cancelled successfully');
+  })
+);
+
+/**
+ * POST /check-in
+ * Verify a scanned ticket and admit it once (for the tenant's gate staff)
+ * Requires: App auth (secret key with the check-in scope)
+ *
+ * 409 when the ticket was already checked in (with when and where) or its
+ * booking was cancelled; 422 when the code is forged or from another app.
+ */
+router.post(
+  '/check-in',
+  requireScope('check-in'),
+  rateLimit('write'),
+  [
+    body('code').isString().notEmpty().withMessage('Ticket code is required'),
+    body('entityId').optional().isString().withMessage('Entity ID must be a string'),
+    body('gate').optional().isString().isLength({ max: 100 }).withMessage('Gate must be at most 100 characters'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { code, entityId, gate } = req.body;
+
+    const ticket = await ticketService.checkIn(req.app.appId, code, { entityId, gate });
+
+    return ApiResponse.success(res, { ticket }, 'Ticket checked in');
+  })
+);
+
+/**
+ * GET /ticket-keys
+ * Public keys the app's tickets are signed with, for offline verification
+ * Requires: App auth (secret key with the check-in scope)
+ */
+router.get(
+  '/ticket-keys',
+  requireScope('check-in'),
+  rateLimit('read'),
+  asyncHandler(async (req, res) => {
+    const keys = await ticketService.listKeys(req.app.appId);
+
+    return ApiResponse.success(res, { keys });
   })
 );
 
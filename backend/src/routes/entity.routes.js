@@ -0,0 +1,98 @@
+const express = require('express');
+const { appAuth, requireScopeByMethod } = require('../middleware/appAuth');
+const { rateLimitByMethod } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createEntityValidators, updateEntityValidators, listEntityValidators } = require('./entityValidators');
+const entityService = require('../services/entityService');
+const ApiResponse = require('../utils/response');
+
+const router = express.Router();
+
+// All entity routes require app authentication (tenant manages its own entities)
+router.use(appAuth);
+router.use(requireScopeByMethod('read-seats', 'sync-seats'));
+router.use(rateLimitByMethod());
+
+/**
+ * POST /entities
+ * Create an event / trip / show
+ * Requires: App auth
+ */
+router.post(
+  '/',
+  [...createEntityValidators, validate],
+  asyncHandler(async (req, res) => {
+    const entity = await entityService.create(req.app.appId, req.body);
+
+    return ApiResponse.created(res, { entity }, 'Entity created successfully');
+  })
+);
+
+/**
+ * GET /entities
+ * List entities (filter by status and start time)
+ * Requires: App auth
+ */
+router.get(
+  '/',
+  [...listEntityValidators, validate],
+  asyncHandler(async (req, res) => {
+    const { status, from, to, page = 1, limit = 20 } = req.query;
+
+    const result = await entityService.list(req.app.appId, {
+      status,
+      from,
+      to,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    return ApiResponse.success(res, result);
+  })
+);
+
+/**
+ * GET /entities/:entityId
+ * Entity details
+ * Requires: App auth
+ */
+router.get(
+  '/:entityId',
+  asyncHandler(async (req, res) => {
+    const entity = await entityService.get(req.app.appId, req.params.entityId);
+
+    return ApiResponse.success(res, { entity, onSale: entity.isOnSale() });
+  })
+);
+
+/**
+ * PATCH /entities/:entityId
+ * Update schedule, details or status (DRAFT -> ON_SALE <-> CLOSED, -> CANCELLED)
+ * Requires: App auth
+ */
+router.patch(
+  '/:entityId',
+  [...updateEntityValidators, validate],
+  asyncHandler(async (req, res) => {
+    const entity = await entityService.update(req.app.appId, req.params.entityId, req.body);
+
+    return ApiResponse.success(res, { entity }, 'Entity updated successfully');
+  })
+);
+
+/**
+ * DELETE /entities/:entityId
+ * Delete a DRAFT entity
+ * Requires: App auth
+ */
+router.delete(
+  '/:entityId',
+  asyncHandler(async (req, res) => {
+    await entityService.remove(req.app.appId, req.params.entityId);
+
+    return ApiResponse.success(res, null, 'Entity deleted successfully');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const { body, query } = require('express-validator');
+const Entity = require('../models/Entity');
+
+/**
+ * Entity request validation
+ * Shared by the tenant routes (/entities) and the admin routes (/admin/apps/:appId/entities)
+ */
+const scheduleValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('venue').optional({ nullable: true }).isString().withMessage('Venue must be a string'),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('endsAt must be an ISO 8601 date'),
+  body('salesOpenAt').optional({ nullable: true }).isISO8601().withMessage('salesOpenAt must be an ISO 8601 date'),
+  body('salesCloseAt').optional({ nullable: true }).isISO8601().withMessage('salesCloseAt must be an ISO 8601 date'),
+  body('layoutId').optional({ nullable: true }).isString().withMessage('Layout ID must be a string'),
+  body('stops').optional().isArray().withMessage('Stops must be an array'),
+  body('stops.*.code').trim().notEmpty().withMessage('Stop code is required'),
+  body('stops.*.name').optional().isString().withMessage('Stop name must be a string'),
+  body('stops.*.departsAt').optional({ nullable: true }).isISO8601().withMessage('departsAt must be an ISO 8601 date'),
+  body('status').optional().isIn(Entity.STATUSES).withMessage(`Status must be one of: ${Entity.STATUSES.join(', ')}`),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object')
+];
+
+const createEntityValidators = [
+  body('entityId').trim().notEmpty().withMessage('Entity ID is required'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('startsAt').isISO8601().withMessage('startsAt must be an ISO 8601 date'),
+  ...scheduleValidators
+];
+
+const updateEntityValidators = [
+  body('startsAt').optional().isISO8601().withMessage('startsAt must be an ISO 8601 date'),
+  ...scheduleValidators
+];
+
+const listEntityValidators = [
+  query('status').optional().isIn(Entity.STATUSES).withMessage(`Status must be one of: ${Entity.STATUSES.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be >= 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+];
+
+module.exports = {
+  createEntityValidators,
+  updateEntityValidators,
+  listEntityValidators
+};
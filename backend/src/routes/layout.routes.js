@@ -0,0 +1,95 @@
+const express = require('express');
+const { appAuth, requireScopeByMethod } = require('../middleware/appAuth');
+const { rateLimitByMethod } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createLayoutValidators, updateLayoutValidators, listLayoutValidators } = require('./layoutValidators');
+const layoutService = require('../services/layoutService');
+const ApiResponse = require('../utils/response');
+
+const router = express.Router();
+
+// All layout routes require app authentication (tenant manages its own layouts)
+router.use(appAuth);
+router.use(requireScopeByMethod('read-seats', 'sync-seats'));
+router.use(rateLimitByMethod());
+
+/**
+ * POST /layouts
+ * Create a seat layout (grid, sections, aisles, seats)
+ * Requires: App auth
+ */
+router.post(
+  '/',
+  [...createLayoutValidators, validate],
+  asyncHandler(async (req, res) => {
+    const layout = await layoutService.create(req.app.appId, req.body);
+
+    return ApiResponse.created(res, { layout }, 'Seat layout created successfully');
+  })
+);
+
+/**
+ * GET /layouts
+ * List layouts (without their seat lists)
+ * Requires: App auth
+ */
+router.get(
+  '/',
+  [...listLayoutValidators, validate],
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await layoutService.list(req.app.appId, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    return ApiResponse.success(res, result);
+  })
+);
+
+/**
+ * GET /layouts/:layoutId
+ * Layout with every seat position
+ * Requires: App auth
+ */
+router.get(
+  '/:layoutId',
+  asyncHandler(async (req, res) => {
+    const layout = await layoutService.get(req.app.appId, req.params.layoutId);
+
+    return ApiResponse.success(res, { layout });
+  })
+);
+
+/**
+ * PATCH /layouts/:layoutId
+ * Update a layout (re-run /admin/sync-seats to apply it to existing seats)
+ * Requires: App auth
+ */
+router.patch(
+  '/:layoutId',
+  [...updateLayoutValidators, validate],
+  asyncHandler(async (req, res) => {
+    const layout = await layoutService.update(req.app.appId, req.params.layoutId, req.body);
+
+    return ApiResponse.success(res, { layout }, 'Seat layout updated successfully');
+  })
+);
+
+/**
+ * DELETE /layouts/:layoutId
+ * Delete a layout no entity uses
+ * Requires: App auth
+ */
+router.delete(
+  '/:layoutId',
+  asyncHandler(async (req, res) => {
+    await layoutService.remove(req.app.appId, req.params.layoutId);
+
+    return ApiResponse.success(res, null, 'Seat layout deleted successfully');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const { body, query } = require('express-validator');
+
+/**
+ * Seat layout request validation
+ * Geometry rules (seats inside the grid, off aisles, no overlaps) are checked by the model
+ */
+const geometryValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('venue').optional({ nullable: true }).isString().withMessage('Venue must be a string'),
+  body('grid').optional().isObject().withMessage('Grid must be an object'),
+  body('grid.rows').optional().isInt({ min: 1 }).withMessage('grid.rows must be >= 1'),
+  body('grid.columns').optional().isInt({ min: 1 }).withMessage('grid.columns must be >= 1'),
+  body('sections').optional().isArray().withMessage('Sections must be an array'),
+  body('sections.*.code').trim().notEmpty().withMessage('Section code is required'),
+  body('sections.*.price').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Section price must be an integer >= 0 (minor units)'),
+  body('aisles').optional().isArray().withMessage('Aisles must be an array'),
+  body('aisles.*.axis').isIn(['ROW', 'COLUMN']).withMessage('Aisle axis must be ROW or COLUMN'),
+  body('aisles.*.index').isInt({ min: 0 }).withMessage('Aisle index must be >= 0'),
+  body('seats').optional().isArray().withMessage('Seats must be an array'),
+  body('seats.*.seatNumber').trim().notEmpty().withMessage('Seat number is required'),
+  body('seats.*.row').isInt({ min: 0 }).withMessage('Seat row must be >= 0'),
+  body('seats.*.column').isInt({ min: 0 }).withMessage('Seat column must be >= 0'),
+  body('seats.*.price').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Seat price must be an integer >= 0 (minor units)'),
+  body('seats.*.accessible').optional().isBoolean().withMessage('accessible must be a boolean'),
+  body('seats.*.blocked').optional().isBoolean().withMessage('blocked must be a boolean'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object')
+];
+
+const createLayoutValidators = [
+  body('layoutId').trim().notEmpty().withMessage('Layout ID is required'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('grid.rows').isInt({ min: 1 }).withMessage('grid.rows must be >= 1'),
+  body('grid.columns').isInt({ min: 1 }).withMessage('grid.columns must be >= 1'),
+  ...geometryValidators
+];
+
+const updateLayoutValidators = [...geometryValidators];
+
+const listLayoutValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be >= 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+];
+
+module.exports = {
+  createLayoutValidators,
+  updateLayoutValidators,
+  listLayoutValidators
+};
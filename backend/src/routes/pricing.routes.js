@@ -0,0 +1,107 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { appAuth, requireScopeByMethod } = require('../middleware/appAuth');
+const { rateLimitByMethod } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const pricingService = require('../services/pricingService');
+const ApiResponse = require('../utils/response');
+
+const router = express.Router();
+
+// All pricing routes require app authentication (tenant manages its own rules)
+router.use(appAuth);
+router.use(requireScopeByMethod('read-seats', 'sync-seats'));
+router.use(rateLimitByMethod());
+
+/**
+ * Rule validation, shared by create and update
+ */
+const ruleValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('entityId').optional({ nullable: true }).isString().withMessage('Entity ID must be a string'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('multiplier').optional().isFloat({ min: 0 }).withMessage('Multiplier must be >= 0'),
+  body('conditions').optional().isObject().withMessage('Conditions must be an object'),
+  body('conditions.minOccupancyPercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('minOccupancyPercent must be 0-100'),
+  body('conditions.maxOccupancyPercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('maxOccupancyPercent must be 0-100'),
+  body('conditions.minHoursBeforeEvent').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('minHoursBeforeEvent must be >= 0'),
+  body('conditions.maxHoursBeforeEvent').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('maxHoursBeforeEvent must be >= 0'),
+  body('conditions.daysOfWeek').optional().isArray().withMessage('daysOfWeek must be an array'),
+  body('conditions.daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('daysOfWeek must be 0 (Sunday) to 6'),
+  body('conditions.timezone').optional().isString().withMessage('Timezone must be an IANA name'),
+  body('sectionMultipliers').optional().isObject().withMessage('sectionMultipliers must be an object'),
+  body('sectionMultipliers.*').isFloat({ min: 0 }).withMessage('Section multipliers must be >= 0')
+];
+
+/**
+ * POST /pricing-rules
+ * Create a dynamic pricing rule (app-wide, or for one entity)
+ * Requires: App auth
+ */
+router.post(
+  '/',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    ...ruleValidators,
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const rule = await pricingService.createRule(req.app.appId, req.body);
+
+    return ApiResponse.created(res, { rule }, 'Pricing rule created successfully');
+  })
+);
+
+/**
+ * GET /pricing-rules
+ * List rules (entityId filters to one entity's rules; entityId= lists app-wide rules)
+ * Requires: App auth
+ */
+router.get(
+  '/',
+  [
+    query('entityId').optional().isString(),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const rules = await pricingService.listRules(req.app.appId, { entityId: req.query.entityId });
+
+    return ApiResponse.success(res, { rules });
+  })
+);
+
+/**
+ * PATCH /pricing-rules/:ruleId
+ * Update a rule (held reservations keep their prices)
+ * Requires: App auth
+ */
+router.patch(
+  '/:ruleId',
+  [
+    param('ruleId').notEmpty().withMessage('Rule ID is required'),
+    ...ruleValidators,
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const rule = await pricingService.updateRule(req.app.appId, req.params.ruleId, req.body);
+
+    return ApiResponse.success(res, { rule }, 'Pricing rule updated successfully');
+  })
+);
+
+/**
+ * DELETE /pricing-rules/:ruleId
+ * Delete a rule
+ * Requires: App auth
+ */
+router.delete(
+  '/:ruleId',
+  asyncHandler(async (req, res) => {
+    await pricingService.removeRule(req.app.appId, req.params.ruleId);
+
+    return ApiResponse.success(res, null, 'Pricing rule deleted successfully');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { appAuth, requireScope } = require('../middleware/appAuth');
+const { externalUserAuth } = require('../middleware/userAuth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const waitlistService = require('../services/waitlistService');
+const ApiResponse = require('../utils/response');
+
+const router = express.Router();
+
+// All waitlist routes require app authentication
+router.use(appAuth);
+router.use(requireScope('book'));
+
+/**
+ * POST /waitlist
+ * Join the waitlist for a sold-out entity
+ * Requires: App auth + User auth (supports external users)
+ *
+ * Body: { entityId, filters?: { <seat metadata key>: <value> } }
+ */
+router.post(
+  '/',
+  externalUserAuth,
+  rateLimit('write'),
+  [
+    body('entityId').notEmpty().withMessage('Entity ID is required'),
+    body('filters').optional().isObject().withMessage('Filters must be an object'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const { entityId, filters = {} } = req.body;
+
+    const entry = await waitlistService.join(req.app.appId, entityId, req.user.id, filters);
+
+    return ApiResponse.created(res, entry, 'Joined waitlist');
+  })
+);
+
+/**
+ * GET /waitlist/:waitlistId
+ * Waitlist entry with queue position (and the held seat once offered)
+ * Requires: App auth + User auth (supports external users)
+ */
+router.get(
+  '/:waitlistId',
+  externalUserAuth,
+  rateLimit('read'),
+  [
+    param('waitlistId').notEmpty().withMessage('Waitlist ID is required'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const entry = await waitlistService.getEntry(req.app.appId, req.params.waitlistId, req.user.id);
+
+    return ApiResponse.success(res, entry, 'Waitlist entry retrieved');
+  })
+);
+
+/**
+ * DELETE /waitlist/:waitlistId
+ * Leave the waitlist (releases an outstanding offer)
+ * Requires: App auth + User auth (supports external users)
+ */
+router.delete(
+  '/:waitlistId',
+  externalUserAuth,
+  rateLimit('write'),
+  [
+    param('waitlistId').notEmpty().withMessage('Waitlist ID is required'),
+    validate
+  ],
+  asyncHandler(async (req, res) => {
+    const entry = await waitlistService.leave(req.app.appId, req.params.waitlistId, req.user.id);
+
+    return ApiResponse.success(res, entry, 'Left waitlist');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { PAYMENT_PROVIDERS, getGateway } = require('../services/payments');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const Logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * POST /webhook/:provider
+ * Handle payment gateway webhooks (/webhook/razorpay, /webhook/stripe, /webhook/fake)
+ * Events: payment.captured, payment.failed, refund.processed (as normalized by the gateway)
+ * NO AUTH REQUIRED - Verified via signature
+ *
+ * Responds 200 once an event is handled (or was already handled), 409 while
+ * another delivery of it is still being handled and 500 when handling fails;
+ * the gateway retries on 409 and 500.
+ */
+router.post(
+  '/:provider',
+  asyncHandler(async (req, res) => {
+    const { provider } = req.params;
+
+    if (!PAYMENT_PROVIDERS.includes(provider)) {
+      return res.status(404).json({ success: false, message: `Unknown payment gateway: ${provider}` });
+    }
+
+    let event;
+    try {
+      event = getGateway(provider).parseWebhook({ rawBody: req.rawBody, body: req.body, headers: req.headers });
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    Logger.info('Payment webhook received', { provider, event: event.type, eventId: event.eventId });
+
+    try {
+      const { duplicate, inProgress, result } = await paymentWebhookService.process(provider, event);
+
+      if (inProgress) {
+        return res.status(409).json({ success: false, message: 'Event is being processed, retry later' });
+      }
+
+      return res.status(200).json({ success: true, received: true, duplicate, result });
+
+    } catch (error) {
+      Logger.error('Webhook processing failed', { provider, event: event.type, eventId: event.eventId, error: error.message });
+      return res.status(500).json({ success: false, message: 'Webhook processing failed' });
+    }
+  })
+);
+
+module.exports = router;
@@ -6,17 +6,33 @@ const database = require('./config/database');
 const redisConnection = require('./config/redis');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const Logger = require('./utils/logger');
+const reservationSweeper = require('./jobs/reservationSweeper');
+const seatStreamService = require('./services/seatStreamService');
+const waitlistService = require('./services/waitlistService');
+const promoService = require('./services/promoService');
+const holdLimitService = require('./services/holdLimitService');
+const apiKeyService = require('./services/apiKeyService');
+const webhookDispatcher = require('./jobs/webhookDispatcher');
+const notificationDispatcher = require('./jobs/notificationDispatcher');
 
 // Import routes
 const adminRoutes = require('./routes/admin.routes');
 const authRoutes = require('./routes/auth.routes');
 const bookingRoutes = require('./routes/booking.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const waitlistRoutes = require('./routes/waitlist.routes');
+const entityRoutes = require('./routes/entity.routes');
+const layoutRoutes = require('./routes/layout.routes');
+const pricingRoutes = require('./routes/pricing.routes');
 
 /**
  * Initialize Express Application
  */
 const app = express();
 
+// Client IPs (rate limits, logs) come from X-Forwarded-For behind a proxy
+app.set('trust proxy', env.TRUST_PROXY);
+
 /**
  * Security Middleware
  */
@@ -28,6 +44,7 @@ app.use(helmet());
 const corsOptions = {
   origin: env.CORS_ORIGIN === '*' ? '*' : env.CORS_ORIGIN.split(','),
   credentials: true,
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -35,7 +52,12 @@ app.use(cors(corsOptions));
 /**
  * Body Parsers
  */
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 /**
@@ -58,6 +80,14 @@ app.get('/health', async (req, res) => {
     services: {
       mongodb: database.getConnectionStatus() ? 'connected' : 'disconnected',
       redis: redisConnection.isReady() ? 'connected' : 'disconnected'
+    },
+    jobs: {
+      reservationSweeper: reservationSweeper.getStats(),
+      webhookDispatcher: webhookDispatcher.getStats(),
+      notificationDispatcher: notificationDispatcher.getStats()
+    },
+    streams: {
+      seatClients: seatStreamService.getClientCount()
     }
   };
 
@@ -78,6 +108,11 @@ app.get('/', (req, res) => {
       health: '/health',
       admin: '/admin/*',
       auth: '/auth/*',
+      webhooks: '/webhook/*',
+      waitlist: '/waitlist/*',
+      entities: '/entities/*',
+      layouts: '/layouts/*',
+      pricingRules: '/pricing-rules/*',
       booking: '/*'
     },
     documentation: 'See ARCHITECTURE.md for detailed documentation'
@@ -89,6 +124,11 @@ app.get('/', (req, res) => {
  */
 app.use('/admin', adminRoutes);
 app.use('/auth', authRoutes);
+app.use('/webhook', webhookRoutes); // Before booking routes: verified by signature, not app auth
+app.use('/waitlist', waitlistRoutes);
+app.use('/entities', entityRoutes);
+app.use('/layouts', layoutRoutes);
+app.use('/pricing-rules', pricingRoutes);
 app.use('/', bookingRoutes);
 
 /**
@@ -118,6 +158,22 @@ async function startServer() {
     console.log('📦 Connecting to Redis...');
     await redisConnection.connect();
 
+    // Start background jobs
+    reservationSweeper.start();
+    webhookDispatcher.start();
+    notificationDispatcher.start();
+
+    // Start real-time seat stream (Redis pub/sub fan-out)
+    await seatStreamService.start();
+
+    // Drop cached app credentials when an admin changes an app (Redis pub/sub)
+    await apiKeyService.start();
+
+    // Hand freed seats to waitlisted users
+    waitlistService.start();
+    promoService.start();
+    holdLimitService.start();
+
     // Start Express server
     const PORT = env.PORT;
     app.listen(PORT, () => {
@@ -153,6 +209,14 @@ async function startServer() {
  */
 process.on('SIGTERM', async () => {
   console.log('\n⚠️  SIGTERM received, shutting down gracefully...');
+  reservationSweeper.stop();
+  webhookDispatcher.stop();
+  notificationDispatcher.stop();
+  await seatStreamService.stop();
+  await apiKeyService.stop();
+  waitlistService.stop();
+  promoService.stop();
+  holdLimitService.stop();
   await database.disconnect();
   await redisConnection.disconnect();
   process.exit(0);
@@ -160,6 +224,14 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('\n⚠️  SIGINT received, shutting down gracefully...');
+  reservationSweeper.stop();
+  webhookDispatcher.stop();
+  notificationDispatcher.stop();
+  await seatStreamService.stop();
+  await apiKeyService.stop();
+  waitlistService.stop();
+  promoService.stop();
+  holdLimitService.stop();
   await database.disconnect();
   await redisConnection.disconnect();
   process.exit(0);
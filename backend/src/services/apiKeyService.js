@@ -0,0 +1,491 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const App = require('../models/App');
+const redisConnection = require('../config/redis');
+const { API_KEY_SCOPES, API_KEY_TYPES, MAX_API_KEYS_PER_APP } = require('../config/apiKeys');
+const { AuthenticationError, ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+const env = require('../config/env');
+
+/**
+ * API Key Service (App Credentials)
+ *
+ * An app has several named keys (App.apiKeys), each limited to a set of
+ * scopes. Secret keys (`sk_live_<key id>_<secret>`) are for the app's servers;
+ * publishable keys (`pk_live_...`) may sit in browser code, so they carry only
+ * read/reserve scopes and are bound to the app's allowedDomains (appAuth).
+ * The part up to the key id is the keyId, stored in clear so a key can be
+ * recognised in logs and leak reports. The full key is stored only as an HMAC-SHA256 digest keyed with
+ * API_KEY_PEPPER, which checks in microseconds instead of bcrypt's tens of
+ * milliseconds.
+ *
+ * Rotating a key issues a replacement with the same name and scopes and keeps
+ * the old key working for a grace period, after which it is rejected.
+ *
+ * Verified apps are cached in memory for APP_AUTH_CACHE_SECONDS. Admin changes
+ * to an app are announced on a Redis channel so every instance drops its copy.
+ * The single key of older apps (apiKeyDigest / bcrypt apiKeyHash) is moved into
+ * apiKeys the first time the app is used; a bcrypt key gets its digest once it
+ * has been presented.
+ */
+
+const KEY_PATTERN = /^((?:pk|sk)_live_[0-9a-f]{16})_[0-9a-f]{64}$/;
+const LEGACY_KEY_ID_PREFIX = 'legacy_'; // keyId of adopted keys that had no prefix
+const CHANNEL = 'app-auth-invalidate';
+const LAST_USED_RESOLUTION_MS = 60000; // lastUsedAt is written at most this often per key
+
+// App fields needed to authenticate a request and build req.app
+const APP_FIELDS = 'appId name domain defaultCurrency rateLimits allowedDomains apiKeys apiKeyPrefix apiKeyDigest apiKeyHash createdAt';
+
+class ApiKeyService {
+  constructor() {
+    this.cache = new Map(); // appId -> { app, expiresAt }
+    this.lastUsedWrites = new Map(); // keyId -> ms of the last lastUsedAt write
+    this.subscriber = null;
+  }
+
+  /**
+   * Listen for app changes made on any instance
+   */
+  async start() {
+    if (this.subscriber) {
+      return;
+    }
+
+    this.subscriber = await redisConnection.createSubscriber();
+    await this.subscriber.subscribe(CHANNEL, appId => this.cache.delete(appId));
+
+    Logger.info('App auth cache started', { channel: CHANNEL, ttlSeconds: env.APP_AUTH_CACHE_SECONDS });
+  }
+
+  /**
+   * Stop listening and drop the cache
+   */
+  async stop() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+
+    this.cache.clear();
+    this.lastUsedWrites.clear();
+  }
+
+  /**
+   * Create a new API key
+   * @param {String} type - publishable | secret
+   * @returns {Object} { apiKey (shown once), prefix, digest }
+   */
+  generate(type = 'secret') {
+    const prefix = `${API_KEY_TYPES[type].prefix}${crypto.randomBytes(8).toString('hex')}`;
+    const apiKey = `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+    return { apiKey, prefix, digest: this.digest(apiKey) };
+  }
+
+  /**
+   * Identifying prefix of a key (null for legacy or malformed keys)
+   */
+  getPrefix(apiKey) {
+    const match = KEY_PATTERN.exec(apiKey);
+    return match ? match[1] : null;
+  }
+
+  digest(apiKey) {
+    return crypto.createHmac('sha256', env.API_KEY_PEPPER).update(apiKey).digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of a key against a stored digest
+   */
+  matches(apiKey, digest) {
+    if (!digest) {
+      return false;
+    }
+
+    const expected = Buffer.from(digest, 'hex');
+    const actual = Buffer.from(this.digest(apiKey), 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Type of a stored key (keys issued before types are secret)
+   */
+  getType(key) {
+    return key.type || 'secret';
+  }
+
+  /**
+   * Whether a key is accepted right now (not revoked, grace period not over)
+   */
+  isUsable(key, now = Date.now()) {
+    return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt).getTime() > now);
+  }
+
+  /**
+   * Keys a presented key could be: the one with its prefix, or for a key
+   * without one, the adopted legacy keys
+   */
+  getCandidates(app, apiKey) {
+    const keyId = this.getPrefix(apiKey);
+    const keys = app.apiKeys || [];
+
+    return keyId
+      ? keys.filter(key => key.keyId === keyId)
+      : keys.filter(key => key.keyId.startsWith(LEGACY_KEY_ID_PREFIX));
+  }
+
+  /**
+   * Verify app credentials
+   * @param {String} appId - x-app-id
+   * @param {String} apiKey - x-api-key
+   * @returns {Object} { app (lean, APP_FIELDS), key (the matching App.apiKeys entry) }
+   * @throws {AuthenticationError} Unknown or inactive app, or wrong, revoked or expired key
+   */
+  async authenticate(appId, apiKey) {
+    const cached = this.cache.get(appId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      const key = this.getCandidates(cached.app, apiKey)
+        .find(candidate => this.matches(apiKey, candidate.digest));
+
+      if (key && this.isUsable(key)) {
+        this.touch(appId, key.keyId);
+        return { app: cached.app, key };
+      }
+    }
+
+    let app = await App.findOne({ appId, isActive: true }).select(APP_FIELDS).lean();
+
+    if (!app) {
+      Logger.warn('App authentication failed: app not found or inactive', { appId });
+      throw new AuthenticationError('Invalid app credentials or app is inactive');
+    }
+
+    if (app.apiKeyDigest || app.apiKeyHash) {
+      app = await this.adoptLegacyKey(app);
+    }
+
+    let key = null;
+
+    for (const candidate of this.getCandidates(app, apiKey)) {
+      if (candidate.digest ? this.matches(apiKey, candidate.digest) : await this.matchesLegacyHash(app, candidate, apiKey)) {
+        key = candidate;
+        break;
+      }
+    }
+
+    if (!key || !this.isUsable(key)) {
+      Logger.warn('App authentication failed: invalid API key', {
+        appId,
+        keyId: this.getPrefix(apiKey),
+        reason: key ? 'revoked or expired' : 'no matching key'
+      });
+      throw new AuthenticationError('Invalid app credentials');
+    }
+
+    if (env.APP_AUTH_CACHE_SECONDS > 0) {
+      this.cache.set(appId, { app, expiresAt: Date.now() + env.APP_AUTH_CACHE_SECONDS * 1000 });
+    }
+
+    this.touch(appId, key.keyId);
+
+    return { app, key };
+  }
+
+  /**
+   * Check a key against a bcrypt hash, storing its digest when it matches
+   * @returns {Boolean} Match
+   */
+  async matchesLegacyHash(app, key, apiKey) {
+    if (!key.hash || !await bcrypt.compare(apiKey, key.hash)) {
+      return false;
+    }
+
+    key.digest = this.digest(apiKey);
+
+    await App.updateOne(
+      { _id: app._id, apiKeys: { $elemMatch: { keyId: key.keyId, hash: key.hash } } },
+      { $set: { 'apiKeys.$.digest': key.digest }, $unset: { 'apiKeys.$.hash': 1 } }
+    );
+
+    Logger.info('Legacy API key upgraded to digest', { appId: app.appId, keyId: key.keyId });
+
+    return true;
+  }
+
+  /**
+   * Move an app's single pre-apiKeys key into apiKeys (all scopes, named "default")
+   * @param {Object} app - App (lean) with apiKeyDigest or apiKeyHash
+   * @returns {Object} The app as stored afterwards
+   */
+  async adoptLegacyKey(app) {
+    const key = {
+      keyId: app.apiKeyPrefix || `${LEGACY_KEY_ID_PREFIX}${crypto.randomBytes(8).toString('hex')}`,
+      name: 'default',
+      type: 'secret',
+      scopes: API_KEY_SCOPES,
+      createdAt: app.createdAt || new Date()
+    };
+
+    // Conditional on the old field, so two requests cannot adopt the key twice
+    let filter;
+    if (app.apiKeyDigest) {
+      key.digest = app.apiKeyDigest;
+      filter = { _id: app._id, apiKeyDigest: app.apiKeyDigest };
+    } else {
+      key.hash = app.apiKeyHash;
+      filter = { _id: app._id, apiKeyHash: app.apiKeyHash };
+    }
+
+    const adopted = await App.findOneAndUpdate(
+      filter,
+      { $push: { apiKeys: key }, $unset: { apiKeyPrefix: 1, apiKeyDigest: 1, apiKeyHash: 1 } },
+      { new: true, projection: APP_FIELDS }
+    ).lean();
+
+    if (adopted) {
+      Logger.info('Legacy API key moved to apiKeys', { appId: app.appId, keyId: key.keyId });
+      return adopted;
+    }
+
+    return App.findById(app._id).select(APP_FIELDS).lean();
+  }
+
+  /**
+   * Record that a key was used (throttled, not awaited)
+   */
+  touch(appId, keyId) {
+    const now = Date.now();
+
+    if (now - (this.lastUsedWrites.get(keyId) || 0) < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    this.lastUsedWrites.set(keyId, now);
+
+    App.updateOne({ appId, 'apiKeys.keyId': keyId }, { $set: { 'apiKeys.$.lastUsedAt': new Date(now) } })
+      .catch(error => Logger.error('Failed to record API key use', { appId, keyId, error: error.message }));
+  }
+
+  /**
+   * Admin view of a key (no secrets)
+   */
+  toView(key) {
+    const now = Date.now();
+    let status = 'ACTIVE';
+
+    if (!this.isUsable(key, now)) {
+      status = 'REVOKED';
+    } else if (key.expiresAt) {
+      status = 'EXPIRING';
+    }
+
+    return {
+      keyId: key.keyId,
+      name: key.name,
+      type: this.getType(key),
+      scopes: key.scopes,
+      status,
+      createdAt: key.createdAt,
+      createdBy: key.createdBy,
+      lastUsedAt: key.lastUsedAt,
+      expiresAt: key.expiresAt,
+      // Keys whose grace period ran out count as revoked from that moment
+      revokedAt: key.revokedAt || (status === 'REVOKED' ? key.expiresAt : null),
+      replacedBy: key.replacedBy
+    };
+  }
+
+  /**
+   * Keys of an app, newest first
+   * @param {App} app - App document
+   * @returns {Array} Key views
+   */
+  async listKeys(app) {
+    await this.adoptLegacyKeyOf(app);
+
+    return app.apiKeys
+      .map(key => this.toView(key))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Issue a new key
+   * @param {App} app - App document
+   * @param {Object} data - { name, type (default secret), scopes, createdBy }
+   * @returns {Object} { apiKey (shown once), key }
+   */
+  async createKey(app, data) {
+    const type = data.type || 'secret';
+    const scopes = [...new Set(data.scopes)];
+
+    const notAllowed = scopes.filter(scope => !API_KEY_TYPES[type].scopes.includes(scope));
+    if (notAllowed.length > 0) {
+      throw new ValidationError(`A ${type} key cannot have the scope(s): ${notAllowed.join(', ')}`, {
+        type,
+        allowedScopes: API_KEY_TYPES[type].scopes
+      });
+    }
+
+    // A publishable key is public; the origin check is all that ties it to the app
+    if (type === 'publishable' && !app.allowedDomains.some(domain => domain !== '*')) {
+      throw new ValidationError('Publishable keys need the app to have allowedDomains (other than *)');
+    }
+
+    await this.adoptLegacyKeyOf(app);
+
+    const usable = app.apiKeys.filter(key => this.isUsable(key));
+    if (usable.length >= MAX_API_KEYS_PER_APP) {
+      throw new ConflictError(`An app can have at most ${MAX_API_KEYS_PER_APP} active API keys`, {
+        maxKeys: MAX_API_KEYS_PER_APP
+      });
+    }
+
+    const { apiKey, prefix, digest } = this.generate(type);
+
+    app.apiKeys.push({
+      keyId: prefix,
+      name: data.name,
+      type,
+      digest,
+      scopes,
+      createdBy: data.createdBy || null
+    });
+    await app.save();
+
+    await this.invalidate(app.appId);
+
+    Logger.info('API key created', { appId: app.appId, keyId: prefix, type, scopes });
+
+    return { apiKey, key: this.toView(app.apiKeys[app.apiKeys.length - 1]) };
+  }
+
+  /**
+   * Replace a key, keeping the old one valid for a grace period
+   * @param {App} app - App document
+   * @param {String} keyId - Key to rotate (default: the oldest active secret key)
+   * @param {Object} options - { graceSeconds (0 = revoke now), rotatedBy }
+   * @returns {Object} { apiKey (shown once), key, previous }
+   */
+  async rotateKey(app, keyId, options = {}) {
+    await this.adoptLegacyKeyOf(app);
+
+    const { graceSeconds = env.API_KEY_ROTATION_GRACE_SECONDS, rotatedBy = null } = options;
+
+    const previous = keyId
+      ? app.apiKeys.find(key => key.keyId === keyId)
+      : app.apiKeys
+        .filter(key => this.getType(key) === 'secret' && this.isUsable(key) && !key.expiresAt)
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+
+    if (!previous || !this.isUsable(previous)) {
+      throw new NotFoundError('Active API key');
+    }
+
+    if (previous.expiresAt) {
+      throw new ConflictError('API key has already been rotated', {
+        replacedBy: previous.replacedBy,
+        expiresAt: previous.expiresAt
+      });
+    }
+
+    const type = this.getType(previous);
+    const { apiKey, prefix, digest } = this.generate(type);
+    const now = new Date();
+
+    app.apiKeys.push({
+      keyId: prefix,
+      name: previous.name,
+      type,
+      digest,
+      scopes: previous.scopes,
+      createdBy: rotatedBy
+    });
+
+    previous.replacedBy = prefix;
+    if (graceSeconds > 0) {
+      previous.expiresAt = new Date(now.getTime() + graceSeconds * 1000);
+    } else {
+      previous.revokedAt = now;
+    }
+
+    await app.save();
+
+    await this.invalidate(app.appId);
+
+    Logger.info('API key rotated', {
+      appId: app.appId,
+      keyId: previous.keyId,
+      replacedBy: prefix,
+      graceSeconds
+    });
+
+    return {
+      apiKey,
+      key: this.toView(app.apiKeys[app.apiKeys.length - 1]),
+      previous: this.toView(previous)
+    };
+  }
+
+  /**
+   * Revoke a key immediately
+   * @param {App} app - App document
+   * @param {String} keyId - Key to revoke
+   * @returns {Object} Key view
+   */
+  async revokeKey(app, keyId) {
+    await this.adoptLegacyKeyOf(app);
+
+    const key = app.apiKeys.find(candidate => candidate.keyId === keyId);
+
+    if (!key) {
+      throw new NotFoundError('API key');
+    }
+
+    if (!this.isUsable(key)) {
+      throw new ConflictError('API key is already revoked');
+    }
+
+    key.revokedAt = new Date();
+    await app.save();
+
+    await this.invalidate(app.appId);
+
+    Logger.info('API key revoked', { appId: app.appId, keyId });
+
+    return this.toView(key);
+  }
+
+  /**
+   * adoptLegacyKey for an App document about to be edited by an admin
+   * @param {App} app - App document (updated in place)
+   */
+  async adoptLegacyKeyOf(app) {
+    if (!app.apiKeyDigest && !app.apiKeyHash) {
+      return;
+    }
+
+    const adopted = await this.adoptLegacyKey(app.toObject());
+    app.set('apiKeys', adopted.apiKeys);
+    app.set({ apiKeyPrefix: undefined, apiKeyDigest: undefined, apiKeyHash: undefined });
+  }
+
+  /**
+   * Drop an app from every instance's cache (after an admin change)
+   * @param {String} appId - App ID
+   */
+  async invalidate(appId) {
+    this.cache.delete(appId);
+
+    try {
+      await redisConnection.getClient().publish(CHANNEL, appId);
+    } catch (error) {
+      // Other instances pick the change up when their entry expires
+      Logger.error('App auth invalidation publish failed', { appId, error: error.message });
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -2,8 +2,15 @@ const mongoose = require('mongoose');
 const Seat = require('../models/Seat');
 const Reservation = require('../models/Reservation');
 const Booking = require('../models/Booking');
+const App = require('../models/App');
 const lockService = require('./lockService');
-const paymentService = require('./paymentService');
+const refundService = require('./refundService');
+const entityService = require('./entityService');
+const pricingService = require('./pricingService');
+const promoService = require('./promoService');
+const holdLimitService = require('./holdLimitService');
+const ticketService = require('./ticketService');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
 const { NotFoundError, SeatLockError, ConflictError, PaymentError } = require('../utils/errors');
 const Logger = require('../utils/logger');
 const env = require('../config/env');
@@ -23,10 +30,13 @@ class BookingService {
    * Get available seats for an entity
    * @param {String} appId - App ID
    * @param {String} entityId - Entity ID (event, bus, movie show)
-   * @param {Object} filters - Optional filters
+   * @param {Object} filters - Optional filters (minPrice, maxPrice, fromStop/toStop on multi-stop routes)
    * @returns {Array<Seat>} Available seats
    */
   async getAvailableSeats(appId, entityId, filters = {}) {
+    const entity = await entityService.find(appId, entityId);
+    const segment = entityService.resolveSegment(entity, filters.fromStop, filters.toStop);
+
     const query = {
       appId,
       entityId,
@@ -41,13 +51,22 @@ class BookingService {
       query.price = { ...query.price, $lte: filters.maxPrice };
     }
 
-    const seats = await Seat.find(query).sort({ seatNumber: 1 }).lean();
+    let seats = await Seat.find(query).sort({ seatNumber: 1 }).lean();
+
+    // On multi-stop routes, drop seats already sold for an overlapping segment
+    if (segment) {
+      seats = seats.filter(seat => Seat.isSegmentFree(seat.bookedSegments, segment.from, segment.to));
+    }
 
-    // Filter out seats that are locked in Redis
-    const seatIds = seats.map(seat => seat._id.toString());
-    const lockStatus = await lockService.bulkCheckLocks(seatIds);
+    // Filter out seats that are locked in Redis (any leg of the segment)
+    const lockIdsBySeat = new Map(
+      seats.map(seat => [seat._id.toString(), lockService.getLockIds(seat._id.toString(), segment)])
+    );
+    const lockStatus = await lockService.bulkCheckLocks([...lockIdsBySeat.values()].flat());
 
-    const availableSeats = seats.filter(seat => !lockStatus[seat._id.toString()]);
+    const availableSeats = seats.filter(seat =>
+      !lockIdsBySeat.get(seat._id.toString()).some(lockId => lockStatus[lockId])
+    );
 
     Logger.debug('Available seats fetched', {
       appId,
@@ -64,23 +83,31 @@ class BookingService {
    * Get all seats with lock status (for UI display)
    * @param {String} appId - App ID
    * @param {String} entityId - Entity ID
+   * @param {Object} filters - fromStop/toStop on multi-stop routes (default: whole route)
    * @returns {Array} Seats with isLocked and lockExpiresAt properties
    */
-  async getAllSeatsWithLockStatus(appId, entityId) {
+  async getAllSeatsWithLockStatus(appId, entityId, filters = {}) {
+    const entity = await entityService.find(appId, entityId);
+    const segment = entityService.resolveSegment(entity, filters.fromStop, filters.toStop);
+
     // Get all seats (AVAILABLE and BOOKED)
     const seats = await Seat.find({ appId, entityId }).sort({ seatNumber: 1 }).lean();
 
-    // Check lock status for all seats
-    const seatIds = seats.map(seat => seat._id.toString());
-    const lockStatus = await lockService.bulkCheckLocks(seatIds);
+    // Check lock status for all seats (every leg of the segment on multi-stop routes)
+    const lockIdsBySeat = new Map(
+      seats.map(seat => [seat._id.toString(), lockService.getLockIds(seat._id.toString(), segment)])
+    );
+    const lockStatus = await lockService.bulkCheckLocks([...lockIdsBySeat.values()].flat());
 
     // Add lock information to each seat
     const seatsWithStatus = seats.map(seat => {
       const seatIdStr = seat._id.toString();
-      const lockInfo = lockStatus[seatIdStr];
+      const lockInfo = lockIdsBySeat.get(seatIdStr).some(lockId => lockStatus[lockId]);
+      const soldForSegment = segment && !Seat.isSegmentFree(seat.bookedSegments, segment.from, segment.to);
       
       return {
         ...seat,
+        status: soldForSegment ? 'BOOKED' : seat.status,
         isLocked: !!lockInfo,
         lockExpiresAt: lockInfo ? lockInfo.expiresAt : null,
         lockTTL: lockInfo ? lockInfo.ttl : null
@@ -105,70 +132,197 @@ class BookingService {
    * @returns {Object} Reservation details
    */
   async reserveSeat(appId, seatId, userId) {
-    // Validate seat exists and is available
-    const seat = await Seat.findById(seatId);
+    return this.reserveSeats(appId, [seatId], userId);
+  }
 
-    if (!seat) {
-      throw new NotFoundError('Seat');
+  /**
+   * Reserve several seats atomically (Step 1 of booking)
+   *
+   * Either every seat is locked under a single reservation token or none is.
+   * All seats must belong to the same app and entity.
+   *
+   * @param {String} appId - App ID
+   * @param {Array<String>} seatIds - Seat IDs
+   * @param {String} userId - User ID
+   * @param {Object} options - { fromStop, toStop (multi-stop routes), promoCode, ttlSeconds (hold length), contact ({ name, email, phone } for notifications), metadata (extra reservation context), skipHoldLimits (track the hold without enforcing the app's caps) }
+   * @returns {Object} Reservation details
+   */
+  async reserveSeats(appId, seatIds, userId, options = {}) {
+    const uniqueSeatIds = [...new Set(seatIds.map(String))];
+
+    if (uniqueSeatIds.length > env.MAX_SEATS_PER_RESERVATION) {
+      throw new ConflictError(`Cannot reserve more than ${env.MAX_SEATS_PER_RESERVATION} seats at once`);
     }
 
-    if (seat.appId !== appId) {
+    // Validate seats exist and are available
+    const seats = await Seat.find({ _id: { $in: uniqueSeatIds } });
+    seats.sort((a, b) => uniqueSeatIds.indexOf(a._id.toString()) - uniqueSeatIds.indexOf(b._id.toString()));
+
+    if (seats.length !== uniqueSeatIds.length) {
+      const found = new Set(seats.map(seat => seat._id.toString()));
+      throw new NotFoundError('Seat', {
+        missing: uniqueSeatIds.filter(seatId => !found.has(seatId))
+      });
+    }
+
+    if (seats.some(seat => seat.appId !== appId)) {
       throw new ConflictError('Seat does not belong to this app');
     }
 
-    if (seat.status !== 'AVAILABLE') {
-      throw new ConflictError('Seat is not available');
+    const entityId = seats[0].entityId;
+    if (seats.some(seat => seat.entityId !== entityId)) {
+      throw new ConflictError('All seats in a reservation must belong to the same entity');
+    }
+
+    const entity = await entityService.assertOnSale(appId, entityId);
+    const segment = entityService.resolveSegment(entity, options.fromStop, options.toStop);
+
+    const unavailable = seats.filter(seat =>
+      seat.status !== 'AVAILABLE' || (segment && !seat.isSegmentFree(segment.from, segment.to))
+    );
+    if (unavailable.length > 0) {
+      throw new ConflictError(
+        seats.length > 1 ? 'One or more seats are not available' : 'Seat is not available',
+        { seatNumbers: unavailable.map(seat => seat.seatNumber) }
+      );
     }
 
-    // Acquire lock in Redis (ATOMIC operation)
-    const lockDetails = await lockService.acquireLock(seatId, userId);
+    // Price now (dynamic pricing rules); the quote is frozen on the reservation
+    const quote = await pricingService.quote(appId, entityId, seats);
+    const { totalAmount, currency } = quote;
+
+    // Load the caps before locking, so a failed lookup cannot leave seats locked
+    const app = await App.findOne({ appId }).select('reservationPolicy');
+
+    // Acquire locks in Redis (ATOMIC, all-or-nothing) - one per leg on multi-stop routes
+    const lockIds = uniqueSeatIds.flatMap(seatId => lockService.getLockIds(seatId, segment));
+    const lockDetails = await lockService.acquireLocks(lockIds, userId, options.ttlSeconds);
+
+    // Anti-hoarding: count the hold against the user's caps (app reservationPolicy)
+    const hold = {
+      appId,
+      userId,
+      entityId,
+      reservationToken: lockDetails.reservationToken,
+      seatIds: uniqueSeatIds,
+      expiresAt: lockDetails.expiresAt
+    };
+
+    try {
+      await holdLimitService.claim(hold, app?.reservationPolicy, { enforce: !options.skipHoldLimits });
+    } catch (error) {
+      await lockService.rollbackLocks(lockIds, lockDetails.reservationToken);
+      throw error;
+    }
 
     // Create reservation record in MongoDB
     const reservation = new Reservation({
       reservationToken: lockDetails.reservationToken,
       userId,
       appId,
-      seatId,
+      seatId: seats[0]._id,
+      seatIds: seats.map(seat => seat._id),
+      segment: segment || undefined,
+      lockIds: segment ? lockIds : undefined,
       status: 'ACTIVE',
       expiresAt: new Date(lockDetails.expiresAt),
+      pricing: {
+        seats: quote.seats,
+        totalAmount,
+        currency,
+        pricedAt: new Date()
+      },
+      contact: options.contact,
       metadata: {
-        seatNumber: seat.seatNumber,
-        price: seat.price,
-        entityId: seat.entityId
+        seatNumber: seats[0].seatNumber,
+        seatNumbers: seats.map(seat => seat.seatNumber),
+        price: quote.seats[0].price,
+        totalAmount,
+        currency,
+        entityId,
+        ...options.metadata
       }
     });
 
-    await reservation.save();
+    try {
+      await reservation.save();
+    } catch (error) {
+      // Don't leave seats locked behind a reservation that was never recorded
+      await lockService.rollbackLocks(lockIds, lockDetails.reservationToken);
+      await holdLimitService.release(hold);
+      throw error;
+    }
+
+    let promo = null;
+    if (options.promoCode) {
+      try {
+        promo = await promoService.applyToReservation(appId, lockDetails.reservationToken, userId, options.promoCode);
+      } catch (error) {
+        // A rejected code fails the whole request, so the user can retry without the hold
+        await Reservation.deleteOne({ _id: reservation._id });
+        await lockService.rollbackLocks(lockIds, lockDetails.reservationToken);
+        await holdLimitService.release(hold);
+        throw error;
+      }
+    }
 
     Logger.info('Seat reserved successfully', {
       appId,
-      seatId,
+      seatIds: uniqueSeatIds,
       userId,
       reservationToken: lockDetails.reservationToken
     });
 
+    eventBus.publish(BOOKING_EVENTS.RESERVATION_CREATED, {
+      reservationToken: lockDetails.reservationToken,
+      appId,
+      userId,
+      entityId,
+      seatIds: uniqueSeatIds,
+      segment,
+      expiresAt: lockDetails.expiresAt,
+      totalAmount,
+      currency
+    });
+
+    const seatSummaries = seats.map((seat, index) => ({
+      id: seat._id,
+      seatNumber: seat.seatNumber,
+      price: quote.seats[index].price,
+      basePrice: seat.price,
+      entityId: seat.entityId
+    }));
+
     return {
       reservationToken: lockDetails.reservationToken,
       expiresAt: lockDetails.expiresAt,
-      seat: {
-        id: seat._id,
-        seatNumber: seat.seatNumber,
-        price: seat.price,
-        entityId: seat.entityId
-      },
+      seat: seatSummaries[0],
+      seats: seatSummaries,
+      segment,
+      totalAmount,
+      currency,
+      promo,
+      amountDue: promo ? promo.finalAmount : totalAmount,
       ttl: lockDetails.ttl
     };
   }
 
   /**
    * Confirm booking (Step 2 of booking - after payment)
+   *
+   * A multi-seat reservation becomes one Booking per seat. The bookings share
+   * the reservation token and payment ID, which links them together, and
+   * each carries its own signed ticket.
+   * The caller verifies the payment with its gateway first.
+   *
    * @param {String} appId - App ID
    * @param {String} reservationToken - Reservation token
-   * @param {String} paymentId - Payment ID from payment gateway
+   * @param {String} paymentId - Verified payment ID from the payment gateway
    * @param {String} userId - User ID
+   * @param {String} provider - Gateway that took the payment
    * @returns {Object} Booking details
    */
-  async confirmBooking(appId, reservationToken, paymentId, userId) {
+  async confirmBooking(appId, reservationToken, paymentId, userId, provider) {
     // Find reservation
     const reservation = await Reservation.findOne({ reservationToken });
 
@@ -186,114 +340,379 @@ class BookingService {
       throw new ConflictError(`Reservation is ${reservation.status.toLowerCase()}`);
     }
 
+    const seatIds = reservation.getSeatIds();
+    const lockIds = reservation.getLockIds();
+    const { segment } = reservation;
+
     // Check if reservation expired
     if (reservation.isExpired()) {
       reservation.status = 'EXPIRED';
       await reservation.save();
-      await lockService.releaseLock(reservation.seatId.toString());
+      for (const lockId of lockIds) {
+        await lockService.releaseLock(lockId, reservationToken);
+      }
+      eventBus.publish(BOOKING_EVENTS.RESERVATION_EXPIRED, {
+        reservationToken,
+        appId: reservation.appId,
+        userId,
+        seatIds,
+        entityId: reservation.metadata?.entityId,
+        expiredAt: new Date().toISOString()
+      });
       throw new ConflictError('Reservation has expired');
     }
 
-    // Verify lock in Redis
-    const isLockValid = await lockService.verifyLock(
-      reservation.seatId.toString(),
-      reservationToken,
-      userId
-    );
+    // Verify every lock in Redis
+    for (const lockId of lockIds) {
+      const isLockValid = await lockService.verifyLock(lockId, reservationToken, userId);
 
-    if (!isLockValid) {
-      throw new SeatLockError('Reservation lock is no longer valid');
+      if (!isLockValid) {
+        throw new SeatLockError('Reservation lock is no longer valid', { seatId: lockId.split(':')[0] });
+      }
     }
 
     // Get seat details
-    const seat = await Seat.findById(reservation.seatId);
+    const seats = await Seat.find({ _id: { $in: seatIds } });
+    seats.sort((a, b) => seatIds.indexOf(a._id.toString()) - seatIds.indexOf(b._id.toString()));
+
+    const isUnavailable = seat =>
+      seat.status !== 'AVAILABLE' || (segment && !seat.isSegmentFree(segment.from, segment.to));
 
-    if (!seat || seat.status !== 'AVAILABLE') {
+    if (seats.length !== seatIds.length || seats.some(isUnavailable)) {
       throw new ConflictError('Seat is no longer available');
     }
 
-    // Verify payment
-    await paymentService.verifyPayment(paymentId);
-
-    // START TRANSACTION (MongoDB transaction for consistency)
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-      // Update seat status to BOOKED
-      const bookingId = Booking.generateBookingId();
+    // A payment pays for one reservation (a unique index on Reservation.paymentId backs this up)
+    const reused = await Booking.findOne({ paymentId, reservationToken: { $ne: reservationToken } })
+      .select('bookingId');
+    if (reused) {
+      Logger.warn('Payment reused for another reservation', { paymentId, reservationToken, bookingId: reused.bookingId });
+      throw new ConflictError('Payment has already been used for another booking', { paymentId });
+    }
 
-      seat.status = 'BOOKED';
-      seat.bookedBy = userId;
-      seat.bookingId = null; // Will be set after booking is created
-      await seat.save({ session });
+    // The payment was taken in the reservation currency; a repriced seat can't be booked with it
+    const currency = reservation.getCurrency();
+    if (seats.some(seat => seat.currency !== currency)) {
+      throw new ConflictError('Seat currency changed since the reservation', { currency });
+    }
 
-      // Create booking document
-      const booking = new Booking({
-        bookingId,
-        userId,
-        appId,
-        seatId: seat._id,
-        reservationToken,
-        paymentStatus: 'SUCCESS',
-        paymentId,
-        amount: seat.price,
-        currency: 'USD',
-        bookingDate: new Date(),
-        metadata: {
-          seatNumber: seat.seatNumber,
-          entityId: seat.entityId,
-          domain: seat.domain
-        }
-      });
+    // Legs on the route, to tell when a segmented seat is sold out
+    const legCount = segment
+      ? (await entityService.find(appId, seats[0].entityId)).stops.length - 1
+      : null;
 
-      await booking.save({ session });
+    // Each booking is issued a signed ticket
+    const signingKey = await ticketService.getSigningKey(appId);
 
-      // Update seat with booking reference
-      seat.bookingId = booking._id;
-      await seat.save({ session });
+    // MongoDB transaction for consistency. The reservation and every seat are
+    // claimed with conditional updates, so of two concurrent confirms (the
+    // browser and the payment.captured webhook, a double submit) only one
+    // books; the other gets a ConflictError. Concurrent writes to a seat abort
+    // one attempt with a write conflict; the helper retries it against the
+    // winner's result
+    let bookings;
 
-      // Update reservation status
-      reservation.status = 'CONFIRMED';
-      await reservation.save({ session });
+    try {
+      await mongoose.connection.transaction(async session => {
+        bookings = [];
 
-      // Commit transaction
-      await session.commitTransaction();
+        // Sales may have closed (or the bus departed) since the seats were reserved
+        await entityService.assertOnSale(appId, seats[0].entityId, { session, action: 'booked' });
 
-      // Release lock in Redis
-      await lockService.releaseLock(seat._id.toString(), reservationToken);
+        const claimed = await Reservation.findOneAndUpdate(
+          { _id: reservation._id, status: 'ACTIVE' },
+          { $set: { status: 'CONFIRMED', paymentId } },
+          { new: true, session }
+        );
 
-      Logger.info('Booking confirmed successfully', {
-        bookingId,
-        userId,
-        seatId: seat._id.toString(),
-        amount: seat.price
-      });
+        if (!claimed) {
+          throw new ConflictError('Reservation is no longer active', { reservationToken });
+        }
 
-      return {
-        bookingId,
-        booking: booking.toObject(),
-        seat: {
-          id: seat._id,
-          seatNumber: seat.seatNumber,
-          entityId: seat.entityId
+        for (const seat of seats) {
+          const bookingId = Booking.generateBookingId();
+          const seatPricing = reservation.getSeatPricing(seat._id);
+          const amount = reservation.getSeatPrice(seat._id, seat.price);
+
+          // Create booking document
+          const booking = new Booking({
+            bookingId,
+            userId,
+            appId,
+            seatId: seat._id,
+            reservationToken,
+            paymentStatus: 'SUCCESS',
+            paymentId,
+            paymentProvider: provider,
+            amount,
+            currency,
+            discount: reservation.promo
+              ? { code: reservation.promo.code, amount: seatPricing?.discount || 0, originalAmount: seatPricing?.price }
+              : undefined,
+            bookingDate: new Date(),
+            segment: segment ? segment.toObject() : undefined,
+            contact: reservation.contact ? reservation.contact.toObject() : undefined,
+            metadata: {
+              seatNumber: seat.seatNumber,
+              entityId: seat.entityId,
+              domain: seat.domain,
+              groupSize: seats.length
+            }
+          });
+          booking.ticket = ticketService.issue(booking, signingKey);
+
+          // Book the seat (or its segment) only if it is still free
+          if (segment) {
+            await this.bookSeatSegment(seat._id, segment, booking._id, legCount, session);
+          } else {
+            await this.bookSeat(seat._id, userId, booking._id, session);
+          }
+
+          await booking.save({ session });
+
+          bookings.push(booking);
         }
-      };
 
+        if (reservation.promo) {
+          await promoService.markRedeemed(reservationToken, bookings.map(booking => booking.bookingId), session);
+        }
+      });
     } catch (error) {
-      await session.abortTransaction();
       Logger.error('Booking confirmation failed', {
         error: error.message,
         reservationToken
       });
+      if (error.code === 11000 && error.keyPattern?.paymentId) {
+        throw new ConflictError('Payment has already been used for another booking', { paymentId });
+      }
       throw error;
-    } finally {
-      session.endSession();
+    }
+
+    // Release locks in Redis
+    for (const lockId of lockIds) {
+      await lockService.releaseLock(lockId, reservationToken);
+    }
+
+    const totalAmount = bookings.reduce((sum, booking) => sum + booking.amount, 0);
+
+    Logger.info('Booking confirmed successfully', {
+      bookingIds: bookings.map(booking => booking.bookingId),
+      userId,
+      seatIds,
+      amount: totalAmount
+    });
+
+    eventBus.publish(BOOKING_EVENTS.BOOKING_CONFIRMED, {
+      reservationToken,
+      appId,
+      userId,
+      entityId: seats[0].entityId,
+      seatIds,
+      segment: segment ? segment.toObject() : null,
+      bookingIds: bookings.map(booking => booking.bookingId),
+      paymentId,
+      totalAmount,
+      currency
+    });
+
+    return {
+      bookingId: bookings[0].bookingId,
+      booking: bookings[0].toObject(),
+      seat: {
+        id: seats[0]._id,
+        seatNumber: seats[0].seatNumber,
+        entityId: seats[0].entityId
+      },
+      bookings: bookings.map(booking => booking.toObject()),
+      totalAmount,
+      currency
+    };
+  }
+
+  /**
+   * Result of a confirmation already made for a reservation with a payment
+   * Lets the loser of two concurrent confirms answer with the winner's bookings
+   * @param {String} reservationToken - Reservation token
+   * @param {String} paymentId - Payment ID
+   * @returns {Object|null} Booking details as confirmBooking returns them, or null
+   */
+  async findConfirmation(reservationToken, paymentId) {
+    const bookings = await Booking.find({ reservationToken, paymentId }).sort({ _id: 1 });
+
+    if (bookings.length === 0) {
+      return null;
+    }
+
+    const [first] = bookings;
+
+    return {
+      bookingId: first.bookingId,
+      booking: first.toObject(),
+      seat: {
+        id: first.seatId,
+        seatNumber: first.metadata?.seatNumber,
+        entityId: first.metadata?.entityId
+      },
+      bookings: bookings.map(booking => booking.toObject()),
+      totalAmount: bookings.reduce((sum, booking) => sum + booking.amount, 0),
+      currency: first.currency
+    };
+  }
+
+  /**
+   * Extend an active reservation (heartbeat for slow checkouts)
+   *
+   * Each call pushes the hold to now + extensionSeconds, bounded by the app's
+   * reservationPolicy: at most maxExtensions calls and never beyond
+   * maxHoldSeconds after the reservation was created.
+   *
+   * @param {String} appId - App ID
+   * @param {String} reservationToken - Reservation token
+   * @param {String} userId - User ID
+   * @returns {Object} New expiry details
+   */
+  async extendReservation(appId, reservationToken, userId) {
+    const reservation = await Reservation.findOne({ reservationToken });
+
+    if (!reservation) {
+      throw new NotFoundError('Reservation');
+    }
+
+    if (reservation.appId !== appId) {
+      throw new ConflictError('Reservation does not belong to this app');
+    }
+
+    if (reservation.userId.toString() !== userId) {
+      throw new ConflictError('Reservation does not belong to this user');
+    }
+
+    if (reservation.status !== 'ACTIVE') {
+      throw new ConflictError(`Reservation is ${reservation.status.toLowerCase()}`);
+    }
+
+    if (reservation.isExpired()) {
+      throw new ConflictError('Reservation has expired');
+    }
+
+    const lockIds = reservation.getLockIds();
+
+    for (const lockId of lockIds) {
+      const isLockValid = await lockService.verifyLock(lockId, reservationToken, userId);
+
+      if (!isLockValid) {
+        throw new SeatLockError('Reservation lock is no longer valid', { seatId: lockId.split(':')[0] });
+      }
+    }
+
+    const app = await App.findOne({ appId });
+    const { maxHoldSeconds, maxExtensions, extensionSeconds } = app.reservationPolicy;
+
+    if (reservation.extensionCount >= maxExtensions) {
+      throw new ConflictError('Maximum number of extensions reached', { maxExtensions });
+    }
+
+    const now = Date.now();
+    const holdDeadline = reservation.createdAt.getTime() + maxHoldSeconds * 1000;
+    const newExpiresAt = Math.min(now + extensionSeconds * 1000, holdDeadline);
+
+    if (newExpiresAt <= reservation.expiresAt.getTime()) {
+      throw new ConflictError('Maximum hold time reached', { maxHoldSeconds });
+    }
+
+    const ttl = Math.ceil((newExpiresAt - now) / 1000);
+    const extended = await lockService.extendLocks(lockIds, reservationToken, userId, ttl);
+
+    if (!extended) {
+      throw new SeatLockError('Reservation lock is no longer valid');
+    }
+
+    reservation.expiresAt = new Date(extended.expiresAt);
+    reservation.extensionCount += 1;
+    await reservation.save();
+
+    await holdLimitService.extend({
+      appId,
+      userId,
+      entityId: reservation.metadata?.entityId,
+      reservationToken,
+      seatIds: reservation.getSeatIds(),
+      expiresAt: extended.expiresAt
+    });
+
+    Logger.info('Reservation extended', {
+      appId,
+      reservationToken,
+      userId,
+      expiresAt: extended.expiresAt,
+      extensionCount: reservation.extensionCount
+    });
+
+    return {
+      reservationToken,
+      expiresAt: extended.expiresAt,
+      ttl: extended.ttl,
+      extensionsUsed: reservation.extensionCount,
+      extensionsRemaining: maxExtensions - reservation.extensionCount,
+      holdDeadline: new Date(holdDeadline).toISOString()
+    };
+  }
+
+  /**
+   * Book a whole seat in one conditional update
+   * Only an AVAILABLE seat is taken, so a concurrent confirm cannot book it too
+   * @param {ObjectId} seatId - Seat
+   * @param {String} userId - User booking it
+   * @param {ObjectId} bookingId - Booking taking the seat
+   * @param {ClientSession} session - Transaction session
+   * @throws {ConflictError} The seat is no longer available
+   */
+  async bookSeat(seatId, userId, bookingId, session) {
+    const seat = await Seat.findOneAndUpdate(
+      { _id: seatId, status: 'AVAILABLE' },
+      { $set: { status: 'BOOKED', bookedBy: userId, bookingId } },
+      { new: true, session }
+    );
+
+    if (!seat) {
+      throw new ConflictError('Seat is no longer available', { seatId });
+    }
+  }
+
+  /**
+   * Book a route segment of a seat in one atomic update
+   * The push is refused if a segment overlapping it was booked meanwhile, and
+   * the seat becomes BOOKED once every leg is sold (judged on the seat as
+   * written in this transaction, not the copy read before it)
+   * @param {ObjectId} seatId - Seat
+   * @param {Object} segment - { from, to } stop indexes
+   * @param {ObjectId} bookingId - Booking taking the segment
+   * @param {Number} legCount - Legs on the route
+   * @param {ClientSession} session - Transaction session
+   * @throws {ConflictError} The segment is no longer free
+   */
+  async bookSeatSegment(seatId, segment, bookingId, legCount, session) {
+    const seat = await Seat.findOneAndUpdate(
+      {
+        _id: seatId,
+        status: 'AVAILABLE',
+        bookedSegments: { $not: { $elemMatch: { from: { $lt: segment.to }, to: { $gt: segment.from } } } }
+      },
+      { $push: { bookedSegments: { from: segment.from, to: segment.to, bookingId } } },
+      { new: true, session }
+    );
+
+    if (!seat) {
+      throw new ConflictError('Seat is no longer available', { seatId });
+    }
+
+    if (seat.isFullyBooked(legCount)) {
+      await Seat.updateOne({ _id: seatId }, { $set: { status: 'BOOKED' } }, { session });
     }
   }
 
   /**
    * Release seat reservation (cancel)
+   * Releases every seat held under the token
    * @param {String} reservationToken - Reservation token
    * @param {String} userId - User ID
    * @returns {Boolean} Success
@@ -313,8 +732,12 @@ class BookingService {
       throw new ConflictError('Cannot release confirmed booking');
     }
 
-    // Release lock in Redis
-    await lockService.releaseLock(reservation.seatId.toString(), reservationToken);
+    const seatIds = reservation.getSeatIds();
+
+    // Release locks in Redis
+    for (const lockId of reservation.getLockIds()) {
+      await lockService.releaseLock(lockId, reservationToken);
+    }
 
     // Update reservation status
     reservation.status = 'RELEASED';
@@ -323,12 +746,209 @@ class BookingService {
     Logger.info('Seat released successfully', {
       reservationToken,
       userId,
-      seatId: reservation.seatId.toString()
+      seatIds
+    });
+
+    eventBus.publish(BOOKING_EVENTS.RESERVATION_RELEASED, {
+      reservationToken,
+      appId: reservation.appId,
+      userId,
+      entityId: reservation.metadata?.entityId,
+      seatIds
     });
 
     return true;
   }
 
+  /**
+   * Cancel a confirmed booking and refund it per the app's refund policy
+   *
+   * The booking is claimed atomically (SUCCESS -> CANCELLED) before the gateway
+   * is called, so two concurrent cancellations can never refund twice. If the
+   * refund call fails the booking is put back to SUCCESS.
+   *
+   * @param {String} bookingId - Booking ID (BK-...)
+   * @param {Object} options - Cancellation options
+   * @param {String} options.appId - Restrict to this app (tenant calls)
+   * @param {String} options.userId - Restrict to this user (user calls)
+   * @param {String} options.cancelledBy - USER | ADMIN
+   * @param {String} options.actor - User ID or admin email
+   * @param {String} options.reason - Optional reason
+   * @param {Number} options.refundPercent - Admin override of the policy
+   * @returns {Object} Cancellation details
+   */
+  async cancelBooking(bookingId, options = {}) {
+    const { appId, userId, cancelledBy = 'USER', actor, reason, refundPercent: overridePercent } = options;
+
+    const query = { bookingId };
+    if (appId) {
+      query.appId = appId;
+    }
+
+    const booking = await Booking.findOne(query);
+
+    if (!booking) {
+      throw new NotFoundError('Booking');
+    }
+
+    if (userId && booking.userId.toString() !== userId) {
+      throw new ConflictError('Booking does not belong to this user');
+    }
+
+    if (booking.isCancelled()) {
+      throw new ConflictError('Booking is already cancelled');
+    }
+
+    if (!booking.isConfirmed()) {
+      throw new ConflictError(`Booking with payment status ${booking.paymentStatus} cannot be cancelled`);
+    }
+
+    const app = await App.findOne({ appId: booking.appId });
+    const policy = app.refundPolicy;
+
+    if (cancelledBy === 'USER' && !policy.allowCancellation) {
+      throw new ConflictError('Cancellation is not allowed for this app');
+    }
+
+    const seat = await Seat.findById(booking.seatId);
+    const eventStartsAt = await entityService.getStartTime(booking.appId, seat?.entityId) ||
+      refundService.getEventStartTime(seat);
+
+    if (cancelledBy === 'USER' && eventStartsAt && eventStartsAt <= new Date()) {
+      throw new ConflictError('Event has already started');
+    }
+
+    if (cancelledBy === 'USER' && booking.ticket?.checkedInAt) {
+      throw new ConflictError('Ticket has already been used');
+    }
+
+    const refundPercent = overridePercent !== undefined
+      ? overridePercent
+      : refundService.calculateRefundPercent(policy, eventStartsAt);
+    const refundAmount = refundService.calculateRefundAmount(booking.amount, refundPercent);
+
+    // Claim the booking so a concurrent cancellation cannot refund again
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, paymentStatus: 'SUCCESS' },
+      {
+        $set: {
+          paymentStatus: 'CANCELLED',
+          cancellation: {
+            cancelledAt: new Date(),
+            cancelledBy,
+            actor,
+            reason
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new ConflictError('Booking is already cancelled');
+    }
+
+    if (refundAmount > 0) {
+      let refund;
+
+      try {
+        refund = await refundService.issueRefund(claimed.paymentId, refundAmount, claimed.paymentProvider);
+      } catch (error) {
+        await Booking.updateOne(
+          { _id: claimed._id },
+          { $set: { paymentStatus: 'SUCCESS' }, $unset: { cancellation: 1 } }
+        );
+        Logger.error('Refund failed, cancellation rolled back', {
+          bookingId,
+          paymentId: claimed.paymentId,
+          error: error.message
+        });
+        throw new PaymentError('Refund failed, booking was not cancelled', { reason: error.message });
+      }
+
+      const paymentStatus = refundPercent >= 100 ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+      const refundRecord = {
+        refundId: refund.refundId,
+        amount: refundAmount,
+        percent: refundPercent,
+        status: refund.status
+      };
+      if (refund.status === 'PROCESSED') {
+        refundRecord.processedAt = new Date();
+      }
+      claimed.paymentStatus = paymentStatus;
+      claimed.refund = refundRecord;
+
+      // The money has moved: record it on the claimed booking only, and never
+      // lose the refund ID if the write fails (the booking stays CANCELLED)
+      try {
+        await Booking.updateOne(
+          { _id: claimed._id, paymentStatus: 'CANCELLED' },
+          { $set: { paymentStatus, refund: refundRecord } }
+        );
+      } catch (error) {
+        Logger.error('Refund issued but not recorded on the booking', {
+          bookingId,
+          paymentId: claimed.paymentId,
+          refundId: refund.refundId,
+          refundAmount,
+          refundStatus: refund.status,
+          error: error.message
+        });
+      }
+    }
+
+    // Free the seat (only if it still points at this booking)
+    if (claimed.segment) {
+      await Seat.updateOne(
+        { _id: claimed.seatId, 'bookedSegments.bookingId': claimed._id },
+        { $pull: { bookedSegments: { bookingId: claimed._id } }, $set: { status: 'AVAILABLE' } }
+      );
+    } else {
+      await Seat.updateOne(
+        { _id: claimed.seatId, bookingId: claimed._id },
+        { $set: { status: 'AVAILABLE', bookedBy: null, bookingId: null } }
+      );
+    }
+
+    Logger.info('Booking cancelled', {
+      bookingId,
+      appId: claimed.appId,
+      cancelledBy,
+      refundPercent,
+      refundAmount
+    });
+
+    const eventPayload = {
+      bookingId,
+      appId: claimed.appId,
+      userId: claimed.userId.toString(),
+      entityId: claimed.metadata?.entityId,
+      seatIds: [claimed.seatId.toString()],
+      segment: claimed.segment || null,
+      paymentId: claimed.paymentId,
+      cancelledBy,
+      refundAmount,
+      refundPercent
+    };
+
+    eventBus.publish(BOOKING_EVENTS.BOOKING_CANCELLED, eventPayload);
+
+    if (claimed.refund?.status === 'PROCESSED') {
+      eventBus.publish(BOOKING_EVENTS.REFUND_PROCESSED, {
+        ...eventPayload,
+        refundId: claimed.refund.refundId
+      });
+    }
+
+    return {
+      bookingId,
+      paymentStatus: claimed.paymentStatus,
+      cancellation: claimed.cancellation,
+      refund: claimed.refund?.refundId ? claimed.refund : null
+    };
+  }
+
   /**
    * Get user bookings
    * @param {String} userId - User ID
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const App = require('../models/App');
+const Booking = require('../models/Booking');
+const Counter = require('../models/Counter');
+const Seat = require('../models/Seat');
+const User = require('../models/User');
+const entityService = require('./entityService');
+const refundService = require('./refundService');
+const ticketService = require('./ticketService');
+const pdfRenderer = require('./documents/pdfRenderer');
+const { TICKET_HTML, INVOICE_HTML } = require('./documents/templates');
+const { formatAmount } = require('../utils/currency');
+const { renderTemplate, escapeHtml } = require('../utils/template');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+const FORMATS = ['html', 'pdf'];
+
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Document Service
+ *
+ * Downloadable e-tickets and invoices for bookings, as HTML (from the app's
+ * template in App.documentTemplates, or the built-in one) or PDF.
+ *
+ * Invoice numbers are sequential per app (<numberPrefix><000001>). A booking
+ * gets its number the first time its invoice is requested, in a transaction
+ * with the counter, so numbers are never skipped or handed out twice.
+ * Amounts are tax-inclusive; the tax lines are worked back from them.
+ */
+class DocumentService {
+  /**
+   * Ticket fields for a confirmed booking
+   * @param {Booking} booking - Booking document
+   * @returns {Object} { app, data }
+   */
+  async buildTicket(booking) {
+    if (!booking.isConfirmed()) {
+      throw new ConflictError(`Booking with payment status ${booking.paymentStatus} has no valid ticket`);
+    }
+
+    const [app, details, ticket] = await Promise.all([
+      this.getApp(booking.appId),
+      this.getBookingDetails(booking),
+      ticketService.getTicket(booking)
+    ]);
+
+    return {
+      app,
+      data: {
+        appName: app.name,
+        ticketId: ticket.ticketId,
+        bookingId: booking.bookingId,
+        entityId: details.entityId,
+        entityName: details.entityName,
+        venue: details.venue,
+        startsAt: details.startsAt,
+        seatNumber: details.seatNumber,
+        section: details.section,
+        route: details.route,
+        amount: this.formatMoney(booking.amount, booking.currency),
+        status: booking.paymentStatus,
+        issuedAt: this.formatDate(ticket.issuedAt, true),
+        code: ticket.code,
+        footer: app.documentTemplates?.ticket?.footer || ''
+      }
+    };
+  }
+
+  /**
+   * Invoice fields for a booking (assigns its invoice number on first use)
+   * @param {Booking} booking - Booking document
+   * @returns {Object} { app, data }
+   */
+  async buildInvoice(booking) {
+    if (!booking.isConfirmed() && !booking.isCancelled()) {
+      throw new ConflictError(`Booking with payment status ${booking.paymentStatus} has no invoice`);
+    }
+
+    const app = await this.getApp(booking.appId);
+    const settings = app.documentTemplates?.invoice || {};
+
+    const [details, buyer, invoice] = await Promise.all([
+      this.getBookingDetails(booking),
+      this.getBuyer(booking.userId),
+      this.assignInvoiceNumber(booking, settings.numberPrefix || 'INV-')
+    ]);
+
+    const { currency } = booking;
+    const money = amount => this.formatMoney(amount, currency);
+    const price = booking.discount?.originalAmount ?? booking.amount;
+    const { taxableValue, taxLines } = this.splitTax(booking.amount, settings);
+
+    let note = '';
+    if (booking.refund?.amount) {
+      note = `Cancelled; ${money(booking.refund.amount)} refunded (${booking.refund.status || 'PENDING'}).`;
+    } else if (booking.isCancelled()) {
+      note = 'Cancelled; no refund.';
+    }
+
+    return {
+      app,
+      data: {
+        appName: app.name,
+        invoiceNumber: invoice.number,
+        invoiceDate: this.formatDate(invoice.issuedAt),
+        bookingId: booking.bookingId,
+        bookingDate: this.formatDate(booking.bookingDate),
+        seller: {
+          name: settings.sellerName || app.name,
+          address: settings.sellerAddress || '',
+          taxId: settings.sellerTaxId ? `${settings.taxLabel || 'GST'}IN: ${settings.sellerTaxId}` : ''
+        },
+        buyer,
+        item: {
+          description: [details.entityName, details.startsAt, details.route].filter(Boolean).join(', '),
+          seatNumber: details.seatNumber
+        },
+        currency,
+        price: money(price),
+        discount: money(-(booking.discount?.amount || 0)),
+        taxableValue: money(taxableValue),
+        taxLines: taxLines.map(tax => ({ label: tax.label, amount: money(tax.amount) })),
+        total: money(booking.amount),
+        note,
+        footer: settings.footer || ''
+      }
+    };
+  }
+
+  /**
+   * Render a ticket or invoice
+   * @param {String} kind - ticket | invoice
+   * @param {Booking} booking - Booking document
+   * @param {String} format - html | pdf
+   * @returns {Object} { contentType, filename, body }
+   */
+  async render(kind, booking, format) {
+    if (!FORMATS.includes(format)) {
+      throw new ValidationError(`Format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const { app, data } = kind === 'ticket' ? await this.buildTicket(booking) : await this.buildInvoice(booking);
+
+    let body;
+    if (format === 'pdf') {
+      body = kind === 'ticket' ? await pdfRenderer.renderTicket(data) : await pdfRenderer.renderInvoice(data);
+    } else if (kind === 'ticket') {
+      const qrCode = await QRCode.toString(data.code, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 });
+      body = renderTemplate(app.documentTemplates?.ticket?.html || TICKET_HTML, { ...data, qrCode });
+    } else {
+      const taxRows = data.taxLines
+        .map(tax => `<tr><td>${escapeHtml(tax.label)}</td><td class="num">${escapeHtml(tax.amount)}</td></tr>`)
+        .join('\n');
+      body = renderTemplate(app.documentTemplates?.invoice?.html || INVOICE_HTML, { ...data, taxRows });
+    }
+
+    const name = kind === 'ticket' ? data.ticketId : data.invoiceNumber;
+
+    return {
+      contentType: CONTENT_TYPES[format],
+      filename: `${kind}-${name}.${format}`,
+      body
+    };
+  }
+
+  /**
+   * Give a booking the app's next invoice number (once)
+   * @param {Booking} booking - Booking document
+   * @param {String} prefix - Invoice number prefix
+   * @returns {Object} { number, issuedAt }
+   */
+  async assignInvoiceNumber(booking, prefix) {
+    if (booking.invoice?.number) {
+      return booking.invoice;
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let invoice;
+
+      // Retried on write conflicts, after which a concurrent request's number is found and reused
+      await session.withTransaction(async () => {
+        const current = await Booking.findById(booking._id).select('invoice').session(session);
+
+        if (current.invoice?.number) {
+          invoice = current.invoice;
+          return;
+        }
+
+        const seq = await Counter.next(`invoice:${booking.appId}`, session);
+        invoice = { number: `${prefix}${String(seq).padStart(6, '0')}`, issuedAt: new Date() };
+
+        await Booking.updateOne({ _id: booking._id }, { $set: { invoice } }, { session });
+      });
+
+      Logger.info('Invoice number assigned', { bookingId: booking.bookingId, invoiceNumber: invoice.number });
+
+      return invoice;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Work tax back out of a tax-inclusive amount
+   * @param {Number} amount - Amount in minor units, tax included
+   * @param {Object} settings - App invoice settings (taxLabel, taxRatePercent, splitTax)
+   * @returns {Object} { taxableValue, taxLines: [{ label, amount }] }
+   */
+  splitTax(amount, settings) {
+    const rate = settings.taxRatePercent || 0;
+
+    if (rate <= 0) {
+      return { taxableValue: amount, taxLines: [] };
+    }
+
+    const taxableValue = Math.round(amount * 100 / (100 + rate));
+    const tax = amount - taxableValue;
+    const label = settings.taxLabel || 'GST';
+
+    if (!settings.splitTax) {
+      return { taxableValue, taxLines: [{ label: `${label} (${rate}%)`, amount: tax }] };
+    }
+
+    const central = Math.floor(tax / 2);
+    return {
+      taxableValue,
+      taxLines: [
+        { label: `C${label} (${rate / 2}%)`, amount: central },
+        { label: `S${label} (${rate / 2}%)`, amount: tax - central }
+      ]
+    };
+  }
+
+  async getApp(appId) {
+    const app = await App.findOne({ appId }).lean();
+
+    if (!app) {
+      throw new NotFoundError('App');
+    }
+
+    return app;
+  }
+
+  /**
+   * Entity, seat and route details printed on documents
+   */
+  async getBookingDetails(booking) {
+    const entityId = booking.metadata?.entityId;
+    const [entity, seat] = await Promise.all([
+      entityId ? entityService.find(booking.appId, entityId) : null,
+      Seat.findById(booking.seatId)
+    ]);
+
+    const startsAt = entity?.startsAt || refundService.getEventStartTime(seat);
+
+    return {
+      entityId,
+      entityName: entity?.name || entityId || '',
+      venue: entity?.venue || '',
+      startsAt: startsAt ? this.formatDate(startsAt, true) : '',
+      seatNumber: booking.metadata?.seatNumber || seat?.seatNumber || '',
+      section: seat?.getSection() || '',
+      route: booking.segment?.fromStop ? `${booking.segment.fromStop} to ${booking.segment.toStop}` : ''
+    };
+  }
+
+  /**
+   * Buyer name and email (external users are only known by their ID)
+   */
+  async getBuyer(userId) {
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).select('name email').lean()
+      : null;
+
+    return user
+      ? { name: user.name || user.email, email: user.email }
+      : { name: String(userId), email: '' };
+  }
+
+  formatMoney(amount, currency) {
+    return formatAmount(amount, currency, { currencyDisplay: 'code' });
+  }
+
+  formatDate(date, withTime = false) {
+    return new Intl.DateTimeFormat('en-GB', {
+      dateStyle: 'medium',
+      ...(withTime ? { timeStyle: 'short' } : {}),
+      timeZone: 'UTC'
+    }).format(new Date(date)) + (withTime ? ' UTC' : '');
+  }
+}
+
+module.exports = new DocumentService();
@@ -0,0 +1,150 @@
+/**
+ * PDF Renderer
+ *
+ * Lays out tickets and invoices with pdfkit from the same fields the HTML
+ * templates get (HTML templates are not converted; an app's template only
+ * changes the HTML version, its footer and seller details show in both).
+ * Amounts arrive pre-formatted with currency codes, which the built-in PDF
+ * fonts can always print.
+ */
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const MARGIN = 50;
+const QR_SIZE = 150;
+
+/**
+ * Collect a pdfkit document into a Buffer
+ * @param {Function} draw - Draws on the document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function toBuffer(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc.end();
+  });
+}
+
+/**
+ * Draw a QR code as vector squares
+ */
+function drawQrCode(doc, text, x, y, size) {
+  const modules = QRCode.create(text, { errorCorrectionLevel: 'M' }).modules;
+  const cell = size / modules.size;
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        doc.rect(x + col * cell, y + row * cell, cell, cell);
+      }
+    }
+  }
+  doc.fill('#000');
+}
+
+function drawRows(doc, rows, options = {}) {
+  const labelWidth = options.labelWidth || 110;
+  const width = options.width || doc.page.width - MARGIN * 2;
+
+  for (const [label, value] of rows) {
+    if (value === undefined || value === null || value === '') continue;
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(label, MARGIN, y, { width: labelWidth });
+    doc.font('Helvetica').text(String(value), MARGIN + labelWidth, y, { width: width - labelWidth });
+    doc.moveDown(0.4);
+  }
+}
+
+/**
+ * Ticket PDF
+ * @param {Object} data - Ticket fields (see documentService.buildTicket)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderTicket(data) {
+  return toBuffer(doc => {
+    const qrX = doc.page.width - MARGIN - QR_SIZE;
+    drawQrCode(doc, data.code, qrX, MARGIN, QR_SIZE);
+
+    doc.font('Helvetica-Bold').fontSize(20).text(data.entityName, MARGIN, MARGIN, { width: qrX - MARGIN - 10 });
+    doc.font('Helvetica').fontSize(11).fillColor('#777').text(data.appName).fillColor('#000');
+    doc.moveDown();
+
+    drawRows(doc, [
+      ['When', data.startsAt],
+      ['Venue', data.venue],
+      ['Seat', [data.seatNumber, data.section].filter(Boolean).join(' ')],
+      ['Route', data.route],
+      ['Booking', data.bookingId],
+      ['Ticket', data.ticketId],
+      ['Paid', data.amount]
+    ], { width: qrX - MARGIN - 10 });
+
+    if (data.footer) {
+      doc.y = Math.max(doc.y, MARGIN + QR_SIZE) + 20;
+      doc.fontSize(9).fillColor('#555').text(data.footer, MARGIN).fillColor('#000');
+    }
+  });
+}
+
+/**
+ * Invoice PDF
+ * @param {Object} data - Invoice fields (see documentService.buildInvoice)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderInvoice(data) {
+  return toBuffer(doc => {
+    const width = doc.page.width - MARGIN * 2;
+    const half = width / 2;
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Tax Invoice');
+    doc.font('Helvetica').fontSize(10).fillColor('#777')
+      .text(`No. ${data.invoiceNumber} - ${data.invoiceDate}`).fillColor('#000');
+    doc.moveDown();
+
+    const top = doc.y;
+    doc.font('Helvetica-Bold').text(data.seller.name, MARGIN, top, { width: half - 10 });
+    doc.font('Helvetica').text([data.seller.address, data.seller.taxId].filter(Boolean).join('\n'), { width: half - 10 });
+    const sellerBottom = doc.y;
+    doc.font('Helvetica-Bold').text('Billed to', MARGIN + half, top, { width: half });
+    doc.font('Helvetica').text([data.buyer.name, data.buyer.email].filter(Boolean).join('\n'), { width: half });
+    doc.y = Math.max(sellerBottom, doc.y) + 20;
+
+    const line = (label, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      doc.text(label, MARGIN, y, { width: width - 120 });
+      const labelBottom = doc.y;
+      doc.text(amount, MARGIN + width - 120, y, { width: 120, align: 'right' });
+      doc.y = Math.max(labelBottom, doc.y) + 6;
+    };
+
+    line(`${data.item.description} (seat ${data.item.seatNumber}, booking ${data.bookingId}, ${data.bookingDate})`, data.price);
+    line('Discount', data.discount);
+    line('Taxable value', data.taxableValue);
+    for (const tax of data.taxLines) {
+      line(tax.label, tax.amount);
+    }
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + width, doc.y).stroke();
+    doc.y += 6;
+    line('Total', data.total, true);
+
+    if (data.note) {
+      doc.moveDown().fontSize(9).fillColor('#777').text(data.note, MARGIN).fillColor('#000');
+    }
+    if (data.footer) {
+      doc.moveDown().fontSize(9).fillColor('#555').text(data.footer, MARGIN).fillColor('#000');
+    }
+  });
+}
+
+module.exports = {
+  renderTicket,
+  renderInvoice
+};
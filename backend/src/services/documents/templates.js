@@ -0,0 +1,98 @@
+/**
+ * Built-in document templates
+ *
+ * Used when an app has no template of its own (App.documentTemplates).
+ * Apps' templates get the same fields; see DOCUMENT_FIELDS.
+ */
+
+// Placeholders available to each document's HTML template
+const DOCUMENT_FIELDS = {
+  ticket: [
+    'appName', 'ticketId', 'bookingId', 'entityId', 'entityName', 'venue', 'startsAt', 'seatNumber',
+    'section', 'route', 'amount', 'status', 'issuedAt', 'code', 'qrCode (raw SVG: {{{qrCode}}})', 'footer'
+  ],
+  invoice: [
+    'appName', 'invoiceNumber', 'invoiceDate', 'bookingId', 'bookingDate', 'seller.name', 'seller.address',
+    'seller.taxId', 'buyer.name', 'buyer.email', 'item.description', 'item.seatNumber', 'currency', 'price',
+    'discount', 'taxableValue', 'taxRows (raw HTML: {{{taxRows}}})', 'total', 'note', 'footer'
+  ]
+};
+
+const STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 0; padding: 24px; }
+  .doc { max-width: 640px; margin: 0 auto; border: 1px solid #ddd; padding: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .muted { color: #777; font-size: 12px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  td, th { padding: 6px 4px; text-align: left; border-bottom: 1px solid #eee; font-size: 14px; }
+  .num { text-align: right; }
+  .total td { font-weight: bold; border-top: 2px solid #222; }
+  footer { margin-top: 24px; font-size: 12px; color: #555; }
+`;
+
+const TICKET_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Ticket {{ticketId}}</title>
+<style>${STYLE}
+  .qr { float: right; width: 160px; }
+</style>
+</head>
+<body>
+<div class="doc">
+  <div class="qr">{{{qrCode}}}</div>
+  <h1>{{entityName}}</h1>
+  <div class="muted">{{appName}}</div>
+  <table>
+    <tr><th>When</th><td>{{startsAt}}</td></tr>
+    <tr><th>Venue</th><td>{{venue}}</td></tr>
+    <tr><th>Seat</th><td>{{seatNumber}} {{section}}</td></tr>
+    <tr><th>Route</th><td>{{route}}</td></tr>
+    <tr><th>Booking</th><td>{{bookingId}}</td></tr>
+    <tr><th>Ticket</th><td>{{ticketId}}</td></tr>
+    <tr><th>Paid</th><td>{{amount}}</td></tr>
+  </table>
+  <footer>{{footer}}</footer>
+</div>
+</body>
+</html>
+`;
+
+const INVOICE_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Invoice {{invoiceNumber}}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<div class="doc">
+  <h1>Tax Invoice</h1>
+  <div class="muted">No. {{invoiceNumber}} &middot; {{invoiceDate}}</div>
+  <table>
+    <tr>
+      <td><strong>{{seller.name}}</strong><br>{{seller.address}}<br>{{seller.taxId}}</td>
+      <td><strong>Billed to</strong><br>{{buyer.name}}<br>{{buyer.email}}</td>
+    </tr>
+  </table>
+  <table>
+    <tr><th>Description</th><th class="num">Amount ({{currency}})</th></tr>
+    <tr><td>{{item.description}}<br><span class="muted">Seat {{item.seatNumber}} &middot; Booking {{bookingId}} &middot; {{bookingDate}}</span></td><td class="num">{{price}}</td></tr>
+    <tr><td>Discount</td><td class="num">{{discount}}</td></tr>
+    <tr><td>Taxable value</td><td class="num">{{taxableValue}}</td></tr>
+    {{{taxRows}}}
+    <tr class="total"><td>Total</td><td class="num">{{total}}</td></tr>
+  </table>
+  <p class="muted">{{note}}</p>
+  <footer>{{footer}}</footer>
+</div>
+</body>
+</html>
+`;
+
+module.exports = {
+  DOCUMENT_FIELDS,
+  TICKET_HTML,
+  INVOICE_HTML
+};
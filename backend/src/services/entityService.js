@@ -0,0 +1,266 @@
+const Entity = require('../models/Entity');
+const Seat = require('../models/Seat');
+const SeatLayout = require('../models/SeatLayout');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+// Fields that can be set on create and changed on update
+const EDITABLE_FIELDS = ['name', 'venue', 'startsAt', 'endsAt', 'salesOpenAt', 'salesCloseAt', 'layoutId', 'stops', 'metadata'];
+
+/**
+ * Entity Service
+ *
+ * CRUD and lifecycle for events / trips / shows, shared by the admin and
+ * tenant routes, plus the on-sale check used when reserving seats.
+ */
+class EntityService {
+  /**
+   * Create an entity (starts in DRAFT unless a status is given)
+   * @param {String} appId - App ID
+   * @param {Object} data - Entity fields
+   * @returns {Entity} Created entity
+   */
+  async create(appId, data) {
+    const existing = await Entity.findOne({ appId, entityId: data.entityId });
+    if (existing) {
+      throw new ConflictError('Entity already exists', { entityId: data.entityId });
+    }
+
+    await this.assertLayoutExists(appId, data.layoutId);
+
+    const entity = new Entity({ appId, entityId: data.entityId });
+    this.applyFields(entity, data);
+
+    if (data.status && data.status !== 'DRAFT') {
+      this.transition(entity, data.status);
+    }
+
+    await entity.save();
+
+    Logger.info('Entity created', { appId, entityId: entity.entityId, status: entity.status });
+
+    return entity;
+  }
+
+  /**
+   * List an app's entities
+   * @param {String} appId - App ID
+   * @param {Object} options - { status, from, to, page, limit }
+   * @returns {Object} { entities, pagination }
+   */
+  async list(appId, options = {}) {
+    const { status, from, to, page = 1, limit = 20 } = options;
+
+    const query = { appId };
+    if (status) query.status = status;
+    if (from || to) {
+      query.startsAt = {};
+      if (from) query.startsAt.$gte = new Date(from);
+      if (to) query.startsAt.$lte = new Date(to);
+    }
+
+    const [entities, total] = await Promise.all([
+      Entity.find(query)
+        .sort({ startsAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Entity.countDocuments(query)
+    ]);
+
+    return {
+      entities,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one entity
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @returns {Entity} Entity
+   */
+  async get(appId, entityId) {
+    const entity = await Entity.findOne({ appId, entityId });
+
+    if (!entity) {
+      throw new NotFoundError('Entity', { entityId });
+    }
+
+    return entity;
+  }
+
+  /**
+   * Update schedule, details and/or status
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {Object} data - Fields to change
+   * @returns {Entity} Updated entity
+   */
+  async update(appId, entityId, data) {
+    const entity = await this.get(appId, entityId);
+
+    if (entity.status === 'CANCELLED') {
+      throw new ConflictError('Cancelled entities cannot be changed');
+    }
+
+    if (data.stops !== undefined) {
+      // Sold segments refer to stop positions
+      const soldSegments = await Seat.countDocuments({ appId, entityId, 'bookedSegments.0': { $exists: true } });
+      if (soldSegments > 0) {
+        throw new ConflictError('Route stops cannot change after segments have been sold');
+      }
+    }
+
+    await this.assertLayoutExists(appId, data.layoutId);
+
+    this.applyFields(entity, data);
+
+    if (data.status && data.status !== entity.status) {
+      this.transition(entity, data.status);
+    }
+
+    await entity.save();
+
+    Logger.info('Entity updated', { appId, entityId, status: entity.status });
+
+    return entity;
+  }
+
+  /**
+   * Delete a DRAFT entity that has no booked seats
+   * Published entities are cancelled instead, to keep their history
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   */
+  async remove(appId, entityId) {
+    const entity = await this.get(appId, entityId);
+
+    if (entity.status !== 'DRAFT') {
+      throw new ConflictError('Only DRAFT entities can be deleted; cancel it instead', {
+        status: entity.status
+      });
+    }
+
+    const booked = await Seat.countDocuments({ appId, entityId, status: 'BOOKED' });
+    if (booked > 0) {
+      throw new ConflictError('Entity has booked seats', { booked });
+    }
+
+    await entity.deleteOne();
+
+    Logger.info('Entity deleted', { appId, entityId });
+  }
+
+  /**
+   * Refuse reservations (and confirmations) for entities that are not on sale
+   * Seats whose entityId has no Entity record (created before entities
+   * existed) are not restricted
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {Object} options - { session (read inside a transaction), action (for the message, default 'reserved') }
+   * @returns {Entity|null} The entity, if there is one
+   * @throws {ConflictError} If the entity exists and is not on sale
+   */
+  async assertOnSale(appId, entityId, { session = null, action = 'reserved' } = {}) {
+    const entity = await Entity.findOne({ appId, entityId }).session(session);
+
+    if (!entity || entity.isOnSale()) {
+      return entity;
+    }
+
+    const now = new Date();
+    let reason = `Entity is ${entity.status.toLowerCase().replace('_', ' ')}`;
+    if (entity.status === 'ON_SALE') {
+      reason = entity.salesOpenAt && now < entity.salesOpenAt ? 'Sales have not opened yet' : 'Sales have closed';
+    }
+
+    throw new ConflictError(`${reason}: seats cannot be ${action}`, {
+      entityId,
+      status: entity.status,
+      salesOpenAt: entity.salesOpenAt,
+      salesCloseAt: entity.getSalesCloseAt()
+    });
+  }
+
+  /**
+   * Route segment for a request on a multi-stop entity
+   * @param {Entity|null} entity - Entity (null if the seats have none)
+   * @param {String} fromStop - Boarding stop code (optional, defaults to the first stop)
+   * @param {String} toStop - Alighting stop code (optional, defaults to the last stop)
+   * @returns {Object|null} { from, to, fromStop, toStop } or null for non-segmented entities
+   * @throws {ValidationError} If the stops are unknown or out of order
+   */
+  resolveSegment(entity, fromStop, toStop) {
+    if (!entity || !entity.isSegmented()) {
+      if (fromStop || toStop) {
+        throw new ValidationError('This entity has no route stops');
+      }
+      return null;
+    }
+
+    const segment = entity.getSegment(fromStop, toStop);
+
+    if (!segment) {
+      throw new ValidationError('Invalid segment: stops must exist and be in route order', {
+        fromStop,
+        toStop,
+        stops: entity.stops.map(stop => stop.code)
+      });
+    }
+
+    return segment;
+  }
+
+  /**
+   * Find an entity (null if the seats have none)
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @returns {Entity|null} Entity
+   */
+  async find(appId, entityId) {
+    return Entity.findOne({ appId, entityId });
+  }
+
+  /**
+   * Start time of an entity (null if it has no Entity record)
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @returns {Date|null} Start time
+   */
+  async getStartTime(appId, entityId) {
+    const entity = await Entity.findOne({ appId, entityId }).select('startsAt').lean();
+    return entity ? entity.startsAt : null;
+  }
+
+  async assertLayoutExists(appId, layoutId) {
+    if (layoutId && !(await SeatLayout.exists({ appId, layoutId }))) {
+      throw new NotFoundError('Seat layout', { layoutId });
+    }
+  }
+
+  applyFields(entity, data) {
+    EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .forEach(field => entity.set(field, data[field]));
+  }
+
+  transition(entity, status) {
+    if (!Entity.STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of: ${Entity.STATUSES.join(', ')}`);
+    }
+
+    if (!entity.canTransitionTo(status)) {
+      throw new ConflictError(`Cannot change entity status from ${entity.status} to ${status}`);
+    }
+
+    entity.status = status;
+  }
+}
+
+module.exports = new EntityService();
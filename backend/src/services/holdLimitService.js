@@ -0,0 +1,239 @@
+const redisConnection = require('../config/redis');
+const Booking = require('../models/Booking');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
+const { HoldLimitError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+// Two sorted sets per user, scored by hold expiry (ms) so lapsed holds drop out on their own:
+// KEYS[1] the user's reservations (member: token), KEYS[2] their held seats of one entity (member: token:seatId)
+// ARGV: now, expiresAt, token, max reservations (0 = no cap), max seats (-1 = no cap), then seat members
+// Returns: { 0 | 1 (reservation cap hit) | 2 (seat cap hit), current count }
+const CLAIM_SCRIPT = `
+  local now = tonumber(ARGV[1])
+  local expiresAt = tonumber(ARGV[2])
+  local maxReservations = tonumber(ARGV[4])
+  local maxSeats = tonumber(ARGV[5])
+  redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+  redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', now)
+  local reservations = redis.call('ZCARD', KEYS[1])
+  local seats = redis.call('ZCARD', KEYS[2])
+  if maxReservations > 0 and reservations >= maxReservations then
+    return { 1, reservations }
+  end
+  if maxSeats >= 0 and seats + #ARGV - 5 > maxSeats then
+    return { 2, seats }
+  end
+  redis.call('ZADD', KEYS[1], expiresAt, ARGV[3])
+  for i = 6, #ARGV do
+    redis.call('ZADD', KEYS[2], expiresAt, ARGV[i])
+  end
+  for _, key in ipairs(KEYS) do
+    if redis.call('PTTL', key) < expiresAt - now then
+      redis.call('PEXPIRE', key, expiresAt - now)
+    end
+  end
+  return { 0, reservations + 1 }
+`;
+
+// Moves a hold's entries to a new expiry (only those still present)
+// ARGV: now, expiresAt, token, then seat members
+const EXTEND_SCRIPT = `
+  local now = tonumber(ARGV[1])
+  local expiresAt = tonumber(ARGV[2])
+  redis.call('ZADD', KEYS[1], 'XX', expiresAt, ARGV[3])
+  for i = 4, #ARGV do
+    redis.call('ZADD', KEYS[2], 'XX', expiresAt, ARGV[i])
+  end
+  for _, key in ipairs(KEYS) do
+    if redis.call('PTTL', key) < expiresAt - now then
+      redis.call('PEXPIRE', key, expiresAt - now)
+    end
+  end
+  return 1
+`;
+
+/**
+ * Hold Limit Service (Anti-Hoarding)
+ *
+ * Caps what one user can tie up at a time, per the app's reservationPolicy:
+ * - maxActiveReservations:   simultaneous active reservations (all entities)
+ * - maxHeldSeatsPerEntity:   seats held at once on one entity
+ * - maxBookedSeatsPerEntity: seats held plus seats already booked on one entity
+ *
+ * Active holds are tracked in Redis next to the seat locks; entries expire with
+ * the hold and are removed when it is confirmed, released or expired (events).
+ */
+class HoldLimitService {
+  constructor() {
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to the events that end a hold
+   */
+  start() {
+    if (this.listeners.length > 0) {
+      return;
+    }
+
+    const events = [
+      BOOKING_EVENTS.BOOKING_CONFIRMED,
+      BOOKING_EVENTS.RESERVATION_RELEASED,
+      BOOKING_EVENTS.RESERVATION_EXPIRED
+    ];
+
+    for (const event of events) {
+      const listener = payload => this.release(payload);
+      eventBus.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+  }
+
+  /**
+   * Unsubscribe from hold events
+   */
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners = [];
+  }
+
+  getUserKey(appId, userId) {
+    return `holds:${appId}:${userId}`;
+  }
+
+  getEntityKey(appId, userId, entityId) {
+    return `holds:${appId}:${userId}:${entityId}`;
+  }
+
+  /**
+   * Record a new hold, unless it would take the user over a cap
+   * @param {Object} hold - { appId, userId, entityId, reservationToken, seatIds, expiresAt }
+   * @param {Object} policy - App.reservationPolicy
+   * @param {Object} options - { enforce (false = only track the hold, e.g. waitlist offers) }
+   * @throws {HoldLimitError} When a cap is reached
+   */
+  async claim(hold, policy = {}, options = {}) {
+    const { appId, userId, entityId, reservationToken, seatIds, expiresAt } = hold;
+    const enforce = options.enforce !== false;
+
+    const maxReservations = enforce ? policy.maxActiveReservations || 0 : 0;
+    const maxHeld = enforce ? policy.maxHeldSeatsPerEntity || 0 : 0;
+    const maxBooked = enforce ? policy.maxBookedSeatsPerEntity || 0 : 0;
+
+    // Seats already booked use up part of the per-entity booking cap
+    const booked = maxBooked > 0 ? await this.countBookedSeats(appId, userId, entityId) : 0;
+    const bookingRoom = Math.max(maxBooked - booked, 0);
+
+    const seatCaps = [];
+    if (maxHeld > 0) seatCaps.push(maxHeld);
+    if (maxBooked > 0) seatCaps.push(bookingRoom);
+    const seatCap = seatCaps.length > 0 ? Math.min(...seatCaps) : -1;
+
+    const now = Date.now();
+    const redis = redisConnection.getClient();
+
+    const [code, current] = (await redis.eval(CLAIM_SCRIPT, {
+      keys: [this.getUserKey(appId, userId), this.getEntityKey(appId, userId, entityId)],
+      arguments: [
+        String(now),
+        String(new Date(expiresAt).getTime()),
+        reservationToken,
+        String(maxReservations),
+        String(seatCap),
+        ...seatIds.map(seatId => `${reservationToken}:${seatId}`)
+      ]
+    })).map(Number);
+
+    if (code === 0) {
+      return;
+    }
+
+    let error;
+
+    if (code === 1) {
+      error = new HoldLimitError(`You can hold at most ${maxReservations} reservation(s) at a time`, {
+        scope: 'ACTIVE_RESERVATIONS',
+        limit: maxReservations,
+        current
+      });
+    } else if (maxBooked > 0 && bookingRoom === seatCap) {
+      error = new HoldLimitError(`You can book at most ${maxBooked} seat(s) for this event`, {
+        scope: 'BOOKED_SEATS_PER_ENTITY',
+        limit: maxBooked,
+        current: booked + current,
+        requested: seatIds.length
+      });
+    } else {
+      error = new HoldLimitError(`You can hold at most ${maxHeld} seat(s) for this event at a time`, {
+        scope: 'HELD_SEATS_PER_ENTITY',
+        limit: maxHeld,
+        current,
+        requested: seatIds.length
+      });
+    }
+
+    Logger.warn('Hold limit reached', { appId, userId, entityId, ...error.details });
+
+    throw error;
+  }
+
+  /**
+   * Move a hold's entries to its new expiry (reservation extended)
+   * @param {Object} hold - { appId, userId, entityId, reservationToken, seatIds, expiresAt }
+   */
+  async extend(hold) {
+    const { appId, userId, entityId, reservationToken, seatIds, expiresAt } = hold;
+    const redis = redisConnection.getClient();
+
+    await redis.eval(EXTEND_SCRIPT, {
+      keys: [this.getUserKey(appId, userId), this.getEntityKey(appId, userId, entityId)],
+      arguments: [
+        String(Date.now()),
+        String(new Date(expiresAt).getTime()),
+        reservationToken,
+        ...seatIds.map(seatId => `${reservationToken}:${seatId}`)
+      ]
+    });
+  }
+
+  /**
+   * Forget a hold that ended (confirmed, released, expired or rolled back)
+   * @param {Object} hold - { appId, userId, entityId, reservationToken, seatIds }
+   */
+  async release(hold) {
+    const { appId, userId, entityId, reservationToken, seatIds = [] } = hold;
+
+    try {
+      const redis = redisConnection.getClient();
+      const multi = redis.multi().zRem(this.getUserKey(appId, userId), reservationToken);
+
+      if (entityId && seatIds.length > 0) {
+        multi.zRem(
+          this.getEntityKey(appId, userId, entityId),
+          seatIds.map(seatId => `${reservationToken}:${seatId}`)
+        );
+      }
+
+      await multi.exec();
+    } catch (error) {
+      // Entries lapse with the hold anyway; a failure only delays that
+      Logger.error('Failed to release hold entry', { appId, userId, reservationToken, error: error.message });
+    }
+  }
+
+  /**
+   * Seats a user has booked (and not cancelled) on an entity
+   */
+  async countBookedSeats(appId, userId, entityId) {
+    return Booking.countDocuments({
+      appId,
+      userId,
+      'metadata.entityId': entityId,
+      paymentStatus: 'SUCCESS'
+    });
+  }
+}
+
+module.exports = new HoldLimitService();
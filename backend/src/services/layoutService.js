@@ -0,0 +1,163 @@
+const SeatLayout = require('../models/SeatLayout');
+const Entity = require('../models/Entity');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+// Fields that can be set on create and changed on update
+const EDITABLE_FIELDS = ['name', 'venue', 'grid', 'sections', 'aisles', 'seats', 'metadata'];
+
+/**
+ * Layout Service
+ *
+ * CRUD for seat layouts, plus the helpers that turn a layout into seats
+ * (seat sync) and merge it with live seat state (seat maps).
+ */
+class LayoutService {
+  /**
+   * Create a layout
+   * @param {String} appId - App ID
+   * @param {Object} data - Layout fields
+   * @returns {SeatLayout} Created layout
+   */
+  async create(appId, data) {
+    const existing = await SeatLayout.findOne({ appId, layoutId: data.layoutId });
+    if (existing) {
+      throw new ConflictError('Layout already exists', { layoutId: data.layoutId });
+    }
+
+    const layout = new SeatLayout({ appId, layoutId: data.layoutId });
+    this.applyFields(layout, data);
+    await layout.save();
+
+    Logger.info('Seat layout created', { appId, layoutId: layout.layoutId, seats: layout.seats.length });
+
+    return layout;
+  }
+
+  /**
+   * List an app's layouts (without the per-seat lists)
+   * @param {String} appId - App ID
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { layouts, pagination }
+   */
+  async list(appId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    const [layouts, total] = await Promise.all([
+      SeatLayout.find({ appId })
+        .select('-seats')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SeatLayout.countDocuments({ appId })
+    ]);
+
+    return {
+      layouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one layout
+   * @param {String} appId - App ID
+   * @param {String} layoutId - Layout ID
+   * @returns {SeatLayout} Layout
+   */
+  async get(appId, layoutId) {
+    const layout = await SeatLayout.findOne({ appId, layoutId });
+
+    if (!layout) {
+      throw new NotFoundError('Seat layout', { layoutId });
+    }
+
+    return layout;
+  }
+
+  /**
+   * Update a layout
+   * Seats already generated keep their position until the next seat sync
+   * @param {String} appId - App ID
+   * @param {String} layoutId - Layout ID
+   * @param {Object} data - Fields to change
+   * @returns {SeatLayout} Updated layout
+   */
+  async update(appId, layoutId, data) {
+    const layout = await this.get(appId, layoutId);
+
+    this.applyFields(layout, data);
+    await layout.save();
+
+    Logger.info('Seat layout updated', { appId, layoutId });
+
+    return layout;
+  }
+
+  /**
+   * Delete a layout no entity uses
+   * @param {String} appId - App ID
+   * @param {String} layoutId - Layout ID
+   */
+  async remove(appId, layoutId) {
+    const layout = await this.get(appId, layoutId);
+
+    const entities = await Entity.countDocuments({ appId, layoutId });
+    if (entities > 0) {
+      throw new ConflictError('Layout is used by entities', { entities });
+    }
+
+    await layout.deleteOne();
+
+    Logger.info('Seat layout deleted', { appId, layoutId });
+  }
+
+  /**
+   * Layout for an entity: the entity's own layout, else the fallback
+   * (e.g. the layout its seats were generated from)
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {String} fallbackLayoutId - Layout to use if the entity has none (optional)
+   * @returns {SeatLayout|null} Layout
+   */
+  async resolveForEntity(appId, entityId, fallbackLayoutId = null) {
+    const entity = await Entity.findOne({ appId, entityId }).select('layoutId').lean();
+    const layoutId = (entity && entity.layoutId) || fallbackLayoutId;
+
+    if (!layoutId) {
+      return null;
+    }
+
+    return SeatLayout.findOne({ appId, layoutId });
+  }
+
+  /**
+   * Add layout positions to seats that lack one (matched by seatNumber)
+   * @param {SeatLayout} layout - Layout
+   * @param {Array<Object>} seats - Lean seats with live status
+   * @returns {Array<Object>} Seats with position
+   */
+  mergePositions(layout, seats) {
+    const positions = new Map(
+      layout.getSellableSeats().map(seat => [seat.seatNumber, seat.position])
+    );
+
+    return seats.map(seat => ({
+      ...seat,
+      position: seat.position || positions.get(seat.seatNumber) || null
+    }));
+  }
+
+  applyFields(layout, data) {
+    EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .forEach(field => layout.set(field, data[field]));
+  }
+}
+
+module.exports = new LayoutService();
@@ -4,6 +4,35 @@ const env = require('../config/env');
 const { SeatLockError } = require('../utils/errors');
 const Logger = require('../utils/logger');
 
+// Deletes a lock only when it still belongs to the given reservation token
+const RELEASE_IF_OWNER_SCRIPT = `
+  local lock = redis.call('GET', KEYS[1])
+  if lock and cjson.decode(lock).reservationToken == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+// Extends every lock of a group only if all of them still belong to the token and user
+const EXTEND_IF_OWNER_SCRIPT = `
+  for _, key in ipairs(KEYS) do
+    local lock = redis.call('GET', key)
+    if not lock then
+      return 0
+    end
+    local data = cjson.decode(lock)
+    if data.reservationToken ~= ARGV[1] or data.userId ~= ARGV[2] then
+      return 0
+    end
+  end
+  for _, key in ipairs(KEYS) do
+    local data = cjson.decode(redis.call('GET', key))
+    data.expiresAt = ARGV[3]
+    redis.call('SET', key, cjson.encode(data), 'EX', tonumber(ARGV[4]))
+  end
+  return 1
+`;
+
 /**
  * Redis Lock Service (CRITICAL for Race Condition Prevention)
  * 
@@ -34,6 +63,26 @@ class LockService {
     return `seat:lock:${seatId}`;
   }
 
+  /**
+   * Lock IDs for a seat: the seat itself, or one per leg of a route segment
+   * Overlapping segments share at least one leg, so they contend on the same key
+   * while adjacent segments (Delhi->Agra, Agra->Jaipur) do not
+   * @param {String} seatId - Seat ID
+   * @param {Object|null} segment - { from, to } stop indexes
+   * @returns {Array<String>} Lock IDs (pass to acquireLocks, verifyLock, ...)
+   */
+  getLockIds(seatId, segment = null) {
+    if (!segment) {
+      return [String(seatId)];
+    }
+
+    const lockIds = [];
+    for (let leg = segment.from; leg < segment.to; leg++) {
+      lockIds.push(`${seatId}:leg:${leg}`);
+    }
+    return lockIds;
+  }
+
   /**
    * Acquire lock on a seat (ATOMIC)
    * @param {String} seatId - Seat ID
@@ -42,12 +91,30 @@ class LockService {
    * @throws {SeatLockError} If seat is already locked
    */
   async acquireLock(seatId, userId) {
+    return this.acquireLocks([seatId], userId);
+  }
+
+  /**
+   * Acquire locks on several seats under one reservation token (ALL-OR-NOTHING)
+   *
+   * Seats are locked one by one with SET NX. If any seat is already held,
+   * every lock acquired so far in this call is rolled back before throwing,
+   * so the caller never ends up holding part of the group.
+   *
+   * @param {Array<String>} seatIds - Seat IDs
+   * @param {String} userId - User ID
+   * @param {Number} ttl - Lock TTL in seconds (defaults to LOCK_TTL_SECONDS)
+   * @returns {Object} Lock details { reservationToken, expiresAt, ttl }
+   * @throws {SeatLockError} If any seat is already locked
+   */
+  async acquireLocks(seatIds, userId, ttl = this.ttl) {
     await this.init();
 
-    const key = this.getLockKey(seatId);
+    // Deterministic order so two overlapping groups contend on the same first seat
+    const orderedSeatIds = [...new Set(seatIds.map(String))].sort();
     const reservationToken = uuidv4();
     const timestamp = Date.now();
-    const expiresAt = new Date(timestamp + this.ttl * 1000);
+    const expiresAt = new Date(timestamp + ttl * 1000);
 
     const lockData = JSON.stringify({
       reservationToken,
@@ -56,37 +123,48 @@ class LockService {
       expiresAt: expiresAt.toISOString()
     });
 
+    const acquired = [];
+
     try {
-      // ATOMIC OPERATION: SET if Not eXists with EXpiry
-      // This is the KEY to preventing race conditions
-      const result = await this.redis.set(
-        key,
-        lockData,
-        {
-          NX: true,  // Only set if key doesn't exist
-          EX: this.ttl  // Set expiry in seconds
+      for (const seatId of orderedSeatIds) {
+        // ATOMIC OPERATION: SET if Not eXists with EXpiry
+        // This is the KEY to preventing race conditions
+        const result = await this.redis.set(
+          this.getLockKey(seatId),
+          lockData,
+          {
+            NX: true,  // Only set if key doesn't exist
+            EX: ttl  // Set expiry in seconds
+          }
+        );
+
+        // result will be 'OK' if lock acquired, null if already exists
+        if (result === null) {
+          // Lock already exists, fetch current lock details
+          const existingLock = await this.getLock(seatId);
+
+          Logger.warn('Seat lock acquisition failed', {
+            seatId,
+            userId,
+            existingLock
+          });
+
+          throw new SeatLockError(
+            orderedSeatIds.length > 1
+              ? 'One or more seats are already locked by another user'
+              : 'Seat is already locked by another user',
+            {
+              seatId,
+              expiresIn: existingLock ? this.calculateRemainingTime(existingLock.expiresAt) : null
+            }
+          );
         }
-      );
-
-      // result will be 'OK' if lock acquired, null if already exists
-      if (result === null) {
-        // Lock already exists, fetch current lock details
-        const existingLock = await this.getLock(seatId);
-        
-        Logger.warn('Seat lock acquisition failed', {
-          seatId,
-          userId,
-          existingLock
-        });
 
-        throw new SeatLockError('Seat is already locked by another user', {
-          seatId,
-          expiresIn: existingLock ? this.calculateRemainingTime(existingLock.expiresAt) : null
-        });
+        acquired.push(seatId);
       }
 
       Logger.info('Seat lock acquired', {
-        seatId,
+        seatIds: orderedSeatIds,
         userId,
         reservationToken,
         expiresAt: expiresAt.toISOString()
@@ -95,18 +173,45 @@ class LockService {
       return {
         reservationToken,
         expiresAt: expiresAt.toISOString(),
-        ttl: this.ttl
+        ttl
       };
 
     } catch (error) {
+      await this.rollbackLocks(acquired, reservationToken);
+
       if (error instanceof SeatLockError) {
         throw error;
       }
-      Logger.error('Error acquiring lock', { seatId, userId, error: error.message });
+      Logger.error('Error acquiring lock', { seatIds: orderedSeatIds, userId, error: error.message });
       throw new Error('Failed to acquire seat lock');
     }
   }
 
+  /**
+   * Undo a partial group acquisition
+   * Only deletes keys that still carry our token, so a lock taken over by
+   * someone else after our TTL lapsed is left untouched.
+   * @param {Array<String>} seatIds - Seat IDs locked so far
+   * @param {String} reservationToken - Token used for the group
+   */
+  async rollbackLocks(seatIds, reservationToken) {
+    for (const seatId of seatIds) {
+      try {
+        await this.redis.eval(RELEASE_IF_OWNER_SCRIPT, {
+          keys: [this.getLockKey(seatId)],
+          arguments: [reservationToken]
+        });
+      } catch (error) {
+        // The lock will still expire on its own TTL
+        Logger.error('Error rolling back seat lock', { seatId, reservationToken, error: error.message });
+      }
+    }
+
+    if (seatIds.length > 0) {
+      Logger.info('Partial seat locks rolled back', { seatIds, reservationToken });
+    }
+  }
+
   /**
    * Get existing lock for a seat
    * @param {String} seatId - Seat ID
@@ -155,6 +260,8 @@ class LockService {
 
   /**
    * Release lock (manual unlock)
+   * With a token only a lock held under that token is deleted (ATOMIC); a lock
+   * that expired and was taken by another reservation counts as released
    * @param {String} seatId - Seat ID
    * @param {String} reservationToken - Reservation token (optional verification)
    * @returns {Boolean} True if lock was released
@@ -162,16 +269,10 @@ class LockService {
   async releaseLock(seatId, reservationToken = null) {
     await this.init();
 
-    // If token provided, verify before deleting
-    if (reservationToken) {
-      const lock = await this.getLock(seatId);
-      if (lock && lock.reservationToken !== reservationToken) {
-        throw new SeatLockError('Invalid reservation token for this seat');
-      }
-    }
-
     const key = this.getLockKey(seatId);
-    const result = await this.redis.del(key);
+    const result = reservationToken
+      ? await this.redis.eval(RELEASE_IF_OWNER_SCRIPT, { keys: [key], arguments: [reservationToken] })
+      : await this.redis.del(key);
 
     Logger.info('Seat lock released', {
       seatId,
@@ -182,6 +283,42 @@ class LockService {
     return result === 1;
   }
 
+  /**
+   * Extend the locks of a reservation (ATOMIC)
+   * Either every lock gets the new TTL or none does
+   * @param {Array<String>} seatIds - Seat IDs held by the reservation
+   * @param {String} reservationToken - Reservation token
+   * @param {String} userId - User ID
+   * @param {Number} ttlSeconds - New TTL counted from now
+   * @returns {Object|null} { expiresAt, ttl } or null if the locks are no longer ours
+   */
+  async extendLocks(seatIds, reservationToken, userId, ttlSeconds) {
+    await this.init();
+
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+    const result = await this.redis.eval(EXTEND_IF_OWNER_SCRIPT, {
+      keys: seatIds.map(seatId => this.getLockKey(seatId)),
+      arguments: [reservationToken, userId, expiresAt.toISOString(), String(ttlSeconds)]
+    });
+
+    if (result !== 1) {
+      Logger.warn('Seat lock extension failed', { seatIds, reservationToken, userId });
+      return null;
+    }
+
+    Logger.info('Seat lock extended', {
+      seatIds,
+      reservationToken,
+      expiresAt: expiresAt.toISOString()
+    });
+
+    return {
+      expiresAt: expiresAt.toISOString(),
+      ttl: ttlSeconds
+    };
+  }
+
   /**
    * Check if seat is locked
    * @param {String} seatId - Seat ID
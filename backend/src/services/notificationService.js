@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const App = require('../models/App');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const RetryQueue = require('./retryQueue');
+const documentService = require('./documentService');
+const entityService = require('./entityService');
+const { getTransport, getTransportName } = require('./notifications');
+const { DEFAULT_TEMPLATES } = require('./notifications/templates');
+const { eventBus, BOOKING_EVENTS, NOTIFICATION_EVENTS } = require('../utils/eventBus');
+const { renderText } = require('../utils/template');
+const Logger = require('../utils/logger');
+const env = require('../config/env');
+
+/**
+ * Notification Service (Emails and SMS to Users)
+ *
+ * Turns booking lifecycle events into messages to the user who booked:
+ * 1. Event bus event -> one Notification per channel the app sends on and the
+ *    user has a contact for, rendered from the app's templates (persisted)
+ * 2. Dispatcher job claims due notifications and hands them to the transport
+ * 3. Failures are retried with exponential backoff until NOTIFICATION_MAX_ATTEMPTS
+ *
+ * Each event is sent at most once per booking (or hold expiry) and channel.
+ */
+
+// Settings for apps created before notifications existed
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  channels: ['EMAIL'],
+  events: [],
+  templates: []
+};
+
+class NotificationService {
+  constructor() {
+    this.queue = new RetryQueue(Notification, {
+      maxAttempts: env.NOTIFICATION_MAX_ATTEMPTS,
+      baseBackoffMs: env.NOTIFICATION_RETRY_BASE_SECONDS * 1000
+    });
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to booking events
+   */
+  start() {
+    if (this.listeners.length > 0) {
+      return;
+    }
+
+    for (const event of NOTIFICATION_EVENTS) {
+      const listener = payload => this.enqueue(event, payload);
+      eventBus.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+  }
+
+  /**
+   * Unsubscribe from booking events
+   */
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * Contact details of an authenticated user, stored on their reservation
+   * Placeholder emails of external users (...@external) are left out
+   * @param {Object} user - req.user
+   * @returns {Object|undefined} { name, email, phone }
+   */
+  getContact(user) {
+    const email = user.email && !user.email.endsWith('@external') ? user.email : undefined;
+    const phone = user.phone || undefined;
+
+    if (!email && !phone) {
+      return undefined;
+    }
+
+    return { name: user.name, email, phone };
+  }
+
+  /**
+   * Queue the messages for an event
+   * @param {String} event - Event name (see NOTIFICATION_EVENTS)
+   * @param {Object} payload - Event data
+   * @returns {Array<Notification>} Created notifications
+   */
+  async enqueue(event, payload) {
+    const app = await App.findOne({ appId: payload.appId }).select('name notifications').lean();
+
+    if (!app) {
+      return [];
+    }
+
+    const settings = { ...DEFAULT_SETTINGS, ...app.notifications };
+
+    if (!settings.enabled || (settings.events.length > 0 && !settings.events.includes(event))) {
+      return [];
+    }
+
+    const context = await this.buildContext(event, payload, app);
+
+    if (!context) {
+      return [];
+    }
+
+    const template = this.getTemplate(settings, event);
+    const notifications = [];
+
+    for (const channel of settings.channels) {
+      const recipient = channel === 'SMS' ? context.contact.phone : context.contact.email;
+
+      if (!recipient) {
+        continue;
+      }
+
+      try {
+        notifications.push(await Notification.create({
+          notificationId: `ntf_${crypto.randomUUID().replace(/-/g, '')}`,
+          appId: payload.appId,
+          userId: String(payload.userId),
+          event,
+          reference: context.reference,
+          dedupeKey: `${event}:${context.dedupeReference}:${channel}`,
+          channel,
+          recipient,
+          subject: channel === 'EMAIL' ? renderText(template.subject, context.data) : null,
+          body: renderText(channel === 'SMS' ? template.sms : template.email, context.data),
+          transport: getTransportName(channel),
+          status: 'PENDING',
+          nextAttemptAt: new Date()
+        }));
+      } catch (error) {
+        // Already queued for this event (re-published, e.g. a replayed payment webhook)
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    if (notifications.length > 0) {
+      Logger.info('Notifications queued', {
+        appId: payload.appId,
+        event,
+        reference: context.reference,
+        count: notifications.length
+      });
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Who to notify and the template fields for an event
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   * @param {Object} app - App (name, notifications)
+   * @returns {Object|null} { contact, reference, dedupeReference, data } (null = nothing to send)
+   */
+  async buildContext(event, payload, app) {
+    let context;
+
+    if (event === BOOKING_EVENTS.RESERVATION_EXPIRING) {
+      const reservation = await Reservation.findOne({ reservationToken: payload.reservationToken, status: 'ACTIVE' }).lean();
+
+      if (!reservation) {
+        return null;
+      }
+
+      const entity = payload.entityId ? await entityService.find(payload.appId, payload.entityId) : null;
+      const expiresAt = new Date(payload.expiresAt);
+
+      context = {
+        contact: reservation.contact,
+        reference: reservation.reservationToken,
+        // An extended hold gets a new warning for its new expiry
+        dedupeReference: `${reservation.reservationToken}@${expiresAt.getTime()}`,
+        data: {
+          entityName: entity?.name || payload.entityId || '',
+          startsAt: entity?.startsAt ? documentService.formatDate(entity.startsAt, true) : '',
+          venue: entity?.venue || '',
+          reservationToken: reservation.reservationToken,
+          seatNumbers: (reservation.metadata?.seatNumbers || [reservation.metadata?.seatNumber]).join(', '),
+          expiresAt: documentService.formatDate(expiresAt, true),
+          minutesLeft: Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 60000))
+        }
+      };
+    } else {
+      const bookingIds = payload.bookingIds || [payload.bookingId];
+      const bookings = await Booking.find({ bookingId: { $in: bookingIds } }).lean();
+
+      if (bookings.length === 0) {
+        return null;
+      }
+
+      bookings.sort((a, b) => bookingIds.indexOf(a.bookingId) - bookingIds.indexOf(b.bookingId));
+
+      const [booking] = bookings;
+      const details = await documentService.getBookingDetails(booking);
+      const money = amount => documentService.formatMoney(amount, booking.currency);
+
+      context = {
+        contact: booking.contact,
+        reference: booking.bookingId,
+        dedupeReference: booking.bookingId,
+        data: {
+          entityName: details.entityName,
+          startsAt: details.startsAt,
+          venue: details.venue,
+          bookingId: booking.bookingId,
+          bookingIds: bookings.map(item => item.bookingId).join(', '),
+          seatNumbers: bookings.map(item => item.metadata?.seatNumber).filter(Boolean).join(', '),
+          total: money(bookings.reduce((sum, item) => sum + item.amount, 0)),
+          refundAmount: money(payload.refundAmount ?? booking.refund?.amount ?? 0)
+        }
+      };
+    }
+
+    // Reservations made before contacts were recorded: fall back to the Hackwow account
+    const contact = context.contact || await this.getUserContact(payload.userId);
+
+    if (!contact) {
+      return null;
+    }
+
+    return {
+      ...context,
+      contact,
+      data: {
+        appName: app.name,
+        userName: contact.name || 'there',
+        ...context.data
+      }
+    };
+  }
+
+  /**
+   * Contact details of a Hackwow user (external users have none on file)
+   */
+  async getUserContact(userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      return null;
+    }
+
+    const user = await User.findById(userId).select('name email phone').lean();
+
+    return user ? { name: user.name, email: user.email, phone: user.phone } : null;
+  }
+
+  /**
+   * The app's template for an event, with built-in text for the parts it leaves out
+   * @param {Object} settings - App notification settings
+   * @param {String} event - Event name
+   * @returns {Object} { subject, email, sms }
+   */
+  getTemplate(settings, event) {
+    const custom = settings.templates.find(template => template.event === event) || {};
+    const builtIn = DEFAULT_TEMPLATES[event];
+
+    return {
+      subject: custom.subject || builtIn.subject,
+      email: custom.email || builtIn.email,
+      sms: custom.sms || builtIn.sms
+    };
+  }
+
+  /**
+   * Send every notification that is due
+   * @param {Number} limit - Maximum notifications to send in this run
+   * @returns {Object} Counts { attempted, succeeded, failed }
+   */
+  async processDue(limit = 50) {
+    return this.queue.processDue(notification => this.attempt(notification), limit);
+  }
+
+  /**
+   * Make one send attempt and record the outcome
+   * @param {Notification} notification - Claimed notification
+   * @returns {Boolean} True if the transport accepted the message
+   */
+  async attempt(notification) {
+    notification.attempts += 1;
+    notification.lastAttemptAt = new Date();
+
+    try {
+      const result = await getTransport(notification.transport).send({
+        channel: notification.channel,
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.body
+      });
+
+      notification.status = 'SENT';
+      notification.sentAt = new Date();
+      notification.providerMessageId = result.messageId || null;
+      notification.lastError = null;
+      await notification.save();
+
+      Logger.info('Notification sent', {
+        notificationId: notification.notificationId,
+        event: notification.event,
+        channel: notification.channel,
+        appId: notification.appId
+      });
+
+      return true;
+
+    } catch (error) {
+      this.queue.recordFailure(notification, error);
+      await notification.save();
+
+      Logger.warn('Notification failed', {
+        notificationId: notification.notificationId,
+        event: notification.event,
+        channel: notification.channel,
+        attempts: notification.attempts,
+        status: notification.status,
+        error: error.message
+      });
+
+      return false;
+    }
+  }
+
+  /**
+   * Put a notification back in the queue (manual retry from the dashboard)
+   * @param {Notification} notification - Notification to retry
+   * @returns {Notification} Updated notification
+   */
+  async retry(notification) {
+    notification.status = 'PENDING';
+    notification.nextAttemptAt = new Date();
+    notification.attempts = 0;
+    await notification.save();
+    return notification;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,48 @@
+const env = require('../../config/env');
+const smtpTransport = require('./smtpTransport');
+const twilioTransport = require('./twilioTransport');
+const outboxTransport = require('./outboxTransport');
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  twilio: twilioTransport,
+  outbox: outboxTransport
+};
+
+/**
+ * Notification transports
+ *
+ * EMAIL goes through EMAIL_TRANSPORT (smtp | outbox), SMS through
+ * SMS_TRANSPORT (twilio | outbox). Each notification records the transport
+ * it was queued for, and retries go through that one.
+ */
+
+/**
+ * Name of the configured transport for a channel
+ * @param {String} channel - EMAIL | SMS
+ * @returns {String} Transport name
+ */
+function getTransportName(channel) {
+  return channel === 'SMS' ? env.SMS_TRANSPORT : env.EMAIL_TRANSPORT;
+}
+
+/**
+ * Transport by name
+ * @param {String} name - smtp | twilio | outbox
+ * @returns {Object} Transport with send({ channel, to, subject, text })
+ */
+function getTransport(name) {
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+
+  return transport;
+}
+
+module.exports = {
+  TRANSPORTS,
+  getTransportName,
+  getTransport
+};
@@ -0,0 +1,54 @@
+/**
+ * Outbox Transport
+ *
+ * Keeps sent messages in memory (and appends them as JSON lines to
+ * NOTIFICATION_OUTBOX_FILE when set) instead of delivering them, for
+ * development and tests. Works for both email and SMS.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const env = require('../../config/env');
+
+const MAX_MESSAGES = 500;
+
+class OutboxTransport {
+  constructor() {
+    this.name = 'outbox';
+    this.messages = [];
+  }
+
+  /**
+   * Record a message
+   * @param {Object} message - { channel, to, subject, text }
+   * @returns {Object} { messageId }
+   */
+  async send(message) {
+    const entry = {
+      messageId: `outbox_${crypto.randomUUID().replace(/-/g, '')}`,
+      ...message,
+      sentAt: new Date().toISOString()
+    };
+
+    this.messages.push(entry);
+    if (this.messages.length > MAX_MESSAGES) {
+      this.messages.shift();
+    }
+
+    if (env.NOTIFICATION_OUTBOX_FILE) {
+      await fs.promises.mkdir(path.dirname(env.NOTIFICATION_OUTBOX_FILE), { recursive: true });
+      await fs.promises.appendFile(env.NOTIFICATION_OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+    }
+
+    return { messageId: entry.messageId };
+  }
+
+  /**
+   * Forget recorded messages (tests)
+   */
+  reset() {
+    this.messages = [];
+  }
+}
+
+module.exports = new OutboxTransport();
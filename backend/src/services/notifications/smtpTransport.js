@@ -0,0 +1,61 @@
+/**
+ * SMTP Transport
+ *
+ * Sends email through SMTP_HOST with nodemailer. Plain-text messages from
+ * SMTP_FROM; port 465 uses implicit TLS, other ports STARTTLS when offered.
+ */
+const env = require('../../config/env');
+const Logger = require('../../utils/logger');
+
+// Import nodemailer (optional - only needed when EMAIL_TRANSPORT=smtp)
+let nodemailer = null;
+try {
+  nodemailer = require('nodemailer');
+} catch (e) {
+  Logger.warn('nodemailer not installed. SMTP email transport unavailable.');
+}
+
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!nodemailer) {
+      throw new Error('nodemailer is not installed');
+    }
+    if (!env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_PORT === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text }
+   * @returns {Object} { messageId }
+   */
+  async send({ to, subject, text }) {
+    const info = await this.getTransporter().sendMail({
+      from: env.SMTP_FROM,
+      to,
+      subject,
+      text
+    });
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = new SmtpTransport();
@@ -0,0 +1,75 @@
+/**
+ * Built-in notification messages
+ *
+ * Used for every part (subject, email, sms) an app does not override in
+ * App.notifications.templates. Placeholders are filled as plain text;
+ * see NOTIFICATION_FIELDS for what each event gets.
+ */
+const { BOOKING_EVENTS } = require('../../utils/eventBus');
+
+const COMMON_FIELDS = ['appName', 'userName', 'entityName', 'startsAt', 'venue'];
+
+// Placeholders available to each event's templates
+const NOTIFICATION_FIELDS = {
+  [BOOKING_EVENTS.BOOKING_CONFIRMED]: [...COMMON_FIELDS, 'bookingId', 'bookingIds', 'seatNumbers', 'total'],
+  [BOOKING_EVENTS.RESERVATION_EXPIRING]: [...COMMON_FIELDS, 'reservationToken', 'seatNumbers', 'expiresAt', 'minutesLeft'],
+  [BOOKING_EVENTS.BOOKING_CANCELLED]: [...COMMON_FIELDS, 'bookingId', 'seatNumbers', 'refundAmount'],
+  [BOOKING_EVENTS.REFUND_PROCESSED]: [...COMMON_FIELDS, 'bookingId', 'seatNumbers', 'refundAmount']
+};
+
+const DEFAULT_TEMPLATES = {
+  [BOOKING_EVENTS.BOOKING_CONFIRMED]: {
+    subject: 'Booking confirmed: {{entityName}}',
+    email: `Hi {{userName}},
+
+Your booking for {{entityName}} is confirmed.
+
+When: {{startsAt}}
+Seats: {{seatNumbers}}
+Booking: {{bookingIds}}
+Paid: {{total}}
+
+Your e-ticket is available in {{appName}}.
+
+{{appName}}`,
+    sms: '{{appName}}: booking {{bookingId}} confirmed for {{entityName}}, {{startsAt}}. Seats {{seatNumbers}}.'
+  },
+
+  [BOOKING_EVENTS.RESERVATION_EXPIRING]: {
+    subject: 'Your seats are held for {{minutesLeft}} more minute(s)',
+    email: `Hi {{userName}},
+
+Seats {{seatNumbers}} for {{entityName}} are held for you until {{expiresAt}}.
+Complete your payment before then to keep them.
+
+{{appName}}`,
+    sms: '{{appName}}: seats {{seatNumbers}} for {{entityName}} are held until {{expiresAt}}. Pay now to keep them.'
+  },
+
+  [BOOKING_EVENTS.BOOKING_CANCELLED]: {
+    subject: 'Booking cancelled: {{entityName}}',
+    email: `Hi {{userName}},
+
+Booking {{bookingId}} (seat {{seatNumbers}}) for {{entityName}} has been cancelled.
+Refund: {{refundAmount}}
+
+{{appName}}`,
+    sms: '{{appName}}: booking {{bookingId}} for {{entityName}} cancelled. Refund: {{refundAmount}}.'
+  },
+
+  [BOOKING_EVENTS.REFUND_PROCESSED]: {
+    subject: 'Refund processed: {{refundAmount}}',
+    email: `Hi {{userName}},
+
+Your refund of {{refundAmount}} for booking {{bookingId}} ({{entityName}}) has been processed.
+It can take a few days to show up on your statement.
+
+{{appName}}`,
+    sms: '{{appName}}: refund of {{refundAmount}} for booking {{bookingId}} processed.'
+  }
+};
+
+module.exports = {
+  NOTIFICATION_FIELDS,
+  DEFAULT_TEMPLATES
+};
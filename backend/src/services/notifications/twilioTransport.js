@@ -0,0 +1,48 @@
+/**
+ * Twilio Transport
+ *
+ * Sends SMS through the Twilio Messages API (TWILIO_API_BASE, so a
+ * compatible provider or a local mock can stand in) from SMS_FROM.
+ */
+const env = require('../../config/env');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+class TwilioTransport {
+  constructor() {
+    this.name = 'twilio';
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} message - { to (E.164), text }
+   * @returns {Object} { messageId }
+   */
+  async send({ to, text }) {
+    if (!env.TWILIO_ACCOUNT_SID || !env.TWILIO_AUTH_TOKEN || !env.SMS_FROM) {
+      throw new Error('Twilio is not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, SMS_FROM)');
+    }
+
+    const credentials = Buffer.from(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+    const response = await fetch(`${env.TWILIO_API_BASE}/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: env.SMS_FROM, Body: text }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`Twilio responded with HTTP ${response.status}: ${result.message || 'unknown error'}`);
+    }
+
+    return { messageId: result.sid };
+  }
+}
+
+module.exports = new TwilioTransport();
@@ -0,0 +1,258 @@
+const PaymentOrder = require('../models/PaymentOrder');
+const Reservation = require('../models/Reservation');
+const { getGateway, getGatewayForApp } = require('./payments');
+const { ValidationError, NotFoundError, ConflictError, PaymentError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+/**
+ * Payment Order Service
+ *
+ * Persists gateway orders (with the app's gateway) against reservations and checks every payment
+ * against the order it claims to pay:
+ * - the order must have been created for the reservation being confirmed
+ * - the order amount and currency must equal the reservation's
+ * - the captured amount must equal the order amount
+ * A legacy payment made without an order must itself be for the
+ * reservation's total and currency.
+ *
+ * Amounts are integers in minor units, as the gateway expects them.
+ */
+class PaymentOrderService {
+  /**
+   * Create (or return the existing) order for a reservation
+   * The amount and currency are taken from the reservation, never from the client
+   * @param {String} appId - App ID
+   * @param {String} reservationToken - Reservation token
+   * @param {String} userId - User ID
+   * @param {Object} options - { amount (optional, must match), currency (optional, must match), notes }
+   * @returns {PaymentOrder} Payment order
+   */
+  async createOrder(appId, reservationToken, userId, options = {}) {
+    const { amount, notes = {} } = options;
+
+    const reservation = await Reservation.findOne({
+      reservationToken,
+      appId,
+      userId,
+      status: 'ACTIVE'
+    });
+
+    if (!reservation || reservation.isExpired()) {
+      throw new ValidationError('Invalid or expired reservation');
+    }
+
+    const totalAmount = reservation.getTotalAmount();
+    const currency = reservation.getCurrency();
+
+    if (amount !== undefined && amount !== totalAmount) {
+      throw new ValidationError('Order amount does not match the reservation total', {
+        expected: totalAmount,
+        received: amount
+      });
+    }
+
+    if (options.currency !== undefined && options.currency !== currency) {
+      throw new ValidationError('Order currency does not match the reservation currency', {
+        expected: currency,
+        received: options.currency
+      });
+    }
+
+    // Idempotent - same reservation returns the same order
+    const existing = await PaymentOrder.findOne({ reservationToken });
+    if (existing) {
+      if (existing.currency !== currency) {
+        throw new ConflictError('An order in a different currency already exists for this reservation', {
+          orderId: existing.orderId,
+          currency: existing.currency
+        });
+      }
+      return existing;
+    }
+
+    const gateway = await getGatewayForApp(appId);
+
+    const order = await gateway.createOrder({
+      reservationToken,
+      amount: totalAmount,
+      currency,
+      notes: {
+        ...notes,
+        userId,
+        appId,
+        seatIds: reservation.getSeatIds().join(',')
+      }
+    });
+
+    try {
+      return await PaymentOrder.create({
+        orderId: order.orderId,
+        provider: gateway.name,
+        checkout: order.checkout,
+        reservationToken,
+        appId,
+        userId,
+        amount: totalAmount,
+        currency: order.currency
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        // Concurrent create for the same reservation won the race
+        return PaymentOrder.findOne({ reservationToken });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check an order may pay for a reservation
+   * @param {String} orderId - Gateway order ID
+   * @param {Reservation} reservation - Reservation being confirmed
+   * @returns {PaymentOrder} Payment order
+   */
+  async verifyOrderForReservation(orderId, reservation) {
+    const paymentOrder = await PaymentOrder.findOne({ orderId });
+
+    if (!paymentOrder) {
+      throw new NotFoundError('Payment order', { orderId });
+    }
+
+    if (paymentOrder.reservationToken !== reservation.reservationToken ||
+        paymentOrder.appId !== reservation.appId) {
+      Logger.warn('Payment order replayed against another reservation', {
+        orderId,
+        orderReservationToken: paymentOrder.reservationToken,
+        reservationToken: reservation.reservationToken
+      });
+      throw new PaymentError('Payment order was not created for this reservation', { orderId });
+    }
+
+    if (paymentOrder.amount !== reservation.getTotalAmount() ||
+        paymentOrder.currency !== reservation.getCurrency()) {
+      Logger.warn('Payment order amount does not match reservation', {
+        orderId,
+        orderAmount: paymentOrder.amount,
+        orderCurrency: paymentOrder.currency,
+        reservationAmount: reservation.getTotalAmount(),
+        reservationCurrency: reservation.getCurrency()
+      });
+      throw new PaymentError('Payment order amount does not match the reservation total', { orderId });
+    }
+
+    return paymentOrder;
+  }
+
+  /**
+   * Check a captured gateway payment against its order
+   * @param {PaymentOrder} paymentOrder - Payment order
+   * @param {Object} payment - Normalized gateway payment (amount in minor units)
+   */
+  verifyPaymentAmount(paymentOrder, payment) {
+    if (payment.amount !== paymentOrder.amount ||
+        (payment.currency && payment.currency !== paymentOrder.currency)) {
+      throw new PaymentError('Paid amount does not match the order', {
+        orderId: paymentOrder.orderId,
+        expected: paymentOrder.amount,
+        received: payment.amount
+      });
+    }
+  }
+
+  /**
+   * Check a payment made without an order (legacy checkout) against the reservation
+   * @param {Object} payment - Verification result { paymentId, orderId, amount, currency, simulated }
+   * @param {Reservation} reservation - Reservation being confirmed
+   */
+  verifyBarePayment(payment, reservation) {
+    if (payment.orderId) {
+      throw new PaymentError('Payment was made against an order; confirm with orderId, paymentId and signature', {
+        paymentId: payment.paymentId,
+        orderId: payment.orderId
+      });
+    }
+
+    // A simulated gateway has no amount to compare (no money moves)
+    if (payment.simulated) {
+      return;
+    }
+
+    const expected = reservation.getTotalAmount();
+    const currency = reservation.getCurrency();
+
+    if (payment.amount !== expected || payment.currency !== currency) {
+      Logger.warn('Bare payment does not match reservation', {
+        paymentId: payment.paymentId,
+        reservationToken: reservation.reservationToken,
+        paidAmount: payment.amount,
+        paidCurrency: payment.currency,
+        expected,
+        currency
+      });
+      throw new PaymentError('Paid amount does not match the reservation total', {
+        paymentId: payment.paymentId,
+        expected,
+        currency,
+        received: payment.amount,
+        receivedCurrency: payment.currency
+      });
+    }
+  }
+
+  /**
+   * Record the payment that paid an order
+   * Idempotent for the same payment; a second payment is a conflict
+   * @param {PaymentOrder} paymentOrder - Verified payment order
+   * @param {String} paymentId - Gateway payment ID
+   * @returns {PaymentOrder} Updated payment order
+   */
+  async markPaid(paymentOrder, paymentId) {
+    const updated = await PaymentOrder.findOneAndUpdate(
+      { _id: paymentOrder._id, status: 'CREATED' },
+      { $set: { status: 'PAID', paymentId, paidAt: new Date() } },
+      { new: true }
+    );
+
+    if (updated) {
+      return updated;
+    }
+
+    const current = await PaymentOrder.findById(paymentOrder._id);
+    if (current.paymentId !== paymentId) {
+      throw new ConflictError('Payment order has already been paid', {
+        orderId: current.orderId
+      });
+    }
+
+    return current;
+  }
+
+  /**
+   * Find the order for a reservation
+   * @param {String} reservationToken - Reservation token
+   * @returns {PaymentOrder|null} Payment order
+   */
+  async findByReservation(reservationToken) {
+    return PaymentOrder.findOne({ reservationToken });
+  }
+
+  /**
+   * Pay one of the user's fake gateway orders, as the fake checkout would
+   * (local runs only; the fake gateway refuses in production)
+   * @param {String} appId - App ID
+   * @param {String} userId - User paying
+   * @param {String} orderId - Fake order ID
+   * @param {Object} options - { authorizeOnly, fail }
+   * @returns {Object} { orderId, paymentId, signature } for /confirm-booking
+   */
+  async payFakeOrder(appId, userId, orderId, options = {}) {
+    const paymentOrder = await PaymentOrder.findOne({ orderId, appId, userId, provider: 'fake' });
+
+    if (!paymentOrder) {
+      throw new NotFoundError('Payment order', { orderId });
+    }
+
+    return getGateway('fake').pay(orderId, options);
+  }
+}
+
+module.exports = new PaymentOrderService();
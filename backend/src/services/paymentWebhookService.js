@@ -0,0 +1,320 @@
+const Reservation = require('../models/Reservation');
+const Booking = require('../models/Booking');
+const ProcessedWebhookEvent = require('../models/ProcessedWebhookEvent');
+const PaymentOrder = require('../models/PaymentOrder');
+const bookingService = require('./bookingService');
+const paymentOrderService = require('./paymentOrderService');
+const refundService = require('./refundService');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
+const Logger = require('../utils/logger');
+
+// A PROCESSING event not updated for this long was abandoned (crash, redeploy) and may be taken over
+const PROCESSING_LEASE_MS = 120000;
+
+/**
+ * Payment Webhook Service
+ *
+ * Turns verified gateway events (normalized by the gateway adapter, see
+ * services/payments/PaymentGateway) into booking state changes:
+ * - payment.captured -> confirm the reservation (if the browser never did)
+ * - payment.failed   -> release the reservation's seats
+ * - refund.processed -> mark the booking refund as processed
+ *
+ * Every event is recorded in processed_webhook_events, so retries and
+ * duplicate deliveries are acknowledged without being handled twice. A
+ * delivery that arrives while another is still handling the event is
+ * reported as in progress, so the gateway retries it later.
+ */
+class PaymentWebhookService {
+  /**
+   * Process one webhook event exactly once
+   * @param {String} provider - Gateway that sent the event
+   * @param {Object} event - Normalized event { eventId, type, payment, refund }
+   * @returns {Object} { duplicate, inProgress, result }
+   */
+  async process(provider, event) {
+    const { eventId, type } = event;
+
+    const claimed = await this.claim(provider, eventId, type);
+
+    if (!claimed) {
+      const inProgress = await ProcessedWebhookEvent.exists({ provider, eventId, status: 'PROCESSING' });
+
+      Logger.info(inProgress ? 'Payment webhook already being processed' : 'Duplicate payment webhook ignored', {
+        provider,
+        eventId,
+        event: type
+      });
+      return { duplicate: true, inProgress: Boolean(inProgress), result: null };
+    }
+
+    try {
+      const result = await this.handle(provider, event);
+
+      await ProcessedWebhookEvent.updateOne(
+        { provider, eventId },
+        { $set: { status: 'PROCESSED', result, error: null, processedAt: new Date() } }
+      );
+
+      return { duplicate: false, inProgress: false, result };
+
+    } catch (error) {
+      // Leave it FAILED so the gateway's retry gets another chance
+      await ProcessedWebhookEvent.updateOne(
+        { provider, eventId },
+        { $set: { status: 'FAILED', error: error.message } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Record the event, or take over a previously FAILED attempt or one left
+   * PROCESSING past its lease (the process handling it died)
+   * @param {String} provider - Gateway
+   * @param {String} eventId - Event ID
+   * @param {String} event - Event type
+   * @returns {Boolean} True if this call should handle the event
+   */
+  async claim(provider, eventId, event) {
+    try {
+      await ProcessedWebhookEvent.create({ provider, eventId, event });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Setting PROCESSING also bumps updatedAt, renewing the lease for this attempt
+      const retaken = await ProcessedWebhookEvent.findOneAndUpdate(
+        {
+          provider,
+          eventId,
+          $or: [
+            { status: 'FAILED' },
+            { status: 'PROCESSING', updatedAt: { $lt: new Date(Date.now() - PROCESSING_LEASE_MS) } }
+          ]
+        },
+        { $set: { status: 'PROCESSING' }, $inc: { attempts: 1 } }
+      );
+
+      if (retaken && retaken.status === 'PROCESSING') {
+        Logger.warn('Abandoned payment webhook taken over', { provider, eventId, since: retaken.updatedAt });
+      }
+
+      return retaken !== null;
+    }
+  }
+
+  /**
+   * Dispatch an event to its handler
+   * @param {String} provider - Gateway
+   * @param {Object} event - Normalized event
+   * @returns {Object} Handler result
+   */
+  async handle(provider, event) {
+    switch (event.type) {
+      case 'payment.captured':
+        return this.handlePaymentCaptured(provider, event.payment);
+
+      case 'payment.failed':
+        return this.handlePaymentFailed(provider, event.payment);
+
+      case 'refund.processed':
+        return this.handleRefundProcessed(event.refund);
+
+      default:
+        Logger.info('Unhandled webhook event', { provider, event: event.type });
+        return { action: 'IGNORED' };
+    }
+  }
+
+  /**
+   * Find the stored order a payment was made against, and its reservation
+   * Only orders created through /create-order with the same gateway are recognised
+   * @param {String} provider - Gateway
+   * @param {Object} payment - Normalized payment
+   * @returns {Object|null} { paymentOrder, reservation } or null
+   */
+  async findOrderForPayment(provider, payment) {
+    if (!payment.orderId) {
+      return null;
+    }
+
+    const paymentOrder = await PaymentOrder.findOne({ orderId: payment.orderId, provider });
+
+    if (!paymentOrder) {
+      return null;
+    }
+
+    const reservation = await Reservation.findOne({ reservationToken: paymentOrder.reservationToken });
+
+    return reservation ? { paymentOrder, reservation } : null;
+  }
+
+  /**
+   * payment.captured: confirm the reservation
+   * If the seats can no longer be booked, or the payment does not match its
+   * order, the captured payment is refunded
+   * @param {String} provider - Gateway
+   * @param {Object} payment - Normalized payment
+   * @returns {Object} Result
+   */
+  async handlePaymentCaptured(provider, payment) {
+    if (!payment) {
+      return { action: 'IGNORED', reason: 'No payment entity' };
+    }
+
+    const match = await this.findOrderForPayment(provider, payment);
+
+    if (!match) {
+      Logger.warn('Captured payment has no matching order', {
+        provider,
+        paymentId: payment.id,
+        orderId: payment.orderId
+      });
+      return { action: 'IGNORED', reason: 'Order not found' };
+    }
+
+    const { paymentOrder, reservation } = match;
+
+    const existing = await Booking.findOne({ paymentId: payment.id }).select('bookingId');
+    if (existing) {
+      return { action: 'ALREADY_CONFIRMED', bookingId: existing.bookingId };
+    }
+
+    if (reservation.status === 'ACTIVE') {
+      try {
+        paymentOrderService.verifyPaymentAmount(paymentOrder, payment);
+        await paymentOrderService.verifyOrderForReservation(paymentOrder.orderId, reservation);
+
+        const confirmation = await bookingService.confirmBooking(
+          reservation.appId,
+          reservation.reservationToken,
+          payment.id,
+          reservation.userId.toString(),
+          provider
+        );
+
+        await paymentOrderService.markPaid(paymentOrder, payment.id);
+
+        Logger.info('Reservation confirmed from payment.captured webhook', {
+          reservationToken: reservation.reservationToken,
+          paymentId: payment.id,
+          bookingId: confirmation.bookingId
+        });
+
+        return {
+          action: 'CONFIRMED',
+          bookingIds: confirmation.bookings.map(booking => booking.bookingId)
+        };
+      } catch (error) {
+        if (!error.isOperational) {
+          throw error;
+        }
+
+        // The browser may have confirmed it at the same moment
+        const confirmed = await Booking.findOne({ paymentId: payment.id }).select('bookingId');
+        if (confirmed) {
+          return { action: 'ALREADY_CONFIRMED', bookingId: confirmed.bookingId };
+        }
+
+        Logger.warn('Captured payment could not be confirmed', {
+          reservationToken: reservation.reservationToken,
+          paymentId: payment.id,
+          error: error.message
+        });
+      }
+    }
+
+    // Money was taken but no seat will be issued for it: give it back
+    const refund = await refundService.issueRefund(payment.id, payment.amount, provider);
+
+    Logger.warn('Unfulfilled captured payment refunded', {
+      reservationToken: reservation.reservationToken,
+      reservationStatus: reservation.status,
+      paymentId: payment.id,
+      refundId: refund.refundId
+    });
+
+    return { action: 'REFUNDED_UNFULFILLED', refundId: refund.refundId };
+  }
+
+  /**
+   * payment.failed: release the reservation's seats
+   * @param {String} provider - Gateway
+   * @param {Object} payment - Normalized payment
+   * @returns {Object} Result
+   */
+  async handlePaymentFailed(provider, payment) {
+    if (!payment) {
+      return { action: 'IGNORED', reason: 'No payment entity' };
+    }
+
+    const match = await this.findOrderForPayment(provider, payment);
+
+    if (!match) {
+      return { action: 'IGNORED', reason: 'Order not found' };
+    }
+
+    const { reservation } = match;
+
+    if (reservation.status !== 'ACTIVE') {
+      return { action: 'IGNORED', reason: `Reservation is ${reservation.status.toLowerCase()}` };
+    }
+
+    await bookingService.releaseSeat(reservation.reservationToken, reservation.userId.toString());
+
+    Logger.warn('Reservation released after payment failure', {
+      reservationToken: reservation.reservationToken,
+      paymentId: payment.id,
+      error: payment.errorDescription
+    });
+
+    return { action: 'RELEASED', reservationToken: reservation.reservationToken };
+  }
+
+  /**
+   * refund.processed: mark the booking refund as processed
+   * @param {Object} refund - Normalized refund
+   * @returns {Object} Result
+   */
+  async handleRefundProcessed(refund) {
+    if (!refund) {
+      return { action: 'IGNORED', reason: 'No refund entity' };
+    }
+
+    const booking = await Booking.findOne({ 'refund.refundId': refund.refundId });
+
+    if (!booking) {
+      Logger.info('Processed refund has no matching booking', {
+        refundId: refund.refundId,
+        paymentId: refund.paymentId
+      });
+      return { action: 'IGNORED', reason: 'Booking not found' };
+    }
+
+    if (booking.refund.status === 'PROCESSED') {
+      return { action: 'ALREADY_PROCESSED', bookingId: booking.bookingId };
+    }
+
+    booking.refund.status = 'PROCESSED';
+    booking.refund.processedAt = new Date();
+    await booking.save();
+
+    eventBus.publish(BOOKING_EVENTS.REFUND_PROCESSED, {
+      bookingId: booking.bookingId,
+      appId: booking.appId,
+      userId: booking.userId.toString(),
+      entityId: booking.metadata?.entityId,
+      paymentId: booking.paymentId,
+      refundId: refund.refundId,
+      refundAmount: booking.refund.amount,
+      refundPercent: booking.refund.percent
+    });
+
+    return { action: 'REFUND_PROCESSED', bookingId: booking.bookingId };
+  }
+}
+
+module.exports = new PaymentWebhookService();
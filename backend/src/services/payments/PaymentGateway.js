@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { PaymentError } = require('../../utils/errors');
+
+/**
+ * Payment Gateway (interface)
+ *
+ * Every gateway adapter extends this class and speaks in the same shapes, so
+ * orders, confirmations, refunds and webhooks work the same whichever
+ * gateway an app uses. Amounts are integers in minor units.
+ *
+ * Normalized shapes:
+ * - order:   { orderId, amount, currency, checkout }  (checkout = data the client needs to pay)
+ * - payment: { id, orderId, amount, currency, status: CAPTURED | AUTHORIZED | FAILED, errorDescription }
+ * - refund:  { refundId, paymentId, status: PROCESSED | PENDING }
+ * - event:   { eventId, type, payment, refund }
+ *   type is payment.captured, payment.failed, refund.processed, or the
+ *   gateway's own name for anything else
+ */
+class PaymentGateway {
+  /**
+   * @param {String} name - Provider name stored on orders and bookings
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create an order (idempotent per reservation token)
+   * @param {Object} orderData - { reservationToken, amount, currency, notes }
+   * @returns {Object} Normalized order
+   */
+  async createOrder(orderData) {
+    throw this.unsupported('createOrder');
+  }
+
+  /**
+   * Verify a payment reported by the client
+   * @param {Object} data - { orderId, paymentId, signature } (orderId/signature absent for bare payment IDs)
+   * @returns {Object} { verified, orderId, paymentId, status: CAPTURED | AUTHORIZED, amount, currency }
+   *   (amount and currency are null, and simulated true, when a simulated gateway cannot know them)
+   */
+  async verify(data) {
+    throw this.unsupported('verify');
+  }
+
+  /**
+   * Whether a payment made without an order (legacy checkout) may be
+   * confirmed by its ID alone; every other payment needs a /create-order order
+   * @param {String} paymentId - Payment ID
+   * @returns {Boolean} Accepted without an order
+   */
+  acceptsBarePaymentId(paymentId) {
+    return false;
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {String} paymentId - Payment ID
+   * @param {Number} amount - Amount to capture (minor units)
+   * @param {String} currency - Currency code
+   * @returns {Object} Normalized payment
+   */
+  async capture(paymentId, amount, currency) {
+    throw this.unsupported('capture');
+  }
+
+  /**
+   * Refund a payment
+   * @param {String} paymentId - Payment ID
+   * @param {Number} amount - Amount to refund (minor units; null = full refund)
+   * @returns {Object} Normalized refund
+   */
+  async refund(paymentId, amount) {
+    throw this.unsupported('refund');
+  }
+
+  /**
+   * Verify and normalize a webhook delivery
+   * @param {Object} request - { rawBody, body, headers }
+   * @returns {Object} Normalized event
+   */
+  parseWebhook(request) {
+    throw this.unsupported('parseWebhook');
+  }
+
+  unsupported(operation) {
+    return new PaymentError(`${this.name} does not support ${operation}`);
+  }
+
+  /**
+   * Constant-time comparison of two hex/base64 signatures
+   * @param {String} expected - Signature we computed
+   * @param {String} received - Signature we were sent
+   * @returns {Boolean} True if equal
+   */
+  signaturesMatch(expected, received) {
+    if (typeof received !== 'string' || received.length !== expected.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+  }
+}
+
+module.exports = PaymentGateway;
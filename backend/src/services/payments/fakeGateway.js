@@ -0,0 +1,221 @@
+/**
+ * Fake Gateway
+ *
+ * In-memory gateway for local runs and tests: no network, no delays. IDs are
+ * sequential behind a random prefix picked at boot and on reset()
+ * (fake_order_3f9a0c1e_1, fake_pay_3f9a0c1e_2, ...), so they never repeat
+ * IDs already stored by an earlier run. Signatures are
+ * HMAC(orderId|paymentId, FAKE_GATEWAY_SECRET).
+ *
+ * Local clients pay an order with POST /fake-checkout. Tests drive it with:
+ * - pay(orderId, { authorizeOnly, fail })  -> what the checkout would send back
+ * - failNext(operation, message, times)   -> scripted gateway errors
+ * - buildWebhook(type, { paymentId, refundId }) -> a signed webhook delivery
+ * - reset()
+ *
+ * Not available in production.
+ */
+const crypto = require('crypto');
+const env = require('../../config/env');
+const PaymentGateway = require('./PaymentGateway');
+const { PaymentError } = require('../../utils/errors');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+class FakeGateway extends PaymentGateway {
+  constructor() {
+    super('fake');
+    this.reset();
+  }
+
+  /**
+   * Forget every order, payment, refund and scripted failure
+   */
+  reset() {
+    this.runId = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.orders = new Map(); // orderId -> order
+    this.ordersByReservation = new Map(); // reservationToken -> orderId
+    this.payments = new Map(); // paymentId -> payment
+    this.refunds = new Map(); // refundId -> refund
+    this.failures = new Map(); // operation -> [message, ...]
+  }
+
+  /**
+   * Make the next call(s) of an operation fail with a PaymentError
+   * @param {String} operation - createOrder | pay | verify | capture | refund | parseWebhook
+   * @param {String} message - Error message
+   * @param {Number} times - How many calls fail
+   */
+  failNext(operation, message = 'Scripted gateway failure', times = 1) {
+    const queue = this.failures.get(operation) || [];
+    for (let i = 0; i < times; i++) queue.push(message);
+    this.failures.set(operation, queue);
+  }
+
+  async createOrder(orderData) {
+    this.assertUsable('createOrder');
+    const { reservationToken, amount, currency, notes = {} } = orderData;
+
+    if (!amount || amount <= 0) {
+      throw new PaymentError('Invalid amount');
+    }
+
+    const existingId = this.ordersByReservation.get(reservationToken);
+    if (existingId) {
+      return this.toOrder(this.orders.get(existingId));
+    }
+
+    const order = { id: this.nextId('fake_order'), amount, currency, reservationToken, notes };
+    this.orders.set(order.id, order);
+    this.ordersByReservation.set(reservationToken, order.id);
+
+    return this.toOrder(order);
+  }
+
+  /**
+   * Simulate the customer paying an order at checkout
+   * @param {String} orderId - Order ID
+   * @param {Object} options - { authorizeOnly, fail, amount }
+   * @returns {Object} { orderId, paymentId, signature } as the client would post them
+   */
+  pay(orderId, options = {}) {
+    this.assertUsable('pay');
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new PaymentError('Unknown fake order', { orderId });
+    }
+
+    let status = options.authorizeOnly ? 'AUTHORIZED' : 'CAPTURED';
+    if (options.fail) status = 'FAILED';
+
+    const payment = {
+      id: this.nextId('fake_pay'),
+      orderId,
+      amount: options.amount ?? order.amount,
+      currency: order.currency,
+      status,
+      errorDescription: options.fail ? String(options.fail) : null
+    };
+    this.payments.set(payment.id, payment);
+
+    return { orderId, paymentId: payment.id, signature: this.sign(`${orderId}|${payment.id}`) };
+  }
+
+  async verify(data) {
+    this.assertUsable('verify');
+    const { orderId, paymentId, signature } = data;
+
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new PaymentError('Unknown payment', { paymentId });
+    }
+
+    if (orderId && (payment.orderId !== orderId || !this.signaturesMatch(this.sign(`${orderId}|${paymentId}`), signature))) {
+      throw new PaymentError('Invalid payment signature');
+    }
+
+    if (payment.status === 'FAILED') {
+      throw new PaymentError('Payment has not been completed', { status: payment.status });
+    }
+
+    return {
+      verified: true,
+      orderId: payment.orderId,
+      paymentId,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency
+    };
+  }
+
+  async capture(paymentId, amount) {
+    this.assertUsable('capture');
+    const payment = this.payments.get(paymentId);
+
+    if (!payment || payment.status !== 'AUTHORIZED') {
+      throw new PaymentError('Payment cannot be captured', { paymentId });
+    }
+
+    payment.status = 'CAPTURED';
+    payment.amount = amount ?? payment.amount;
+
+    return { ...payment };
+  }
+
+  async refund(paymentId, amount = null) {
+    this.assertUsable('refund');
+    const payment = this.payments.get(paymentId);
+
+    if (!payment || payment.status !== 'CAPTURED') {
+      throw new PaymentError('Payment cannot be refunded', { paymentId });
+    }
+
+    const refund = { refundId: this.nextId('fake_rfnd'), paymentId, amount: amount ?? payment.amount, status: 'PROCESSED' };
+    this.refunds.set(refund.refundId, refund);
+
+    return { refundId: refund.refundId, paymentId, status: refund.status };
+  }
+
+  /**
+   * A signed webhook delivery for a payment or refund
+   * @param {String} type - payment.captured | payment.failed | refund.processed
+   * @param {Object} ids - { paymentId } or { refundId }
+   * @returns {Object} { rawBody, body, headers } as parseWebhook receives them
+   */
+  buildWebhook(type, ids) {
+    const body = {
+      id: this.nextId('fake_evt'),
+      type,
+      payment: ids.paymentId ? this.payments.get(ids.paymentId) : null,
+      refund: ids.refundId ? this.refunds.get(ids.refundId) : null
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+
+    return { rawBody, body, headers: { [SIGNATURE_HEADER]: this.sign(rawBody) } };
+  }
+
+  parseWebhook(request) {
+    this.assertUsable('parseWebhook');
+    const rawBody = request.rawBody || Buffer.from(JSON.stringify(request.body));
+
+    if (!this.signaturesMatch(this.sign(rawBody), request.headers[SIGNATURE_HEADER])) {
+      throw new PaymentError('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+
+    return {
+      eventId: event.id,
+      type: event.type,
+      payment: event.payment || null,
+      refund: event.refund ? { refundId: event.refund.refundId, paymentId: event.refund.paymentId, status: event.refund.status } : null
+    };
+  }
+
+  assertUsable(operation) {
+    if (env.isProduction()) {
+      throw new PaymentError('The fake payment gateway is disabled in production');
+    }
+
+    const queue = this.failures.get(operation);
+    if (queue && queue.length > 0) {
+      throw new PaymentError(queue.shift(), { scripted: true, operation });
+    }
+  }
+
+  toOrder(order) {
+    return { orderId: order.id, amount: order.amount, currency: order.currency, checkout: { payPath: '/fake-checkout' } };
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_${this.runId}_${this.sequence}`;
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', env.FAKE_GATEWAY_SECRET).update(data).digest('hex');
+  }
+}
+
+module.exports = new FakeGateway();
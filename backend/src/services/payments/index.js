@@ -0,0 +1,54 @@
+const App = require('../../models/App');
+const env = require('../../config/env');
+const razorpayGateway = require('./razorpayGateway');
+const stripeGateway = require('./stripeGateway');
+const fakeGateway = require('./fakeGateway');
+const { PaymentError } = require('../../utils/errors');
+
+const GATEWAYS = {
+  razorpay: razorpayGateway,
+  stripe: stripeGateway,
+  fake: fakeGateway
+};
+
+const PAYMENT_PROVIDERS = Object.keys(GATEWAYS);
+
+/**
+ * Payment gateways
+ *
+ * Looks up the adapter for a provider name, or the one an app is configured
+ * with (App.paymentGateway, else PAYMENT_GATEWAY). Orders and bookings
+ * record their provider, so later calls (refunds, webhooks) go back to the
+ * gateway that took the payment even if the app switches gateways.
+ */
+
+/**
+ * Adapter for a provider
+ * @param {String} provider - razorpay | stripe | fake
+ * @returns {PaymentGateway} Gateway
+ */
+function getGateway(provider) {
+  const gateway = GATEWAYS[provider];
+
+  if (!gateway) {
+    throw new PaymentError(`Unknown payment gateway: ${provider}`);
+  }
+
+  return gateway;
+}
+
+/**
+ * Adapter an app takes new payments with
+ * @param {String} appId - App ID
+ * @returns {PaymentGateway} Gateway
+ */
+async function getGatewayForApp(appId) {
+  const app = await App.findOne({ appId }).select('paymentGateway').lean();
+  return getGateway(app?.paymentGateway || env.PAYMENT_GATEWAY);
+}
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  getGateway,
+  getGatewayForApp
+};
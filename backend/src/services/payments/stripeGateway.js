@@ -0,0 +1,260 @@
+/**
+ * Stripe Gateway
+ *
+ * Stripe-compatible adapter over the REST API (no SDK): an order is a
+ * PaymentIntent, and its ID is also the payment ID the booking records.
+ * STRIPE_API_BASE can point at any server speaking the same API.
+ */
+const crypto = require('crypto');
+const env = require('../../config/env');
+const PaymentGateway = require('./PaymentGateway');
+const { PaymentError } = require('../../utils/errors');
+const Logger = require('../../utils/logger');
+
+// PaymentIntent status -> normalized status
+const PAYMENT_STATUSES = {
+  succeeded: 'CAPTURED',
+  requires_capture: 'AUTHORIZED',
+  canceled: 'FAILED',
+  requires_payment_method: 'FAILED'
+};
+
+// Stripe event type -> normalized type
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.captured',
+  'payment_intent.payment_failed': 'payment.failed',
+  'refund.updated': 'refund.processed'
+};
+
+// Webhook timestamps older than this are rejected (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+class StripeGateway extends PaymentGateway {
+  constructor() {
+    super('stripe');
+  }
+
+  /**
+   * Create a PaymentIntent (idempotent per reservation token)
+   * @param {Object} orderData - { reservationToken, amount (minor units), currency, notes }
+   * @returns {Object} Normalized order (checkout: { publishableKey, clientSecret })
+   */
+  async createOrder(orderData) {
+    const { reservationToken, amount, currency, notes = {} } = orderData;
+
+    if (!reservationToken) {
+      throw new PaymentError('Reservation token is required for idempotency');
+    }
+
+    if (!amount || amount <= 0) {
+      throw new PaymentError('Invalid amount');
+    }
+
+    const intent = await this.request('POST', '/payment_intents', {
+      amount,
+      currency: currency.toLowerCase(),
+      metadata: { ...notes, reservationToken }
+    }, { idempotencyKey: `order-${reservationToken}` });
+
+    Logger.info('Stripe PaymentIntent created', { orderId: intent.id, amount, reservationToken });
+
+    return {
+      orderId: intent.id,
+      amount: intent.amount,
+      currency: intent.currency.toUpperCase(),
+      checkout: {
+        publishableKey: env.STRIPE_PUBLISHABLE_KEY,
+        clientSecret: intent.client_secret
+      }
+    };
+  }
+
+  /**
+   * Verify a payment by reading the PaymentIntent back from Stripe
+   * (the client cannot forge its status, so no signature is needed)
+   * @param {Object} data - { orderId, paymentId }
+   * @returns {Object} { verified, orderId, paymentId, status, amount, currency }
+   */
+  async verify(data) {
+    const paymentId = data.paymentId || data.orderId;
+
+    if (!paymentId) {
+      throw new PaymentError('Payment ID is required');
+    }
+
+    if (data.orderId && data.orderId !== paymentId) {
+      throw new PaymentError('Payment does not belong to the order', { orderId: data.orderId, paymentId });
+    }
+
+    const intent = await this.request('GET', `/payment_intents/${encodeURIComponent(paymentId)}`);
+    const status = PAYMENT_STATUSES[intent.status];
+
+    if (status !== 'CAPTURED' && status !== 'AUTHORIZED') {
+      throw new PaymentError('Payment has not been completed', { status: intent.status });
+    }
+
+    return {
+      verified: true,
+      orderId: intent.id,
+      paymentId: intent.id,
+      status,
+      amount: intent.amount,
+      currency: intent.currency.toUpperCase()
+    };
+  }
+
+  /**
+   * Capture an authorized PaymentIntent
+   * @param {String} paymentId - PaymentIntent ID
+   * @param {Number} amount - Amount (minor units)
+   * @returns {Object} Normalized payment
+   */
+  async capture(paymentId, amount) {
+    const intent = await this.request('POST', `/payment_intents/${encodeURIComponent(paymentId)}/capture`, {
+      amount_to_capture: amount
+    }, { idempotencyKey: `capture-${paymentId}` });
+
+    return this.normalizePayment(intent);
+  }
+
+  /**
+   * Refund a PaymentIntent
+   * @param {String} paymentId - PaymentIntent ID
+   * @param {Number} amount - Amount in minor units (null = full refund)
+   * @returns {Object} Normalized refund
+   */
+  async refund(paymentId, amount = null) {
+    Logger.info('Processing refund', { paymentId, amount });
+
+    const refund = await this.request('POST', '/refunds', {
+      payment_intent: paymentId,
+      ...(amount ? { amount } : {})
+    });
+
+    return {
+      refundId: refund.id,
+      paymentId,
+      status: refund.status === 'succeeded' ? 'PROCESSED' : 'PENDING'
+    };
+  }
+
+  /**
+   * Verify and normalize a Stripe webhook
+   * Stripe-Signature is "t=<timestamp>,v1=<HMAC(timestamp.rawBody, secret)>"
+   * @param {Object} request - { rawBody, body, headers }
+   * @returns {Object} Normalized event
+   */
+  parseWebhook(request) {
+    const { headers } = request;
+    const rawBody = request.rawBody ? request.rawBody.toString() : JSON.stringify(request.body);
+
+    if (!env.STRIPE_WEBHOOK_SECRET) {
+      throw new PaymentError('Webhook secret not configured');
+    }
+
+    const parts = String(headers['stripe-signature'] || '').split(',').map(part => part.split('='));
+    const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new PaymentError('Webhook timestamp outside the tolerance window');
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', env.STRIPE_WEBHOOK_SECRET)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    if (!signatures.some(signature => this.signaturesMatch(expectedSignature, signature))) {
+      Logger.warn('Invalid Stripe webhook signature');
+      throw new PaymentError('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody);
+    const object = event.data?.object || {};
+    let type = EVENT_TYPES[event.type] || event.type;
+
+    // refund.updated also fires for pending/failed refunds
+    if (event.type === 'refund.updated' && object.status !== 'succeeded') {
+      type = event.type;
+    }
+
+    return {
+      eventId: event.id,
+      type,
+      payment: object.object === 'payment_intent' ? this.normalizePayment(object) : null,
+      refund: object.object === 'refund'
+        ? { refundId: object.id, paymentId: object.payment_intent, status: object.status === 'succeeded' ? 'PROCESSED' : 'PENDING' }
+        : null
+    };
+  }
+
+  normalizePayment(intent) {
+    return {
+      id: intent.id,
+      orderId: intent.id,
+      amount: intent.status === 'succeeded' ? intent.amount_received : intent.amount,
+      currency: intent.currency.toUpperCase(),
+      status: PAYMENT_STATUSES[intent.status] || intent.status,
+      errorDescription: intent.last_payment_error?.message || null
+    };
+  }
+
+  /**
+   * Call the Stripe API
+   * @param {String} method - HTTP method
+   * @param {String} path - API path
+   * @param {Object} params - Form parameters
+   * @param {Object} options - { idempotencyKey }
+   * @returns {Object} Response body
+   */
+  async request(method, path, params = null, options = {}) {
+    if (!env.STRIPE_SECRET_KEY) {
+      throw new PaymentError('Stripe is not configured (STRIPE_SECRET_KEY)');
+    }
+
+    const headers = { Authorization: `Bearer ${env.STRIPE_SECRET_KEY}` };
+    if (params) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    if (options.idempotencyKey) headers['Idempotency-Key'] = options.idempotencyKey;
+
+    const response = await fetch(`${env.STRIPE_API_BASE}${path}`, {
+      method,
+      headers,
+      body: params ? this.encodeForm(params).toString() : undefined,
+      signal: AbortSignal.timeout(env.PAYMENT_GATEWAY_TIMEOUT_MS)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new PaymentError(body.error?.message || `Stripe request failed (${response.status})`, {
+        code: body.error?.code,
+        status: response.status
+      });
+    }
+
+    return body;
+  }
+
+  /**
+   * Stripe's form encoding (nested objects as key[sub]=value)
+   * @param {Object} params - Parameters
+   * @param {URLSearchParams} form - Form being built
+   * @param {String} prefix - Key prefix for nested values
+   * @returns {URLSearchParams} Encoded form
+   */
+  encodeForm(params, form = new URLSearchParams(), prefix = null) {
+    for (const [key, value] of Object.entries(params)) {
+      if (value === undefined || value === null) continue;
+      const name = prefix ? `${prefix}[${key}]` : key;
+      if (typeof value === 'object') {
+        this.encodeForm(value, form, name);
+      } else {
+        form.append(name, String(value));
+      }
+    }
+    return form;
+  }
+}
+
+module.exports = new StripeGateway();
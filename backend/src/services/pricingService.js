@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const PricingRule = require('../models/PricingRule');
+const Seat = require('../models/Seat');
+const entityService = require('./entityService');
+const refundService = require('./refundService');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { roundMinor } = require('../utils/currency');
+const Logger = require('../utils/logger');
+
+// Fields that can be set on create and changed on update
+const EDITABLE_FIELDS = ['name', 'entityId', 'isActive', 'conditions', 'multiplier', 'sectionMultipliers'];
+
+/**
+ * Pricing Service
+ *
+ * Manages per-app pricing rules and computes seat prices when seats are
+ * reserved. The computed prices are frozen on the reservation, so orders and
+ * bookings charge what the user was quoted even if rules or occupancy change.
+ * Prices are integers in the seats' currency minor units.
+ */
+class PricingService {
+  /**
+   * Create a rule
+   * @param {String} appId - App ID
+   * @param {Object} data - Rule fields
+   * @returns {PricingRule} Created rule
+   */
+  async createRule(appId, data) {
+    if (data.entityId) {
+      await entityService.get(appId, data.entityId);
+    }
+
+    const rule = new PricingRule({
+      ruleId: `prc_${crypto.randomUUID().replace(/-/g, '')}`,
+      appId
+    });
+    this.applyFields(rule, data);
+    await rule.save();
+
+    Logger.info('Pricing rule created', { appId, ruleId: rule.ruleId, entityId: rule.entityId });
+
+    return rule;
+  }
+
+  /**
+   * List an app's rules
+   * @param {String} appId - App ID
+   * @param {Object} options - { entityId }
+   * @returns {Array<PricingRule>} Rules
+   */
+  async listRules(appId, options = {}) {
+    const query = { appId };
+    if (options.entityId !== undefined) query.entityId = options.entityId || null;
+
+    return PricingRule.find(query).sort({ entityId: 1, createdAt: 1 }).lean();
+  }
+
+  /**
+   * Get one rule
+   * @param {String} appId - App ID
+   * @param {String} ruleId - Rule ID
+   * @returns {PricingRule} Rule
+   */
+  async getRule(appId, ruleId) {
+    const rule = await PricingRule.findOne({ appId, ruleId });
+
+    if (!rule) {
+      throw new NotFoundError('Pricing rule', { ruleId });
+    }
+
+    return rule;
+  }
+
+  /**
+   * Update a rule (existing reservations keep their frozen prices)
+   * @param {String} appId - App ID
+   * @param {String} ruleId - Rule ID
+   * @param {Object} data - Fields to change
+   * @returns {PricingRule} Updated rule
+   */
+  async updateRule(appId, ruleId, data) {
+    const rule = await this.getRule(appId, ruleId);
+
+    if (data.entityId) {
+      await entityService.get(appId, data.entityId);
+    }
+
+    this.applyFields(rule, data);
+    await rule.save();
+
+    Logger.info('Pricing rule updated', { appId, ruleId });
+
+    return rule;
+  }
+
+  /**
+   * Delete a rule
+   * @param {String} appId - App ID
+   * @param {String} ruleId - Rule ID
+   */
+  async removeRule(appId, ruleId) {
+    const rule = await this.getRule(appId, ruleId);
+    await rule.deleteOne();
+
+    Logger.info('Pricing rule deleted', { appId, ruleId });
+  }
+
+  /**
+   * Rules that apply to an entity: its own if it has any, else the app-wide ones
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @returns {Array<PricingRule>} Active rules
+   */
+  async getRulesFor(appId, entityId) {
+    const rules = await PricingRule.find({
+      appId,
+      entityId: { $in: [entityId, null] },
+      isActive: true
+    }).sort({ createdAt: 1 });
+
+    const entityRules = rules.filter(rule => rule.entityId === entityId);
+    return entityRules.length > 0 ? entityRules : rules;
+  }
+
+  /**
+   * Price seats of one entity right now
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {Array<Seat>} seats - Seats being reserved
+   * @returns {Object} { seats: [{ seatId, seatNumber, basePrice, price, ruleIds }], totalAmount, currency, context }
+   */
+  async quote(appId, entityId, seats) {
+    const currencies = [...new Set(seats.map(seat => seat.currency))];
+    if (currencies.length > 1) {
+      throw new ConflictError('Seats priced in different currencies cannot be reserved together', { currencies });
+    }
+
+    const rules = await this.getRulesFor(appId, entityId);
+
+    if (rules.length === 0) {
+      return this.buildQuote(seats.map(seat => ({ seat, price: seat.price, ruleIds: [] })), null);
+    }
+
+    const context = await this.getContext(appId, entityId, seats[0]);
+    const matching = rules.filter(rule => rule.matches(context));
+
+    const priced = seats.map(seat => {
+      const section = seat.getSection();
+      const multiplier = matching.reduce((product, rule) => product * rule.getMultiplier(section), 1);
+
+      return {
+        seat,
+        price: roundMinor(seat.price * multiplier),
+        ruleIds: matching.map(rule => rule.ruleId)
+      };
+    });
+
+    return this.buildQuote(priced, context);
+  }
+
+  /**
+   * Conditions rules are matched against
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {Seat} seat - A seat of the entity (for the start-time fallback)
+   * @returns {Object} { occupancyPercent, hoursBeforeEvent, eventStartsAt }
+   */
+  async getContext(appId, entityId, seat) {
+    const [total, booked, startsAt] = await Promise.all([
+      Seat.countDocuments({ appId, entityId }),
+      Seat.countDocuments({ appId, entityId, status: 'BOOKED' }),
+      entityService.getStartTime(appId, entityId)
+    ]);
+
+    const eventStartsAt = startsAt || refundService.getEventStartTime(seat);
+
+    return {
+      occupancyPercent: total > 0 ? Math.round((booked / total) * 10000) / 100 : 0,
+      hoursBeforeEvent: eventStartsAt ? Math.max(0, (eventStartsAt.getTime() - Date.now()) / 3600000) : null,
+      eventStartsAt
+    };
+  }
+
+  buildQuote(priced, context) {
+    return {
+      currency: priced[0].seat.currency,
+      seats: priced.map(({ seat, price, ruleIds }) => ({
+        seatId: seat._id,
+        seatNumber: seat.seatNumber,
+        basePrice: seat.price,
+        price,
+        ruleIds
+      })),
+      totalAmount: priced.reduce((sum, { price }) => sum + price, 0),
+      context
+    };
+  }
+
+  applyFields(rule, data) {
+    EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .forEach(field => rule.set(field, data[field]));
+  }
+}
+
+module.exports = new PricingService();
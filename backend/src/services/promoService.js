@@ -0,0 +1,537 @@
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const PromoUserUsage = require('../models/PromoUserUsage');
+const Reservation = require('../models/Reservation');
+const PaymentOrder = require('../models/PaymentOrder');
+const Seat = require('../models/Seat');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
+const { roundMinor } = require('../utils/currency');
+const { ValidationError, NotFoundError, ConflictError, PromoCodeError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+// Fields that can be set on create and changed on update
+const EDITABLE_FIELDS = [
+  'description', 'discountType', 'value', 'currency', 'maxDiscount', 'minOrderAmount', 'validFrom', 'validUntil',
+  'maxRedemptions', 'maxRedemptionsPerUser', 'eligibleEntityIds', 'eligibleSections', 'isActive'
+];
+
+// Events that end a reservation without a booking (the code use is given back)
+const RESERVATION_CLOSED_EVENTS = [
+  BOOKING_EVENTS.RESERVATION_RELEASED,
+  BOOKING_EVENTS.RESERVATION_EXPIRED
+];
+
+/**
+ * Promo Service
+ *
+ * Promo code CRUD, applying a code to a reservation (before its payment
+ * order exists) and the redemption report.
+ *
+ * Applying a code takes one use (redemptionCount) and one of the user's
+ * uses (PromoUserUsage) right away, each atomically against its limit; the use
+ * becomes REDEEMED when the reservation is booked and is given back if the
+ * reservation is released or expires.
+ */
+class PromoService {
+  constructor() {
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to reservation events
+   */
+  start() {
+    if (this.listeners.length > 0) {
+      return;
+    }
+
+    for (const event of RESERVATION_CLOSED_EVENTS) {
+      const listener = payload => this.release(payload.reservationToken);
+      eventBus.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+  }
+
+  /**
+   * Unsubscribe from reservation events
+   */
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * Create a code
+   * @param {String} appId - App ID
+   * @param {Object} data - Code fields
+   * @returns {PromoCode} Created code
+   */
+  async createCode(appId, data) {
+    const code = data.code.trim().toUpperCase();
+
+    const existing = await PromoCode.findOne({ appId, code });
+    if (existing) {
+      throw new ConflictError('Promo code already exists', { code });
+    }
+
+    const promo = new PromoCode({ appId, code });
+    this.applyFields(promo, data);
+    await promo.save();
+
+    Logger.info('Promo code created', { appId, code });
+
+    return promo;
+  }
+
+  /**
+   * List an app's codes
+   * @param {String} appId - App ID
+   * @param {Object} options - { isActive, page, limit }
+   * @returns {Object} { promoCodes, pagination }
+   */
+  async listCodes(appId, options = {}) {
+    const { isActive, page = 1, limit = 20 } = options;
+
+    const query = { appId };
+    if (isActive !== undefined) query.isActive = isActive;
+
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PromoCode.countDocuments(query)
+    ]);
+
+    return {
+      promoCodes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one code
+   * @param {String} appId - App ID
+   * @param {String} code - Code (any case)
+   * @returns {PromoCode} Code
+   */
+  async getCode(appId, code) {
+    const promo = await PromoCode.findOne({ appId, code: code.trim().toUpperCase() });
+
+    if (!promo) {
+      throw new NotFoundError('Promo code', { code });
+    }
+
+    return promo;
+  }
+
+  /**
+   * Update a code (reservations that already applied it keep their discount)
+   * @param {String} appId - App ID
+   * @param {String} code - Code
+   * @param {Object} data - Fields to change
+   * @returns {PromoCode} Updated code
+   */
+  async updateCode(appId, code, data) {
+    const promo = await this.getCode(appId, code);
+
+    this.applyFields(promo, data);
+    await promo.save();
+
+    Logger.info('Promo code updated', { appId, code: promo.code });
+
+    return promo;
+  }
+
+  /**
+   * Delete a code that was never used (used codes are deactivated instead)
+   * @param {String} appId - App ID
+   * @param {String} code - Code
+   */
+  async removeCode(appId, code) {
+    const promo = await this.getCode(appId, code);
+
+    const used = await PromoRedemption.countDocuments({ promoCodeId: promo._id });
+    if (used > 0) {
+      throw new ConflictError('Promo code has been used; deactivate it instead', { redemptions: used });
+    }
+
+    await promo.deleteOne();
+
+    Logger.info('Promo code deleted', { appId, code: promo.code });
+  }
+
+  /**
+   * Apply a code to an active reservation
+   * Re-applying the code already on the reservation returns the same result
+   * @param {String} appId - App ID
+   * @param {String} reservationToken - Reservation token
+   * @param {String} userId - User ID
+   * @param {String} code - Code entered by the user
+   * @returns {Object} { code, currency, eligibleAmount, discountAmount, totalAmount, finalAmount }
+   */
+  async applyToReservation(appId, reservationToken, userId, code) {
+    const normalizedCode = code.trim().toUpperCase();
+
+    const reservation = await Reservation.findOne({ reservationToken, appId, userId, status: 'ACTIVE' });
+
+    if (!reservation || reservation.isExpired()) {
+      throw new ValidationError('Invalid or expired reservation');
+    }
+
+    if (reservation.promo) {
+      if (reservation.promo.code === normalizedCode) {
+        return this.toSummary(reservation);
+      }
+      throw new ConflictError('A promo code is already applied to this reservation', {
+        code: reservation.promo.code
+      });
+    }
+
+    if (!reservation.pricing) {
+      throw new ConflictError('Promo codes cannot be applied to this reservation');
+    }
+
+    if (await PaymentOrder.exists({ reservationToken })) {
+      throw new ConflictError('Apply promo codes before creating the payment order');
+    }
+
+    const promo = await PromoCode.findOne({ appId, code: normalizedCode });
+
+    if (!promo || !promo.isValidAt()) {
+      throw new PromoCodeError('Promo code is invalid or expired', { code: normalizedCode });
+    }
+
+    const currency = reservation.getCurrency();
+    if (!promo.supportsCurrency(currency)) {
+      throw new PromoCodeError(`Promo code is only valid for ${promo.currency} payments`, {
+        code: normalizedCode,
+        currency
+      });
+    }
+
+    // Discount only the seats the code covers, at their frozen prices
+    const seats = await Seat.find({ _id: { $in: reservation.getSeatIds() } });
+    const eligibleSeatIds = new Set(
+      seats
+        .filter(seat => promo.appliesTo(seat.entityId, seat.getSection()))
+        .map(seat => seat._id.toString())
+    );
+    const eligible = reservation.pricing.seats.filter(entry => eligibleSeatIds.has(entry.seatId.toString()));
+    const eligibleAmount = eligible.reduce((sum, entry) => sum + entry.price, 0);
+
+    if (eligible.length === 0) {
+      throw new PromoCodeError('Promo code does not apply to these seats', { code: normalizedCode });
+    }
+
+    if (eligibleAmount < promo.minOrderAmount) {
+      throw new PromoCodeError(`Promo code requires a minimum of ${promo.minOrderAmount}`, {
+        code: normalizedCode,
+        eligibleAmount
+      });
+    }
+
+    // Take one use (atomic against the global limit)
+    const claimed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promo._id,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new PromoCodeError('Promo code has reached its usage limit', { code: normalizedCode });
+    }
+
+    // And one of the user's uses (atomic against the per-user limit)
+    if (!(await this.claimUserUse(promo, userId))) {
+      await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+      throw new PromoCodeError('You have already used this promo code', { code: normalizedCode });
+    }
+
+    const discountAmount = promo.computeDiscount(eligibleAmount);
+    const totalAmount = reservation.pricing.totalAmount;
+    const seatDiscounts = this.splitDiscount(eligible, eligibleAmount, discountAmount);
+
+    let redemption;
+    try {
+      redemption = await PromoRedemption.create({
+        appId,
+        promoCodeId: promo._id,
+        code: normalizedCode,
+        userId,
+        reservationToken,
+        entityId: reservation.metadata?.entityId || null,
+        currency,
+        eligibleAmount,
+        discountAmount,
+        finalAmount: totalAmount - discountAmount
+      });
+
+      const updated = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'ACTIVE', promo: { $exists: false } },
+        {
+          $set: {
+            promo: { code: normalizedCode, promoCodeId: promo._id, eligibleAmount, discountAmount },
+            'pricing.seats': reservation.pricing.seats.map(entry => ({
+              ...entry.toObject(),
+              discount: seatDiscounts.get(entry.seatId.toString()) || 0
+            }))
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        throw new ConflictError('Reservation changed while applying the promo code');
+      }
+
+      Logger.info('Promo code applied', { appId, code: normalizedCode, reservationToken, discountAmount });
+
+      return this.toSummary(updated);
+    } catch (error) {
+      // Give the use back
+      if (redemption) {
+        await PromoRedemption.deleteOne({ _id: redemption._id });
+      }
+      await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptionCount: -1 } });
+      await this.releaseUserUse(promo._id, userId);
+
+      if (error.code === 11000) {
+        throw new ConflictError('A promo code is already applied to this reservation');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Take one of a user's uses of a code, unless maxRedemptionsPerUser are held
+   * The usage document is created on first use from the user's existing
+   * redemptions (codes used before it was tracked)
+   * @param {PromoCode} promo - Code
+   * @param {String} userId - User ID
+   * @returns {PromoUserUsage|null} Updated usage, or null at the limit
+   */
+  async claimUserUse(promo, userId) {
+    const key = { promoCodeId: promo._id, userId };
+
+    if (!(await PromoUserUsage.exists(key))) {
+      const used = await PromoRedemption.countDocuments({ ...key, status: { $in: ['APPLIED', 'REDEEMED'] } });
+      try {
+        await PromoUserUsage.create({ ...key, appId: promo.appId, count: used });
+      } catch (error) {
+        // Created by a concurrent apply
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    const filter = promo.maxRedemptionsPerUser !== null
+      ? { ...key, count: { $lt: promo.maxRedemptionsPerUser } }
+      : key;
+
+    return PromoUserUsage.findOneAndUpdate(filter, { $inc: { count: 1 } }, { new: true });
+  }
+
+  /**
+   * Give back one of a user's uses of a code
+   * @param {ObjectId} promoCodeId - Code
+   * @param {String} userId - User ID
+   */
+  async releaseUserUse(promoCodeId, userId) {
+    await PromoUserUsage.updateOne(
+      { promoCodeId, userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  /**
+   * Mark a reservation's code use as redeemed (called while confirming the booking)
+   * @param {String} reservationToken - Reservation token
+   * @param {Array<String>} bookingIds - Bookings created
+   * @param {ClientSession} session - Transaction session
+   */
+  async markRedeemed(reservationToken, bookingIds, session) {
+    await PromoRedemption.updateOne(
+      { reservationToken, status: 'APPLIED' },
+      { $set: { status: 'REDEEMED', bookingIds, redeemedAt: new Date() } },
+      { session }
+    );
+  }
+
+  /**
+   * Give back the code use of a reservation that ended without a booking
+   * @param {String} reservationToken - Reservation token
+   */
+  async release(reservationToken) {
+    if (!reservationToken) {
+      return;
+    }
+
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { reservationToken, status: 'APPLIED' },
+      { $set: { status: 'RELEASED' } }
+    );
+
+    if (!redemption) {
+      return;
+    }
+
+    await PromoCode.updateOne(
+      { _id: redemption.promoCodeId, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    );
+    await this.releaseUserUse(redemption.promoCodeId, redemption.userId);
+
+    Logger.info('Promo code use released', { code: redemption.code, reservationToken });
+  }
+
+  /**
+   * Redemption report: per-code totals of redeemed uses, per currency
+   * @param {String} appId - App ID
+   * @param {Object} options - { code, from, to } (date range: redeemedAt of redeemed uses, createdAt of pending ones)
+   * @returns {Object} { codes: [{ code, currency, redemptions, discountTotal, revenue, pending }], totals: [{ currency, ... }] }
+   */
+  async getReport(appId, options = {}) {
+    const match = { appId, status: { $in: ['APPLIED', 'REDEEMED'] } };
+    if (options.code) match.code = options.code.trim().toUpperCase();
+    if (options.from || options.to) {
+      const range = {};
+      if (options.from) range.$gte = new Date(options.from);
+      if (options.to) range.$lte = new Date(options.to);
+
+      // A code applied last month and paid today counts as redeemed today
+      match.$or = [
+        { status: 'REDEEMED', redeemedAt: range },
+        { status: 'APPLIED', createdAt: range }
+      ];
+    }
+
+    const rows = await PromoRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { code: '$code', currency: '$currency' },
+          redemptions: { $sum: { $cond: [{ $eq: ['$status', 'REDEEMED'] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'APPLIED'] }, 1, 0] } },
+          discountTotal: { $sum: { $cond: [{ $eq: ['$status', 'REDEEMED'] }, '$discountAmount', 0] } },
+          revenue: { $sum: { $cond: [{ $eq: ['$status', 'REDEEMED'] }, '$finalAmount', 0] } }
+        }
+      },
+      { $sort: { redemptions: -1, '_id.code': 1 } }
+    ]);
+
+    const codes = rows.map(row => ({
+      code: row._id.code,
+      currency: row._id.currency,
+      redemptions: row.redemptions,
+      pending: row.pending,
+      discountTotal: row.discountTotal,
+      revenue: row.revenue
+    }));
+
+    // Amounts in different currencies are never added together
+    const totals = new Map();
+    for (const row of codes) {
+      const total = totals.get(row.currency) || { currency: row.currency, redemptions: 0, discountTotal: 0, revenue: 0 };
+      total.redemptions += row.redemptions;
+      total.discountTotal += row.discountTotal;
+      total.revenue += row.revenue;
+      totals.set(row.currency, total);
+    }
+
+    return {
+      codes,
+      totals: [...totals.values()]
+    };
+  }
+
+  /**
+   * Individual uses of a code, newest first
+   * @param {String} appId - App ID
+   * @param {String} code - Code
+   * @param {Object} options - { status, page, limit }
+   * @returns {Object} { redemptions, pagination }
+   */
+  async listRedemptions(appId, code, options = {}) {
+    const { status, page = 1, limit = 20 } = options;
+
+    const query = { appId, code: code.trim().toUpperCase() };
+    if (status) query.status = status;
+
+    const [redemptions, total] = await Promise.all([
+      PromoRedemption.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PromoRedemption.countDocuments(query)
+    ]);
+
+    return {
+      redemptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Split a discount over seats in proportion to their price
+   * The last seat takes the rounding remainder
+   * @param {Array<Object>} entries - Eligible pricing entries
+   * @param {Number} eligibleAmount - Sum of their prices
+   * @param {Number} discountAmount - Discount to split
+   * @returns {Map<String, Number>} Seat ID -> discount
+   */
+  splitDiscount(entries, eligibleAmount, discountAmount) {
+    const discounts = new Map();
+    let remaining = discountAmount;
+
+    entries.forEach((entry, index) => {
+      const share = index === entries.length - 1
+        ? remaining
+        : roundMinor(eligibleAmount > 0 ? discountAmount * entry.price / eligibleAmount : 0);
+      discounts.set(entry.seatId.toString(), share);
+      remaining -= share;
+    });
+
+    return discounts;
+  }
+
+  toSummary(reservation) {
+    return {
+      code: reservation.promo.code,
+      currency: reservation.getCurrency(),
+      eligibleAmount: reservation.promo.eligibleAmount,
+      discountAmount: reservation.promo.discountAmount,
+      totalAmount: reservation.pricing.totalAmount,
+      finalAmount: reservation.getTotalAmount()
+    };
+  }
+
+  applyFields(promo, data) {
+    EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .forEach(field => promo.set(field, data[field]));
+  }
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const redisConnection = require('../config/redis');
+const { RATE_LIMIT_DEFAULTS, RATE_LIMIT_SCOPES } = require('../config/rateLimits');
+
+// Sliding window log over one sorted set per rule (score = request time in ms)
+// A request is recorded in every window or, if any window is full, in none
+// ARGV: now, member, then limit and window (ms) for each key
+// Returns: index of the first full window (0 = allowed), then count and oldest score per key
+const SLIDING_WINDOW_SCRIPT = `
+  local now = tonumber(ARGV[1])
+  local counts = {}
+  local rejected = 0
+  for i, key in ipairs(KEYS) do
+    redis.call('ZREMRANGEBYSCORE', key, '-inf', now - tonumber(ARGV[2 * i + 2]))
+    counts[i] = redis.call('ZCARD', key)
+    if rejected == 0 and counts[i] >= tonumber(ARGV[2 * i + 1]) then
+      rejected = i
+    end
+  end
+  local result = { rejected }
+  for i, key in ipairs(KEYS) do
+    if rejected == 0 then
+      redis.call('ZADD', key, now, ARGV[2])
+      redis.call('PEXPIRE', key, tonumber(ARGV[2 * i + 2]))
+      counts[i] = counts[i] + 1
+    end
+    local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+    table.insert(result, counts[i])
+    table.insert(result, oldest[2] or tostring(now))
+  end
+  return result
+`;
+
+/**
+ * Rate Limit Service
+ *
+ * Sliding-window request limits in Redis, shared by every instance.
+ * Each request is checked against one window per scope (app, user, IP)
+ * of its route class, with the app's overrides applied over the defaults.
+ */
+class RateLimitService {
+  /**
+   * Effective limits of a route class for an app
+   * @param {String} routeClass - auth | reserve | checkout | read | write
+   * @param {Array} overrides - App.rateLimits ({ routeClass, scope, limit, windowSeconds })
+   * @returns {Object} { APP, USER, IP } -> { limit, windowSeconds } (limit 0 = unlimited)
+   */
+  getLimits(routeClass, overrides = []) {
+    const limits = { ...RATE_LIMIT_DEFAULTS[routeClass] };
+
+    for (const override of overrides) {
+      if (override.routeClass !== routeClass) continue;
+
+      const current = limits[override.scope] || {};
+      limits[override.scope] = {
+        limit: override.limit ?? current.limit,
+        windowSeconds: override.windowSeconds ?? current.windowSeconds ?? 60
+      };
+    }
+
+    return limits;
+  }
+
+  /**
+   * Every route class's effective limits for an app (admin view)
+   * @param {Array} overrides - App.rateLimits
+   * @returns {Object} routeClass -> scope -> { limit, windowSeconds }
+   */
+  getAllLimits(overrides = []) {
+    return Object.fromEntries(
+      Object.keys(RATE_LIMIT_DEFAULTS).map(routeClass => [routeClass, this.getLimits(routeClass, overrides)])
+    );
+  }
+
+  /**
+   * Count a request against every applicable window
+   * @param {String} routeClass - Route class
+   * @param {Object} identities - { APP, USER, IP } -> identifier (missing scopes are skipped)
+   * @param {Array} overrides - App.rateLimits
+   * @returns {Object|null} { allowed, scope, limit, remaining, windowSeconds, resetSeconds } for the
+   *   window that rejected the request, else the one with the fewest requests left (null = nothing to limit)
+   */
+  async consume(routeClass, identities, overrides = []) {
+    const limits = this.getLimits(routeClass, overrides);
+    const rules = RATE_LIMIT_SCOPES
+      .filter(scope => identities[scope] && limits[scope]?.limit > 0)
+      .map(scope => ({
+        scope,
+        ...limits[scope],
+        key: `ratelimit:${routeClass}:${scope}:${identities[scope]}`
+      }));
+
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const redis = redisConnection.getClient();
+
+    const result = await redis.eval(SLIDING_WINDOW_SCRIPT, {
+      keys: rules.map(rule => rule.key),
+      arguments: [
+        String(now),
+        `${now}-${crypto.randomBytes(6).toString('hex')}`,
+        ...rules.flatMap(rule => [String(rule.limit), String(rule.windowSeconds * 1000)])
+      ]
+    });
+
+    const rejected = Number(result[0]);
+    const windows = rules.map((rule, i) => {
+      const count = Number(result[1 + i * 2]);
+      const oldest = Number(result[2 + i * 2]);
+
+      return {
+        allowed: rejected === 0,
+        scope: rule.scope,
+        limit: rule.limit,
+        remaining: Math.max(rule.limit - count, 0),
+        windowSeconds: rule.windowSeconds,
+        // When the oldest request in the window drops out of it
+        resetSeconds: Math.max(Math.ceil((oldest + rule.windowSeconds * 1000 - now) / 1000), 0)
+      };
+    });
+
+    if (rejected > 0) {
+      return windows[rejected - 1];
+    }
+
+    return windows.reduce((tightest, window) => (window.remaining < tightest.remaining ? window : tightest));
+  }
+}
+
+module.exports = new RateLimitService();
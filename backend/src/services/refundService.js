@@ -0,0 +1,79 @@
+const { getGateway } = require('./payments');
+const Logger = require('../utils/logger');
+const { roundMinor } = require('../utils/currency');
+
+/**
+ * Refund Service
+ * 
+ * Applies an app's refund policy and issues refunds through the gateway
+ * that took the original payment
+ */
+class RefundService {
+  /**
+   * Work out the refund percent for a cancellation
+   * @param {Object} policy - App refundPolicy
+   * @param {Date|null} eventStartsAt - When the event starts (null if unknown)
+   * @param {Date} now - Cancellation time
+   * @returns {Number} Refund percent (0-100)
+   */
+  calculateRefundPercent(policy, eventStartsAt, now = new Date()) {
+    if (!eventStartsAt) {
+      return policy.fallbackRefundPercent;
+    }
+
+    const hoursBeforeEvent = (eventStartsAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+
+    const qualifying = policy.tiers.filter(tier => hoursBeforeEvent >= tier.hoursBeforeEvent);
+
+    if (qualifying.length === 0) {
+      return 0;
+    }
+
+    return Math.max(...qualifying.map(tier => tier.refundPercent));
+  }
+
+  /**
+   * Amount to refund, rounded to whole minor units
+   * @param {Number} amount - Booking amount (minor units)
+   * @param {Number} percent - Refund percent
+   * @returns {Number} Refund amount
+   */
+  calculateRefundAmount(amount, percent) {
+    return roundMinor(amount * percent / 100);
+  }
+
+  /**
+   * Resolve when the booked event starts
+   * Fallback for seats without an Entity record: seats synced by tenants
+   * may carry it in metadata (startsAt, or date)
+   * @param {Seat} seat - Seat document
+   * @returns {Date|null} Event start or null if unknown
+   */
+  getEventStartTime(seat) {
+    const value = seat?.metadata?.startsAt || seat?.metadata?.date;
+
+    if (!value) {
+      return null;
+    }
+
+    const startsAt = new Date(value);
+    return isNaN(startsAt.getTime()) ? null : startsAt;
+  }
+
+  /**
+   * Issue a refund through the gateway that took the payment
+   * @param {String} paymentId - Original payment ID
+   * @param {Number} amount - Amount to refund (minor units)
+   * @param {String} provider - Gateway that took the payment
+   * @returns {Object} { refundId, status: PROCESSED | PENDING }
+   */
+  async issueRefund(paymentId, amount, provider) {
+    const { refundId, status } = await getGateway(provider).refund(paymentId, amount);
+
+    Logger.info('Refund issued', { paymentId, provider, refundId, amount, status });
+
+    return { refundId, status };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,88 @@
+/**
+ * Retry Queue (Persisted Outgoing Messages)
+ *
+ * Shared by webhook deliveries and notifications. Documents are PENDING
+ * with a nextAttemptAt; a dispatcher run claims due ones one at a time,
+ * attempts them, and a failed attempt is retried with exponential backoff
+ * until maxAttempts, then marked FAILED.
+ */
+
+const CLAIM_LEASE_MS = 60000; // Hides a claimed document from other instances while it is attempted
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+class RetryQueue {
+  /**
+   * @param {Model} Model - Queue model (status, nextAttemptAt, attempts, lastError)
+   * @param {Object} options - { maxAttempts, baseBackoffMs }
+   */
+  constructor(Model, { maxAttempts, baseBackoffMs }) {
+    this.Model = Model;
+    this.maxAttempts = maxAttempts;
+    this.baseBackoffMs = baseBackoffMs;
+  }
+
+  /**
+   * Attempt every document that is due
+   * @param {Function} attempt - async (doc) => true if it went through
+   * @param {Number} limit - Maximum documents to attempt in this run
+   * @returns {Object} Counts { attempted, succeeded, failed }
+   */
+  async processDue(attempt, limit = 50) {
+    const counts = { attempted: 0, succeeded: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const doc = await this.claimNext();
+      if (!doc) {
+        break;
+      }
+
+      counts.attempted++;
+      const succeeded = await attempt(doc);
+      succeeded ? counts.succeeded++ : counts.failed++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Atomically claim the next due document
+   * Pushing nextAttemptAt forward acts as a lease so other instances skip it
+   * @returns {Document|null} Claimed document
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return this.Model.findOneAndUpdate(
+      { status: 'PENDING', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Record a failed attempt: schedule the next one, or give up after maxAttempts
+   * (the caller saves the document)
+   * @param {Document} doc - Claimed document, attempts already counted
+   * @param {Error} error - Why the attempt failed
+   */
+  recordFailure(doc, error) {
+    doc.lastError = error.message;
+
+    if (doc.attempts >= this.maxAttempts) {
+      doc.status = 'FAILED';
+    } else {
+      doc.nextAttemptAt = new Date(Date.now() + this.getBackoffMs(doc.attempts));
+    }
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base, ... capped at 6 hours
+   * @param {Number} attempts - Attempts made so far
+   * @returns {Number} Delay in ms
+   */
+  getBackoffMs(attempts) {
+    return Math.min(this.baseBackoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+}
+
+module.exports = RetryQueue;
@@ -0,0 +1,208 @@
+const redisConnection = require('../config/redis');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
+const Logger = require('../utils/logger');
+
+/**
+ * Seat Stream Service (Server-Sent Events)
+ *
+ * Pushes seat availability deltas to connected seat maps instead of having
+ * them poll GET /seats/status.
+ *
+ * Flow:
+ * 1. Booking lifecycle events from the event bus are turned into seat deltas
+ * 2. Deltas are published on a Redis channel so every instance sees them
+ * 3. Each instance forwards deltas to its own SSE clients for that app + entity
+ */
+
+const CHANNEL = 'seat-events';
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Booking event -> seat status delta
+const EVENT_STATUS = {
+  [BOOKING_EVENTS.RESERVATION_CREATED]: 'LOCKED',
+  [BOOKING_EVENTS.RESERVATION_RELEASED]: 'RELEASED',
+  [BOOKING_EVENTS.BOOKING_CONFIRMED]: 'BOOKED',
+  [BOOKING_EVENTS.BOOKING_CANCELLED]: 'RELEASED',
+  [BOOKING_EVENTS.RESERVATION_EXPIRED]: 'EXPIRED'
+};
+
+class SeatStreamService {
+  constructor() {
+    this.subscriber = null;
+    this.heartbeat = null;
+    this.clients = new Map(); // "appId:entityId" -> Set<res>
+    this.eventCounter = 0;
+    this.listeners = [];
+  }
+
+  /**
+   * Start listening for booking events and Redis deltas
+   */
+  async start() {
+    if (this.subscriber) {
+      return;
+    }
+
+    for (const [event, status] of Object.entries(EVENT_STATUS)) {
+      const listener = payload => this.publishDelta(status, payload);
+      eventBus.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+
+    this.subscriber = await redisConnection.createSubscriber();
+    await this.subscriber.subscribe(CHANNEL, message => this.handleMessage(message));
+
+    this.heartbeat = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    Logger.info('Seat stream started', { channel: CHANNEL });
+  }
+
+  /**
+   * Stop streaming and close all client connections
+   */
+  async stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners = [];
+
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    for (const clients of this.clients.values()) {
+      clients.forEach(res => res.end());
+    }
+    this.clients.clear();
+
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+  }
+
+  /**
+   * Publish a seat delta to all instances
+   * @param {String} status - LOCKED | RELEASED | BOOKED | EXPIRED
+   * @param {Object} payload - Booking event payload
+   */
+  async publishDelta(status, payload) {
+    if (!payload.entityId) {
+      return;
+    }
+
+    const delta = {
+      appId: payload.appId,
+      entityId: payload.entityId,
+      status,
+      seatIds: payload.seatIds,
+      segment: payload.segment || null,
+      expiresAt: payload.expiresAt || null,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      await redisConnection.getClient().publish(CHANNEL, JSON.stringify(delta));
+    } catch (error) {
+      // Redis unavailable: at least keep this instance's clients up to date
+      Logger.error('Seat delta publish failed', { error: error.message });
+      this.deliver(delta);
+    }
+  }
+
+  /**
+   * Handle a delta received from Redis
+   * @param {String} message - JSON encoded delta
+   */
+  handleMessage(message) {
+    try {
+      this.deliver(JSON.parse(message));
+    } catch (error) {
+      Logger.error('Invalid seat delta received', { error: error.message });
+    }
+  }
+
+  /**
+   * Write a delta to the local clients watching that app + entity
+   * @param {Object} delta - Seat delta
+   */
+  deliver(delta) {
+    const clients = this.clients.get(this.getClientKey(delta.appId, delta.entityId));
+
+    if (!clients || clients.size === 0) {
+      return;
+    }
+
+    const { appId, ...data } = delta;
+    clients.forEach(res => this.write(res, 'seat-delta', data));
+  }
+
+  /**
+   * Register an SSE client
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {Object} res - Express response (already in SSE mode)
+   * @returns {Function} Unregister callback
+   */
+  addClient(appId, entityId, res) {
+    const key = this.getClientKey(appId, entityId);
+
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new Set());
+    }
+    this.clients.get(key).add(res);
+
+    Logger.debug('Seat stream client connected', { appId, entityId, clients: this.clients.get(key).size });
+
+    return () => {
+      const clients = this.clients.get(key);
+      if (clients) {
+        clients.delete(res);
+        if (clients.size === 0) {
+          this.clients.delete(key);
+        }
+      }
+      Logger.debug('Seat stream client disconnected', { appId, entityId });
+    };
+  }
+
+  /**
+   * Write one SSE event
+   * @param {Object} res - Express response
+   * @param {String} event - SSE event name
+   * @param {Object} data - Event data
+   */
+  write(res, event, data) {
+    this.eventCounter++;
+    res.write(`id: ${this.eventCounter}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Keep idle connections open through proxies
+   */
+  sendHeartbeat() {
+    for (const clients of this.clients.values()) {
+      clients.forEach(res => res.write(': ping\n\n'));
+    }
+  }
+
+  /**
+   * Count connected clients (for monitoring)
+   * @returns {Number} Connected clients
+   */
+  getClientCount() {
+    let count = 0;
+    for (const clients of this.clients.values()) {
+      count += clients.size;
+    }
+    return count;
+  }
+
+  getClientKey(appId, entityId) {
+    return `${appId}:${entityId}`;
+  }
+}
+
+module.exports = new SeatStreamService();
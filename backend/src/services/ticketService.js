@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const TicketKey = require('../models/TicketKey');
+const Booking = require('../models/Booking');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
+const { NotFoundError, ConflictError, TicketError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+
+const TICKET_VERSION = 1;
+
+// Signing keys are re-read this often, so a rotation reaches every instance
+const SIGNING_KEY_CACHE_MS = 60 * 1000;
+
+/**
+ * Ticket Service
+ *
+ * Every confirmed booking carries a ticket whose code is meant to be shown
+ * as a QR code:
+ *
+ *   <base64url(JSON payload)>.<base64url(Ed25519 signature)>
+ *
+ * The signature covers the first part exactly as encoded. The payload is
+ * { v, kid, tid, bid, app, ent, seat, seg, iat }; kid names the app's
+ * TicketKey, whose public key is published (GET /ticket-keys) so a scanner
+ * can verify tickets offline. Checking in (POST /check-in) verifies the code
+ * and marks the ticket used once.
+ *
+ * Offline verification proves a ticket is genuine, not that it is unused or
+ * still valid: only check-in knows about earlier scans and cancellations.
+ */
+class TicketService {
+  constructor() {
+    this.signingKeys = new Map(); // appId -> { keyId, privateKey, expiresAt }
+    this.verifyKeys = new Map(); // keyId -> { appId, publicKey } (immutable, never expires)
+  }
+
+  /**
+   * Key that signs an app's new tickets (created on first use)
+   * @param {String} appId - App ID
+   * @returns {Object} { keyId, privateKey (KeyObject) }
+   */
+  async getSigningKey(appId) {
+    const cached = this.signingKeys.get(appId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    let key = await TicketKey.findOne({ appId, status: 'ACTIVE' }).select('+privateKey');
+
+    if (!key) {
+      try {
+        key = await this.createKey(appId);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Another request created it first
+        key = await TicketKey.findOne({ appId, status: 'ACTIVE' }).select('+privateKey');
+      }
+    }
+
+    const signingKey = {
+      keyId: key.keyId,
+      privateKey: crypto.createPrivateKey(key.privateKey),
+      expiresAt: Date.now() + SIGNING_KEY_CACHE_MS
+    };
+    this.signingKeys.set(appId, signingKey);
+
+    return signingKey;
+  }
+
+  /**
+   * Generate and store a new ACTIVE key pair
+   * @param {String} appId - App ID
+   * @returns {TicketKey} Key (with privateKey)
+   */
+  async createKey(appId) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    const key = await TicketKey.create({
+      appId,
+      keyId: `tk_${crypto.randomBytes(8).toString('hex')}`,
+      publicKey,
+      privateKey
+    });
+
+    Logger.info('Ticket signing key created', { appId, keyId: key.keyId });
+
+    return key;
+  }
+
+  /**
+   * Retire the app's signing key and start signing with a new one
+   * Tickets signed with the old key keep verifying.
+   * @param {String} appId - App ID
+   * @returns {Object} New key (public fields)
+   */
+  async rotateKey(appId) {
+    await TicketKey.updateMany(
+      { appId, status: 'ACTIVE' },
+      { $set: { status: 'RETIRED', retiredAt: new Date() } }
+    );
+
+    let key;
+    try {
+      key = await this.createKey(appId);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      throw new ConflictError('Ticket key rotation already in progress');
+    }
+
+    this.signingKeys.delete(appId);
+
+    Logger.info('Ticket signing key rotated', { appId, keyId: key.keyId });
+
+    return this.toPublicKey(key);
+  }
+
+  /**
+   * Public keys for offline verification (active first, then retired)
+   * @param {String} appId - App ID
+   * @returns {Array<Object>} { keyId, algorithm, publicKey (PEM), jwk, status, createdAt, retiredAt }
+   */
+  async listKeys(appId) {
+    const keys = await TicketKey.find({ appId }).sort({ status: 1, createdAt: -1 });
+    return keys.map(key => this.toPublicKey(key));
+  }
+
+  toPublicKey(key) {
+    return {
+      ...key.toPublicObject(),
+      jwk: crypto.createPublicKey(key.publicKey).export({ format: 'jwk' })
+    };
+  }
+
+  /**
+   * Sign a ticket for a booking
+   * @param {Booking} booking - Booking (bookingId, appId, metadata, segment)
+   * @param {Object} signingKey - From getSigningKey()
+   * @returns {Object} Ticket fields for Booking.ticket
+   */
+  issue(booking, signingKey) {
+    const ticketId = `TK-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const issuedAt = new Date();
+
+    const payload = {
+      v: TICKET_VERSION,
+      kid: signingKey.keyId,
+      tid: ticketId,
+      bid: booking.bookingId,
+      app: booking.appId,
+      ent: booking.metadata?.entityId || null,
+      seat: booking.metadata?.seatNumber || null,
+      seg: booking.segment?.fromStop ? `${booking.segment.fromStop}-${booking.segment.toStop}` : undefined,
+      iat: Math.floor(issuedAt.getTime() / 1000)
+    };
+
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(encoded), signingKey.privateKey).toString('base64url');
+
+    return {
+      ticketId,
+      keyId: signingKey.keyId,
+      code: `${encoded}.${signature}`,
+      issuedAt,
+      checkedInAt: null,
+      checkedInBy: null
+    };
+  }
+
+  /**
+   * Ticket of a booking, issuing one for bookings made before tickets existed
+   * @param {Booking} booking - Booking document
+   * @returns {Object} Ticket
+   */
+  async getTicket(booking) {
+    if (booking.ticket?.ticketId) {
+      return booking.ticket;
+    }
+
+    const ticket = this.issue(booking, await this.getSigningKey(booking.appId));
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'ticket.ticketId': { $exists: false } },
+      { $set: { ticket } },
+      { new: true }
+    );
+
+    // A concurrent request issued it first
+    return updated ? updated.ticket : (await Booking.findById(booking._id)).ticket;
+  }
+
+  /**
+   * Check a ticket code's signature and issuer
+   * @param {String} appId - App the ticket is presented to
+   * @param {String} code - Ticket code (QR contents)
+   * @returns {Object} Decoded payload
+   */
+  async verify(appId, code) {
+    const parts = typeof code === 'string' ? code.trim().split('.') : [];
+
+    if (parts.length !== 2) {
+      throw new TicketError('Malformed ticket');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    } catch (error) {
+      throw new TicketError('Malformed ticket');
+    }
+
+    if (payload.v !== TICKET_VERSION || !payload.kid || !payload.tid || !payload.bid) {
+      throw new TicketError('Unsupported ticket format');
+    }
+
+    const key = await this.getVerifyKey(payload.kid);
+
+    if (!key || key.appId !== appId || payload.app !== appId) {
+      throw new TicketError('Ticket was not issued by this app');
+    }
+
+    const isValid = crypto.verify(null, Buffer.from(parts[0]), key.publicKey, Buffer.from(parts[1], 'base64url'));
+
+    if (!isValid) {
+      throw new TicketError('Invalid ticket signature');
+    }
+
+    return payload;
+  }
+
+  async getVerifyKey(keyId) {
+    if (!this.verifyKeys.has(keyId)) {
+      const key = await TicketKey.findOne({ keyId }).lean();
+      if (!key) {
+        return null;
+      }
+      this.verifyKeys.set(keyId, { appId: key.appId, publicKey: crypto.createPublicKey(key.publicKey) });
+    }
+
+    return this.verifyKeys.get(keyId);
+  }
+
+  /**
+   * Check a ticket in at the gate (each ticket is admitted once)
+   * @param {String} appId - App ID
+   * @param {String} code - Ticket code (QR contents)
+   * @param {Object} options - { entityId (reject tickets for other entities), gate }
+   * @returns {Object} Admitted ticket
+   */
+  async checkIn(appId, code, options = {}) {
+    const { entityId, gate = null } = options;
+    const payload = await this.verify(appId, code);
+
+    if (entityId && payload.ent !== entityId) {
+      throw new TicketError('Ticket is for another entity', { entityId: payload.ent });
+    }
+
+    const checkedInAt = new Date();
+
+    // Only a confirmed, unused ticket is admitted; concurrent scans admit one
+    const booking = await Booking.findOneAndUpdate(
+      {
+        appId,
+        bookingId: payload.bid,
+        'ticket.ticketId': payload.tid,
+        paymentStatus: 'SUCCESS',
+        'ticket.checkedInAt': null
+      },
+      { $set: { 'ticket.checkedInAt': checkedInAt, 'ticket.checkedInBy': gate } },
+      { new: true }
+    );
+
+    if (!booking) {
+      const existing = await Booking.findOne({ appId, bookingId: payload.bid, 'ticket.ticketId': payload.tid });
+
+      if (!existing) {
+        throw new NotFoundError('Ticket');
+      }
+
+      if (!existing.isConfirmed()) {
+        throw new ConflictError('Booking is no longer valid', {
+          bookingId: existing.bookingId,
+          paymentStatus: existing.paymentStatus
+        });
+      }
+
+      throw new ConflictError('Ticket has already been checked in', {
+        ticketId: payload.tid,
+        checkedInAt: existing.ticket.checkedInAt,
+        checkedInBy: existing.ticket.checkedInBy
+      });
+    }
+
+    Logger.info('Ticket checked in', { appId, ticketId: payload.tid, bookingId: booking.bookingId, gate });
+
+    const admitted = {
+      ticketId: booking.ticket.ticketId,
+      bookingId: booking.bookingId,
+      entityId: booking.metadata?.entityId,
+      seatNumber: booking.metadata?.seatNumber,
+      segment: booking.segment || null,
+      checkedInAt,
+      checkedInBy: gate
+    };
+
+    eventBus.publish(BOOKING_EVENTS.TICKET_CHECKED_IN, { appId, userId: booking.userId, ...admitted });
+
+    return admitted;
+  }
+}
+
+module.exports = new TicketService();
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Seat = require('../models/Seat');
+const Reservation = require('../models/Reservation');
+const bookingService = require('./bookingService');
+const lockService = require('./lockService');
+const { eventBus, BOOKING_EVENTS } = require('../utils/eventBus');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const Logger = require('../utils/logger');
+const env = require('../config/env');
+
+const MAX_FILTERS = 10;
+const FILTER_KEY_PATTERN = /^[A-Za-z0-9_]+$/;
+const CANDIDATE_BATCH_SIZE = 50;
+
+// Events that put a seat back on sale
+const SEAT_FREED_EVENTS = [
+  BOOKING_EVENTS.RESERVATION_RELEASED,
+  BOOKING_EVENTS.RESERVATION_EXPIRED,
+  BOOKING_EVENTS.BOOKING_CANCELLED
+];
+
+/**
+ * Default notifier: publishes waitlist.offered on the event bus, which
+ * reaches tenants through their webhooks so they can tell the user
+ */
+const eventBusNotifier = {
+  name: 'event-bus',
+
+  async notifyOffer(entry) {
+    eventBus.publish(BOOKING_EVENTS.WAITLIST_OFFERED, {
+      waitlistId: entry.waitlistId,
+      appId: entry.appId,
+      userId: entry.userId.toString(),
+      entityId: entry.entityId,
+      reservationToken: entry.offer.reservationToken,
+      seatIds: [entry.offer.seatId.toString()],
+      seatNumber: entry.offer.seatNumber,
+      expiresAt: entry.offer.expiresAt
+    });
+  }
+};
+
+/**
+ * Waitlist Service
+ *
+ * Queues users for sold-out entities and hands freed seats to them in order:
+ * 1. A seat frees up (release, lock expiry, cancellation)
+ * 2. The oldest WAITING entry whose filters match the seat gets an exclusive
+ *    hold on it: a regular reservation lasting WAITLIST_OFFER_SECONDS
+ * 3. The notifier tells the user, who confirms the reservation as usual
+ * 4. If the hold lapses or is released, the seat goes to the next in line
+ */
+class WaitlistService {
+  constructor() {
+    this.notifier = eventBusNotifier;
+    this.listeners = [];
+  }
+
+  /**
+   * Plug in a different notifier
+   * @param {Object} notifier - { name, notifyOffer(entry) }
+   */
+  setNotifier(notifier) {
+    if (!notifier || typeof notifier.notifyOffer !== 'function') {
+      throw new Error('Waitlist notifier must implement notifyOffer(entry)');
+    }
+    this.notifier = notifier;
+  }
+
+  /**
+   * Subscribe to booking events
+   */
+  start() {
+    if (this.listeners.length > 0) {
+      return;
+    }
+
+    for (const event of SEAT_FREED_EVENTS) {
+      const listener = payload => this.handleSeatsFreed(event, payload);
+      eventBus.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+
+    const confirmed = payload => this.handleBookingConfirmed(payload);
+    eventBus.on(BOOKING_EVENTS.BOOKING_CONFIRMED, confirmed);
+    this.listeners.push([BOOKING_EVENTS.BOOKING_CONFIRMED, confirmed]);
+
+    Logger.info('Waitlist started', { notifier: this.notifier.name });
+  }
+
+  /**
+   * Unsubscribe from booking events
+   */
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * Join the waitlist for an entity
+   * Only allowed when no matching seat can be reserved right now
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {String} userId - User ID
+   * @param {Object} filters - Seat metadata to match (optional)
+   * @returns {Object} Entry with position
+   */
+  async join(appId, entityId, userId, filters = {}) {
+    this.validateFilters(filters);
+
+    const seatCount = await Seat.countDocuments({ appId, entityId });
+    if (seatCount === 0) {
+      throw new NotFoundError('Entity', { entityId });
+    }
+
+    const metadataQuery = Object.fromEntries(
+      Object.entries(filters).map(([key, value]) => [`metadata.${key}`, value])
+    );
+
+    const availableSeats = await Seat.find({ appId, entityId, status: 'AVAILABLE', ...metadataQuery })
+      .select('_id');
+
+    if (availableSeats.length > 0) {
+      const lockStatus = await lockService.bulkCheckLocks(availableSeats.map(seat => seat._id.toString()));
+      const unlocked = availableSeats.filter(seat => !lockStatus[seat._id.toString()]);
+
+      if (unlocked.length > 0) {
+        throw new ConflictError('Seats are still available for this entity', {
+          available: unlocked.length
+        });
+      }
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      appId,
+      entityId,
+      userId,
+      status: { $in: ['WAITING', 'OFFERED'] }
+    });
+
+    if (existing) {
+      throw new ConflictError('Already on the waitlist for this entity', {
+        waitlistId: existing.waitlistId
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      waitlistId: `wl_${crypto.randomUUID().replace(/-/g, '')}`,
+      appId,
+      entityId,
+      userId,
+      filters
+    });
+
+    Logger.info('User joined waitlist', { appId, entityId, userId, waitlistId: entry.waitlistId });
+
+    return this.toResponse(entry, await this.getPosition(entry));
+  }
+
+  /**
+   * Get a user's entry with its queue position
+   * @param {String} appId - App ID
+   * @param {String} waitlistId - Waitlist entry ID
+   * @param {String} userId - User ID
+   * @returns {Object} Entry with position
+   */
+  async getEntry(appId, waitlistId, userId) {
+    const entry = await this.findOwnEntry(appId, waitlistId, userId);
+    return this.toResponse(entry, await this.getPosition(entry));
+  }
+
+  /**
+   * Leave the waitlist
+   * An outstanding offer is released and passed on to the next user
+   * @param {String} appId - App ID
+   * @param {String} waitlistId - Waitlist entry ID
+   * @param {String} userId - User ID
+   * @returns {Object} Entry
+   */
+  async leave(appId, waitlistId, userId) {
+    await this.findOwnEntry(appId, waitlistId, userId);
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { appId, waitlistId, status: { $in: ['WAITING', 'OFFERED'] } },
+      { $set: { status: 'LEFT' } }
+    );
+
+    if (!entry) {
+      throw new ConflictError('Waitlist entry is no longer open');
+    }
+
+    if (entry.status === 'OFFERED') {
+      const reservation = await Reservation.findOne({
+        reservationToken: entry.offer.reservationToken,
+        status: 'ACTIVE'
+      });
+
+      if (reservation) {
+        await bookingService.releaseSeat(entry.offer.reservationToken, userId);
+      }
+    }
+
+    Logger.info('User left waitlist', { appId, waitlistId, userId });
+
+    entry.status = 'LEFT';
+    return this.toResponse(entry, null);
+  }
+
+  /**
+   * Seats were freed: close the offer they belonged to (if any) and
+   * offer each seat to the next matching user
+   * @param {String} event - Booking event
+   * @param {Object} payload - Event payload
+   */
+  async handleSeatsFreed(event, payload) {
+    if (payload.reservationToken) {
+      const closed = await WaitlistEntry.findOneAndUpdate(
+        { 'offer.reservationToken': payload.reservationToken, status: 'OFFERED' },
+        { $set: { status: event === BOOKING_EVENTS.RESERVATION_EXPIRED ? 'EXPIRED' : 'DECLINED' } }
+      );
+
+      if (closed) {
+        Logger.info('Waitlist offer closed', {
+          waitlistId: closed.waitlistId,
+          reason: event
+        });
+      }
+    }
+
+    if (!payload.entityId) {
+      return;
+    }
+
+    for (const seatId of payload.seatIds || []) {
+      await this.offerSeat(payload.appId, payload.entityId, seatId);
+    }
+  }
+
+  /**
+   * A waitlist hold was booked
+   * @param {Object} payload - booking.confirmed payload
+   */
+  async handleBookingConfirmed(payload) {
+    await WaitlistEntry.updateOne(
+      { 'offer.reservationToken': payload.reservationToken, status: 'OFFERED' },
+      { $set: { status: 'FULFILLED' } }
+    );
+  }
+
+  /**
+   * Give a freed seat to the oldest matching WAITING entry
+   * @param {String} appId - App ID
+   * @param {String} entityId - Entity ID
+   * @param {String} seatId - Seat ID
+   * @returns {WaitlistEntry|null} Entry that received the offer
+   */
+  async offerSeat(appId, entityId, seatId) {
+    // Waitlist offers hold the whole route, so skip seats with sold segments
+    const seat = await Seat.findOne({ _id: seatId, appId, status: 'AVAILABLE', 'bookedSegments.0': { $exists: false } });
+
+    if (!seat) {
+      return null;
+    }
+
+    const candidates = await WaitlistEntry.find({ appId, entityId, status: 'WAITING' })
+      .sort({ createdAt: 1 })
+      .limit(CANDIDATE_BATCH_SIZE);
+
+    for (const candidate of candidates) {
+      if (!candidate.matchesSeat(seat)) {
+        continue;
+      }
+
+      // Claim the entry (another freed seat may be offering to it right now)
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'WAITING' },
+        { $set: { status: 'OFFERED' } },
+        { new: true }
+      );
+
+      if (!entry) {
+        continue;
+      }
+
+      let hold;
+      try {
+        hold = await bookingService.reserveSeats(appId, [seatId], entry.userId.toString(), {
+          ttlSeconds: env.WAITLIST_OFFER_SECONDS,
+          metadata: { waitlistId: entry.waitlistId },
+          // The user queued for this seat; the offer still counts toward their next hold
+          skipHoldLimits: true
+        });
+      } catch (error) {
+        // Someone else got the seat first: keep the user's place in line
+        await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { status: 'WAITING' } });
+
+        if (!error.isOperational) {
+          throw error;
+        }
+
+        Logger.info('Freed seat taken before waitlist offer', { appId, seatId, error: error.message });
+        return null;
+      }
+
+      entry.offer = {
+        reservationToken: hold.reservationToken,
+        seatId: seat._id,
+        seatNumber: seat.seatNumber,
+        offeredAt: new Date(),
+        expiresAt: new Date(hold.expiresAt)
+      };
+      await entry.save();
+
+      Logger.info('Waitlist offer made', {
+        appId,
+        entityId,
+        waitlistId: entry.waitlistId,
+        seatId,
+        expiresAt: hold.expiresAt
+      });
+
+      try {
+        await this.notifier.notifyOffer(entry);
+      } catch (error) {
+        // The hold stands; the user can still find it through GET /waitlist/:waitlistId
+        Logger.error('Waitlist notification failed', {
+          waitlistId: entry.waitlistId,
+          notifier: this.notifier.name,
+          error: error.message
+        });
+      }
+
+      return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * 1-based position among WAITING entries for the entity (null once not waiting)
+   * @param {WaitlistEntry} entry - Entry
+   * @returns {Number|null} Position
+   */
+  async getPosition(entry) {
+    if (entry.status !== 'WAITING') {
+      return null;
+    }
+
+    const ahead = await WaitlistEntry.countDocuments({
+      appId: entry.appId,
+      entityId: entry.entityId,
+      status: 'WAITING',
+      createdAt: { $lt: entry.createdAt }
+    });
+
+    return ahead + 1;
+  }
+
+  async findOwnEntry(appId, waitlistId, userId) {
+    const entry = await WaitlistEntry.findOne({ appId, waitlistId });
+
+    if (!entry || entry.userId.toString() !== userId) {
+      throw new NotFoundError('Waitlist entry');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Filters are matched against Seat.metadata by equality
+   * @param {Object} filters - Seat metadata filters
+   * @throws {ValidationError} If filters are malformed
+   */
+  validateFilters(filters) {
+    if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+      throw new ValidationError('Filters must be an object');
+    }
+
+    const entries = Object.entries(filters);
+
+    if (entries.length > MAX_FILTERS) {
+      throw new ValidationError(`At most ${MAX_FILTERS} filters are allowed`);
+    }
+
+    for (const [key, value] of entries) {
+      if (!FILTER_KEY_PATTERN.test(key)) {
+        throw new ValidationError('Filter keys may only contain letters, digits and underscores', { key });
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new ValidationError('Filter values must be strings, numbers or booleans', { key });
+      }
+    }
+  }
+
+  toResponse(entry, position) {
+    return {
+      waitlistId: entry.waitlistId,
+      entityId: entry.entityId,
+      filters: entry.filters,
+      status: entry.status,
+      position,
+      offer: entry.status === 'OFFERED' ? entry.offer : null,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = new WaitlistService();
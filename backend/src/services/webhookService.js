@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const RetryQueue = require('./retryQueue');
+const { eventBus, WEBHOOK_EVENTS } = require('../utils/eventBus');
+const Logger = require('../utils/logger');
+const env = require('../config/env');
+
+/**
+ * Webhook Service (Outbound Tenant Notifications)
+ * 
+ * Turns booking lifecycle events into signed HTTP deliveries:
+ * 1. Event bus event -> one WebhookDelivery per subscribed endpoint (persisted)
+ * 2. Dispatcher job claims due deliveries and POSTs them
+ * 3. Failures are retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS
+ * 
+ * Signature header: X-Hackwow-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * The HMAC is computed with the endpoint secret over "<t>.<raw body>"
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+class WebhookService {
+  constructor() {
+    this.queue = new RetryQueue(WebhookDelivery, {
+      maxAttempts: env.WEBHOOK_MAX_ATTEMPTS,
+      baseBackoffMs: env.WEBHOOK_RETRY_BASE_SECONDS * 1000
+    });
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to booking events
+   */
+  start() {
+    if (this.listeners.length > 0) {
+      return;
+    }
+
+    for (const event of WEBHOOK_EVENTS) {
+      const listener = payload => this.enqueue(payload.appId, event, payload);
+      eventBus.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+  }
+
+  /**
+   * Unsubscribe from booking events
+   */
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * Generate a new endpoint signing secret
+   * @returns {String} Secret (whsec_...)
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a delivery body
+   * @param {String} secret - Endpoint secret
+   * @param {Number} timestamp - Unix seconds
+   * @param {String} body - Raw JSON body
+   * @returns {String} Signature header value
+   */
+  sign(secret, timestamp, body) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Queue an event for every endpoint of the app subscribed to it
+   * @param {String} appId - App ID
+   * @param {String} event - Event name
+   * @param {Object} payload - Event data
+   * @returns {Array<WebhookDelivery>} Created deliveries
+   */
+  async enqueue(appId, event, payload) {
+    const endpoints = await WebhookEndpoint.find({ appId, isActive: true });
+    const subscribed = endpoints.filter(endpoint => endpoint.isSubscribedTo(event));
+
+    if (subscribed.length === 0) {
+      return [];
+    }
+
+    const deliveries = await WebhookDelivery.insertMany(subscribed.map(endpoint => ({
+      deliveryId: `whd_${crypto.randomUUID().replace(/-/g, '')}`,
+      endpointId: endpoint._id,
+      appId,
+      event,
+      payload,
+      status: 'PENDING',
+      nextAttemptAt: new Date()
+    })));
+
+    Logger.info('Webhook deliveries queued', { appId, event, count: deliveries.length });
+
+    return deliveries;
+  }
+
+  /**
+   * Send every delivery that is due
+   * @param {Number} limit - Maximum deliveries to send in this run
+   * @returns {Object} Counts { attempted, succeeded, failed }
+   */
+  async processDue(limit = 50) {
+    return this.queue.processDue(delivery => this.attempt(delivery), limit);
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   * @param {WebhookDelivery} delivery - Claimed delivery
+   * @returns {Boolean} True if the endpoint acknowledged with 2xx
+   */
+  async attempt(delivery) {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    if (!endpoint || !endpoint.isActive) {
+      delivery.status = 'FAILED';
+      delivery.lastError = 'Endpoint removed or disabled';
+      await delivery.save();
+      return false;
+    }
+
+    const body = JSON.stringify({
+      id: delivery.deliveryId,
+      event: delivery.event,
+      createdAt: delivery.createdAt.toISOString(),
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Hackwow-Webhooks/1.0',
+          'X-Hackwow-Event': delivery.event,
+          'X-Hackwow-Delivery': delivery.deliveryId,
+          'X-Hackwow-Signature': this.sign(endpoint.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      delivery.lastResponseStatus = response.status;
+
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+      }
+
+      delivery.status = 'SUCCEEDED';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+      await delivery.save();
+
+      Logger.info('Webhook delivered', {
+        deliveryId: delivery.deliveryId,
+        event: delivery.event,
+        appId: delivery.appId
+      });
+
+      return true;
+
+    } catch (error) {
+      this.queue.recordFailure(delivery, error);
+      await delivery.save();
+
+      Logger.warn('Webhook delivery failed', {
+        deliveryId: delivery.deliveryId,
+        event: delivery.event,
+        attempts: delivery.attempts,
+        status: delivery.status,
+        error: error.message
+      });
+
+      return false;
+    }
+  }
+
+  /**
+   * Put a delivery back in the queue (manual retry from the dashboard)
+   * @param {WebhookDelivery} delivery - Delivery to retry
+   * @returns {WebhookDelivery} Updated delivery
+   */
+  async retry(delivery) {
+    delivery.status = 'PENDING';
+    delivery.nextAttemptAt = new Date();
+    delivery.attempts = 0;
+    await delivery.save();
+    return delivery;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,89 @@
+/**
+ * Currency helpers
+ *
+ * Every amount is stored and exchanged as an integer in the currency's
+ * minor unit (paise for INR, cents for USD, yen for JPY). Conversion to
+ * major units only happens at the edges (display, legacy inputs).
+ */
+
+// ISO 4217 codes we accept, with the number of minor-unit digits
+const CURRENCY_EXPONENTS = {
+  INR: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  AED: 2,
+  SGD: 2,
+  AUD: 2,
+  JPY: 0
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_EXPONENTS);
+
+const DEFAULT_CURRENCY = 'INR';
+
+/**
+ * Whether a currency code is supported
+ * @param {String} currency - ISO 4217 code
+ * @returns {Boolean} True if supported
+ */
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCY_EXPONENTS, currency);
+}
+
+/**
+ * Convert a major-unit amount (12.5 USD) to minor units (1250)
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO 4217 code
+ * @returns {Number} Integer amount in minor units
+ */
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * 10 ** CURRENCY_EXPONENTS[currency]);
+}
+
+/**
+ * Convert a minor-unit amount (1250) to major units (12.5 USD)
+ * @param {Number} amount - Integer amount in minor units
+ * @param {String} currency - ISO 4217 code
+ * @returns {Number} Amount in major units
+ */
+function toMajorUnits(amount, currency) {
+  return amount / 10 ** CURRENCY_EXPONENTS[currency];
+}
+
+/**
+ * Format a minor-unit amount for display (1250 USD -> "$12.50")
+ * @param {Number} amount - Integer amount in minor units
+ * @param {String} currency - ISO 4217 code
+ * @param {Object} options - Extra Intl.NumberFormat options (currencyDisplay: 'code' for "INR 50.00")
+ * @returns {String} Formatted amount
+ */
+function formatAmount(amount, currency, options = {}) {
+  const digits = CURRENCY_EXPONENTS[currency] ?? 2;
+  return new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+    ...options
+  }).format(amount / 10 ** digits);
+}
+
+/**
+ * Round a computed amount (after multipliers, percentages) to whole minor units
+ * @param {Number} amount - Amount in minor units
+ * @returns {Number} Integer amount
+ */
+function roundMinor(amount) {
+  return Math.round(amount);
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  isSupportedCurrency,
+  toMinorUnits,
+  toMajorUnits,
+  formatAmount,
+  roundMinor
+};
@@ -57,6 +57,36 @@ class PaymentError extends AppError {
   }
 }
 
+class IdempotencyError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 422, 'IDEMPOTENCY_KEY_REUSED', details);
+  }
+}
+
+class PromoCodeError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 422, 'PROMO_CODE_INVALID', details);
+  }
+}
+
+class TicketError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 422, 'TICKET_INVALID', details);
+  }
+}
+
+class HoldLimitError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 409, 'HOLD_LIMIT_EXCEEDED', details);
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', details = {}) {
+    super(message, 429, 'RATE_LIMITED', details);
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
@@ -65,5 +95,10 @@ module.exports = {
   NotFoundError,
   ConflictError,
   SeatLockError,
-  PaymentError
+  PaymentError,
+  IdempotencyError,
+  PromoCodeError,
+  TicketError,
+  HoldLimitError,
+  RateLimitError
 };
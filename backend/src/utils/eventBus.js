@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+const Logger = require('./logger');
+
+/**
+ * Booking Event Bus
+ * 
+ * In-process publisher for booking lifecycle events
+ * Services publish here; listeners subscribe without the publisher knowing about them
+ */
+
+const BOOKING_EVENTS = {
+  RESERVATION_CREATED: 'reservation.created',
+  RESERVATION_RELEASED: 'reservation.released',
+  RESERVATION_EXPIRED: 'reservation.expired',
+  RESERVATION_EXPIRING: 'reservation.expiring',
+  BOOKING_CONFIRMED: 'booking.confirmed',
+  BOOKING_CANCELLED: 'booking.cancelled',
+  REFUND_PROCESSED: 'refund.processed',
+  WAITLIST_OFFERED: 'waitlist.offered',
+  TICKET_CHECKED_IN: 'ticket.checked_in'
+};
+
+// Events tenants can subscribe to through webhooks
+const WEBHOOK_EVENTS = [
+  BOOKING_EVENTS.RESERVATION_CREATED,
+  BOOKING_EVENTS.BOOKING_CONFIRMED,
+  BOOKING_EVENTS.BOOKING_CANCELLED,
+  BOOKING_EVENTS.REFUND_PROCESSED,
+  BOOKING_EVENTS.WAITLIST_OFFERED,
+  BOOKING_EVENTS.TICKET_CHECKED_IN
+];
+
+// Events users are sent emails/SMS about
+const NOTIFICATION_EVENTS = [
+  BOOKING_EVENTS.BOOKING_CONFIRMED,
+  BOOKING_EVENTS.RESERVATION_EXPIRING,
+  BOOKING_EVENTS.BOOKING_CANCELLED,
+  BOOKING_EVENTS.REFUND_PROCESSED
+];
+
+class EventBus extends EventEmitter {
+  /**
+   * Publish an event to all listeners
+   * A failing listener is logged and never breaks the publisher's flow
+   * @param {String} event - Event name (see BOOKING_EVENTS)
+   * @param {Object} payload - Event payload
+   */
+  publish(event, payload) {
+    for (const listener of this.listeners(event)) {
+      try {
+        Promise.resolve(listener(payload)).catch(error => {
+          Logger.error('Event listener failed', { event, error: error.message });
+        });
+      } catch (error) {
+        Logger.error('Event listener failed', { event, error: error.message });
+      }
+    }
+  }
+}
+
+const eventBus = new EventBus();
+eventBus.setMaxListeners(50);
+
+module.exports = {
+  eventBus,
+  BOOKING_EVENTS,
+  WEBHOOK_EVENTS,
+  NOTIFICATION_EVENTS
+};
@@ -0,0 +1,58 @@
+/**
+ * Minimal templating for tenant-editable documents and messages
+ *
+ * HTML (renderTemplate):
+ * {{path.to.value}}   -> value, HTML-escaped
+ * {{{path.to.value}}} -> value as is (only for markup the server generates)
+ * Plain text (renderText): {{path.to.value}} -> value as is
+ * Missing values render as an empty string.
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {String} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function lookup(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {String} template - Template text
+ * @param {Object} data - Values
+ * @returns {String} Rendered text
+ */
+function renderTemplate(template, data) {
+  return template
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (match, path) => String(lookup(data, path) ?? ''))
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => escapeHtml(lookup(data, path)));
+}
+
+/**
+ * Fill a plain-text template's placeholders (emails, SMS)
+ * @param {String} template - Template text
+ * @param {Object} data - Values
+ * @returns {String} Rendered text
+ */
+function renderText(template, data) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => String(lookup(data, path) ?? ''));
+}
+
+module.exports = {
+  escapeHtml,
+  renderTemplate,
+  renderText
+};
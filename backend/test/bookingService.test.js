@@ -0,0 +1,157 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Reservation = require('../src/models/Reservation');
+const Seat = require('../src/models/Seat');
+const bookingService = require('../src/services/bookingService');
+const entityService = require('../src/services/entityService');
+const lockService = require('../src/services/lockService');
+const ticketService = require('../src/services/ticketService');
+const { ConflictError } = require('../src/utils/errors');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const seatId = new mongoose.Types.ObjectId();
+const reservationId = new mongoose.Types.ObjectId();
+
+// Yield to the event loop so concurrent calls interleave as they would against MongoDB
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Stub the database behind confirmBooking with one seat and one reservation
+ * The conditional updates behave like MongoDB's: they match on the current state
+ */
+function stubDatabase(t) {
+  const db = { reservationStatus: 'ACTIVE', seatStatus: 'AVAILABLE', bookings: [] };
+
+  const seatDoc = () => new Seat({
+    _id: seatId,
+    appId: 'app_1',
+    entityId: 'show_1',
+    seatNumber: 'A1',
+    price: 15050,
+    currency: 'INR',
+    status: db.seatStatus
+  });
+
+  t.mock.method(Reservation, 'findOne', async () => {
+    await tick();
+    return new Reservation({
+      _id: reservationId,
+      reservationToken: 'res_1',
+      userId,
+      appId: 'app_1',
+      seatId,
+      status: db.reservationStatus,
+      expiresAt: new Date(Date.now() + 60000),
+      pricing: { seats: [], totalAmount: 15050, currency: 'INR' }
+    });
+  });
+  t.mock.method(Seat, 'find', async () => {
+    await tick();
+    return [seatDoc()];
+  });
+  t.mock.method(Booking, 'findOne', () => ({ select: async () => null }));
+
+  t.mock.method(Reservation, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    if (db.reservationStatus !== filter.status) {
+      return null;
+    }
+    db.reservationStatus = update.$set.status;
+    return { _id: reservationId, status: db.reservationStatus };
+  });
+  t.mock.method(Seat, 'findOneAndUpdate', async filter => {
+    await tick();
+    if (db.seatStatus !== filter.status) {
+      return null;
+    }
+    db.seatStatus = 'BOOKED';
+    return seatDoc();
+  });
+  t.mock.method(Booking.prototype, 'save', async function() {
+    await tick();
+    db.bookings.push(this);
+    return this;
+  });
+
+  t.mock.method(mongoose.connection, 'transaction', async fn => fn({}));
+  t.mock.method(entityService, 'assertOnSale', async () => null);
+  t.mock.method(lockService, 'verifyLock', async () => true);
+  t.mock.method(lockService, 'releaseLock', async () => true);
+  t.mock.method(ticketService, 'getSigningKey', async () => ({ keyId: 'key_1' }));
+  t.mock.method(ticketService, 'issue', () => undefined);
+
+  return db;
+}
+
+describe('bookingService', () => {
+  describe('confirmBooking', () => {
+    it('books the seat once when two confirms run at once', async t => {
+      const db = stubDatabase(t);
+
+      const results = await Promise.allSettled([
+        bookingService.confirmBooking('app_1', 'res_1', 'pay_1', userId, 'fake'),
+        bookingService.confirmBooking('app_1', 'res_1', 'pay_1', userId, 'fake')
+      ]);
+
+      const fulfilled = results.filter(result => result.status === 'fulfilled');
+      const rejected = results.filter(result => result.status === 'rejected');
+
+      assert.equal(fulfilled.length, 1);
+      assert.equal(rejected.length, 1);
+      assert.ok(rejected[0].reason instanceof ConflictError);
+      assert.equal(db.bookings.length, 1);
+      assert.equal(db.reservationStatus, 'CONFIRMED');
+      assert.equal(db.seatStatus, 'BOOKED');
+    });
+
+    it('refuses a seat booked by another reservation meanwhile', async t => {
+      const db = stubDatabase(t);
+      const findSeats = Seat.find;
+      t.mock.method(Seat, 'find', async filter => {
+        const seats = await findSeats(filter);
+        db.seatStatus = 'BOOKED'; // Taken right after the availability check
+        return seats;
+      });
+
+      await assert.rejects(
+        bookingService.confirmBooking('app_1', 'res_1', 'pay_1', userId, 'fake'),
+        /Seat is no longer available/
+      );
+      assert.equal(db.bookings.length, 0);
+    });
+  });
+
+  describe('releaseSeat', () => {
+    it('releases the remaining locks when one was taken by another reservation', async t => {
+      const store = new Map([
+        ['seat:lock:seat_1', JSON.stringify({ reservationToken: 'res_2' })],
+        ['seat:lock:seat_2', JSON.stringify({ reservationToken: 'res_1' })]
+      ]);
+      t.mock.method(lockService, 'init', async () => {});
+      lockService.redis = {
+        eval: async (script, { keys, arguments: [token] }) =>
+          JSON.parse(store.get(keys[0]) || '{}').reservationToken === token ? Number(store.delete(keys[0])) : 0
+      };
+
+      const reservation = new Reservation({
+        reservationToken: 'res_1',
+        userId,
+        appId: 'app_1',
+        seatId,
+        lockIds: ['seat_1', 'seat_2'],
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      t.mock.method(Reservation, 'findOne', async () => reservation);
+      const save = t.mock.method(reservation, 'save', async () => reservation);
+
+      assert.equal(await bookingService.releaseSeat('res_1', userId), true);
+      assert.equal(reservation.status, 'RELEASED');
+      assert.equal(save.mock.callCount(), 1);
+      assert.deepEqual([...store.keys()], ['seat:lock:seat_1']);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const env = require('../src/config/env');
+const fakeGateway = require('../src/services/payments/fakeGateway');
+const { PaymentError } = require('../src/utils/errors');
+
+const order = (reservationToken = 'res_1', amount = 15050) =>
+  fakeGateway.createOrder({ reservationToken, amount, currency: 'INR' });
+
+describe('fake gateway', () => {
+  beforeEach(() => fakeGateway.reset());
+
+  describe('IDs', () => {
+    it('prefixes IDs with the run ID', async () => {
+      const { orderId } = await order();
+      assert.match(orderId, new RegExp(`^fake_order_${fakeGateway.runId}_\\d+$`));
+    });
+
+    it('does not repeat IDs after a reset', async () => {
+      const first = await order();
+      fakeGateway.reset();
+      const second = await order();
+      assert.notEqual(first.orderId, second.orderId);
+    });
+  });
+
+  describe('createOrder', () => {
+    it('returns the same order for the same reservation', async () => {
+      const first = await order('res_1');
+      const second = await order('res_1');
+      assert.equal(first.orderId, second.orderId);
+      assert.deepEqual(first.checkout, { payPath: '/fake-checkout' });
+    });
+
+    it('rejects an amount that is not positive', async () => {
+      await assert.rejects(order('res_1', 0), PaymentError);
+    });
+  });
+
+  describe('pay and verify', () => {
+    it('verifies a captured payment with its signature', async () => {
+      const { orderId } = await order();
+      const checkout = fakeGateway.pay(orderId);
+      const result = await fakeGateway.verify(checkout);
+
+      assert.equal(result.verified, true);
+      assert.equal(result.status, 'CAPTURED');
+      assert.equal(result.amount, 15050);
+      assert.equal(result.currency, 'INR');
+    });
+
+    it('rejects a wrong signature', async () => {
+      const { orderId } = await order();
+      const checkout = fakeGateway.pay(orderId);
+      await assert.rejects(fakeGateway.verify({ ...checkout, signature: 'forged' }), /Invalid payment signature/);
+    });
+
+    it('rejects a payment presented for another order', async () => {
+      const { orderId } = await order('res_1');
+      const other = await order('res_2');
+      const checkout = fakeGateway.pay(orderId);
+      await assert.rejects(fakeGateway.verify({ ...checkout, orderId: other.orderId }), /Invalid payment signature/);
+    });
+
+    it('rejects a failed payment', async () => {
+      const { orderId } = await order();
+      const checkout = fakeGateway.pay(orderId, { fail: 'Card declined' });
+      await assert.rejects(fakeGateway.verify(checkout), /has not been completed/);
+    });
+
+    it('rejects an unknown order', () => {
+      assert.throws(() => fakeGateway.pay('fake_order_unknown'), /Unknown fake order/);
+    });
+  });
+
+  describe('capture and refund', () => {
+    it('captures an authorized payment once', async () => {
+      const { orderId } = await order();
+      const { paymentId } = fakeGateway.pay(orderId, { authorizeOnly: true });
+
+      const captured = await fakeGateway.capture(paymentId, 15050);
+      assert.equal(captured.status, 'CAPTURED');
+      await assert.rejects(fakeGateway.capture(paymentId, 15050), /cannot be captured/);
+    });
+
+    it('refunds a captured payment only', async () => {
+      const { orderId } = await order();
+      const authorized = fakeGateway.pay(orderId, { authorizeOnly: true });
+      await assert.rejects(fakeGateway.refund(authorized.paymentId), /cannot be refunded/);
+
+      const { paymentId } = fakeGateway.pay(orderId);
+      const refund = await fakeGateway.refund(paymentId, 5000);
+      assert.equal(refund.status, 'PROCESSED');
+      assert.equal(fakeGateway.refunds.get(refund.refundId).amount, 5000);
+    });
+  });
+
+  describe('failNext', () => {
+    it('fails the scripted number of calls', async () => {
+      fakeGateway.failNext('createOrder', 'Gateway down', 2);
+
+      await assert.rejects(order('res_1'), /Gateway down/);
+      await assert.rejects(order('res_1'), /Gateway down/);
+      await assert.doesNotReject(order('res_1'));
+    });
+  });
+
+  describe('webhooks', () => {
+    it('parses a signed delivery', async () => {
+      const { orderId } = await order();
+      const { paymentId } = fakeGateway.pay(orderId);
+      const delivery = fakeGateway.buildWebhook('payment.captured', { paymentId });
+
+      const event = fakeGateway.parseWebhook(delivery);
+      assert.equal(event.type, 'payment.captured');
+      assert.equal(event.payment.id, paymentId);
+      assert.equal(event.payment.orderId, orderId);
+    });
+
+    it('rejects a tampered delivery', async () => {
+      const { orderId } = await order();
+      const { paymentId } = fakeGateway.pay(orderId);
+      const delivery = fakeGateway.buildWebhook('payment.captured', { paymentId });
+      const rawBody = Buffer.from(delivery.rawBody.toString().replace('CAPTURED', 'FAILED'));
+
+      assert.throws(() => fakeGateway.parseWebhook({ ...delivery, rawBody }), /Invalid webhook signature/);
+    });
+  });
+
+  describe('in production', () => {
+    it('refuses every operation', async t => {
+      t.mock.method(env, 'isProduction', () => true);
+
+      await assert.rejects(order(), /disabled in production/);
+      assert.throws(() => fakeGateway.pay('fake_order_x'), /disabled in production/);
+    });
+  });
+});
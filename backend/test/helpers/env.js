@@ -0,0 +1,21 @@
+/**
+ * Environment for offline tests
+ * Fills in the variables config/env.js requires (nothing connects to them)
+ * Require before any module under src/.
+ */
+const defaults = {
+  NODE_ENV: 'test',
+  PORT: '5000',
+  MONGODB_URI: 'mongodb://localhost:27017/booking-test',
+  REDIS_HOST: 'localhost',
+  REDIS_PORT: '6379',
+  JWT_SECRET_ADMIN: 'test-admin-secret',
+  JWT_SECRET_USER: 'test-user-secret',
+  API_KEY_PEPPER: 'test-pepper',
+  ADMIN_EMAIL: 'admin@example.com',
+  ADMIN_PASSWORD: 'test-password'
+};
+
+Object.entries(defaults).forEach(([name, value]) => {
+  process.env[name] = process.env[name] || value;
+});
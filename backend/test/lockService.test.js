@@ -0,0 +1,68 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const lockService = require('../src/services/lockService');
+
+/**
+ * In-memory Redis for the lock scripts: eval runs the release-if-owner check
+ */
+function fakeRedis() {
+  const store = new Map();
+
+  return {
+    store,
+    async get(key) {
+      return store.get(key) ?? null;
+    },
+    async del(key) {
+      return store.delete(key) ? 1 : 0;
+    },
+    async eval(script, { keys, arguments: args }) {
+      const lock = store.get(keys[0]);
+      if (lock && JSON.parse(lock).reservationToken === args[0]) {
+        store.delete(keys[0]);
+        return 1;
+      }
+      return 0;
+    }
+  };
+}
+
+const hold = (redis, seatId, reservationToken) =>
+  redis.store.set(lockService.getLockKey(seatId), JSON.stringify({ reservationToken, userId: 'user_1' }));
+
+describe('lockService', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = fakeRedis();
+    lockService.redis = redis;
+  });
+
+  describe('releaseLock', () => {
+    it('deletes a lock held under the token', async () => {
+      hold(redis, 'seat_1', 'res_1');
+
+      assert.equal(await lockService.releaseLock('seat_1', 'res_1'), true);
+      assert.equal(redis.store.size, 0);
+    });
+
+    it('leaves a lock taken by another reservation and does not throw', async () => {
+      hold(redis, 'seat_1', 'res_2');
+
+      assert.equal(await lockService.releaseLock('seat_1', 'res_1'), false);
+      assert.equal(redis.store.size, 1);
+    });
+
+    it('treats a missing lock as released', async () => {
+      assert.equal(await lockService.releaseLock('seat_1', 'res_1'), false);
+    });
+
+    it('deletes any lock without a token', async () => {
+      hold(redis, 'seat_1', 'res_2');
+
+      assert.equal(await lockService.releaseLock('seat_1'), true);
+    });
+  });
+});
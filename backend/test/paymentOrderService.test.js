@@ -0,0 +1,95 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PaymentOrder = require('../src/models/PaymentOrder');
+const Reservation = require('../src/models/Reservation');
+const paymentOrderService = require('../src/services/paymentOrderService');
+const fakeGateway = require('../src/services/payments/fakeGateway');
+const { NotFoundError, PaymentError } = require('../src/utils/errors');
+
+const reservation = () => new Reservation({
+  reservationToken: 'res_1',
+  pricing: { seats: [], totalAmount: 15050, currency: 'INR' }
+});
+
+describe('paymentOrderService', () => {
+  beforeEach(() => fakeGateway.reset());
+
+  describe('verifyPaymentAmount', () => {
+    const paymentOrder = { orderId: 'fake_order_1', amount: 15050, currency: 'INR' };
+
+    it('accepts the order amount', async () => {
+      const { orderId } = await fakeGateway.createOrder({ reservationToken: 'res_1', amount: 15050, currency: 'INR' });
+      const payment = await fakeGateway.verify(fakeGateway.pay(orderId));
+
+      assert.doesNotThrow(() => paymentOrderService.verifyPaymentAmount(paymentOrder, payment));
+    });
+
+    it('rejects a different amount', async () => {
+      const { orderId } = await fakeGateway.createOrder({ reservationToken: 'res_1', amount: 15050, currency: 'INR' });
+      const payment = await fakeGateway.verify(fakeGateway.pay(orderId, { amount: 100 }));
+
+      assert.throws(() => paymentOrderService.verifyPaymentAmount(paymentOrder, payment), PaymentError);
+    });
+
+    it('rejects a different currency', () => {
+      assert.throws(
+        () => paymentOrderService.verifyPaymentAmount(paymentOrder, { amount: 15050, currency: 'USD' }),
+        PaymentError
+      );
+    });
+  });
+
+  describe('verifyBarePayment', () => {
+    it('accepts the reservation total', () => {
+      assert.doesNotThrow(() => paymentOrderService.verifyBarePayment(
+        { paymentId: 'pay_1', orderId: null, amount: 15050, currency: 'INR' },
+        reservation()
+      ));
+    });
+
+    it('rejects a different amount or currency', () => {
+      assert.throws(() => paymentOrderService.verifyBarePayment(
+        { paymentId: 'pay_1', orderId: null, amount: 100, currency: 'INR' },
+        reservation()
+      ), /does not match the reservation total/);
+      assert.throws(() => paymentOrderService.verifyBarePayment(
+        { paymentId: 'pay_1', orderId: null, amount: 15050, currency: 'USD' },
+        reservation()
+      ), /does not match the reservation total/);
+    });
+
+    it('rejects a payment made against an order', () => {
+      assert.throws(() => paymentOrderService.verifyBarePayment(
+        { paymentId: 'pay_1', orderId: 'order_1', amount: 15050, currency: 'INR' },
+        reservation()
+      ), /made against an order/);
+    });
+
+    it('skips the amount check for simulated payments', () => {
+      assert.doesNotThrow(() => paymentOrderService.verifyBarePayment(
+        { paymentId: 'pay_1', orderId: null, amount: null, currency: null, simulated: true },
+        reservation()
+      ));
+    });
+  });
+
+  describe('payFakeOrder', () => {
+    it('pays an order of the user', async t => {
+      const { orderId } = await fakeGateway.createOrder({ reservationToken: 'res_1', amount: 15050, currency: 'INR' });
+      const findOne = t.mock.method(PaymentOrder, 'findOne', async () => ({ orderId, provider: 'fake' }));
+
+      const checkout = await paymentOrderService.payFakeOrder('app_1', 'user_1', orderId);
+
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { orderId, appId: 'app_1', userId: 'user_1', provider: 'fake' });
+      assert.equal((await fakeGateway.verify(checkout)).status, 'CAPTURED');
+    });
+
+    it('refuses an order of another app or user', async t => {
+      t.mock.method(PaymentOrder, 'findOne', async () => null);
+
+      await assert.rejects(paymentOrderService.payFakeOrder('app_1', 'user_1', 'fake_order_x'), NotFoundError);
+    });
+  });
+});
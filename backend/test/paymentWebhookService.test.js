@@ -0,0 +1,209 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../src/models/Booking');
+const PaymentOrder = require('../src/models/PaymentOrder');
+const ProcessedWebhookEvent = require('../src/models/ProcessedWebhookEvent');
+const Reservation = require('../src/models/Reservation');
+const bookingService = require('../src/services/bookingService');
+const paymentOrderService = require('../src/services/paymentOrderService');
+const paymentWebhookService = require('../src/services/paymentWebhookService');
+const refundService = require('../src/services/refundService');
+const { ConflictError } = require('../src/utils/errors');
+
+const event = { eventId: 'evt_1', type: 'refund.processed', refund: null };
+
+/**
+ * Stub processed_webhook_events with at most one stored row
+ * The conditional retake matches on status and lease like MongoDB's would
+ */
+function stubEvents(t, row = null) {
+  const store = { row };
+
+  t.mock.method(ProcessedWebhookEvent, 'create', async doc => {
+    if (store.row) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    store.row = { ...doc, status: 'PROCESSING', attempts: 1, updatedAt: new Date() };
+  });
+  t.mock.method(ProcessedWebhookEvent, 'findOneAndUpdate', async (filter, update) => {
+    const matches = filter.$or.some(condition =>
+      store.row.status === condition.status &&
+      (!condition.updatedAt || store.row.updatedAt < condition.updatedAt.$lt)
+    );
+    if (!matches) {
+      return null;
+    }
+    const previous = store.row;
+    store.row = { ...previous, ...update.$set, attempts: previous.attempts + update.$inc.attempts, updatedAt: new Date() };
+    return previous;
+  });
+  t.mock.method(ProcessedWebhookEvent, 'exists', async filter =>
+    (store.row?.status === filter.status ? { _id: 'event_1' } : null)
+  );
+  t.mock.method(ProcessedWebhookEvent, 'updateOne', async (filter, update) => {
+    Object.assign(store.row, update.$set);
+  });
+
+  return store;
+}
+
+/**
+ * Stub the order, reservation and booking lookups behind handlePaymentCaptured
+ * `bookings` is what successive Booking lookups by payment ID return
+ */
+function stubCapture(t, { status = 'ACTIVE', bookings = [] } = {}) {
+  const paymentOrder = { orderId: 'order_1', provider: 'fake', reservationToken: 'res_1' };
+  const reservation = { reservationToken: 'res_1', appId: 'app_1', userId: 'user_1', status };
+  const lookups = [...bookings];
+
+  t.mock.method(PaymentOrder, 'findOne', async () => paymentOrder);
+  t.mock.method(Reservation, 'findOne', async () => reservation);
+  t.mock.method(Booking, 'findOne', () => ({ select: async () => lookups.shift() ?? null }));
+  t.mock.method(paymentOrderService, 'verifyPaymentAmount', () => undefined);
+  t.mock.method(paymentOrderService, 'verifyOrderForReservation', async () => paymentOrder);
+  t.mock.method(paymentOrderService, 'markPaid', async () => undefined);
+
+  return {
+    confirmBooking: t.mock.method(bookingService, 'confirmBooking', async () => ({
+      bookingId: 'BKG_1',
+      bookings: [{ bookingId: 'BKG_1' }]
+    })),
+    issueRefund: t.mock.method(refundService, 'issueRefund', async () => ({ refundId: 'rfnd_1' }))
+  };
+}
+
+const payment = { id: 'pay_1', orderId: 'order_1', amount: 15050, currency: 'INR' };
+
+describe('paymentWebhookService', () => {
+  describe('process', () => {
+    it('handles a new event and records it as processed', async t => {
+      const store = stubEvents(t);
+
+      const outcome = await paymentWebhookService.process('fake', event);
+
+      assert.deepEqual(outcome, { duplicate: false, inProgress: false, result: { action: 'IGNORED', reason: 'No refund entity' } });
+      assert.equal(store.row.status, 'PROCESSED');
+    });
+
+    it('retakes an event that failed before', async t => {
+      const store = stubEvents(t, { status: 'FAILED', attempts: 1, updatedAt: new Date() });
+
+      const outcome = await paymentWebhookService.process('fake', event);
+
+      assert.equal(outcome.duplicate, false);
+      assert.equal(store.row.status, 'PROCESSED');
+      assert.equal(store.row.attempts, 2);
+    });
+
+    it('takes over an event left processing past its lease', async t => {
+      const store = stubEvents(t, { status: 'PROCESSING', attempts: 1, updatedAt: new Date(Date.now() - 10 * 60000) });
+
+      const outcome = await paymentWebhookService.process('fake', event);
+
+      assert.equal(outcome.duplicate, false);
+      assert.equal(store.row.status, 'PROCESSED');
+    });
+
+    it('reports an event still being processed as in progress', async t => {
+      const store = stubEvents(t, { status: 'PROCESSING', attempts: 1, updatedAt: new Date() });
+
+      const outcome = await paymentWebhookService.process('fake', event);
+
+      assert.deepEqual(outcome, { duplicate: true, inProgress: true, result: null });
+      assert.equal(store.row.attempts, 1);
+    });
+
+    it('acknowledges an event already processed as a duplicate', async t => {
+      stubEvents(t, { status: 'PROCESSED', attempts: 1, updatedAt: new Date() });
+
+      const outcome = await paymentWebhookService.process('fake', event);
+
+      assert.deepEqual(outcome, { duplicate: true, inProgress: false, result: null });
+    });
+
+    it('leaves a failed attempt FAILED for the next retry', async t => {
+      const store = stubEvents(t);
+      t.mock.method(paymentWebhookService, 'handle', async () => {
+        throw new Error('Database unavailable');
+      });
+
+      await assert.rejects(paymentWebhookService.process('fake', event), /Database unavailable/);
+      assert.equal(store.row.status, 'FAILED');
+    });
+  });
+
+  describe('handlePaymentCaptured', () => {
+    it('confirms an active reservation', async t => {
+      const { confirmBooking, issueRefund } = stubCapture(t);
+
+      const result = await paymentWebhookService.handlePaymentCaptured('fake', payment);
+
+      assert.deepEqual(result, { action: 'CONFIRMED', bookingIds: ['BKG_1'] });
+      assert.deepEqual(confirmBooking.mock.calls[0].arguments, ['app_1', 'res_1', 'pay_1', 'user_1', 'fake']);
+      assert.equal(issueRefund.mock.callCount(), 0);
+    });
+
+    it('skips a payment that is already booked', async t => {
+      const { confirmBooking } = stubCapture(t, { status: 'CONFIRMED', bookings: [{ bookingId: 'BKG_1' }] });
+
+      const result = await paymentWebhookService.handlePaymentCaptured('fake', payment);
+
+      assert.deepEqual(result, { action: 'ALREADY_CONFIRMED', bookingId: 'BKG_1' });
+      assert.equal(confirmBooking.mock.callCount(), 0);
+    });
+
+    it('returns the booking made by a concurrent confirm instead of refunding', async t => {
+      const { confirmBooking, issueRefund } = stubCapture(t, { bookings: [null, { bookingId: 'BKG_1' }] });
+      confirmBooking.mock.mockImplementation(async () => {
+        throw new ConflictError('Reservation is no longer active', { reservationToken: 'res_1' });
+      });
+
+      const result = await paymentWebhookService.handlePaymentCaptured('fake', payment);
+
+      assert.deepEqual(result, { action: 'ALREADY_CONFIRMED', bookingId: 'BKG_1' });
+      assert.equal(issueRefund.mock.callCount(), 0);
+    });
+
+    it('refunds a payment whose seats could not be booked', async t => {
+      const { confirmBooking, issueRefund } = stubCapture(t);
+      confirmBooking.mock.mockImplementation(async () => {
+        throw new ConflictError('Seat is no longer available');
+      });
+
+      const result = await paymentWebhookService.handlePaymentCaptured('fake', payment);
+
+      assert.deepEqual(result, { action: 'REFUNDED_UNFULFILLED', refundId: 'rfnd_1' });
+      assert.deepEqual(issueRefund.mock.calls[0].arguments, ['pay_1', 15050, 'fake']);
+    });
+
+    it('refunds a payment for a reservation that is no longer active', async t => {
+      const { confirmBooking } = stubCapture(t, { status: 'EXPIRED' });
+
+      const result = await paymentWebhookService.handlePaymentCaptured('fake', payment);
+
+      assert.deepEqual(result, { action: 'REFUNDED_UNFULFILLED', refundId: 'rfnd_1' });
+      assert.equal(confirmBooking.mock.callCount(), 0);
+    });
+
+    it('rethrows unexpected errors without refunding', async t => {
+      const { confirmBooking, issueRefund } = stubCapture(t);
+      confirmBooking.mock.mockImplementation(async () => {
+        throw new Error('Connection reset');
+      });
+
+      await assert.rejects(paymentWebhookService.handlePaymentCaptured('fake', payment), /Connection reset/);
+      assert.equal(issueRefund.mock.callCount(), 0);
+    });
+
+    it('ignores a payment with no matching order', async t => {
+      stubCapture(t);
+      t.mock.method(PaymentOrder, 'findOne', async () => null);
+
+      const result = await paymentWebhookService.handlePaymentCaptured('fake', payment);
+
+      assert.deepEqual(result, { action: 'IGNORED', reason: 'Order not found' });
+    });
+  });
+});
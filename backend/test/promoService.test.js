@@ -0,0 +1,134 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PromoCode = require('../src/models/PromoCode');
+const PromoRedemption = require('../src/models/PromoRedemption');
+const PromoUserUsage = require('../src/models/PromoUserUsage');
+const Reservation = require('../src/models/Reservation');
+const PaymentOrder = require('../src/models/PaymentOrder');
+const Seat = require('../src/models/Seat');
+const promoService = require('../src/services/promoService');
+
+// Yield to the event loop so concurrent calls interleave as they would against MongoDB
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Stub the per-user usage collection: conditional $inc updates match on the current count
+ */
+function stubUsage(t, usage) {
+  t.mock.method(PromoUserUsage, 'exists', async () => (usage.created ? { _id: 'usage_1' } : null));
+  t.mock.method(PromoRedemption, 'countDocuments', async () => usage.existing || 0);
+  t.mock.method(PromoUserUsage, 'create', async doc => {
+    await tick();
+    if (usage.created) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    usage.created = true;
+    usage.count = doc.count;
+  });
+  t.mock.method(PromoUserUsage, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    if (filter.count && !(usage.count < filter.count.$lt)) {
+      return null;
+    }
+    usage.count += update.$inc.count;
+    return { count: usage.count };
+  });
+}
+
+describe('promoService', () => {
+  describe('claimUserUse', () => {
+    const promo = { _id: new mongoose.Types.ObjectId(), appId: 'app_1', maxRedemptionsPerUser: 1 };
+
+    it('lets only one of two concurrent applies by a user through', async t => {
+      const usage = { created: false, count: 0 };
+      stubUsage(t, usage);
+
+      const claims = await Promise.all([
+        promoService.claimUserUse(promo, 'user_1'),
+        promoService.claimUserUse(promo, 'user_1')
+      ]);
+
+      assert.equal(claims.filter(Boolean).length, 1);
+      assert.equal(usage.count, 1);
+    });
+
+    it('counts uses made before usage was tracked', async t => {
+      const usage = { created: false, count: 0, existing: 1 };
+      stubUsage(t, usage);
+
+      assert.equal(await promoService.claimUserUse(promo, 'user_1'), null);
+    });
+
+    it('does not limit codes without a per-user limit', async t => {
+      const usage = { created: true, count: 5 };
+      stubUsage(t, usage);
+
+      assert.ok(await promoService.claimUserUse({ ...promo, maxRedemptionsPerUser: null }, 'user_1'));
+      assert.equal(usage.count, 6);
+    });
+  });
+
+  describe('applyToReservation', () => {
+    it('gives the global use back when the per-user limit is reached', async t => {
+      const reservation = new Reservation({
+        reservationToken: 'res_1',
+        userId: 'user_1',
+        appId: 'app_1',
+        seatId: new mongoose.Types.ObjectId(),
+        expiresAt: new Date(Date.now() + 60000),
+        pricing: { seats: [], totalAmount: 15050, currency: 'INR' }
+      });
+      reservation.pricing.seats.push({ seatId: reservation.seatId, price: 15050 });
+      const promo = new PromoCode({
+        appId: 'app_1', code: 'EARLY', discountType: 'PERCENT', value: 10, maxRedemptionsPerUser: 1
+      });
+      const seat = { _id: reservation.seatId, entityId: 'show_1', getSection: () => null };
+
+      t.mock.method(Reservation, 'findOne', async () => reservation);
+      t.mock.method(PaymentOrder, 'exists', async () => null);
+      t.mock.method(PromoCode, 'findOne', async () => promo);
+      t.mock.method(Seat, 'find', async () => [seat]);
+      t.mock.method(PromoCode, 'findOneAndUpdate', async () => promo);
+      const updateOne = t.mock.method(PromoCode, 'updateOne', async () => ({}));
+      stubUsage(t, { created: true, count: 1 });
+
+      await assert.rejects(
+        promoService.applyToReservation('app_1', 'res_1', 'user_1', 'early'),
+        /already used this promo code/
+      );
+      assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $inc: { redemptionCount: -1 } });
+    });
+  });
+
+  describe('getReport', () => {
+    it('dates redeemed uses by redeemedAt and pending ones by createdAt', async t => {
+      const aggregate = t.mock.method(PromoRedemption, 'aggregate', async () => []);
+
+      await promoService.getReport('app_1', { from: '2026-01-01', to: '2026-01-31' });
+
+      const range = { $gte: new Date('2026-01-01'), $lte: new Date('2026-01-31') };
+      assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match.$or, [
+        { status: 'REDEEMED', redeemedAt: range },
+        { status: 'APPLIED', createdAt: range }
+      ]);
+    });
+
+    it('adds up totals per currency', async t => {
+      t.mock.method(PromoRedemption, 'aggregate', async () => [
+        { _id: { code: 'A', currency: 'INR' }, redemptions: 2, pending: 1, discountTotal: 500, revenue: 9500 },
+        { _id: { code: 'B', currency: 'INR' }, redemptions: 1, pending: 0, discountTotal: 100, revenue: 900 },
+        { _id: { code: 'A', currency: 'USD' }, redemptions: 1, pending: 0, discountTotal: 50, revenue: 950 }
+      ]);
+
+      const report = await promoService.getReport('app_1');
+
+      assert.deepEqual(report.totals, [
+        { currency: 'INR', redemptions: 3, discountTotal: 600, revenue: 10400 },
+        { currency: 'USD', redemptions: 1, discountTotal: 50, revenue: 950 }
+      ]);
+    });
+  });
+});
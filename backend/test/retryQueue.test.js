@@ -0,0 +1,64 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RetryQueue = require('../src/services/retryQueue');
+
+// Stand-in model: hands out the queued documents in order
+const modelOf = docs => ({
+  findOneAndUpdate: async () => docs.shift() || null
+});
+
+describe('RetryQueue', () => {
+  describe('getBackoffMs', () => {
+    it('doubles the delay per attempt up to 6 hours', () => {
+      const queue = new RetryQueue(modelOf([]), { maxAttempts: 5, baseBackoffMs: 1000 });
+
+      assert.equal(queue.getBackoffMs(1), 1000);
+      assert.equal(queue.getBackoffMs(3), 4000);
+      assert.equal(queue.getBackoffMs(40), 6 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('schedules a retry before the last attempt', () => {
+      const queue = new RetryQueue(modelOf([]), { maxAttempts: 3, baseBackoffMs: 1000 });
+      const doc = { status: 'PENDING', attempts: 2, nextAttemptAt: null };
+      const before = Date.now();
+
+      queue.recordFailure(doc, new Error('HTTP 500'));
+
+      assert.equal(doc.status, 'PENDING');
+      assert.equal(doc.lastError, 'HTTP 500');
+      assert.ok(doc.nextAttemptAt.getTime() >= before + 2000);
+    });
+
+    it('gives up after the last attempt', () => {
+      const queue = new RetryQueue(modelOf([]), { maxAttempts: 3, baseBackoffMs: 1000 });
+      const doc = { status: 'PENDING', attempts: 3, nextAttemptAt: null };
+
+      queue.recordFailure(doc, new Error('HTTP 500'));
+
+      assert.equal(doc.status, 'FAILED');
+      assert.equal(doc.nextAttemptAt, null);
+    });
+  });
+
+  describe('processDue', () => {
+    it('attempts claimed documents until none is due', async () => {
+      const queue = new RetryQueue(modelOf([{ ok: true }, { ok: false }, { ok: true }]), { maxAttempts: 3, baseBackoffMs: 1000 });
+
+      const counts = await queue.processDue(async doc => doc.ok);
+
+      assert.deepEqual(counts, { attempted: 3, succeeded: 2, failed: 1 });
+    });
+
+    it('stops at the limit', async () => {
+      const queue = new RetryQueue(modelOf([{ ok: true }, { ok: true }]), { maxAttempts: 3, baseBackoffMs: 1000 });
+
+      const counts = await queue.processDue(async doc => doc.ok, 1);
+
+      assert.deepEqual(counts, { attempted: 1, succeeded: 1, failed: 0 });
+    });
+  });
+});